@@ -1,29 +1,90 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
 import { 
   initializeAlchemy, 
   getAddressTransactions, 
   processTransferPartners,
+  classifyTransferPartners,
   saveSearch,
+  findSavedSearch,
   getSavedSearches,
-  deleteSavedSearch
+  deleteSavedSearch,
+  getNativeTransfers,
+  getPartnerAssetBreakdown,
+  applyAnomalySettings,
+  NATIVE_ASSET_KEY,
+  PAGINATION_CONFIG
 } from './services/alchemyService';
 import TransferDetails from './components/TransferDetails';
 import TransferGraphD3 from './components/TransferGraphD3';
 import TimelineVisualization from './components/TimelineVisualization';
 import PatternAnalysis from './components/PatternAnalysis';
+import FundTracing from './components/FundTracing';
+import PathFinder from './components/PathFinder';
+import CrossChainComparison from './components/CrossChainComparison';
 import GasUsageAnalysis from './components/GasUsageAnalysis';
 import TransactionVolumeHeatmap from './components/TransactionVolumeHeatmap';
 import TreeMapVisualization from './components/TreeMapVisualization';
 import ProfitLossAnalysis from './components/ProfitLossAnalysis';
 import SavedSearches from './components/SavedSearches';
 import DemoModePanel from './components/DemoModePanel';
+import DataSourceSettings from './components/DataSourceSettings';
+import SearchChanges from './components/SearchChanges';
+import WatchlistPanel from './components/WatchlistPanel';
+import LabelRegistry from './components/LabelRegistry';
+import SanctionsLists from './components/SanctionsLists';
+import AnomalySettings from './components/AnomalySettings';
+import SanctionsAlert from './components/SanctionsAlert';
 import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from './components/ui/card';
 import { Input } from './components/ui/input';
 import { Button } from './components/ui/button';
 import InfoButton from './components/ui/InfoButton';
 import { generateSampleTreeMapData, processTransfersForTreeMap } from './services/treeMapService';
 import { fetchCurrentEthPrice } from './services/profitLossService';
+import { DEFAULT_NETWORK, NETWORK_OPTIONS, getNetworkConfig } from './services/networkConfig';
+import {
+  PROVIDER_TYPES,
+  setDataSource,
+  getDataSource,
+  saveDataSourceSettings,
+  getSavedDataSourceSettings
+} from './services/dataProvider';
+import { getDemoFixture } from './services/demoService';
+import { TIME_PRESETS, getDateRange, resolveDateRangeToBlocks } from './services/blockTimeService';
+import { getSearchSnapshot, putSearchSnapshot } from './services/cacheService';
+import { createPartnerSnapshot, diffPartnerSnapshots, ANOMALY_FLAG_LABELS } from './services/snapshotService';
+import { watchSearch, startWatchlistPolling, getPollInterval, setPollInterval } from './services/watchlistService';
+import { getLiveStreamStatus, startLiveStream } from './services/liveStreamService';
+import { isEnsName, resolveEnsName, attachEnsNames } from './services/ensService';
+import { LABEL_CATEGORIES, applyLabels, matchesLabelFilter } from './services/labelService';
+import { applySanctionsScreening, screenAddress } from './services/sanctionsService';
+import { EVIDENCE_TYPES, clusterPartners, getClusteringStatus, getClusterIndex, getClusterName } from './services/clusteringService';
+
+const DEFAULT_TIME_FILTER = {
+  enabled: false,
+  mode: 'blocks', // 'blocks' or 'dates'
+  startBlock: '',
+  endBlock: '',
+  preset: '7d',
+  year: String(new Date().getFullYear()),
+  startDate: '',
+  endDate: ''
+};
+
+// Saved searches keep the form itself, so date presets re-run as a rolling window
+const toSavedTimeFilter = (filter) => {
+  if (!filter.enabled) return null;
+  if (filter.mode === 'dates') {
+    const { preset, year, startDate, endDate } = filter;
+    return { mode: 'dates', preset, year, startDate, endDate };
+  }
+  return { mode: 'blocks', startBlock: filter.startBlock, endBlock: filter.endBlock };
+};
+
+// Searches saved before date filtering only have block numbers
+const fromSavedTimeFilter = (saved) => saved
+  ? { ...DEFAULT_TIME_FILTER, ...saved, enabled: true, mode: saved.mode || 'blocks' }
+  : DEFAULT_TIME_FILTER;
 
 function App() {
   const [error, setError] = useState('');
@@ -33,15 +94,35 @@ function App() {
   const [isAlchemyInitialized, setIsAlchemyInitialized] = useState(false);
   const [userApiKey, setUserApiKey] = useState('');
   
+  // Where chain data comes from: Alchemy (default) or a self-hosted JSON-RPC node
+  const [dataSource, setDataSourceState] = useState(
+    () => getSavedDataSourceSettings() || { type: PROVIDER_TYPES.ALCHEMY, config: {} }
+  );
+  
+  // Network selected for the next search, and the network the loaded results came from
+  const [selectedNetwork, setSelectedNetwork] = useState(DEFAULT_NETWORK);
+  const [resultNetwork, setResultNetwork] = useState(DEFAULT_NETWORK);
+  
   // Transfer data
   const [searchAddress, setSearchAddress] = useState('');
+  const [resolvedEnsName, setResolvedEnsName] = useState(null); // { name, address } of the last ENS name searched
   const [transferPartners, setTransferPartners] = useState([]);
+  const [resultAddress, setResultAddress] = useState(''); // The address the loaded results belong to
+  const [resultTimeFilter, setResultTimeFilter] = useState(null); // Saved form of the time filter the results were fetched with
   const [transactions, setTransactions] = useState(null);
   const [showTransferHistory, setShowTransferHistory] = useState(false);
   
+  // Pagination ceiling and fetch progress
+  const [maxTransfers, setMaxTransfers] = useState(PAGINATION_CONFIG.DEFAULT_MAX_TRANSFERS);
+  const [includeZeroValue, setIncludeZeroValue] = useState(false);
+  const [fetchProgress, setFetchProgress] = useState(null);
+  
   // Selected partner for details view
   const [selectedPartner, setSelectedPartner] = useState(null);
   
+  // Partner whose funds are being traced beyond the first hop
+  const [traceTarget, setTraceTarget] = useState(null);
+  
   // Visualization options
   const [visualizationMode, setVisualizationMode] = useState('standard'); // 'standard', 'timeline', 'heatmap', 'treemap'
   
@@ -49,13 +130,13 @@ function App() {
   const [showAnalysis, setShowAnalysis] = useState(false);
   const [showGasAnalysis, setShowGasAnalysis] = useState(false);
   const [showProfitLossAnalysis, setShowProfitLossAnalysis] = useState(false);
+  const [showPathFinder, setShowPathFinder] = useState(false);
+  const [showCrossChain, setShowCrossChain] = useState(false);
   
   // Time filter options
-  const [timeFilter, setTimeFilter] = useState({
-    enabled: false,
-    startBlock: '',
-    endBlock: ''
-  });
+  const [timeFilter, setTimeFilter] = useState(DEFAULT_TIME_FILTER);
+  // Block range the last date-based search resolved to
+  const [resolvedBlockRange, setResolvedBlockRange] = useState(null);
   
   // Helper function to validate block numbers
   const validateBlockNumber = (value) => {
@@ -67,6 +148,15 @@ function App() {
   
   // Saved searches
   const [savedSearches, setSavedSearches] = useState([]);
+  // Changes since the previous run of the same saved search
+  const [searchChanges, setSearchChanges] = useState(null);
+  const [watchPollInterval, setWatchPollInterval] = useState(getPollInterval);
+  
+  // Live stream of new transfers into the current results
+  const [liveStream, setLiveStream] = useState(null); // { state, fromBlock, lastBlock, error, newTransfers }
+  const stopLiveStreamRef = useRef(null);
+  const liveTransactionsRef = useRef(null);
+  const sourceBeforeDemoRef = useRef(null); // Data source to return to once a demo recording is left
   const [showSavedSearches, setShowSavedSearches] = useState(false);
   const [searchNameInput, setSearchNameInput] = useState('');
   const [showSavedSearchManager, setShowSavedSearchManager] = useState(false);
@@ -79,16 +169,31 @@ function App() {
   
   // Anomaly filter
   const [showOnlyAnomalies, setShowOnlyAnomalies] = useState(false);
+  
+  // Address type filter: 'all', 'eoa' or 'contract'
+  const [addressTypeFilter, setAddressTypeFilter] = useState('all');
+  const [labelCategoryFilter, setLabelCategoryFilter] = useState('all');
+  
+  // Partners that likely belong to one entity, found on demand: { clusters, stats }
+  const [clusterResult, setClusterResult] = useState(null);
+  const [isClustering, setIsClustering] = useState(false);
+  const [clusterProgress, setClusterProgress] = useState(null);
+  const [clusterError, setClusterError] = useState('');
+  // Shared by the partner table and the graph, so a cluster opens in both
+  const [expandedClusters, setExpandedClusters] = useState(new Set());
 
   useEffect(() => {
     // Initialize Alchemy with available API key (user's key, demo key, or env key)
     try {
-      initializeAlchemy(userApiKey);
+      initializeAlchemy(userApiKey, selectedNetwork);
       setIsAlchemyInitialized(true);
       console.log("Alchemy SDK initialized successfully");
     } catch (error) {
       console.error("Failed to initialize Alchemy SDK:", error);
-      setError("Failed to initialize Alchemy SDK. Check console for details.");
+      // Only an error when Alchemy is the data source
+      if (getDataSource().type === PROVIDER_TYPES.ALCHEMY) {
+        setError("Failed to initialize Alchemy SDK. Check console for details.");
+      }
     }
     
     // Fetch current ETH price at startup
@@ -98,7 +203,36 @@ function App() {
     
     // Load saved searches
     setSavedSearches(getSavedSearches());
-  }, [userApiKey]); // Re-initialize when API key changes
+  }, [userApiKey, selectedNetwork]); // Re-initialize when API key or network changes
+  
+  useEffect(() => {
+    setDataSource(dataSource.type, dataSource.config);
+  }, [dataSource]);
+  
+  // Alchemy needs a key; other data sources are ready as soon as they are configured
+  const isDataSourceReady = dataSource.type !== PROVIDER_TYPES.ALCHEMY || isAlchemyInitialized;
+  
+  // The stream belongs to the results on screen, so it ends with them
+  const stopLiveStream = () => {
+    if (stopLiveStreamRef.current) {
+      stopLiveStreamRef.current();
+      stopLiveStreamRef.current = null;
+    }
+    setLiveStream(null);
+  };
+  
+  useEffect(() => () => {
+    if (stopLiveStreamRef.current) stopLiveStreamRef.current();
+  }, []);
+  
+  // Poll watched addresses while the app is open
+  useEffect(() => {
+    if (!isDataSourceReady) return undefined;
+    return startWatchlistPolling({
+      userApiKey,
+      onUpdate: () => setSavedSearches(getSavedSearches())
+    });
+  }, [isDataSourceReady, userApiKey, dataSource, watchPollInterval]);
   
   // Handle time filter changes
   const handleTimeFilterChange = (e) => {
@@ -126,53 +260,70 @@ function App() {
     return /^0x[a-fA-F0-9]{40}$/.test(address);
   };
   
+  // Saves the loaded results, so the snapshot matches the saved address, network and time range
   const handleSaveSearch = () => {
-    if (searchAddress && validateAddress(searchAddress)) {
+    if (resultAddress) {
       // Save search with extended information
-      saveSearch(searchAddress, searchNameInput, {
-        timeFilter: timeFilter.enabled ? {
-          startBlock: timeFilter.startBlock,
-          endBlock: timeFilter.endBlock
-        } : null,
+      const saved = saveSearch(resultAddress, searchNameInput, {
+        network: resultNetwork,
+        timeFilter: resultTimeFilter,
         visualizationMode: visualizationMode,
         lastResults: {
           partnerCount: transferPartners.length,
           timestamp: new Date().toISOString()
         }
       });
+      if (saved && transferPartners.length > 0) {
+        putSearchSnapshot(saved.id, createPartnerSnapshot(transferPartners));
+      }
       
       setSavedSearches(getSavedSearches());
       setSearchNameInput('');
     }
   };
   
+  // Watches the loaded results, not what is typed in the search box
+  const handleWatchCurrentSearch = async () => {
+    const search = findSavedSearch(resultAddress, resultNetwork, resultTimeFilter) ||
+      saveSearch(resultAddress, '', {
+        network: resultNetwork,
+        timeFilter: resultTimeFilter,
+        visualizationMode: visualizationMode
+      });
+    if (!search) return;
+    
+    try {
+      await watchSearch(search);
+    } catch (watchError) {
+      setError(`Could not watch this address: ${watchError.message}`);
+    }
+    setSavedSearches(getSavedSearches());
+  };
+  
+  const handleWatchPollIntervalChange = (interval) => {
+    setPollInterval(interval);
+    setWatchPollInterval(interval);
+  };
+  
   const handleDeleteSearch = (searchId) => {
     deleteSavedSearch(searchId);
     setSavedSearches(getSavedSearches());
   };
   
-  const handleLoadSearch = (address) => {
+  const handleLoadSearch = (address, network = DEFAULT_NETWORK) => {
     setSearchAddress(address);
+    setSelectedNetwork(network);
     setShowSavedSearches(false);
   };
   
   const handleSelectSavedSearch = (search) => {
+    const network = search.network || DEFAULT_NETWORK;
     setSearchAddress(search.address);
+    setSelectedNetwork(network);
     
     // Restore time filters if available
-    if (search.timeFilter) {
-      setTimeFilter({
-        enabled: true,
-        startBlock: search.timeFilter.startBlock || '',
-        endBlock: search.timeFilter.endBlock || ''
-      });
-    } else {
-      setTimeFilter({
-        enabled: false,
-        startBlock: '',
-        endBlock: ''
-      });
-    }
+    const restoredTimeFilter = fromSavedTimeFilter(search.timeFilter);
+    setTimeFilter(restoredTimeFilter);
     
     // Set visualization mode if available
     if (search.visualizationMode) {
@@ -182,8 +333,9 @@ function App() {
     // Close the saved search manager
     setShowSavedSearchManager(false);
     
-    // Fetch transfer history with the loaded search parameters
-    fetchTransferHistory();
+    // Re-opening a saved search is served from the cache when possible, without spending demo calls
+    // The restored filter is passed along since state updates haven't applied yet
+    fetchTransferHistory(search.address, network, { preferCache: true, timeFilter: restoredTimeFilter });
   };
 
   // Demo mode handlers
@@ -192,44 +344,121 @@ function App() {
     setError(''); // Clear any previous errors
   };
 
-  const handleDemoAddressSelect = (address) => {
+  const handleDataSourceApply = (type, config) => {
+    // Applied right away so a search started in the same event already uses it
+    setDataSource(type, config);
+    saveDataSourceSettings(type, config);
+    setDataSourceState({ type, config });
+    setError('');
+  };
+
+  const handleDemoAddressSelect = async (address) => {
     setSearchAddress(address);
     setError(''); // Clear any previous errors
-    // Auto-trigger search for demo addresses with the selected address
+    
+    // Demo addresses with a recorded session replay it instead of spending a demo call
+    const fixture = await getDemoFixture(address);
+    if (fixture) {
+      const network = fixture.network || DEFAULT_NETWORK;
+      // The recording only answers for its own address, so the next other search switches back
+      if (!getDataSource().config.demoAddress) {
+        sourceBeforeDemoRef.current = getDataSource();
+      }
+      handleDataSourceApply(PROVIDER_TYPES.FIXTURE, {
+        fixture,
+        name: `demo recording of ${address.substring(0, 8)}...`,
+        demoAddress: address
+      });
+      setSelectedNetwork(network);
+      fetchTransferHistory(address, network);
+      return;
+    }
+    
+    // Auto-trigger search for demo addresses with the selected address;
+    // a demo address searched before in this session is replayed from the cache without a demo call
     setTimeout(() => {
-      fetchTransferHistory(address);
+      fetchTransferHistory(address, null, { preferCache: true });
     }, 100);
   };
   
-  const fetchTransferHistory = async (addressToSearch = null) => {
-    const targetAddress = addressToSearch || searchAddress;
+  const fetchTransferHistory = async (addressToSearch = null, networkToSearch = null, fetchOptions = {}) => {
+    let targetAddress = (addressToSearch || searchAddress).trim();
+    const network = networkToSearch || selectedNetwork;
     
-    if (!isAlchemyInitialized) {
+    // Leaving a demo recording restores the data source it replaced
+    const { config: sourceConfig } = getDataSource();
+    if (sourceConfig.demoAddress && sourceConfig.demoAddress.toLowerCase() !== targetAddress.toLowerCase()) {
+      const previous = sourceBeforeDemoRef.current || { type: PROVIDER_TYPES.ALCHEMY, config: {} };
+      sourceBeforeDemoRef.current = null;
+      handleDataSourceApply(previous.type, previous.config);
+    }
+    
+    // Read from the service: the data source may have been switched in this same event
+    if (getDataSource().type === PROVIDER_TYPES.ALCHEMY && !isAlchemyInitialized) {
       setError('Please initialize Alchemy SDK with your API key first.');
       return;
     }
     
+    // ENS names are resolved on mainnet and replaced by their address in the search box
+    if (isEnsName(targetAddress)) {
+      const name = targetAddress;
+      try {
+        targetAddress = await resolveEnsName(name);
+      } catch (ensError) {
+        setError(`Could not resolve ${name}: ${ensError.message}`);
+        return;
+      }
+      if (!targetAddress) {
+        setError(`${name} does not resolve to an address.`);
+        return;
+      }
+      setSearchAddress(targetAddress);
+      setResolvedEnsName({ name, address: targetAddress });
+    } else if (resolvedEnsName && resolvedEnsName.address.toLowerCase() !== targetAddress.toLowerCase()) {
+      setResolvedEnsName(null);
+    }
+    
     if (!validateAddress(targetAddress)) {
-      setError('Please enter a valid Ethereum address.');
+      setError('Please enter a valid Ethereum address or ENS name.');
       return;
     }
     
+    const activeTimeFilter = fetchOptions.timeFilter || timeFilter;
+    
     // Validate time filter inputs if enabled
-    if (timeFilter.enabled) {
-      if (timeFilter.startBlock && !validateBlockNumber(timeFilter.startBlock)) {
+    if (activeTimeFilter.enabled && activeTimeFilter.mode === 'dates') {
+      if (activeTimeFilter.preset === 'year' && !/^\d{4}$/.test(String(activeTimeFilter.year).trim())) {
+        setError('Please enter a four-digit year.');
+        return;
+      }
+      
+      if (activeTimeFilter.preset === 'custom') {
+        if (!activeTimeFilter.startDate && !activeTimeFilter.endDate) {
+          setError('Please pick a start or end date.');
+          return;
+        }
+        
+        if (activeTimeFilter.startDate && activeTimeFilter.endDate &&
+          new Date(activeTimeFilter.startDate) >= new Date(activeTimeFilter.endDate)) {
+          setError('Start date must be before end date.');
+          return;
+        }
+      }
+    } else if (activeTimeFilter.enabled) {
+      if (activeTimeFilter.startBlock && !validateBlockNumber(activeTimeFilter.startBlock)) {
         setError('Please enter a valid start block number.');
         return;
       }
       
-      if (timeFilter.endBlock && !validateBlockNumber(timeFilter.endBlock)) {
+      if (activeTimeFilter.endBlock && !validateBlockNumber(activeTimeFilter.endBlock)) {
         setError('Please enter a valid end block number.');
         return;
       }
       
       // Validate start < end if both are provided
-      if (timeFilter.startBlock && timeFilter.endBlock) {
-        const start = parseInt(timeFilter.startBlock);
-        const end = parseInt(timeFilter.endBlock);
+      if (activeTimeFilter.startBlock && activeTimeFilter.endBlock) {
+        const start = parseInt(activeTimeFilter.startBlock);
+        const end = parseInt(activeTimeFilter.endBlock);
         
         if (start >= end) {
           setError('Start block must be less than end block.');
@@ -240,26 +469,57 @@ function App() {
     
     setLoading(true);
     setError('');
+    setTraceTarget(null);
+    setSearchChanges(null);
+    setClusterResult(null);
+    setClusterError('');
+    setExpandedClusters(new Set());
+    stopLiveStream();
+    setFetchProgress({ sent: 0, received: 0, maxTransfers });
     
     try {
       // Determine if time filters should be applied
       let startTime = null;
       let endTime = null;
       
-      if (timeFilter.enabled) {
-        if (timeFilter.startBlock) {
-          startTime = timeFilter.startBlock.trim();
-        }
-        if (timeFilter.endBlock) {
-          endTime = timeFilter.endBlock.trim();
+      if (activeTimeFilter.enabled && activeTimeFilter.mode === 'dates') {
+        // Dates are converted to blocks on the network being searched
+        const { startBlock, endBlock } = await resolveDateRangeToBlocks(network, getDateRange(activeTimeFilter));
+        startTime = startBlock !== null ? String(startBlock) : null;
+        endTime = endBlock !== null ? String(endBlock) : null;
+        setResolvedBlockRange({ startBlock, endBlock });
+      } else {
+        setResolvedBlockRange(null);
+        if (activeTimeFilter.enabled) {
+          if (activeTimeFilter.startBlock) {
+            startTime = activeTimeFilter.startBlock.trim();
+          }
+          if (activeTimeFilter.endBlock) {
+            endTime = activeTimeFilter.endBlock.trim();
+          }
         }
       }
       
       // Fetch transactions using Alchemy SDK with optional time filters
-      const transactions = await getAddressTransactions(targetAddress, startTime, endTime, userApiKey);
+      const transactions = await getAddressTransactions(targetAddress, startTime, endTime, userApiKey, {
+        maxTransfers,
+        network,
+        includeZeroValue,
+        preferCache: !!fetchOptions.preferCache,
+        onProgress: ({ direction, fetched }) => {
+          setFetchProgress(prev => ({ ...prev, [direction]: fetched }));
+        }
+      });
       
       // Process transactions to find unique EOAs and transfer amounts
-      const partners = processTransferPartners(transactions);
+      let partners = processTransferPartners(transactions);
+      
+      // Tag partners as EOA or contract; the table still works untagged if this fails
+      try {
+        partners = await classifyTransferPartners(partners, network);
+      } catch (classifyError) {
+        console.warn('Failed to classify partner addresses:', classifyError);
+      }
       
       if (partners.length === 0) {
         setError('No transfer history found for this address in the specified range.');
@@ -268,46 +528,185 @@ function App() {
       // Store the raw transactions for pattern analysis
       setTransactions(transactions);
       setTransferPartners(partners);
+      setResultAddress(targetAddress);
+      setResultNetwork(network);
+      setResultTimeFilter(toSavedTimeFilter(activeTimeFilter));
+      
+      // Names are filled in once the results show, since reverse lookups can take a moment
+      attachEnsNames(partners)
+        .then(named => setTransferPartners(current => current === partners ? named : current))
+        .catch(ensError => console.warn('Failed to look up ENS names:', ensError));
       setShowTransferHistory(true);
       setLoading(false);
+      setFetchProgress(null);
       
       // Reset analysis state when loading new data
       setShowAnalysis(false);
       setShowGasAnalysis(false);
       setShowProfitLossAnalysis(false);
+      setShowPathFinder(false);
+      setShowCrossChain(false);
+      
+      // Compare with the snapshot of the previous run before the auto-save replaces it
+      const savedTimeFilter = toSavedTimeFilter(activeTimeFilter);
+      const previousSearch = findSavedSearch(targetAddress, network, savedTimeFilter);
+      const previousSnapshot = previousSearch ? await getSearchSnapshot(previousSearch.id) : null;
+      if (previousSnapshot) {
+        setSearchChanges(diffPartnerSnapshots(previousSnapshot, partners));
+      }
       
       // Auto-save this search with extended information
-      saveSearch(targetAddress, '', {
-        timeFilter: timeFilter.enabled ? {
-          startBlock: timeFilter.startBlock,
-          endBlock: timeFilter.endBlock
-        } : null,
+      const saved = saveSearch(targetAddress, '', {
+        network,
+        timeFilter: savedTimeFilter,
         visualizationMode: visualizationMode,
         lastResults: {
           partnerCount: partners.length,
           timestamp: new Date().toISOString()
         }
       });
+      if (saved) {
+        putSearchSnapshot(saved.id, createPartnerSnapshot(partners));
+      }
       setSavedSearches(getSavedSearches());
     } catch (error) {
       console.error('Error fetching transfer history:', error);
       const errorMessage = error.message || 'Failed to fetch transfer history. Please try again.';
       setError(`Error: ${errorMessage}`);
       setLoading(false);
+      setFetchProgress(null);
+    }
+  };
+  
+  // Merge streamed transfers into the results and rebuild the partner list from them
+  const handleLiveTransfers = async (update) => {
+    const current = liveTransactionsRef.current;
+    const merged = {
+      ...current,
+      sent: [...current.sent, ...update.sent],
+      received: [...current.received, ...update.received]
+    };
+    liveTransactionsRef.current = merged;
+    
+    let partners = processTransferPartners(merged);
+    try {
+      partners = await classifyTransferPartners(partners, resultNetwork);
+    } catch (classifyError) {
+      console.warn('Failed to classify partner addresses:', classifyError);
+    }
+    try {
+      partners = await attachEnsNames(partners);
+    } catch (ensError) {
+      console.warn('Failed to look up ENS names:', ensError);
+    }
+    
+    // A newer update already replaced these results
+    if (liveTransactionsRef.current !== merged) return;
+    
+    setTransactions(merged);
+    setTransferPartners(partners);
+    setLiveStream(prev => prev && {
+      ...prev,
+      newTransfers: prev.newTransfers + update.sent.length + update.received.length
+    });
+  };
+  
+  const handleToggleLiveStream = () => {
+    if (stopLiveStreamRef.current) {
+      stopLiveStream();
+      return;
     }
+    
+    liveTransactionsRef.current = transactions;
+    setLiveStream({ state: 'connecting', fromBlock: null, lastBlock: null, error: null, newTransfers: 0 });
+    stopLiveStreamRef.current = startLiveStream({
+      address: resultAddress,
+      network: resultNetwork,
+      userApiKey,
+      knownIds: new Set([...transactions.sent, ...transactions.received].map(tx => tx.uniqueId)),
+      includeZeroValue: !!transactions.includesZeroValue,
+      onTransfers: handleLiveTransfers,
+      onStatus: (status) => setLiveStream(prev => prev && { ...prev, error: null, ...status })
+    });
   };
   
   const formatAddress = (address) => {
     return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
   };
   
-  const formatEther = (value, asset = 'ETH') => {
-    if (asset === 'ETH') {
-      return parseFloat(value).toFixed(4) + ' ETH';
-    }
+  const formatEther = (value, asset = getNetworkConfig(resultNetwork).nativeSymbol) => {
     return parseFloat(value).toFixed(4) + ' ' + asset;
   };
   
+  // Format a per-asset total; NFTs are counted rather than valued
+  const formatAssetAmount = (amount, asset) => {
+    const label = asset.symbol || formatAddress(asset.contractAddress);
+    if (asset.category === 'erc721' || asset.category === 'erc1155') {
+      return `${amount} ${label}`;
+    }
+    return `${parseFloat(amount).toLocaleString(undefined, { maximumFractionDigits: 4 })} ${label}`;
+  };
+  
+  // Render token totals under a partner's address in the partner table
+  const renderAssetBreakdown = (partner) => {
+    const tokenAssets = getPartnerAssetBreakdown(partner).filter(asset => asset.key !== NATIVE_ASSET_KEY);
+    if (tokenAssets.length === 0) return null;
+    
+    return (
+      <div className="asset-breakdown">
+        {tokenAssets.slice(0, 3).map(asset => (
+          <span key={asset.key} className={`asset-chip ${asset.category}`} title={asset.contractAddress}>
+            {asset.totalSent > 0 && <span className="sent">↑{formatAssetAmount(asset.totalSent, asset)}</span>}
+            {asset.totalReceived > 0 && <span className="received">↓{formatAssetAmount(asset.totalReceived, asset)}</span>}
+          </span>
+        ))}
+        {tokenAssets.length > 3 && (
+          <span className="asset-chip more">+{tokenAssets.length - 3} more</span>
+        )}
+      </div>
+    );
+  };
+  
+  // Render an address with the characters that differ from another address highlighted
+  const renderAddressDiff = (address, reference) => (
+    <span className="address-diff">
+      {address.split('').map((char, index) => (
+        <span key={index} className={char.toLowerCase() !== (reference[index] || '').toLowerCase() ? 'differs' : undefined}>
+          {char}
+        </span>
+      ))}
+    </span>
+  );
+  
+  // Show a lookalike partner next to the real counterparty it imitates, and warn on the real one
+  const renderLookalikeWarning = (partner) => {
+    if (partner.anomalies?.lookalike) {
+      const { of: realAddress, dustTransfers } = partner.anomalies.lookalike;
+      return (
+        <div className="lookalike-warning" onClick={(e) => e.stopPropagation()}>
+          <div className="lookalike-title">
+            Possible address poisoning: imitates a real counterparty
+            {dustTransfers > 0 && ` (${dustTransfers} zero-value or dust transfer${dustTransfers === 1 ? '' : 's'})`}
+          </div>
+          <div className="lookalike-row"><span>Lookalike</span>{renderAddressDiff(partner.address, realAddress)}</div>
+          <div className="lookalike-row"><span>Real</span>{renderAddressDiff(realAddress, partner.address)}</div>
+        </div>
+      );
+    }
+    if (partner.lookalikes && partner.lookalikes.length > 0) {
+      return (
+        <div className="lookalike-warning real" title={partner.lookalikes.join('\n')}>
+          {partner.lookalikes.length} lookalike address{partner.lookalikes.length === 1 ? '' : 'es'} imitate{partner.lookalikes.length === 1 ? 's' : ''} this
+          counterparty; check the middle characters before sending
+        </div>
+      );
+    }
+    return null;
+  };
+  
+  // Pattern and profit/loss analyses value every transfer in ETH, so they only get native transfers
+  const nativeTransactions = React.useMemo(() => getNativeTransfers(transactions), [transactions]);
+  
   const openTransferDetails = (partner) => {
     setSelectedPartner(partner);
   };
@@ -316,6 +715,11 @@ function App() {
     setSelectedPartner(null);
   };
   
+  const startFundTrace = React.useCallback((partner) => {
+    setSelectedPartner(null);
+    setTraceTarget(partner);
+  }, []);
+  
   // Sort and filter function for the transfer partners
   const sortedPartners = React.useMemo(() => {
     // First filter by anomalies if the filter is active
@@ -327,6 +731,18 @@ function App() {
       );
     }
     
+    if (addressTypeFilter !== 'all') {
+      filteredPartners = filteredPartners.filter(
+        partner => partner.addressType === addressTypeFilter
+      );
+    }
+    
+    if (labelCategoryFilter !== 'all') {
+      filteredPartners = filteredPartners.filter(
+        partner => matchesLabelFilter(partner, labelCategoryFilter)
+      );
+    }
+    
     // Then sort
     if (sortConfig.key) {
       filteredPartners.sort((a, b) => {
@@ -356,7 +772,87 @@ function App() {
       });
     }
     return filteredPartners;
-  }, [transferPartners, sortConfig, showOnlyAnomalies]);
+  }, [transferPartners, sortConfig, showOnlyAnomalies, addressTypeFilter, labelCategoryFilter]);
+  
+  // Table rows: each cluster as one group row at the place of its first member, members under it when expanded
+  const partnerListItems = React.useMemo(() => {
+    const clusterIndex = getClusterIndex(clusterResult && clusterResult.clusters);
+    const shownClusters = new Set();
+    
+    return sortedPartners.flatMap(partner => {
+      const cluster = clusterIndex.get(partner.address.toLowerCase());
+      if (!cluster) return [{ partner }];
+      if (shownClusters.has(cluster.id)) return [];
+      shownClusters.add(cluster.id);
+      
+      const members = sortedPartners.filter(member => cluster.members.includes(member.address.toLowerCase()));
+      return [
+        { cluster, members },
+        ...(expandedClusters.has(cluster.id) ? members.map(member => ({ partner: member, inCluster: true })) : [])
+      ];
+    });
+  }, [sortedPartners, clusterResult, expandedClusters]);
+  
+  const toggleCluster = React.useCallback((clusterId) => {
+    setExpandedClusters(current => {
+      const next = new Set(current);
+      if (next.has(clusterId)) {
+        next.delete(clusterId);
+      } else {
+        next.add(clusterId);
+      }
+      return next;
+    });
+  }, []);
+  
+  // Clustering fetches every partner's own transfers, so it only runs when asked for
+  const findClusters = async () => {
+    setIsClustering(true);
+    setClusterError('');
+    setClusterProgress(null);
+    try {
+      const result = await clusterPartners(transferPartners, resultAddress, {
+        userApiKey,
+        network: resultNetwork,
+        onProgress: setClusterProgress
+      });
+      setClusterResult(result);
+      setExpandedClusters(new Set());
+    } catch (clusteringError) {
+      setClusterError(clusteringError.message);
+    } finally {
+      setIsClustering(false);
+    }
+  };
+  
+  const renderClusterRow = (cluster, members) => {
+    const totalSent = members.reduce((sum, member) => sum + member.totalSent, 0);
+    const totalReceived = members.reduce((sum, member) => sum + member.totalReceived, 0);
+    const isExpanded = expandedClusters.has(cluster.id);
+    
+    return (
+      <div key={cluster.id} className="transfer-item cluster-row" onClick={() => toggleCluster(cluster.id)}>
+        <div className="address">
+          <span className="cluster-toggle">{isExpanded ? '▼' : '▶'}</span>
+          <strong>{getClusterName(cluster)}</strong>: {members.length} partner{members.length === 1 ? '' : 's'} likely controlled by one entity
+          <ul className="cluster-evidence">
+            {cluster.evidence.map(evidence => (
+              <li key={`${evidence.type}:${evidence.address}`} title={Object.entries(evidence.hashes).map(([member, hash]) => `${member}: ${hash}`).join('\n')}>
+                {EVIDENCE_TYPES[evidence.type]} <code>{evidence.address}</code> links {evidence.members.length} partners
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div className="amount sent">{formatEther(totalSent)}</div>
+        <div className="amount received">{formatEther(totalReceived)}</div>
+        <div className="amount total">{formatEther(totalSent + totalReceived)}</div>
+        <div className="annotation"></div>
+        <div className="actions">
+          <Button variant="outline" size="sm" className="details-button">{isExpanded ? 'Collapse' : 'Expand'}</Button>
+        </div>
+      </div>
+    );
+  };
   
   // Handle column header click for sorting
   const requestSort = (key) => {
@@ -367,6 +863,27 @@ function App() {
     setSortConfig({ key, direction });
   };
 
+  // The searched address and every partner on a loaded sanctions list
+  // The input box may already hold the next address, so the loaded results' address is screened
+  const sanctionsHits = React.useMemo(() => {
+    const subjectMatches = screenAddress(resultAddress);
+    return [
+      ...(subjectMatches.length > 0 ? [{ address: resultAddress, matches: subjectMatches, role: 'Searched address' }] : []),
+      ...transferPartners
+        .filter(partner => partner.sanctionsMatches && partner.sanctionsMatches.length > 0)
+        .map(partner => ({ address: partner.address, matches: partner.sanctionsMatches, role: 'Direct counterparty' }))
+    ];
+  }, [transferPartners, resultAddress]);
+  
+  // Clustering fetches every partner's transfers, which the demo key cannot afford
+  const clusteringStatus = getClusteringStatus(userApiKey);
+  
+  // Live updates only make sense for a search that runs up to the latest block
+  const liveStreamStatus = getLiveStreamStatus(userApiKey, resultNetwork);
+  const hasEndBlock = resolvedBlockRange
+    ? resolvedBlockRange.endBlock !== null
+    : !!resultTimeFilter && resultTimeFilter.mode === 'blocks' && !!resultTimeFilter.endBlock;
+  
   return (
     <div className="app min-h-screen bg-white p-4">
       <header className="app-header">
@@ -386,7 +903,7 @@ function App() {
                 
                 <h4>Key Features:</h4>
                 <ul>
-                  <li><strong>Address Analysis:</strong> View all EOA accounts that have transferred ETH with your target address</li>
+                  <li><strong>Address Analysis:</strong> View all EOA accounts that have transferred ETH or tokens (ERC-20, ERC-721, ERC-1155) with your target address</li>
                   <li><strong>Transaction Visualization:</strong> Multiple chart types to understand transfer patterns</li>
                   <li><strong>Anomaly Detection:</strong> Identify unusual transaction patterns automatically</li>
                   <li><strong>Time Filtering:</strong> Analyze specific time periods using block numbers</li>
@@ -406,8 +923,8 @@ function App() {
               </InfoButton>
             </CardTitle>
             <CardDescription>
-              Enter an Ethereum address to see all EOA accounts it has transferred ETH with,
-              along with the amounts transferred.
+              Enter an Ethereum address to see all EOA accounts it has transferred ETH and tokens with,
+              along with the amounts transferred per asset.
             </CardDescription>
           </CardHeader>
           
@@ -419,7 +936,41 @@ function App() {
               userApiKey={userApiKey}
             />
             
-            {!isAlchemyInitialized && (
+            <DataSourceSettings
+              dataSource={dataSource}
+              onApply={handleDataSourceApply}
+              disabled={loading}
+              searchAddress={searchAddress}
+              cacheRefreshKey={transactions}
+            />
+            
+            <WatchlistPanel
+              userApiKey={userApiKey}
+              refreshKey={savedSearches}
+              pollInterval={watchPollInterval}
+              onPollIntervalChange={handleWatchPollIntervalChange}
+              canWatchCurrent={!!resultAddress && isDataSourceReady}
+              onWatchCurrent={handleWatchCurrentSearch}
+              onOpenSearch={(search) => {
+                handleSelectSavedSearch(search);
+                setSavedSearches(getSavedSearches());
+              }}
+              onChange={() => setSavedSearches(getSavedSearches())}
+            />
+            
+            <LabelRegistry
+              onChange={() => setTransferPartners(current => applyLabels(current))}
+            />
+            
+            <SanctionsLists
+              onChange={() => setTransferPartners(current => applySanctionsScreening(current))}
+            />
+            
+            <AnomalySettings
+              onChange={(settings) => setTransferPartners(current => applyAnomalySettings(current, settings))}
+            />
+            
+            {!isDataSourceReady && (
               <div className="bg-red-900 p-4 mb-4 rounded-md border border-red-700">
                 <p className="text-red-100 font-medium">No API key available. Please use the demo mode above or provide your own Alchemy API key.</p>
               </div>
@@ -438,18 +989,19 @@ function App() {
                       <li>Must start with <code>0x</code></li>
                       <li>Followed by 40 hexadecimal characters</li>
                       <li>Example: <code>0x742d35cc6634c0532925a3b8d0949d2c</code></li>
+                      <li>Or an ENS name such as <code>vitalik.eth</code>, resolved on Ethereum mainnet</li>
                     </ul>
                     
                     <h4>What You'll See:</h4>
                     <ul>
-                      <li><strong>Transfer Partners:</strong> All addresses that sent/received ETH</li>
+                      <li><strong>Transfer Partners:</strong> All addresses that sent/received ETH or tokens</li>
                       <li><strong>Transaction Amounts:</strong> Total sent and received values</li>
-                      <li><strong>Anomaly Indicators:</strong> Unusual patterns highlighted</li>
+                      <li><strong>Anomaly Indicators:</strong> Unusual patterns highlighted; hover a tag to see why, tune sensitivity under Anomaly Detection</li>
                       <li><strong>Visual Networks:</strong> Interactive relationship graphs</li>
                     </ul>
                     
                     <div className="warning">
-                      <strong>Note:</strong> Only EOA (Externally Owned Account) transfers are shown, not contract interactions.
+                      <strong>Note:</strong> Partners are tagged as EOA (Externally Owned Account) or contract. Use the address filter above the partner list to show only one kind.
                     </div>
                   </InfoButton>
                 </h3>
@@ -488,9 +1040,10 @@ function App() {
                     <div className="saved-searches-list max-h-60 overflow-y-auto">
                       {savedSearches.map((search) => (
                         <div key={search.id} className="saved-search-item flex justify-between items-center p-2 hover:bg-gray-100 rounded cursor-pointer">
-                          <div onClick={() => handleLoadSearch(search.address)}>
+                          <div onClick={() => handleLoadSearch(search.address, search.network)}>
                             <div className="font-medium">{search.name}</div>
                             <div className="text-sm text-gray-500">{search.address}</div>
+                            <div className="text-xs text-gray-400">{getNetworkConfig(search.network).label}</div>
                             <div className="text-xs text-gray-400">{new Date(search.date).toLocaleString()}</div>
                           </div>
                           <Button
@@ -521,7 +1074,7 @@ function App() {
                       />
                       <Button 
                         onClick={handleSaveSearch} 
-                        disabled={!validateAddress(searchAddress)}
+                        disabled={!resultAddress}
                         variant="secondary"
                         size="sm"
                       >
@@ -536,20 +1089,83 @@ function App() {
               <div className="flex space-x-2">
                 <Input 
                   type="text" 
-                  placeholder="Enter Ethereum address (0x...)" 
+                  placeholder="Enter Ethereum address (0x...) or ENS name" 
                   value={searchAddress}
                   onChange={handleAddressChange}
                   className="flex-1"
                 />
+                <select
+                  className="network-select"
+                  value={selectedNetwork}
+                  onChange={(e) => setSelectedNetwork(e.target.value)}
+                  disabled={loading}
+                  aria-label="Network"
+                >
+                  {NETWORK_OPTIONS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
                 <Button 
-                  onClick={fetchTransferHistory} 
-                  disabled={!isAlchemyInitialized || loading}
+                  onClick={() => fetchTransferHistory()} 
+                  disabled={!isDataSourceReady || loading}
                   variant="default"
                 >
                   {loading ? 'Loading...' : 'Search'}
                 </Button>
               </div>
               
+              {resolvedEnsName && resolvedEnsName.address === searchAddress && (
+                <p className="ens-resolution">
+                  <strong>{resolvedEnsName.name}</strong> resolves to {resolvedEnsName.address}
+                </p>
+              )}
+              
+              {/* Pagination ceiling */}
+              <div className="fetch-limit flex items-center space-x-2">
+                <label htmlFor="max-transfers" className="text-xs text-gray-500">
+                  Max transfers per direction
+                </label>
+                <select
+                  id="max-transfers"
+                  value={maxTransfers}
+                  onChange={(e) => setMaxTransfers(parseInt(e.target.value))}
+                  disabled={loading}
+                >
+                  {PAGINATION_CONFIG.MAX_TRANSFER_OPTIONS.map(option => (
+                    <option key={option} value={option}>{option.toLocaleString()}</option>
+                  ))}
+                </select>
+                <label
+                  className="zero-value-toggle text-xs text-gray-500"
+                  title="Zero-value transfers are how address-poisoning attacks plant lookalike addresses in a wallet's history. They are skipped by default and are never cached."
+                >
+                  <input
+                    type="checkbox"
+                    checked={includeZeroValue}
+                    onChange={(e) => setIncludeZeroValue(e.target.checked)}
+                    disabled={loading}
+                  />
+                  Include zero-value transfers (address poisoning check)
+                </label>
+              </div>
+              
+              {/* Fetch progress */}
+              {loading && fetchProgress && (
+                <div className="fetch-progress">
+                  <div className="fetch-progress-label text-xs text-gray-500">
+                    Fetched {fetchProgress.sent.toLocaleString()} sent / {fetchProgress.received.toLocaleString()} received transfers
+                  </div>
+                  <div className="fetch-progress-track">
+                    <div
+                      className="fetch-progress-bar"
+                      style={{
+                        width: `${Math.min(100, ((fetchProgress.sent + fetchProgress.received) / (fetchProgress.maxTransfers * 2)) * 100)}%`
+                      }}
+                    ></div>
+                  </div>
+                </div>
+              )}
+              
               {/* Time-based filters */}
               <div className="time-filters mt-4">
                 <div className="flex items-center mb-2">
@@ -564,7 +1180,14 @@ function App() {
                     Enable Time-Based Filtering
                     <InfoButton title="Time-Based Filtering">
                       <h3>Time-Based Filtering</h3>
-                      <p>Filter transactions by specific time periods using Ethereum block numbers for precise analysis.</p>
+                      <p>Filter transactions by date range or by block numbers for precise analysis.</p>
+                      
+                      <h4>Dates:</h4>
+                      <ul>
+                        <li>Pick last 24 hours, 7 days, 30 days, a calendar year or custom dates</li>
+                        <li>Dates are converted to blocks on the selected network by searching block timestamps</li>
+                        <li>Saved searches keep the preset, so "Last 7 days" re-runs as a rolling window</li>
+                      </ul>
                       
                       <h4>Block Number Format:</h4>
                       <ul>
@@ -592,17 +1215,102 @@ function App() {
                       </ul>
                       
                       <div className="tip">
-                        <strong>Tip:</strong> Use <a href="https://etherscan.io" target="_blank" rel="noopener noreferrer">Etherscan</a> to find block numbers for specific dates.
+                        <strong>Tip:</strong> Use <a href={getNetworkConfig(selectedNetwork).explorerUrl} target="_blank" rel="noopener noreferrer">{getNetworkConfig(selectedNetwork).explorerName}</a> to find block numbers for specific dates.
                       </div>
                     </InfoButton>
                   </label>
                 </div>
                 
                 {timeFilter.enabled && (
+                  <div className="time-filter-mode mb-2">
+                    <select
+                      name="mode"
+                      value={timeFilter.mode}
+                      onChange={handleTimeFilterChange}
+                      aria-label="Filter by"
+                    >
+                      <option value="dates">Dates</option>
+                      <option value="blocks">Block numbers</option>
+                    </select>
+                  </div>
+                )}
+                
+                {timeFilter.enabled && timeFilter.mode === 'dates' && (
+                  <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                    <div className="flex-1">
+                      <label htmlFor="time-preset" className="text-xs text-gray-500 block mb-1">
+                        Range
+                      </label>
+                      <select
+                        id="time-preset"
+                        name="preset"
+                        className="time-filter-select"
+                        value={timeFilter.preset}
+                        onChange={handleTimeFilterChange}
+                      >
+                        {TIME_PRESETS.map(preset => (
+                          <option key={preset.id} value={preset.id}>{preset.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {timeFilter.preset === 'year' && (
+                      <div className="flex-1">
+                        <label htmlFor="time-year" className="text-xs text-gray-500 block mb-1">
+                          Year
+                        </label>
+                        <Input
+                          id="time-year"
+                          name="year"
+                          type="number"
+                          min="2015"
+                          value={timeFilter.year}
+                          onChange={handleTimeFilterChange}
+                        />
+                      </div>
+                    )}
+                    {timeFilter.preset === 'custom' && (
+                      <>
+                        <div className="flex-1">
+                          <label htmlFor="start-date" className="text-xs text-gray-500 block mb-1">
+                            From
+                          </label>
+                          <Input
+                            id="start-date"
+                            name="startDate"
+                            type="datetime-local"
+                            value={timeFilter.startDate}
+                            onChange={handleTimeFilterChange}
+                          />
+                        </div>
+                        <div className="flex-1">
+                          <label htmlFor="end-date" className="text-xs text-gray-500 block mb-1">
+                            To
+                          </label>
+                          <Input
+                            id="end-date"
+                            name="endDate"
+                            type="datetime-local"
+                            value={timeFilter.endDate}
+                            onChange={handleTimeFilterChange}
+                          />
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+                
+                {timeFilter.enabled && timeFilter.mode === 'dates' && resolvedBlockRange && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Last search covered blocks {resolvedBlockRange.startBlock !== null ? resolvedBlockRange.startBlock.toLocaleString() : 'genesis'}
+                    {' '}to {resolvedBlockRange.endBlock !== null ? resolvedBlockRange.endBlock.toLocaleString() : 'latest'}
+                  </p>
+                )}
+                
+                {timeFilter.enabled && timeFilter.mode === 'blocks' && (
                   <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
                     <div className="flex-1">
                       <label htmlFor="start-block" className="text-xs text-gray-500 block mb-1">
-                        Start Block (or timestamp)
+                        Start Block
                       </label>
                       <Input 
                         id="start-block"
@@ -615,7 +1323,7 @@ function App() {
                     </div>
                     <div className="flex-1">
                       <label htmlFor="end-block" className="text-xs text-gray-500 block mb-1">
-                        End Block (or timestamp)
+                        End Block
                       </label>
                       <Input 
                         id="end-block"
@@ -634,6 +1342,27 @@ function App() {
           
           {showTransferHistory && (
             <>
+              {/* Live updates */}
+              <div className={`live-stream-bar ${liveStream ? liveStream.state : ''}`}>
+                <Button
+                  onClick={handleToggleLiveStream}
+                  variant={liveStream ? 'secondary' : 'outline'}
+                  size="sm"
+                  disabled={!liveStream && (!liveStreamStatus.canStream || hasEndBlock || !transactions)}
+                >
+                  {liveStream ? 'Stop Live Updates' : '● Go Live'}
+                </Button>
+                <span>
+                  {!liveStream && !liveStreamStatus.canStream && liveStreamStatus.reason}
+                  {!liveStream && liveStreamStatus.canStream && hasEndBlock && 'Live updates need a search without an end block.'}
+                  {!liveStream && liveStreamStatus.canStream && !hasEndBlock && 'Stream new transfers of this address into the results as blocks are mined.'}
+                  {liveStream && liveStream.state === 'connecting' && 'Connecting...'}
+                  {liveStream && liveStream.state === 'live' &&
+                    `Live from block ${liveStream.fromBlock?.toLocaleString()}; checked up to ${liveStream.lastBlock?.toLocaleString()}. ${liveStream.newTransfers} new transfers.`}
+                  {liveStream && liveStream.state === 'error' && `Live updates failed: ${liveStream.error?.message || liveStream.error}`}
+                </span>
+              </div>
+              
               {/* Visualization Controls */}
               {transferPartners.length > 0 && (
                 <div className="visualization-controls">
@@ -696,13 +1425,31 @@ function App() {
               {/* Selected Visualization */}
               {transferPartners && Array.isArray(transferPartners) && transferPartners.length > 0 && visualizationMode === 'standard' && searchAddress && (
                 <TransferGraphD3 
+                  network={resultNetwork}
                   transferPartners={transferPartners} 
                   searchAddress={searchAddress}
+                  searchName={resolvedEnsName && resolvedEnsName.address === searchAddress ? resolvedEnsName.name : null}
+                  onNodeClick={startFundTrace}
+                  clusters={clusterResult && clusterResult.clusters}
+                  expandedClusters={expandedClusters}
+                  onToggleCluster={toggleCluster}
+                />
+              )}
+              
+              {traceTarget && resultAddress && (
+                <FundTracing
+                  key={traceTarget.address}
+                  centralAddress={resultAddress}
+                  partner={traceTarget}
+                  network={resultNetwork}
+                  userApiKey={userApiKey}
+                  onClose={() => setTraceTarget(null)}
                 />
               )}
               
               {transferPartners && Array.isArray(transferPartners) && transferPartners.length > 0 && visualizationMode === 'timeline' && searchAddress && (
                 <TimelineVisualization
+                  network={resultNetwork}
                   transferPartners={transferPartners}
                   searchAddress={searchAddress}
                 />
@@ -710,6 +1457,7 @@ function App() {
               
               {transferPartners && Array.isArray(transferPartners) && transferPartners.length > 0 && visualizationMode === 'heatmap' && searchAddress && (
                 <TransactionVolumeHeatmap
+                  network={resultNetwork}
                   transferPartners={transferPartners}
                   searchAddress={searchAddress}
                 />
@@ -757,6 +1505,12 @@ function App() {
                         <div className="feature-item">
                           <strong>Profit/Loss Analysis:</strong> Calculate net gains/losses and track value flow over time
                         </div>
+                        <div className="feature-item">
+                          <strong>Path Finder:</strong> Find time-ordered transfer paths between two addresses, hop by hop
+                        </div>
+                        <div className="feature-item">
+                          <strong>Cross-Chain Comparison:</strong> Look up the same address on several networks and compare partners, volume and timing
+                        </div>
                       </div>
                       
                       <h4>Use Cases:</h4>
@@ -780,6 +1534,8 @@ function App() {
                         if (!showAnalysis) {
                           setShowGasAnalysis(false);
                           setShowProfitLossAnalysis(false);
+                          setShowPathFinder(false);
+                          setShowCrossChain(false);
                         }
                       }}
                     >
@@ -792,6 +1548,8 @@ function App() {
                         if (!showGasAnalysis) {
                           setShowAnalysis(false);
                           setShowProfitLossAnalysis(false);
+                          setShowPathFinder(false);
+                          setShowCrossChain(false);
                         }
                       }}
                     >
@@ -804,23 +1562,56 @@ function App() {
                         if (!showProfitLossAnalysis) {
                           setShowAnalysis(false);
                           setShowGasAnalysis(false);
+                          setShowPathFinder(false);
+                          setShowCrossChain(false);
                         }
                       }}
                     >
                       {showProfitLossAnalysis ? 'Hide Profit/Loss Analysis' : 'Show Profit/Loss Analysis'}
                     </button>
+                    <button 
+                      className={`analysis-toggle ${showPathFinder ? 'active' : ''}`} 
+                      onClick={() => {
+                        setShowPathFinder(!showPathFinder);
+                        if (!showPathFinder) {
+                          setShowAnalysis(false);
+                          setShowGasAnalysis(false);
+                          setShowProfitLossAnalysis(false);
+                          setShowCrossChain(false);
+                        }
+                      }}
+                    >
+                      {showPathFinder ? 'Hide Path Finder' : 'Show Path Finder'}
+                    </button>
+                    <button 
+                      className={`analysis-toggle ${showCrossChain ? 'active' : ''}`} 
+                      onClick={() => {
+                        setShowCrossChain(!showCrossChain);
+                        if (!showCrossChain) {
+                          setShowAnalysis(false);
+                          setShowGasAnalysis(false);
+                          setShowProfitLossAnalysis(false);
+                          setShowPathFinder(false);
+                        }
+                      }}
+                    >
+                      {showCrossChain ? 'Hide Cross-Chain Comparison' : 'Show Cross-Chain Comparison'}
+                    </button>
                   </div>
                   
                   {showAnalysis && (
                     <PatternAnalysis 
                       transferPartners={transferPartners}
-                      transactions={transactions}
-                      searchAddress={searchAddress}
+                      transactions={nativeTransactions}
+                      centralAddress={resultAddress}
+                      network={resultNetwork}
+                      userApiKey={userApiKey}
                     />
                   )}
                   
                   {showGasAnalysis && (
                     <GasUsageAnalysis
+                      network={resultNetwork}
                       transactions={transactions}
                       searchAddress={searchAddress}
                     />
@@ -828,10 +1619,27 @@ function App() {
                   
                   {showProfitLossAnalysis && (
                     <ProfitLossAnalysis
-                      transactions={transactions}
+                      network={resultNetwork}
+                      transactions={nativeTransactions}
                       searchAddress={searchAddress}
                     />
                   )}
+                  
+                  {showPathFinder && (
+                    <PathFinder
+                      network={resultNetwork}
+                      searchAddress={resultAddress}
+                      userApiKey={userApiKey}
+                    />
+                  )}
+                  
+                  {showCrossChain && (
+                    <CrossChainComparison
+                      network={resultNetwork}
+                      searchAddress={searchAddress}
+                      userApiKey={userApiKey}
+                    />
+                  )}
                 </div>
               )}
               
@@ -842,7 +1650,7 @@ function App() {
                     Transfer Partners
                     <InfoButton title="About Transfer Partners">
                       <h3>Transfer Partners Analysis</h3>
-                      <p>Complete list of all addresses that have sent or received ETH with your target address.</p>
+                      <p>Complete list of all addresses that have sent or received ETH or tokens with your target address.</p>
                       
                       <h4>Key Information:</h4>
                       <div className="feature-list">
@@ -850,14 +1658,17 @@ function App() {
                           <strong>Address:</strong> The partner's Ethereum address
                         </div>
                         <div className="feature-item">
-                          <strong>Sent:</strong> Total ETH sent from target to partner
+                          <strong>Sent:</strong> Total native currency (ETH, or MATIC on Polygon) sent from target to partner
                         </div>
                         <div className="feature-item">
-                          <strong>Received:</strong> Total ETH received from partner
+                          <strong>Received:</strong> Total native currency received from partner
                         </div>
                         <div className="feature-item">
                           <strong>Total Volume:</strong> Combined sent + received amounts
                         </div>
+                        <div className="feature-item">
+                          <strong>Tokens:</strong> ERC-20 and NFT totals per token contract, shown below the address
+                        </div>
                       </div>
                       
                       <h4>Features:</h4>
@@ -874,6 +1685,43 @@ function App() {
                     </InfoButton>
                   </h3>
                   
+                  {transactions?.truncated && (
+                    <div className="truncation-warning">
+                      ⚠️ History truncated at {transactions.truncatedAt.toLocaleString()} transfers per direction
+                      {transactions.truncation?.sent && transactions.truncation?.received
+                        ? ' (sent and received)'
+                        : transactions.truncation?.sent ? ' (sent)' : ' (received)'}
+                      . Newer transfers are missing; raise the limit or narrow the time filter.
+                    </div>
+                  )}
+                  
+                  {transactions?.cache && Object.values(transactions.cache).includes('hit') &&
+                    !Object.values(transactions.cache).some(status => status === 'miss' || status === 'partial') && (
+                    <div className="cache-notice">
+                      Loaded from the local cache. Search again to fetch transfers from newer blocks.
+                    </div>
+                  )}
+                  
+                  <SanctionsAlert
+                    hits={sanctionsHits}
+                    onSelectAddress={(address) => {
+                      const partner = transferPartners.find(p => p.address === address);
+                      if (partner) openTransferDetails(partner);
+                    }}
+                  />
+                  
+                  {searchChanges && (
+                    <SearchChanges
+                      changes={searchChanges}
+                      nativeSymbol={getNetworkConfig(resultNetwork).nativeSymbol}
+                      onSelectAddress={(address) => {
+                        const partner = transferPartners.find(p => p.address === address);
+                        if (partner) openTransferDetails(partner);
+                      }}
+                      onDismiss={() => setSearchChanges(null)}
+                    />
+                  )}
+                  
                   {/* Anomaly filter toggle */}
                   <div className="filter-controls">
                     <label className="anomaly-filter">
@@ -909,6 +1757,55 @@ function App() {
                         </InfoButton>
                       </span>
                     </label>
+                    
+                    <label className="address-type-filter">
+                      <span>Show</span>
+                      <select
+                        value={addressTypeFilter}
+                        onChange={(e) => setAddressTypeFilter(e.target.value)}
+                      >
+                        <option value="all">All addresses</option>
+                        <option value="eoa">EOAs only</option>
+                        <option value="contract">Contracts only</option>
+                      </select>
+                    </label>
+                    
+                    <label className="address-type-filter">
+                      <span>Labels</span>
+                      <select
+                        value={labelCategoryFilter}
+                        onChange={(e) => setLabelCategoryFilter(e.target.value)}
+                      >
+                        <option value="all">Any or none</option>
+                        <option value="labelled">Labelled only</option>
+                        <option value="unlabelled">Unlabelled only</option>
+                        {Object.entries(LABEL_CATEGORIES).map(([category, { label }]) => (
+                          <option key={category} value={category}>{label} only</option>
+                        ))}
+                      </select>
+                    </label>
+                    
+                    <div className="cluster-controls">
+                      <Button
+                        onClick={findClusters}
+                        disabled={isClustering || transferPartners.length < 2 || !clusteringStatus.canCluster}
+                        variant="outline"
+                        size="sm"
+                      >
+                        {isClustering ? 'Finding Clusters...' : 'Find Clusters'}
+                      </Button>
+                      <span className="cluster-status">
+                        {!clusteringStatus.canCluster && clusteringStatus.reason}
+                        {isClustering && clusterProgress && `Analyzed ${clusterProgress.analyzed} of ${clusterProgress.total} partners`}
+                        {!isClustering && clusterResult && (
+                          `${clusterResult.clusters.length} cluster${clusterResult.clusters.length === 1 ? '' : 's'} among ` +
+                          `${clusterResult.stats.analyzedPartners} analyzed partners` +
+                          (clusterResult.stats.skippedPartners > 0 ? ` (${clusterResult.stats.skippedPartners} smaller partners skipped)` : '') +
+                          (clusterResult.stats.stoppedEarly ? ` · stopped early: ${clusterResult.stats.stoppedEarly}` : '')
+                        )}
+                        {clusterError && <span className="cluster-error">{clusterError}</span>}
+                      </span>
+                    </div>
                   </div>
                 </div>
                 
@@ -948,16 +1845,39 @@ function App() {
                       <div className="annotation">Annotation</div>
                       <div className="actions">Actions</div>
                     </div>
-                    {sortedPartners.map((partner, index) => (
+                    {partnerListItems.map(({ partner, cluster, members, inCluster }, index) => cluster ? renderClusterRow(cluster, members) : (
                       <div 
                         key={index} 
-                        className={`transfer-item ${partner.anomalies?.hasAnomalies ? 'anomaly' : ''}`}
+                        className={`transfer-item ${partner.anomalies?.hasAnomalies ? 'anomaly' : ''} ${inCluster ? 'cluster-member' : ''}`}
                         onClick={() => openTransferDetails(partner)}
                         style={{cursor: 'pointer'}}
                       >
                         <div className="address" title={partner.address}>
                           {partner.anomalies?.hasAnomalies && <span className="anomaly-indicator">⚠️</span>}
+                          {partner.ensName && <span className="ens-name">{partner.ensName}</span>}
                           {partner.address}
+                          {partner.addressType === 'contract' && (
+                            <span className="address-type-badge contract" title="This address has contract code">Contract</span>
+                          )}
+                          {partner.sanctionsMatches && partner.sanctionsMatches.length > 0 && (
+                            <span className="address-type-badge sanctioned" title={`On ${partner.sanctionsMatches.map(entry => entry.listName).join(', ')}`}>Sanctioned</span>
+                          )}
+                          {partner.labels && partner.labels.length > 0 && (
+                            <div className="label-badges">
+                              {partner.labels.map(label => (
+                                <span
+                                  key={label.packId}
+                                  className="label-badge"
+                                  style={{ '--label-color': LABEL_CATEGORIES[label.category].color }}
+                                  title={`${LABEL_CATEGORIES[label.category].label} · ${label.source} · ${Math.round(label.confidence * 100)}% confidence`}
+                                >
+                                  {label.name}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                          {renderLookalikeWarning(partner)}
+                          {renderAssetBreakdown(partner)}
                         </div>
                         <div className="amount sent">
                           {formatEther(partner.totalSent)}
@@ -976,11 +1896,22 @@ function App() {
                             ) : 
                             <span className="text-gray-400 text-sm">No annotation</span>
                           }
-                          {partner.anomalies?.hasAnomalies && (
-                            <div className="anomaly-tag" title={`Anomalies: ${partner.anomalies?.largeTransfers?.length ? `${partner.anomalies.largeTransfers.length} large transfers` : ''} ${partner.anomalies?.unusualFrequency ? 'Unusual timing' : ''} ${partner.anomalies?.irregularPattern ? 'Irregular pattern' : ''}`}>
+                          {(partner.anomalies?.largeTransfers?.length > 0 || partner.anomalies?.unusualFrequency || partner.anomalies?.irregularPattern) && (
+                            <div
+                              className="anomaly-tag"
+                              title={(partner.anomalies.explanations || [])
+                                .filter(explanation => explanation.flag !== 'lookalike')
+                                .map(explanation => `${ANOMALY_FLAG_LABELS[explanation.flag]}: ${explanation.text}`)
+                                .join('\n')}
+                            >
                               Anomaly detected
                             </div>
                           )}
+                          {partner.anomalies?.lookalike && (
+                            <div className="anomaly-tag lookalike" title={`Lookalike of ${partner.anomalies.lookalike.of}`}>
+                              Lookalike address
+                            </div>
+                          )}
                         </div>
                         <div className="actions">
                           <Button variant="outline" size="sm" className="details-button">Details</Button>
@@ -996,8 +1927,13 @@ function App() {
             <CardFooter className="flex justify-between pt-6">
               <Button
                 onClick={() => {
-                  // Export data as JSON file
-                  const dataStr = JSON.stringify(transferPartners, null, 2);
+                  // Export data as JSON file, with the per-asset totals as a list
+                  const exportData = transferPartners.map(partner => ({
+                    ...partner,
+                    assets: getPartnerAssetBreakdown(partner),
+                    labels: (partner.labels || []).map(({ name, category, source, confidence }) => ({ name, category, source, confidence }))
+                  }));
+                  const dataStr = JSON.stringify(exportData, null, 2);
                   const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
                   
                   const exportFileDefaultName = `${searchAddress.substring(0, 8)}_transfers.json`;
@@ -1028,14 +1964,19 @@ function App() {
       {selectedPartner && (
         <TransferDetails 
           partner={selectedPartner} 
+          network={resultNetwork}
           onClose={closeTransferDetails} 
+          onTrace={startFundTrace}
         />
       )}
       
       {showSavedSearchManager && (
         <SavedSearches 
           onSelectSearch={handleSelectSavedSearch}
-          onClose={() => setShowSavedSearchManager(false)}
+          onClose={() => {
+            setShowSavedSearchManager(false);
+            setSavedSearches(getSavedSearches()); // Deleted searches leave the watchlist too
+          }}
         />
       )}
     </div>
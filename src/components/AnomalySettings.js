@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import {
+  ANOMALY_CONFIG,
+  SENSITIVITY_PRESETS,
+  VALUE_METHODS,
+  getAnomalySettings,
+  saveAnomalySettings,
+  applySensitivityPreset
+} from '../services/anomalyService';
+import './AnomalySettings.css';
+
+// Threshold field of each value method
+const VALUE_THRESHOLD_FIELDS = {
+  mad: { field: 'madThreshold', label: 'Robust z-score above', step: 0.5 },
+  iqr: { field: 'iqrMultiplier', label: 'IQRs above the upper quartile', step: 0.5 },
+  stddev: { field: 'stdDevThreshold', label: 'Standard deviations above the mean', step: 0.5 }
+};
+
+const AnomalySettings = ({ onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [settings, setSettings] = useState(getAnomalySettings());
+
+  const updateSettings = (updated) => {
+    setSettings(updated);
+    saveAnomalySettings(updated);
+    onChange(updated);
+  };
+
+  // Editing a threshold leaves the preset
+  const updateThreshold = (field, value) => {
+    const number = parseFloat(value);
+    if (isNaN(number) || number <= 0 || number === settings[field]) return;
+    updateSettings({ ...settings, [field]: number, sensitivity: 'custom' });
+  };
+
+  // Inputs are keyed by their value so presets and resets replace what was typed
+  const renderThresholdInput = (id, field, label, step) => (
+    <label htmlFor={id}>
+      {label}
+      <input
+        id={id}
+        key={`${field}-${settings[field]}`}
+        type="number"
+        min={step}
+        step={step}
+        defaultValue={settings[field]}
+        onBlur={(e) => updateThreshold(field, e.target.value)}
+      />
+    </label>
+  );
+
+  const valueThreshold = VALUE_THRESHOLD_FIELDS[settings.valueMethod];
+  const sensitivityName = SENSITIVITY_PRESETS[settings.sensitivity]?.label || 'Custom';
+
+  return (
+    <div className="anomaly-settings">
+      <button className="anomaly-settings-toggle" onClick={() => setIsOpen(!isOpen)}>
+        <span>
+          Anomaly Detection: <strong>{sensitivityName} sensitivity, {VALUE_METHODS[settings.valueMethod].toLowerCase()}</strong>
+        </span>
+        <span>{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="anomaly-settings-body">
+          <p className="anomaly-settings-hint">
+            Partners are flagged for large transfers, irregular timing between transfers, and a most recent transfer
+            far above the earlier ones. The median-based methods are not skewed by the outliers they look for.
+            Changes re-check the current partners right away.
+          </p>
+
+          <div className="anomaly-settings-row">
+            <label htmlFor="anomaly-sensitivity">
+              Sensitivity
+              <select
+                id="anomaly-sensitivity"
+                value={settings.sensitivity}
+                onChange={(e) => updateSettings(applySensitivityPreset(settings, e.target.value))}
+              >
+                {Object.entries(SENSITIVITY_PRESETS).map(([id, preset]) => (
+                  <option key={id} value={id}>{preset.label}</option>
+                ))}
+                {settings.sensitivity === 'custom' && <option value="custom">Custom</option>}
+              </select>
+            </label>
+            <label htmlFor="anomaly-value-method">
+              Large transfers by
+              <select
+                id="anomaly-value-method"
+                value={settings.valueMethod}
+                onChange={(e) => updateSettings({ ...settings, valueMethod: e.target.value })}
+              >
+                {Object.entries(VALUE_METHODS).map(([id, label]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="anomaly-settings-row">
+            {renderThresholdInput('anomaly-value-threshold', valueThreshold.field, valueThreshold.label, valueThreshold.step)}
+            {renderThresholdInput('anomaly-timing-threshold', 'timingThreshold', 'Gap spread above (× median gap)', 0.5)}
+            {renderThresholdInput('anomaly-cash-out', 'cashOutMultiplier', 'Latest transfer above (× earlier median)', 1)}
+            {renderThresholdInput('anomaly-min-transfers', 'minTransfers', 'Minimum transfers', 1)}
+          </div>
+
+          <div>
+            <Button onClick={() => updateSettings({ ...ANOMALY_CONFIG.DEFAULT_SETTINGS })} variant="outline" size="sm">
+              Reset to Defaults
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnomalySettings;
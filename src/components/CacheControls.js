@@ -0,0 +1,57 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button } from './ui/button';
+import { getCacheStats, clearCache } from '../services/cacheService';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const CacheControls = ({ refreshKey }) => {
+  const [stats, setStats] = useState(null);
+  const [isPurging, setIsPurging] = useState(false);
+
+  const refreshStats = useCallback(() => {
+    getCacheStats().then(setStats);
+  }, []);
+
+  // Refreshed whenever the parent reports that a fetch may have filled the cache
+  useEffect(() => {
+    refreshStats();
+  }, [refreshStats, refreshKey]);
+
+  const handlePurge = async () => {
+    setIsPurging(true);
+    await clearCache();
+    setIsPurging(false);
+    refreshStats();
+  };
+
+  if (!stats) return null;
+
+  return (
+    <div className="cache-controls">
+      {stats.available ? (
+        <>
+          <span>
+            Local cache: {stats.transfers.toLocaleString()} transfers for {stats.transferLists} address
+            directions, {stats.receipts.toLocaleString()} receipts (~{formatBytes(stats.bytes)})
+          </span>
+          <Button
+            onClick={handlePurge}
+            variant="outline"
+            size="sm"
+            disabled={isPurging || (stats.transferLists === 0 && stats.receipts === 0)}
+          >
+            {isPurging ? 'Purging...' : 'Purge Cache'}
+          </Button>
+        </>
+      ) : (
+        <span>Local cache unavailable in this browser; every search fetches from the data source.</span>
+      )}
+    </div>
+  );
+};
+
+export default CacheControls;
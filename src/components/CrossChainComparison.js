@@ -0,0 +1,205 @@
+import React, { useState, useMemo } from 'react';
+import TimelineVisualization from './TimelineVisualization';
+import {
+  fetchCrossChainActivity,
+  summarizeChainActivity,
+  findPartnerOverlap
+} from '../services/crossChainService';
+import { NETWORK_OPTIONS, getNetworkConfig, getExplorerAddressUrl } from '../services/networkConfig';
+import { PAGINATION_CONFIG } from '../services/alchemyService';
+import './CrossChainComparison.css';
+
+const formatDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleDateString() : '—';
+
+const CrossChainComparison = ({ searchAddress, network, userApiKey }) => {
+  // Start with every mainnet; testnets are opt-in
+  const [selectedNetworks, setSelectedNetworks] = useState(
+    NETWORK_OPTIONS.filter(option => !option.isTestnet).map(option => option.id)
+  );
+  const [results, setResults] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [completed, setCompleted] = useState(0);
+  const [error, setError] = useState('');
+
+  const toggleNetwork = (networkId) => {
+    setSelectedNetworks(prev => prev.includes(networkId)
+      ? prev.filter(id => id !== networkId)
+      : [...prev, networkId]);
+  };
+
+  const runComparison = async () => {
+    if (selectedNetworks.length < 2) {
+      setError('Select at least two networks to compare.');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    setResults(null);
+    setCompleted(0);
+
+    try {
+      const chainResults = await fetchCrossChainActivity(searchAddress, selectedNetworks, {
+        userApiKey,
+        maxTransfers: PAGINATION_CONFIG.DEFAULT_MAX_TRANSFERS,
+        onNetworkDone: () => setCompleted(prev => prev + 1)
+      });
+      setResults(chainResults);
+    } catch (err) {
+      console.error('Error comparing chains:', err);
+      setError(`Error comparing chains: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const summaries = useMemo(() => results ? results.map(summarizeChainActivity) : [], [results]);
+  const overlap = useMemo(() => results ? findPartnerOverlap(results) : [], [results]);
+  const chainPartners = useMemo(() => results
+    ? results.filter(result => !result.error).map(({ network: chain, partners }) => ({ network: chain, partners }))
+    : null, [results]);
+
+  const activeChains = summaries.filter(summary => !summary.error && summary.partnerCount > 0);
+
+  return (
+    <div className="cross-chain-container">
+      <div className="cross-chain-header">
+        <h3>Cross-Chain Comparison</h3>
+        <p>
+          The same address on every EVM chain usually belongs to the same key holder.
+          Fetch {searchAddress.substring(0, 8)}... on several networks and compare the activity side by side.
+        </p>
+      </div>
+
+      <div className="cross-chain-networks">
+        {NETWORK_OPTIONS.map(option => (
+          <label key={option.id} className="network-checkbox">
+            <input
+              type="checkbox"
+              checked={selectedNetworks.includes(option.id)}
+              onChange={() => toggleNetwork(option.id)}
+              disabled={isLoading}
+            />
+            <span className="chain-dot" style={{ backgroundColor: option.color }}></span>
+            {option.label}
+            {option.id === network && <span className="current-network">current</span>}
+          </label>
+        ))}
+        <button onClick={runComparison} disabled={isLoading} className="compare-button">
+          {isLoading ? `Fetching ${completed}/${selectedNetworks.length}...` : 'Compare Networks'}
+        </button>
+      </div>
+
+      <p className="cross-chain-hint">
+        Each network costs one search. Histories are capped at {PAGINATION_CONFIG.DEFAULT_MAX_TRANSFERS.toLocaleString()} transfers per direction.
+      </p>
+
+      {error && <div className="cross-chain-error">{error}</div>}
+
+      {results && (
+        <>
+          <div className="chain-summary-grid">
+            {summaries.map(summary => (
+              <div
+                key={summary.network}
+                className={`chain-summary-card ${summary.error ? 'failed' : ''}`}
+                style={{ borderTopColor: getNetworkConfig(summary.network).color }}
+              >
+                <h4>{summary.label}</h4>
+                {summary.error ? (
+                  <p className="chain-error">{summary.error}</p>
+                ) : (
+                  <>
+                    <div className="chain-stat">
+                      <span>Partners</span>
+                      <strong>{summary.partnerCount}</strong>
+                    </div>
+                    <div className="chain-stat">
+                      <span>Sent</span>
+                      <strong className="sent">{summary.nativeSent.toFixed(4)} {summary.nativeSymbol}</strong>
+                    </div>
+                    <div className="chain-stat">
+                      <span>Received</span>
+                      <strong className="received">{summary.nativeReceived.toFixed(4)} {summary.nativeSymbol}</strong>
+                    </div>
+                    <div className="chain-stat">
+                      <span>Transfers</span>
+                      <strong>{summary.nativeTransfers} native / {summary.tokenTransfers} token</strong>
+                    </div>
+                    <div className="chain-stat">
+                      <span>Active</span>
+                      <strong>{formatDate(summary.firstActivity)} – {formatDate(summary.lastActivity)}</strong>
+                    </div>
+                    {summary.truncated && (
+                      <p className="chain-truncated">History truncated</p>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="partner-overlap">
+            <h4>Partners on More Than One Chain ({overlap.length})</h4>
+            {overlap.length === 0 ? (
+              <p className="overlap-empty">
+                {activeChains.length < 2
+                  ? 'Activity was found on fewer than two of the selected networks.'
+                  : 'No partner address appears on more than one of the selected networks.'}
+              </p>
+            ) : (
+              <table className="overlap-table">
+                <thead>
+                  <tr>
+                    <th>Partner</th>
+                    {activeChains.map(summary => (
+                      <th key={summary.network}>{summary.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {overlap.slice(0, 50).map(entry => (
+                    <tr key={entry.address}>
+                      <td className="overlap-address">
+                        {entry.address.substring(0, 10)}...{entry.address.substring(entry.address.length - 4)}
+                      </td>
+                      {activeChains.map(summary => {
+                        const chain = entry.chains.find(c => c.network === summary.network);
+                        return (
+                          <td key={summary.network}>
+                            {chain ? (
+                              <a
+                                href={getExplorerAddressUrl(summary.network, entry.address)}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                              >
+                                {chain.transactionCount} tx
+                              </a>
+                            ) : '—'}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {overlap.length > 50 && (
+              <p className="overlap-empty">Showing the first 50 of {overlap.length} shared partners.</p>
+            )}
+          </div>
+
+          {chainPartners && chainPartners.some(entry => entry.partners.length > 0) && (
+            <TimelineVisualization
+              searchAddress={searchAddress}
+              network={network}
+              chainPartners={chainPartners}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CrossChainComparison;
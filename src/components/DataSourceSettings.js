@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import CacheControls from './CacheControls';
+import { PROVIDER_TYPES } from '../services/dataProvider';
+import { TRACE_MODES } from '../services/jsonRpcProvider';
+import {
+  startRecording,
+  stopRecording,
+  isRecording,
+  getRecordingStats,
+  downloadFixture,
+  isValidFixture
+} from '../services/sessionRecorder';
+import './DataSourceSettings.css';
+
+const describeDataSource = ({ type, config }) => {
+  if (type === PROVIDER_TYPES.JSON_RPC) return `JSON-RPC node (${config.rpcUrl})`;
+  if (type === PROVIDER_TYPES.FIXTURE) return `Fixture (${config.name || 'recorded session'})`;
+  return 'Alchemy';
+};
+
+const DataSourceSettings = ({ dataSource, onApply, disabled, searchAddress, cacheRefreshKey }) => {
+  const [isOpen, setIsOpen] = useState(dataSource.type !== PROVIDER_TYPES.ALCHEMY);
+  const [type, setType] = useState(dataSource.type);
+  const [rpcUrl, setRpcUrl] = useState(dataSource.config.rpcUrl || '');
+  const [wsUrl, setWsUrl] = useState(dataSource.config.wsUrl || '');
+  const [traceMode, setTraceMode] = useState(dataSource.config.traceMode || TRACE_MODES.TRACE_FILTER);
+  const [error, setError] = useState('');
+  const [recordingStats, setRecordingStats] = useState(getRecordingStats());
+
+  // The source can also change from outside, e.g. when a demo address replays its recording
+  useEffect(() => {
+    setType(dataSource.type);
+  }, [dataSource]);
+
+  // Refresh the captured counts while a recording runs
+  useEffect(() => {
+    if (!recordingStats) return undefined;
+    const interval = setInterval(() => setRecordingStats(getRecordingStats()), 1000);
+    return () => clearInterval(interval);
+  }, [recordingStats]);
+
+  const handleApply = () => {
+    if (type === PROVIDER_TYPES.JSON_RPC && !/^https?:\/\//.test(rpcUrl.trim())) {
+      setError('Enter the node URL, e.g. http://localhost:8545');
+      return;
+    }
+
+    if (type === PROVIDER_TYPES.JSON_RPC && wsUrl.trim() && !/^wss?:\/\//.test(wsUrl.trim())) {
+      setError('Enter the websocket URL, e.g. ws://localhost:8546, or leave it empty');
+      return;
+    }
+
+    setError('');
+    onApply(type, type === PROVIDER_TYPES.JSON_RPC
+      ? { rpcUrl: rpcUrl.trim(), wsUrl: wsUrl.trim() || null, traceMode }
+      : {});
+  };
+
+  const handleFixtureFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const fixture = JSON.parse(await file.text());
+      if (!isValidFixture(fixture)) {
+        setError('This file is not a recorded session or transfer fixture.');
+        return;
+      }
+      setError('');
+      onApply(PROVIDER_TYPES.FIXTURE, { fixture, name: file.name });
+    } catch (err) {
+      setError(`Could not read fixture: ${err.message}`);
+    }
+  };
+
+  const handleStartRecording = () => {
+    startRecording();
+    setRecordingStats(getRecordingStats());
+  };
+
+  const handleStopRecording = () => {
+    const fixture = stopRecording();
+    setRecordingStats(null);
+    if (fixture && fixture.assetTransfers.length > 0) {
+      // Named after the address so it can be dropped into public/fixtures as a demo recording
+      downloadFixture(fixture, `${searchAddress ? searchAddress.toLowerCase() : 'etherflow-session'}.json`);
+    } else {
+      setError('Nothing was recorded. Run a search while recording.');
+    }
+  };
+
+  return (
+    <div className="data-source-settings">
+      <button className="data-source-toggle" onClick={() => setIsOpen(!isOpen)}>
+        Data source: <strong>{describeDataSource(dataSource)}</strong>
+        {isRecording() && <span className="recording-indicator">● REC</span>}
+        <span>{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="data-source-form">
+          <label>
+            Source
+            <select value={type} onChange={(e) => setType(e.target.value)} disabled={disabled}>
+              <option value={PROVIDER_TYPES.ALCHEMY}>Alchemy</option>
+              <option value={PROVIDER_TYPES.JSON_RPC}>JSON-RPC node</option>
+              <option value={PROVIDER_TYPES.FIXTURE}>Fixture file (offline replay)</option>
+            </select>
+          </label>
+
+          {type === PROVIDER_TYPES.JSON_RPC && (
+            <>
+              <label>
+                RPC URL
+                <Input
+                  type="text"
+                  placeholder="http://localhost:8545"
+                  value={rpcUrl}
+                  onChange={(e) => setRpcUrl(e.target.value)}
+                  disabled={disabled}
+                />
+              </label>
+              <label>
+                WebSocket URL (optional, for live updates)
+                <Input
+                  type="text"
+                  placeholder="ws://localhost:8546"
+                  value={wsUrl}
+                  onChange={(e) => setWsUrl(e.target.value)}
+                  disabled={disabled}
+                />
+              </label>
+              <label>
+                Native transfers
+                <select value={traceMode} onChange={(e) => setTraceMode(e.target.value)} disabled={disabled}>
+                  <option value={TRACE_MODES.TRACE_FILTER}>trace_filter (Erigon, Reth, Anvil)</option>
+                  <option value={TRACE_MODES.SCAN}>Block scan (any node, recent blocks only)</option>
+                </select>
+              </label>
+              <p className="data-source-hint">
+                Transfers are rebuilt from traces and token event logs on the node. Block scan mode
+                only sees external transfers in the last few thousand blocks. Without a websocket URL, live
+                updates poll the node for new blocks.
+              </p>
+            </>
+          )}
+
+          {type === PROVIDER_TYPES.FIXTURE ? (
+            <>
+              <label>
+                Recorded session (.json)
+                <input type="file" accept="application/json,.json" onChange={handleFixtureFile} disabled={disabled} />
+              </label>
+              <p className="data-source-hint">
+                Searches, pattern, gas and profit/loss analyses are answered from the file. No API key or
+                network access is needed.
+              </p>
+            </>
+          ) : (
+            <Button onClick={handleApply} disabled={disabled} size="sm">
+              Apply
+            </Button>
+          )}
+
+          {error && <p className="data-source-error">{error}</p>}
+
+          {dataSource.type !== PROVIDER_TYPES.FIXTURE && (
+            <div className="recording-controls">
+              {recordingStats ? (
+                <>
+                  <span>
+                    Recording: {recordingStats.requests} requests, {recordingStats.transfers} transfers,{' '}
+                    {recordingStats.receipts} receipts
+                  </span>
+                  <Button onClick={handleStopRecording} variant="outline" size="sm">
+                    Stop &amp; Download
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <span>Record the responses of the next searches and analyses into a fixture file.</span>
+                  <Button onClick={handleStartRecording} variant="outline" size="sm" disabled={disabled}>
+                    Record Session
+                  </Button>
+                </>
+              )}
+            </div>
+          )}
+
+          <CacheControls refreshKey={cacheRefreshKey} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataSourceSettings;
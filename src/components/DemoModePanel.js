@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
-import { getDemoStatus, getDemoAddresses, resetDemoUsage } from '../services/demoService';
+import { getDemoStatus, getDemoAddresses, getDemoFixture, resetDemoUsage } from '../services/demoService';
 import './DemoModePanel.css';
 
 const DemoModePanel = ({ onApiKeyChange, onDemoAddressSelect, userApiKey }) => {
@@ -10,12 +10,23 @@ const DemoModePanel = ({ onApiKeyChange, onDemoAddressSelect, userApiKey }) => {
   const [showApiKeyInput, setShowApiKeyInput] = useState(false);
   const [tempApiKey, setTempApiKey] = useState(userApiKey || '');
   const [showExampleAddresses, setShowExampleAddresses] = useState(!userApiKey);
+  const [recordedAddresses, setRecordedAddresses] = useState([]);
 
   useEffect(() => {
     // Update demo status when component mounts or demo usage changes
     setDemoStatus(getDemoStatus());
   }, []);
 
+  useEffect(() => {
+    // Demo addresses with a deployed recording can be replayed without using demo calls
+    let cancelled = false;
+    Promise.all(getDemoAddresses().map(async address => (await getDemoFixture(address)) ? address : null))
+      .then(addresses => {
+        if (!cancelled) setRecordedAddresses(addresses.filter(Boolean));
+      });
+    return () => { cancelled = true; };
+  }, []);
+
   useEffect(() => {
     // Auto-expand addresses in demo mode, auto-collapse in API mode
     setShowExampleAddresses(!userApiKey);
@@ -160,7 +171,7 @@ const DemoModePanel = ({ onApiKeyChange, onDemoAddressSelect, userApiKey }) => {
         )}
 
         {/* Example Addresses */}
-        {(demoStatus.hasDemoKey || userApiKey) && (
+        {(demoStatus.hasDemoKey || userApiKey || recordedAddresses.length > 0) && (
           <div className="demo-addresses">
             <div className="flex items-center justify-between mb-2">
               <h4 className="text-sm font-medium">{userApiKey ? '📋 Example addresses:' : '📋 Try these demo addresses:'}</h4>
@@ -189,10 +200,13 @@ const DemoModePanel = ({ onApiKeyChange, onDemoAddressSelect, userApiKey }) => {
                       <div className="address-value text-xs text-gray-500 font-mono">
                         {address.slice(0, 20)}...
                       </div>
+                      {recordedAddresses.includes(address) && (
+                        <div className="recorded-badge text-xs">Recorded session · no demo call used</div>
+                      )}
                     </div>
                     <Button
                       onClick={() => handleDemoAddressClick(address)}
-                      disabled={demoStatus.isExhausted && !userApiKey}
+                      disabled={demoStatus.isExhausted && !userApiKey && !recordedAddresses.includes(address)}
                       variant="outline"
                       size="sm"
                       className="ml-2"
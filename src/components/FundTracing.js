@@ -0,0 +1,244 @@
+import React, { useState, useCallback } from 'react';
+import TraceGraphD3 from './TraceGraphD3';
+import SanctionsAlert from './SanctionsAlert';
+import { traceFunds, DEFAULT_TRACE_OPTIONS } from '../services/fundTracingService';
+import { getNativeSymbol, getBlocksPerDay, getExplorerAddressUrl, getExplorerTxUrl } from '../services/networkConfig';
+import './FundTracing.css';
+
+// The default window is 7 days regardless of the chain's block time
+const DEFAULT_WINDOW_DAYS = 7;
+
+const FundTracing = ({ centralAddress, partner, network, userApiKey, onClose }) => {
+  const nativeSymbol = getNativeSymbol(network);
+  const [options, setOptions] = useState({
+    maxHops: DEFAULT_TRACE_OPTIONS.maxHops,
+    maxAddresses: DEFAULT_TRACE_OPTIONS.maxAddresses,
+    minValue: DEFAULT_TRACE_OPTIONS.minValue,
+    windowDays: DEFAULT_WINDOW_DAYS
+  });
+  const [trace, setTrace] = useState(null);
+  const [isTracing, setIsTracing] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [selectedNode, setSelectedNode] = useState(null);
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  const runTrace = async () => {
+    setIsTracing(true);
+    setError('');
+    setTrace(null);
+    setSelectedNode(null);
+    setProgress(null);
+
+    try {
+      const result = await traceFunds(centralAddress, partner, {
+        maxHops: Math.max(2, parseInt(options.maxHops, 10) || DEFAULT_TRACE_OPTIONS.maxHops),
+        maxAddresses: Math.max(1, parseInt(options.maxAddresses, 10) || DEFAULT_TRACE_OPTIONS.maxAddresses),
+        minValue: Math.max(0, parseFloat(options.minValue) || 0),
+        windowBlocks: Math.max(1, parseFloat(options.windowDays) || 1) * getBlocksPerDay(network),
+        userApiKey,
+        network,
+        onProgress: setProgress
+      });
+      setTrace(result);
+    } catch (err) {
+      console.error('Error tracing funds:', err);
+      setError(`Error tracing funds: ${err.message}`);
+    } finally {
+      setIsTracing(false);
+      setProgress(null);
+    }
+  };
+
+  const handleNodeClick = useCallback((node) => {
+    setSelectedNode(node);
+  }, []);
+
+  const exportTrace = () => {
+    const dataStr = JSON.stringify(trace, null, 2);
+    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', dataUri);
+    linkElement.setAttribute('download', `${partner.address.substring(0, 8)}_trace.json`);
+    linkElement.click();
+  };
+
+  const selectedEdges = selectedNode && trace
+    ? trace.edges.filter(e => e.from === selectedNode.address || e.to === selectedNode.address)
+    : [];
+
+  return (
+    <div className="fund-tracing-container">
+      <div className="fund-tracing-header">
+        <div>
+          <h3>Fund Tracing</h3>
+          <p className="fund-tracing-subtitle">
+            Following funds sent from {centralAddress.substring(0, 8)}... to {partner.address}
+          </p>
+        </div>
+        <button onClick={onClose} className="close-button">×</button>
+      </div>
+
+      <div className="fund-tracing-options">
+        <label>
+          Max hops
+          <input
+            type="number"
+            min="2"
+            max="6"
+            value={options.maxHops}
+            onChange={(e) => updateOption('maxHops', e.target.value)}
+            disabled={isTracing}
+          />
+        </label>
+        <label>
+          Max addresses
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={options.maxAddresses}
+            onChange={(e) => updateOption('maxAddresses', e.target.value)}
+            disabled={isTracing}
+          />
+        </label>
+        <label>
+          Min value ({nativeSymbol})
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={options.minValue}
+            onChange={(e) => updateOption('minValue', e.target.value)}
+            disabled={isTracing}
+          />
+        </label>
+        <label>
+          Window per hop (days)
+          <input
+            type="number"
+            min="1"
+            max="365"
+            value={options.windowDays}
+            onChange={(e) => updateOption('windowDays', e.target.value)}
+            disabled={isTracing}
+          />
+        </label>
+        <button onClick={runTrace} disabled={isTracing} className="trace-button">
+          {isTracing ? 'Tracing...' : 'Run Trace'}
+        </button>
+      </div>
+
+      <p className="fund-tracing-hint">
+        Each address costs one transfer lookup. Transfers below the minimum value are ignored, and only
+        transfers sent within the window after funds arrived at an address are followed. Contracts are
+        shown but not expanded.
+      </p>
+
+      {isTracing && progress && (
+        <div className="fund-tracing-progress">
+          Expanded {progress.expandedAddresses} of at most {progress.maxAddresses} addresses
+          ({progress.discoveredAddresses} discovered, hop {progress.hop})
+        </div>
+      )}
+
+      {error && <div className="fund-tracing-error">{error}</div>}
+
+      {trace && (
+        <div className="fund-tracing-results">
+          <div className="fund-tracing-stats">
+            <span>{trace.nodes.length} addresses</span>
+            <span>{trace.edges.length} transfers</span>
+            <span>{trace.stats.expandedAddresses} expanded</span>
+            <span>Reached hop {trace.stats.maxHopReached}</span>
+            <button onClick={exportTrace} className="export-trace-button">Export JSON</button>
+          </div>
+
+          <SanctionsAlert
+            hits={trace.sanctionsHits.map(hit => {
+              const node = trace.nodes.find(n => n.address === hit.address);
+              return { ...hit, role: node.isRoot ? 'Central address' : `Hop ${node.hop}` };
+            })}
+            onSelectAddress={(address) => setSelectedNode(trace.nodes.find(n => n.address === address))}
+          />
+
+          {trace.stats.budgetExhausted && (
+            <div className="fund-tracing-warning">
+              Stopped after {trace.options.maxAddresses} addresses. Raise the address limit to follow the remaining branches.
+            </div>
+          )}
+          {trace.stats.stoppedEarly && (
+            <div className="fund-tracing-warning">
+              Stopped early: {trace.stats.stoppedEarly}
+            </div>
+          )}
+          {trace.stats.truncatedAddresses > 0 && (
+            <div className="fund-tracing-warning">
+              {trace.stats.truncatedAddresses} address(es) had more outgoing transfers than were fetched.
+            </div>
+          )}
+
+          {trace.edges.length === 0 ? (
+            <p className="fund-tracing-empty">No outgoing transfers matched the trace limits.</p>
+          ) : (
+            <TraceGraphD3 trace={trace} onNodeClick={handleNodeClick} />
+          )}
+
+          {selectedNode && (
+            <div className="trace-node-details">
+              <h4>
+                <a
+                  href={getExplorerAddressUrl(network, selectedNode.address)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  {selectedNode.address}
+                </a>
+              </h4>
+              <p>
+                Hop {selectedNode.hop} · traced in {(selectedNode.inflow || 0).toFixed(4)} ·{' '}
+                {selectedNode.expanded ? 'expanded' : 'not expanded'}
+              </p>
+              <table className="trace-edge-table">
+                <thead>
+                  <tr>
+                    <th>Direction</th>
+                    <th>Counterparty</th>
+                    <th>Value</th>
+                    <th>Transaction</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedEdges.map(edge => (
+                    <tr key={edge.id}>
+                      <td>{edge.to === selectedNode.address ? 'In' : 'Out'}</td>
+                      <td>
+                        {(edge.to === selectedNode.address ? edge.from : edge.to).substring(0, 10)}...
+                      </td>
+                      <td>{edge.value.toFixed(4)} {edge.asset}</td>
+                      <td>
+                        <a
+                          href={getExplorerTxUrl(network, edge.hash)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          {edge.hash.substring(0, 10)}...
+                        </a>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FundTracing;
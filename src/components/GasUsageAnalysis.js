@@ -1,15 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { getGasDetails, analyzeGasUsage, getGasOptimizationTips } from '../services/gasAnalysisService';
-import { initializeAlchemy } from '../services/alchemyService';
+import { getDataProvider } from '../services/dataProvider';
+import { getNativeSymbol, getExplorerTxUrl } from '../services/networkConfig';
 import './GasUsageAnalysis.css';
 
-const GasUsageAnalysis = ({ transactions, searchAddress }) => {
+const GasUsageAnalysis = ({ transactions, searchAddress, network }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [gasData, setGasData] = useState([]);
   const [gasAnalysis, setGasAnalysis] = useState(null);
   const [optimizationTips, setOptimizationTips] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
+  const [failedReceipts, setFailedReceipts] = useState([]);
+  const [isRetrying, setIsRetrying] = useState(false);
+  
+  // Recompute the analysis whenever the set of transactions with receipts changes
+  const applyGasDetails = useCallback((gasDetails) => {
+    setGasData(gasDetails);
+    
+    // Analyze gas usage patterns
+    const analysis = analyzeGasUsage(gasDetails);
+    setGasAnalysis(analysis);
+    
+    // Get optimization recommendations
+    setOptimizationTips(getGasOptimizationTips(analysis));
+  }, []);
   
   useEffect(() => {
     const analyzeGasUsageData = async () => {
@@ -21,12 +36,12 @@ const GasUsageAnalysis = ({ transactions, searchAddress }) => {
       setError(null);
       
       try {
-        // Initialize Alchemy if needed
-        let alchemy = null;
+        // Receipts come from the network the transactions were fetched on
+        let provider = null;
         try {
-          alchemy = initializeAlchemy();
+          provider = getDataProvider(network);
         } catch (err) {
-          throw new Error('Failed to initialize Alchemy SDK. Please check your API key.');
+          throw new Error(`Failed to initialize the data source: ${err.message}`);
         }
         
         // Extract transaction list from the transactions object
@@ -47,16 +62,9 @@ const GasUsageAnalysis = ({ transactions, searchAddress }) => {
           .slice(0, 50);
         
         // Get detailed gas information
-        const gasDetails = await getGasDetails(alchemy, recentTransactions);
-        setGasData(gasDetails);
-        
-        // Analyze gas usage patterns
-        const analysis = analyzeGasUsage(gasDetails);
-        setGasAnalysis(analysis);
-        
-        // Get optimization recommendations
-        const tips = getGasOptimizationTips(analysis);
-        setOptimizationTips(tips);
+        const gasDetails = await getGasDetails(provider, recentTransactions);
+        applyGasDetails(gasDetails.transactions);
+        setFailedReceipts(gasDetails.failed);
         
         setIsLoading(false);
       } catch (err) {
@@ -67,15 +75,31 @@ const GasUsageAnalysis = ({ transactions, searchAddress }) => {
     };
     
     analyzeGasUsageData();
-  }, [transactions, searchAddress]);
+  }, [transactions, searchAddress, network, applyGasDetails]);
+  
+  // Only the transactions whose receipts failed are fetched again
+  const retryFailedReceipts = async () => {
+    setIsRetrying(true);
+    try {
+      const retried = await getGasDetails(getDataProvider(network), failedReceipts.map(entry => entry.transaction));
+      applyGasDetails([...gasData, ...retried.transactions]);
+      setFailedReceipts(retried.failed);
+    } catch (err) {
+      console.error('Error retrying receipts:', err);
+    } finally {
+      setIsRetrying(false);
+    }
+  };
+  
+  const nativeSymbol = getNativeSymbol(network);
   
   const formatGas = (gas) => {
     return gas ? gas.toLocaleString() : '0';
   };
   
   const formatEth = (eth) => {
-    if (!eth) return '0 ETH';
-    return `${eth.toFixed(6)} ETH`;
+    if (!eth) return `0 ${nativeSymbol}`;
+    return `${eth.toFixed(6)} ${nativeSymbol}`;
   };
   
   const formatGwei = (wei) => {
@@ -230,7 +254,7 @@ const GasUsageAnalysis = ({ transactions, searchAddress }) => {
             <div className="savings-details">
               <p>Potential savings identified</p>
               <p className="savings-value">
-                {gasAnalysis.wastageAnalysis.potentialSavings.toFixed(4)} ETH
+                {gasAnalysis.wastageAnalysis.potentialSavings.toFixed(4)} {nativeSymbol}
               </p>
             </div>
           </div>
@@ -298,7 +322,7 @@ const GasUsageAnalysis = ({ transactions, searchAddress }) => {
                   <tr key={index}>
                     <td>
                       <a 
-                        href={`https://etherscan.io/tx/${tx.hash}`}
+                        href={getExplorerTxUrl(network, tx.hash)}
                         target="_blank"
                         rel="noopener noreferrer"
                         className="tx-hash"
@@ -456,6 +480,18 @@ const GasUsageAnalysis = ({ transactions, searchAddress }) => {
         </div>
       ) : (
         <>
+          {failedReceipts.length > 0 && (
+            <div className="receipt-failures">
+              <span>
+                {failedReceipts.length} receipt{failedReceipts.length === 1 ? '' : 's'} could not be fetched
+                and {failedReceipts.length === 1 ? 'is' : 'are'} left out of this analysis.
+              </span>
+              <button onClick={retryFailedReceipts} disabled={isRetrying} className="retry-button">
+                {isRetrying ? 'Retrying...' : 'Retry Failed'}
+              </button>
+            </div>
+          )}
+          
           <div className="gas-analysis-tabs">
             <button 
               className={`tab-button ${activeTab === 'overview' ? 'active' : ''}`}
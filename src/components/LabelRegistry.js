@@ -0,0 +1,113 @@
+import React, { useState, useRef } from 'react';
+import { Button } from './ui/button';
+import { LABEL_CATEGORIES, getLabelPacks, importLabelPack, removeLabelPack } from '../services/labelService';
+import './LabelRegistry.css';
+
+// Labels per category in a pack, for the pack list
+const countCategories = (pack) => Object.values(pack.labels).reduce((counts, label) => {
+  counts[label.category] = (counts[label.category] || 0) + 1;
+  return counts;
+}, {});
+
+const LabelRegistry = ({ onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [packs, setPacks] = useState(getLabelPacks());
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const labelCount = packs.reduce((sum, pack) => sum + Object.keys(pack.labels).length, 0);
+
+  const handleFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = ''; // Lets the same file be imported again after editing
+
+    const results = [];
+    for (const file of files) {
+      try {
+        const pack = importLabelPack(await file.text(), file.name);
+        const count = Object.keys(pack.labels).length;
+        results.push({
+          type: 'success',
+          text: `Imported ${count} label${count === 1 ? '' : 's'} from ${file.name}` +
+            (pack.skipped > 0 ? ` (${pack.skipped} invalid row${pack.skipped === 1 ? '' : 's'} skipped)` : '')
+        });
+      } catch (error) {
+        results.push({ type: 'error', text: `${file.name}: ${error.message}` });
+      }
+    }
+
+    setMessage(results);
+    setPacks(getLabelPacks());
+    onChange();
+  };
+
+  const handleRemove = (pack) => {
+    removeLabelPack(pack.id);
+    setPacks(getLabelPacks());
+    setMessage(null);
+    onChange();
+  };
+
+  return (
+    <div className="label-registry">
+      <button className="label-registry-toggle" onClick={() => setIsOpen(!isOpen)}>
+        <span>
+          Address Labels: <strong>{labelCount.toLocaleString()} labels in {packs.length} pack{packs.length === 1 ? '' : 's'}</strong>
+        </span>
+        <span>{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="label-registry-body">
+          <p className="label-registry-hint">
+            Import JSON or CSV label packs of exchange wallets, bridges, mixers and exploiters. CSV files need a
+            header row with <code>address</code>, <code>label</code>, <code>category</code>, <code>source</code> and{' '}
+            <code>confidence</code> columns; JSON files hold a <code>labels</code> array with the same fields.
+            Categories: {Object.keys(LABEL_CATEGORIES).join(', ')}.
+          </p>
+
+          <div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              multiple
+              onChange={handleFiles}
+              style={{ display: 'none' }}
+            />
+            <Button onClick={() => fileInputRef.current.click()} variant="outline" size="sm">
+              Import Label Pack
+            </Button>
+          </div>
+
+          {message && message.map((result, index) => (
+            <p key={index} className={`label-registry-message ${result.type}`}>{result.text}</p>
+          ))}
+
+          {packs.length > 0 && (
+            <ul className="label-registry-packs">
+              {packs.map(pack => (
+                <li key={pack.id}>
+                  <div>
+                    <div className="label-registry-pack-name">{pack.name}</div>
+                    <div className="label-registry-pack-meta">
+                      Imported {new Date(pack.importedAt).toLocaleDateString()} ·{' '}
+                      {Object.entries(countCategories(pack)).map(([category, count]) => (
+                        <span key={category} className="label-badge" style={{ '--label-color': LABEL_CATEGORIES[category].color }}>
+                          {LABEL_CATEGORIES[category].label} {count}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                  <Button onClick={() => handleRemove(pack)} variant="outline" size="sm">Remove</Button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LabelRegistry;
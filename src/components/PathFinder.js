@@ -0,0 +1,261 @@
+import React, { useState, useMemo } from 'react';
+import TraceGraphD3 from './TraceGraphD3';
+import SanctionsAlert from './SanctionsAlert';
+import { findValuePaths, buildPathGraph, DEFAULT_PATH_OPTIONS } from '../services/fundTracingService';
+import { getNativeSymbol, getExplorerTxUrl } from '../services/networkConfig';
+import './FundTracing.css';
+
+const isValidAddress = (address) => /^0x[a-fA-F0-9]{40}$/.test(address);
+
+const formatTimestamp = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : 'Unknown time';
+
+const PathFinder = ({ searchAddress, network, userApiKey, onClose }) => {
+  const nativeSymbol = getNativeSymbol(network);
+  const [sourceAddress, setSourceAddress] = useState(searchAddress || '');
+  const [targetAddress, setTargetAddress] = useState('');
+  const [options, setOptions] = useState({
+    maxHops: DEFAULT_PATH_OPTIONS.maxHops,
+    maxAddresses: DEFAULT_PATH_OPTIONS.maxAddresses,
+    minValue: DEFAULT_PATH_OPTIONS.minValue
+  });
+  const [result, setResult] = useState(null);
+  const [selectedPath, setSelectedPath] = useState(0);
+  const [isSearching, setIsSearching] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  const runSearch = async () => {
+    const source = sourceAddress.trim();
+    const target = targetAddress.trim();
+
+    if (!isValidAddress(source) || !isValidAddress(target)) {
+      setError('Please enter two valid Ethereum addresses.');
+      return;
+    }
+
+    setIsSearching(true);
+    setError('');
+    setResult(null);
+    setSelectedPath(0);
+    setProgress(null);
+
+    try {
+      const paths = await findValuePaths(source, target, {
+        maxHops: Math.max(1, parseInt(options.maxHops, 10) || DEFAULT_PATH_OPTIONS.maxHops),
+        maxAddresses: Math.max(1, parseInt(options.maxAddresses, 10) || DEFAULT_PATH_OPTIONS.maxAddresses),
+        minValue: Math.max(0, parseFloat(options.minValue) || 0),
+        userApiKey,
+        network,
+        onProgress: setProgress
+      });
+      setResult(paths);
+    } catch (err) {
+      console.error('Error finding value paths:', err);
+      setError(`Error finding paths: ${err.message}`);
+    } finally {
+      setIsSearching(false);
+      setProgress(null);
+    }
+  };
+
+  const graph = useMemo(() => result && result.paths.length > 0 ? buildPathGraph(result) : null, [result]);
+
+  const highlightLinks = useMemo(() => {
+    if (!result || !result.paths[selectedPath]) return null;
+    return new Set(result.paths[selectedPath].edges.map(edge => `${edge.from}->${edge.to}`));
+  }, [result, selectedPath]);
+
+  const exportPaths = () => {
+    const dataStr = JSON.stringify(result, null, 2);
+    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', dataUri);
+    linkElement.setAttribute('download', `${result.source.substring(0, 8)}_to_${result.target.substring(0, 8)}_paths.json`);
+    linkElement.click();
+  };
+
+  return (
+    <div className="fund-tracing-container">
+      <div className="fund-tracing-header">
+        <div>
+          <h3>Path Finder</h3>
+          <p className="fund-tracing-subtitle">
+            Find time-ordered transfer paths that move value from one address to another
+          </p>
+        </div>
+        {onClose && <button onClick={onClose} className="close-button">×</button>}
+      </div>
+
+      <div className="fund-tracing-options">
+        <label className="address-field">
+          From address
+          <input
+            type="text"
+            value={sourceAddress}
+            onChange={(e) => setSourceAddress(e.target.value)}
+            placeholder="0x..."
+            disabled={isSearching}
+          />
+        </label>
+        <label className="address-field">
+          To address
+          <input
+            type="text"
+            value={targetAddress}
+            onChange={(e) => setTargetAddress(e.target.value)}
+            placeholder="0x..."
+            disabled={isSearching}
+          />
+        </label>
+      </div>
+
+      <div className="fund-tracing-options">
+        <label>
+          Max hops
+          <input
+            type="number"
+            min="1"
+            max="6"
+            value={options.maxHops}
+            onChange={(e) => updateOption('maxHops', e.target.value)}
+            disabled={isSearching}
+          />
+        </label>
+        <label>
+          Max addresses
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={options.maxAddresses}
+            onChange={(e) => updateOption('maxAddresses', e.target.value)}
+            disabled={isSearching}
+          />
+        </label>
+        <label>
+          Min value ({nativeSymbol})
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={options.minValue}
+            onChange={(e) => updateOption('minValue', e.target.value)}
+            disabled={isSearching}
+          />
+        </label>
+        <button onClick={runSearch} disabled={isSearching} className="trace-button">
+          {isSearching ? 'Searching...' : 'Find Paths'}
+        </button>
+      </div>
+
+      <p className="fund-tracing-hint">
+        Searches forward from the first address and backward from the second at the same time. Paths where a
+        transfer happens before the transfer that funded it are ruled out.
+      </p>
+
+      {isSearching && progress && (
+        <div className="fund-tracing-progress">
+          {progress.lookups} of at most {progress.maxAddresses} address lookups
+          (searching {progress.direction}, depth {progress.depth})
+        </div>
+      )}
+
+      {error && <div className="fund-tracing-error">{error}</div>}
+
+      {result && (
+        <div className="fund-tracing-results">
+          <div className="fund-tracing-stats">
+            <span>{result.paths.length} path(s)</span>
+            <span>{result.stats.lookups} lookups</span>
+            <span>Depth {result.stats.forwardDepth} forward, {result.stats.backwardDepth} backward</span>
+            <button onClick={exportPaths} className="export-trace-button">Export JSON</button>
+          </div>
+
+          <SanctionsAlert
+            hits={result.sanctionsHits.map(hit => ({
+              ...hit,
+              role: hit.address === result.source ? 'Source' : hit.address === result.target ? 'Target' : 'Path hop'
+            }))}
+          />
+
+          {result.stats.budgetExhausted && (
+            <div className="fund-tracing-warning">
+              Stopped after {result.options.maxAddresses} lookups. Raise the address limit to search further.
+            </div>
+          )}
+          {result.stats.stoppedEarly && (
+            <div className="fund-tracing-warning">
+              Stopped early: {result.stats.stoppedEarly}
+            </div>
+          )}
+
+          {result.paths.length === 0 ? (
+            <p className="fund-tracing-empty">
+              No time-ordered path was found within {result.options.maxHops} hops.
+            </p>
+          ) : (
+            <>
+              <TraceGraphD3 trace={graph} highlightLinks={highlightLinks} rootLabel="Source" />
+
+              <div className="path-list">
+                {result.paths.map((path, index) => (
+                  <div
+                    key={path.id}
+                    className={`path-item ${index === selectedPath ? 'selected' : ''}`}
+                    onClick={() => setSelectedPath(index)}
+                  >
+                    <div className="path-summary">
+                      <strong>Path {index + 1}</strong>
+                      <span>{path.hops} hop(s)</span>
+                      <span>Blocks {path.startBlock} → {path.endBlock}</span>
+                      <span>Bottleneck {path.bottleneck.toFixed(4)}</span>
+                    </div>
+                    {index === selectedPath && (
+                      <table className="trace-edge-table">
+                        <thead>
+                          <tr>
+                            <th>From</th>
+                            <th>To</th>
+                            <th>Value</th>
+                            <th>Time</th>
+                            <th>Transaction</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {path.edges.map(edge => (
+                            <tr key={edge.id}>
+                              <td>{edge.from.substring(0, 10)}...</td>
+                              <td>{edge.to.substring(0, 10)}...</td>
+                              <td>{edge.value.toFixed(4)} {edge.asset}</td>
+                              <td>{formatTimestamp(edge.timestamp)}</td>
+                              <td>
+                                <a
+                                  href={getExplorerTxUrl(network, edge.hash)}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                >
+                                  {edge.hash.substring(0, 10)}...
+                                </a>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PathFinder;
@@ -1,34 +1,121 @@
 import React, { useState, useEffect } from 'react';
-import { analyzeTransactionPatterns, categorizeWalletBehavior, calculateRiskScore } from '../services/patternAnalysisService';
+import {
+  analyzeTransactionPatterns,
+  categorizeWalletBehavior,
+  calculateRiskScore,
+  detectPeelChains,
+  getPeelChainStatus,
+  getStructuringSettings,
+  saveStructuringSettings,
+  getTransactionDate
+} from '../services/patternAnalysisService';
+import { screenAddress, screenAddresses } from '../services/sanctionsService';
+import { getHistoricalPrices } from '../services/profitLossService';
+import { getNativeSymbol } from '../services/networkConfig';
 import './PatternAnalysis.css';
 
-const PatternAnalysis = ({ transferPartners, transactions, searchAddress }) => {
+// Structuring transactions listed before the rest are summarized
+const STRUCTURING_ROWS_SHOWN = 20;
+
+// Why a peel chain stopped being followed
+const PEEL_CHAIN_END_REASONS = {
+  max_hops: 'hop limit reached',
+  no_outgoing: 'funds did not move on within the window',
+  no_peel: 'funds moved on without a peel',
+  not_fresh: 'reached an address with earlier history',
+  loop: 'funds returned to an earlier address',
+  budget: 'fetch budget used up',
+  fetch_failed: 'transfers could not be fetched'
+};
+
+// centralAddress is the address the transactions belong to, not what is typed in the search box
+const PatternAnalysis = ({ transferPartners, transactions, centralAddress, network, userApiKey }) => {
+  const nativeSymbol = getNativeSymbol(network);
   const [patternResults, setPatternResults] = useState(null);
   const [walletProfile, setWalletProfile] = useState(null);
   const [riskScore, setRiskScore] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('patterns');
+  const [peelChainPattern, setPeelChainPattern] = useState(null);
+  const [peelChainProgress, setPeelChainProgress] = useState(null);
+  const [isTracingPeelChains, setIsTracingPeelChains] = useState(false);
+  const [peelChainError, setPeelChainError] = useState('');
+  const [structuringSettings, setStructuringSettings] = useState(getStructuringSettings());
+  
+  // Peel chains belong to the loaded address; live updates and edits in the search box keep them
+  useEffect(() => {
+    setPeelChainPattern(null);
+    setPeelChainError('');
+  }, [centralAddress]);
   
   useEffect(() => {
     // Run pattern analysis when the component mounts or data changes
-    if (transactions && searchAddress) {
-      setIsLoading(true);
+    if (!transactions || !centralAddress) return;
+    let cancelled = false;
+    setIsLoading(true);
+    
+    const runAnalysis = async () => {
+      // A USD structuring threshold needs the ETH price of each transfer's day
+      const usdPrices = structuringSettings.currency === 'USD'
+        ? await getHistoricalPrices((transactions.sent || []).map(getTransactionDate).filter(Boolean))
+        : undefined;
+      if (cancelled) return;
       
       // Analyze transaction patterns
-      const patterns = analyzeTransactionPatterns(transactions, searchAddress);
+      const patterns = analyzeTransactionPatterns(transactions, centralAddress, {
+        structuring: structuringSettings,
+        usdPrices
+      });
+      if (peelChainPattern && peelChainPattern.isDetected) {
+        patterns.patterns.push(peelChainPattern);
+      }
       setPatternResults(patterns);
       
       // Categorize wallet behavior
       const profile = categorizeWalletBehavior(patterns);
       setWalletProfile(profile);
       
-      // Calculate risk score
-      const risk = calculateRiskScore(patterns);
+      // Calculate risk score, with the sanctions screening of the address and its partners
+      const risk = calculateRiskScore(patterns, {
+        subjectMatches: screenAddress(centralAddress),
+        counterpartyHits: screenAddresses((transferPartners || []).map(partner => partner.address))
+      });
       setRiskScore(risk);
       
       setIsLoading(false);
+    };
+    
+    runAnalysis();
+    return () => {
+      cancelled = true;
+    };
+  }, [transactions, centralAddress, transferPartners, peelChainPattern, structuringSettings]);
+  
+  const updateStructuringSettings = (changes) => {
+    const settings = { ...structuringSettings, ...changes };
+    if (!(settings.threshold > 0)) return;
+    saveStructuringSettings(settings);
+    setStructuringSettings(settings);
+  };
+  
+  // Following chains fetches every hop, so it only runs when asked for
+  const handleTracePeelChains = async () => {
+    setIsTracingPeelChains(true);
+    setPeelChainError('');
+    setPeelChainProgress(null);
+    try {
+      const pattern = await detectPeelChains(transactions, centralAddress, {
+        userApiKey,
+        network,
+        onProgress: setPeelChainProgress
+      });
+      setPeelChainPattern(pattern);
+    } catch (error) {
+      setPeelChainError(error.message);
+    } finally {
+      setIsTracingPeelChains(false);
     }
-  }, [transactions, searchAddress]);
+  };
   
   const renderPatternIcon = (pattern) => {
     let iconClass = '';
@@ -61,6 +148,18 @@ const PatternAnalysis = ({ transferPartners, transactions, searchAddress }) => {
       case 'cyclical_behavior':
         iconClass = 'fa-sync';
         break;
+      case 'mixer_exposure':
+        iconClass = 'fa-user-secret';
+        break;
+      case 'peel_chain':
+        iconClass = 'fa-link';
+        break;
+      case 'structuring':
+        iconClass = 'fa-layer-group';
+        break;
+      case 'pass_through':
+        iconClass = 'fa-exchange-alt';
+        break;
       default:
         iconClass = 'fa-chart-bar';
     }
@@ -90,6 +189,181 @@ const PatternAnalysis = ({ transferPartners, transactions, searchAddress }) => {
     );
   };
   
+  // Withdrawals that may be linked to deposits of the analyzed address
+  const renderMixerLinks = (links) => (
+    <table className="mixer-links">
+      <thead>
+        <tr>
+          <th>Deposit</th>
+          <th>Withdrawal</th>
+          <th>Pool</th>
+          <th>Apart</th>
+          <th>Fee</th>
+        </tr>
+      </thead>
+      <tbody>
+        {links.map(link => (
+          <tr key={link.withdrawalHash}>
+            <td title={link.depositHash}>{link.depositHash.substring(0, 10)}...</td>
+            <td title={link.withdrawalHash}>{link.withdrawalHash.substring(0, 10)}...</td>
+            <td>{link.denomination} ETH</td>
+            <td>{link.hoursApart}h</td>
+            <td>{link.amountDifference}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+  
+  const shortAddress = (address) => `${address.substring(0, 8)}...${address.substring(address.length - 6)}`;
+  
+  // Hops of each peel chain: what arrived, what moved on and what was peeled off
+  const renderPeelChains = (chains) => chains.map(chain => (
+    <div key={chain.seedHash} className="peel-chain">
+      <div className="peel-chain-header">
+        {chain.seedAmount.toFixed(4)} {nativeSymbol} from <span title={chain.seedFrom}>{shortAddress(chain.seedFrom)}</span>
+        {' '}· {chain.hops.length} hops · ended at <span title={chain.endAddress}>{shortAddress(chain.endAddress)}</span>
+        {' '}({PEEL_CHAIN_END_REASONS[chain.endReason]})
+      </div>
+      <table className="mixer-links">
+        <thead>
+          <tr>
+            <th>Hop</th>
+            <th>Address</th>
+            <th>Received</th>
+            <th>Forwarded</th>
+            <th>Peeled to</th>
+          </tr>
+        </thead>
+        <tbody>
+          {chain.hops.map((hop, index) => (
+            <tr key={hop.forwardHash}>
+              <td>{index}</td>
+              <td title={hop.address}>{shortAddress(hop.address)}</td>
+              <td>{hop.received.toFixed(4)}</td>
+              <td title={hop.forwardHash}>{hop.forwarded.toFixed(4)}</td>
+              <td>
+                {hop.peels.map(peel => (
+                  <div key={peel.hash} title={peel.to}>{peel.amount.toFixed(4)} → {shortAddress(peel.to)}</div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  ));
+  
+  // Inbound transfers by how many blocks passed before equivalent value left
+  const renderHoldingHistogram = (histogram) => {
+    const maxCount = Math.max(1, ...histogram.map(bucket => bucket.count));
+    return (
+      <div className="holding-histogram">
+        {histogram.map(bucket => (
+          <div key={bucket.label} className="holding-histogram-row" title={`${bucket.value.toFixed(4)} ${nativeSymbol}`}>
+            <span className="holding-histogram-label">{bucket.label}</span>
+            <span className="holding-histogram-track">
+              <span className="holding-histogram-bar" style={{ width: `${(bucket.count / maxCount) * 100}%` }}></span>
+            </span>
+            <span className="holding-histogram-count">{bucket.count}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+  
+  // Transfers kept just under the structuring threshold, oldest first
+  const renderStructuringTransactions = (transfers) => (
+    <table className="mixer-links">
+      <thead>
+        <tr>
+          <th>Transaction</th>
+          <th>Recipient</th>
+          <th>Value</th>
+          <th>Date</th>
+        </tr>
+      </thead>
+      <tbody>
+        {transfers.slice(0, STRUCTURING_ROWS_SHOWN).map(transfer => (
+          <tr key={transfer.hash}>
+            <td title={transfer.hash}>{transfer.hash.substring(0, 10)}...</td>
+            <td title={transfer.to}>{shortAddress(transfer.to)}</td>
+            <td>{transfer.value.toFixed(4)} {nativeSymbol}</td>
+            <td>{transfer.timestamp ? new Date(transfer.timestamp).toLocaleString() : 'unknown'}</td>
+          </tr>
+        ))}
+        {transfers.length > STRUCTURING_ROWS_SHOWN && (
+          <tr>
+            <td colSpan="4">and {transfers.length - STRUCTURING_ROWS_SHOWN} more</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  );
+  
+  const renderStructuringControls = () => (
+    <div className="structuring-controls">
+      <label htmlFor="structuring-threshold">Structuring threshold:</label>
+      <input
+        id="structuring-threshold"
+        type="number"
+        min="0"
+        step="any"
+        defaultValue={structuringSettings.threshold}
+        onBlur={(e) => updateStructuringSettings({ threshold: parseFloat(e.target.value) })}
+      />
+      <select
+        value={structuringSettings.currency}
+        onChange={(e) => updateStructuringSettings({ currency: e.target.value })}
+      >
+        <option value="ETH">ETH</option>
+        <option value="USD">USD</option>
+      </select>
+      <span className="peel-chain-status">Repeated transfers just under this amount are flagged.</span>
+    </div>
+  );
+  
+  const renderPeelChainControls = () => {
+    const { canTrace, reason } = getPeelChainStatus(userApiKey);
+    
+    return (
+      <div className="peel-chain-controls">
+        <button className="peel-chain-button" onClick={handleTracePeelChains} disabled={isTracingPeelChains || !canTrace}>
+          {isTracingPeelChains ? 'Following Peel Chains...' : 'Trace Peel Chains'}
+        </button>
+        <span className="peel-chain-status">
+          {!canTrace && reason}
+          {isTracingPeelChains && peelChainProgress &&
+            `Followed ${peelChainProgress.chain} of ${peelChainProgress.chains} large inbound transfers (${peelChainProgress.fetches} addresses fetched)`}
+          {!isTracingPeelChains && peelChainPattern && !peelChainPattern.isDetected && (
+            peelChainPattern.seedsFollowed === 0
+              ? 'No abnormally large inbound transfers to follow.'
+              : `No peel chains found from ${peelChainPattern.seedsFollowed} large inbound transfer(s).`
+          )}
+          {canTrace && !isTracingPeelChains && !peelChainPattern && 'Follows large inbound transfers hop by hop; each hop uses one fetch.'}
+        </span>
+        {peelChainError && <p className="peel-chain-error">{peelChainError}</p>}
+      </div>
+    );
+  };
+  
+  // Shown for every address that received funds, whether or not it is flagged as pass-through
+  const renderHoldingTimes = () => {
+    const holdingTimes = patternResults?.holdingTimes;
+    if (!holdingTimes) return null;
+    
+    return (
+      <div className="pattern-card holding-times">
+        <h4>Holding Times</h4>
+        <p className="pattern-description">
+          {holdingTimes.forwardedWithinWindow} of the {holdingTimes.totalReceived} {nativeSymbol} received in{' '}
+          {holdingTimes.inboundTransfers} transfer(s) left again within {holdingTimes.windowBlocks} blocks.
+        </p>
+        {renderHoldingHistogram(holdingTimes.histogram)}
+      </div>
+    );
+  };
+  
   const renderPatternsList = () => {
     if (!patternResults || !patternResults.patterns || patternResults.patterns.length === 0) {
       return (
@@ -103,7 +377,7 @@ const PatternAnalysis = ({ transferPartners, transactions, searchAddress }) => {
     return (
       <div className="patterns-list">
         {patternResults.patterns.map((pattern, index) => (
-          <div key={index} className={`pattern-card ${pattern.importance}`}>
+          <div key={index} className={`pattern-card ${pattern.importance} ${['peel_chain', 'structuring'].includes(pattern.type) ? 'wide' : ''}`}>
             <div className="pattern-header">
               {renderPatternIcon(pattern)}
               <div className="pattern-title">
@@ -130,6 +404,9 @@ const PatternAnalysis = ({ transferPartners, transactions, searchAddress }) => {
                 );
               })}
             </div>
+            {pattern.type === 'mixer_exposure' && pattern.details.links.length > 0 && renderMixerLinks(pattern.details.links)}
+            {pattern.type === 'peel_chain' && renderPeelChains(pattern.details.chains)}
+            {pattern.type === 'structuring' && renderStructuringTransactions(pattern.details.transactions)}
           </div>
         ))}
       </div>
@@ -227,6 +504,7 @@ const PatternAnalysis = ({ transferPartners, transactions, searchAddress }) => {
       'Collector': 'This address primarily receives funds from multiple sources, which could indicate collection activities like revenue gathering.',
       'Payment Processor': 'This address shows regular, scheduled distributions to multiple recipients, similar to payment processing patterns.',
       'Salary/Regular Payment Account': 'This address exhibits regular transfers of consistent amounts, typical of salary payments or subscription services.',
+      'Pass-Through / Mule Account': 'Most funds received by this address leave again within a short time, the behavior of mule and layering accounts that only relay value.',
       'Unknown': 'There is insufficient transaction history to determine a clear behavioral pattern for this address.'
     };
     
@@ -265,7 +543,10 @@ const PatternAnalysis = ({ transferPartners, transactions, searchAddress }) => {
           </div>
           
           <div className="analysis-content">
+            {activeTab === 'patterns' && renderStructuringControls()}
+            {activeTab === 'patterns' && renderPeelChainControls()}
             {activeTab === 'patterns' && renderPatternsList()}
+            {activeTab === 'patterns' && renderHoldingTimes()}
             {activeTab === 'profile' && renderWalletProfile()}
             {activeTab === 'risk' && renderRiskAnalysis()}
           </div>
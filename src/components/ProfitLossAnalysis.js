@@ -2,9 +2,13 @@ import React, { useState, useEffect, useRef } from 'react';
 import * as d3 from 'd3';
 import { Card } from './ui/card';
 import './ProfitLossAnalysis.css';
+import { getNetworkConfig } from '../services/networkConfig';
 import { analyzeProfitLoss, generatePortfolioTimeSeries, aggregatePortfolioTimeSeries, getCurrentEthPrice } from '../services/profitLossService';
 
-const ProfitLossAnalysis = ({ transactions, searchAddress }) => {
+const ProfitLossAnalysis = ({ transactions, searchAddress, network }) => {
+  const { nativeSymbol, label: networkLabel } = getNetworkConfig(network);
+  // USD values come from the ETH price feed, which only fits chains whose native currency is ETH
+  const usesEthPricing = nativeSymbol === 'ETH';
   const [isLoading, setIsLoading] = useState(true);
   const [analysis, setAnalysis] = useState(null);
   const [timeSeriesData, setTimeSeriesData] = useState({ daily: [], monthly: [] });
@@ -289,8 +293,8 @@ const ProfitLossAnalysis = ({ transactions, searchAddress }) => {
               <span>$${d.value.toLocaleString(undefined, { maximumFractionDigits: 2 })}</span>
             </div>
             <div class="row">
-              <span>ETH Balance:</span>
-              <span>${d.balance.toFixed(4)} ETH</span>
+              <span>${nativeSymbol} Balance:</span>
+              <span>${d.balance.toFixed(4)} ${nativeSymbol}</span>
             </div>
             <div class="row">
               <span>ETH Price:</span>
@@ -639,7 +643,7 @@ const ProfitLossAnalysis = ({ transactions, searchAddress }) => {
   const tableHeaders = [
     { key: 'date', label: 'Date' },
     { key: 'type', label: 'Type' },
-    { key: 'ethAmount', label: 'ETH Amount' },
+    { key: 'ethAmount', label: `${nativeSymbol} Amount` },
     { key: 'historicalValue', label: 'Value at Transaction' },
     { key: 'currentValue', label: 'Current Value' },
     { key: 'profitLoss', label: 'Profit/Loss' },
@@ -660,7 +664,7 @@ const ProfitLossAnalysis = ({ transactions, searchAddress }) => {
       <div className="profit-loss-summary">
         <div className="summary-card">
           <h3>Portfolio Balance</h3>
-          <div className="value">{analysis?.netBalance.toFixed(4)} ETH</div>
+          <div className="value">{analysis?.netBalance.toFixed(4)} {nativeSymbol}</div>
           <div className="secondary">≈ {formatUSD(analysis?.currentPortfolioValue)}</div>
         </div>
         <div className="summary-card">
@@ -758,7 +762,7 @@ const ProfitLossAnalysis = ({ transactions, searchAddress }) => {
               >
                 <td>{formatDate(tx.timeStamp)}</td>
                 <td>{tx.transactionType === 'incoming' ? 'Received' : 'Sent'}</td>
-                <td>{parseFloat(tx.value).toFixed(4)} ETH</td>
+                <td>{parseFloat(tx.value).toFixed(4)} {nativeSymbol}</td>
                 <td>{formatUSD(tx.historicalValue)}</td>
                 <td>{formatUSD(tx.currentValue)}</td>
                 <td className={tx.profitLoss >= 0 ? 'positive' : 'negative'}>
@@ -797,6 +801,12 @@ const ProfitLossAnalysis = ({ transactions, searchAddress }) => {
         </div>
       </div>
       
+      {!usesEthPricing && (
+        <div className="pricing-warning">
+          USD values below use ETH prices, but {networkLabel} balances are in {nativeSymbol}. Treat USD figures as indicative only.
+        </div>
+      )}
+      
       <div className="tab-container">
         <div className="tab-buttons">
           <button
@@ -0,0 +1,38 @@
+import React from 'react';
+import { describeSanctionsMatch } from '../services/sanctionsService';
+import './SanctionsAlert.css';
+
+// Hits are { address, matches, role }, where role says how the address was reached
+const SanctionsAlert = ({ hits, onSelectAddress = null }) => {
+  if (!hits || hits.length === 0) return null;
+
+  return (
+    <div className="sanctions-alert" role="alert">
+      <div className="sanctions-alert-title">
+        ⛔ Sanctions list match: {hits.length} address{hits.length === 1 ? '' : 'es'}
+      </div>
+      <ul>
+        {hits.map(hit => (
+          <li key={hit.address}>
+            <div className="sanctions-alert-address">
+              {hit.role && <span className="sanctions-alert-role">{hit.role}</span>}
+              {onSelectAddress ? (
+                <button onClick={() => onSelectAddress(hit.address)}>{hit.address}</button>
+              ) : (
+                <span>{hit.address}</span>
+              )}
+            </div>
+            {hit.matches.map((entry, index) => (
+              <div key={index} className="sanctions-alert-entry">
+                {describeSanctionsMatch(entry)}
+                {entry.remarks && <span className="sanctions-alert-remarks"> — {entry.remarks}</span>}
+              </div>
+            ))}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SanctionsAlert;
@@ -0,0 +1,104 @@
+import React, { useState, useRef } from 'react';
+import { Button } from './ui/button';
+import { getSanctionsLists, importSanctionsList, removeSanctionsList } from '../services/sanctionsService';
+import './SanctionsLists.css';
+
+const SanctionsLists = ({ onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [lists, setLists] = useState(getSanctionsLists());
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const addressCount = lists.reduce((sum, list) => sum + Object.keys(list.entries).length, 0);
+
+  const handleFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = ''; // Lets an updated export with the same name be loaded again
+
+    const results = [];
+    for (const file of files) {
+      try {
+        const list = importSanctionsList(await file.text(), file.name);
+        const count = Object.keys(list.entries).length;
+        results.push({ type: 'success', text: `Loaded ${count} address${count === 1 ? '' : 'es'} from ${file.name}` });
+      } catch (error) {
+        results.push({ type: 'error', text: `${file.name}: ${error.message}` });
+      }
+    }
+
+    setMessage(results);
+    setLists(getSanctionsLists());
+    onChange();
+  };
+
+  const handleRemove = (list) => {
+    removeSanctionsList(list.id);
+    setLists(getSanctionsLists());
+    setMessage(null);
+    onChange();
+  };
+
+  return (
+    <div className="sanctions-lists">
+      <button className="sanctions-lists-toggle" onClick={() => setIsOpen(!isOpen)}>
+        <span>
+          Sanctions Screening:{' '}
+          <strong>
+            {lists.length === 0
+              ? 'no lists loaded'
+              : `${addressCount.toLocaleString()} addresses in ${lists.length} list${lists.length === 1 ? '' : 's'}`}
+          </strong>
+        </span>
+        <span>{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="sanctions-lists-body">
+          <p className="sanctions-lists-hint">
+            Load sanctions lists or blocklists, such as an export of the Ethereum addresses on the OFAC SDN list.
+            Plain text files with one address per line, CSV files with an <code>address</code> column (plus
+            optional <code>name</code>, <code>program</code> and <code>remarks</code>) and JSON arrays are accepted.
+            Every partner, searched address and traced hop is screened against the loaded lists.
+          </p>
+
+          <div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".txt,.csv,.json,text/plain,text/csv,application/json"
+              multiple
+              onChange={handleFiles}
+              style={{ display: 'none' }}
+            />
+            <Button onClick={() => fileInputRef.current.click()} variant="outline" size="sm">
+              Load Sanctions List
+            </Button>
+          </div>
+
+          {message && message.map((result, index) => (
+            <p key={index} className={`sanctions-lists-message ${result.type}`}>{result.text}</p>
+          ))}
+
+          {lists.length > 0 && (
+            <ul className="sanctions-lists-items">
+              {lists.map(list => (
+                <li key={list.id}>
+                  <div>
+                    <div className="sanctions-lists-item-name">{list.name}</div>
+                    <div className="sanctions-lists-item-meta">
+                      {Object.keys(list.entries).length.toLocaleString()} addresses · loaded{' '}
+                      {new Date(list.importedAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <Button onClick={() => handleRemove(list)} variant="outline" size="sm">Remove</Button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SanctionsLists;
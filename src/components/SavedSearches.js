@@ -7,6 +7,8 @@ import {
   updateSearchNotes,
   getAllSearchTags
 } from '../services/alchemyService';
+import { getNetworkConfig } from '../services/networkConfig';
+import { describeTimeFilter } from '../services/blockTimeService';
 import './SavedSearches.css';
 import { Input } from './ui/input';
 import { Button } from './ui/button';
@@ -154,16 +156,6 @@ const SavedSearches = ({ onSelectSearch, onClose }) => {
     return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
   };
 
-  const getTimeFilterString = (timeFilter) => {
-    if (!timeFilter) return 'None';
-    
-    let filterStr = '';
-    if (timeFilter.startBlock) filterStr += `From block: ${timeFilter.startBlock} `;
-    if (timeFilter.endBlock) filterStr += `To block: ${timeFilter.endBlock}`;
-    
-    return filterStr || 'None';
-  };
-
   return (
     <div className="saved-searches-manager">
       <div className="searches-header">
@@ -246,6 +238,7 @@ const SavedSearches = ({ onSelectSearch, onClose }) => {
                 <div className="search-item-address">{search.address}</div>
                 <div className="search-item-meta">
                   <span className="search-date">{formatDate(search.date)}</span>
+                  <span className="search-network">{getNetworkConfig(search.network).label}</span>
                   {search.tags && search.tags.length > 0 && (
                     <div className="search-tags">
                       {search.tags.map(tag => (
@@ -278,13 +271,17 @@ const SavedSearches = ({ onSelectSearch, onClose }) => {
                   <span className="info-label">Address:</span>
                   <span className="info-value">{selectedSearch.address}</span>
                 </div>
+                <div className="info-row">
+                  <span className="info-label">Network:</span>
+                  <span className="info-value">{getNetworkConfig(selectedSearch.network).label}</span>
+                </div>
                 <div className="info-row">
                   <span className="info-label">Date Saved:</span>
                   <span className="info-value">{formatDate(selectedSearch.date)}</span>
                 </div>
                 <div className="info-row">
                   <span className="info-label">Time Filter:</span>
-                  <span className="info-value">{getTimeFilterString(selectedSearch.timeFilter)}</span>
+                  <span className="info-value">{describeTimeFilter(selectedSearch.timeFilter)}</span>
                 </div>
                 <div className="info-row">
                   <span className="info-label">Visualization:</span>
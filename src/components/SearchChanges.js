@@ -0,0 +1,123 @@
+import React from 'react';
+import { ANOMALY_FLAG_LABELS } from '../services/snapshotService';
+import './SearchChanges.css';
+
+// Rows shown per section; the rest are summarized as a count
+const MAX_ROWS = 10;
+
+const formatAddress = (address) => `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+
+const formatChange = (value, symbol) => `${value > 0 ? '+' : ''}${value.toFixed(4)} ${symbol}`;
+
+const MoreRows = ({ items }) => (
+  items.length > MAX_ROWS ? <li className="search-changes-more">and {items.length - MAX_ROWS} more</li> : null
+);
+
+const SearchChanges = ({ changes, nativeSymbol, onSelectAddress, onDismiss }) => {
+  const { since, sinceBlock, newPartners, newTransfers, changedTotals, newlyFlagged, hasChanges } = changes;
+
+  const renderAddress = (address) => (
+    <button className="search-changes-address" onClick={() => onSelectAddress(address)} title={address}>
+      {formatAddress(address)}
+    </button>
+  );
+
+  return (
+    <div className="search-changes">
+      <div className="search-changes-header">
+        <span>
+          <strong>What's new</strong> since the last run on {new Date(since).toLocaleString()}
+          {sinceBlock > 0 && ` (block ${sinceBlock.toLocaleString()})`}
+        </span>
+        <button className="search-changes-dismiss" onClick={onDismiss} title="Dismiss">×</button>
+      </div>
+
+      {!hasChanges ? (
+        <p className="search-changes-empty">
+          No changes. Cached results only cover the blocks fetched last time; search again to check newer blocks.
+        </p>
+      ) : (
+        <>
+          <div className="search-changes-summary">
+            <span>{newPartners.length} new partners</span>
+            <span>{newTransfers.length} new transfers</span>
+            <span>{changedTotals.length} changed totals</span>
+            <span className={newlyFlagged.length > 0 ? 'flagged' : ''}>{newlyFlagged.length} newly flagged</span>
+          </div>
+
+          <div className="search-changes-sections">
+            {newlyFlagged.length > 0 && (
+              <div className="search-changes-section">
+                <h4>Newly flagged</h4>
+                <ul>
+                  {newlyFlagged.slice(0, MAX_ROWS).map(entry => (
+                    <li key={entry.address}>
+                      {renderAddress(entry.address)}
+                      <span>{entry.flags.map(flag => ANOMALY_FLAG_LABELS[flag]).join(', ')}</span>
+                    </li>
+                  ))}
+                  <MoreRows items={newlyFlagged} />
+                </ul>
+              </div>
+            )}
+
+            {newPartners.length > 0 && (
+              <div className="search-changes-section">
+                <h4>New partners</h4>
+                <ul>
+                  {newPartners.slice(0, MAX_ROWS).map(entry => (
+                    <li key={entry.address}>
+                      {renderAddress(entry.address)}
+                      <span>
+                        {entry.transfers} transfers, {entry.sent.toFixed(4)} sent / {entry.received.toFixed(4)} received {nativeSymbol}
+                      </span>
+                    </li>
+                  ))}
+                  <MoreRows items={newPartners} />
+                </ul>
+              </div>
+            )}
+
+            {changedTotals.length > 0 && (
+              <div className="search-changes-section">
+                <h4>Changed totals</h4>
+                <ul>
+                  {changedTotals.slice(0, MAX_ROWS).map(entry => (
+                    <li key={entry.address}>
+                      {renderAddress(entry.address)}
+                      <span>
+                        {entry.transferChange !== 0 && `${entry.transferChange > 0 ? '+' : ''}${entry.transferChange} transfers, `}
+                        sent {formatChange(entry.sentChange, nativeSymbol)}, received {formatChange(entry.receivedChange, nativeSymbol)}
+                      </span>
+                    </li>
+                  ))}
+                  <MoreRows items={changedTotals} />
+                </ul>
+              </div>
+            )}
+
+            {newTransfers.length > 0 && (
+              <div className="search-changes-section">
+                <h4>New transfers</h4>
+                <ul>
+                  {newTransfers.slice(0, MAX_ROWS).map(tx => (
+                    <li key={`${tx.hash}-${tx.direction}-${tx.assetKey}`}>
+                      {renderAddress(tx.partner)}
+                      <span>
+                        {tx.direction === 'sent' ? 'Sent' : 'Received'} {tx.value.toFixed(4)} {tx.asset || nativeSymbol} in
+                        block {parseInt(tx.blockNum, 16).toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                  <MoreRows items={newTransfers} />
+                </ul>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchChanges;
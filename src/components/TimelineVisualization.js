@@ -1,29 +1,41 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as d3 from 'd3';
+import { NATIVE_ASSET_KEY } from '../services/alchemyService';
+import { getNativeSymbol, getNetworkConfig } from '../services/networkConfig';
 import './TimelineVisualization.css';
 
-const TimelineVisualization = ({ transferPartners, searchAddress }) => {
+// chainPartners ([{ network, partners }]) switches to a combined timeline colored by chain
+const TimelineVisualization = ({ transferPartners, searchAddress, network, chainPartners = null }) => {
+  const nativeSymbol = getNativeSymbol(network);
+  const isMultiChain = Array.isArray(chainPartners);
   const svgRef = useRef(null);
   const tooltipRef = useRef(null);
+  // Transactions drawn for the current address, so points appended by live updates can be animated
+  const drawnRef = useRef({ searchAddress: null, keys: new Set() });
   const [timelineData, setTimelineData] = useState(null);
   const [view, setView] = useState('monthly'); // 'daily', 'weekly', 'monthly', 'all'
   
   // Process transaction data for timeline visualization
   useEffect(() => {
-    if (!transferPartners || transferPartners.length === 0) return;
+    const series = chainPartners || [{ network, partners: transferPartners || [] }];
+    if (series.every(entry => entry.partners.length === 0)) return;
     
-    // Flatten all transactions into a single array with partner info
+    // Flatten all transactions into a single array with partner and chain info
     const allTransactions = [];
-    transferPartners.forEach(partner => {
-      partner.transactions.forEach(tx => {
-        if (tx.timestamp) {
-          allTransactions.push({
-            ...tx,
-            partnerAddress: partner.address,
-            date: new Date(tx.timestamp),
-            valueNum: parseFloat(tx.value)
-          });
-        }
+    series.forEach(entry => {
+      entry.partners.forEach(partner => {
+        partner.transactions.forEach(tx => {
+          // Token amounts can't share the native currency value axis
+          if (tx.timestamp && (!tx.assetKey || tx.assetKey === NATIVE_ASSET_KEY)) {
+            allTransactions.push({
+              ...tx,
+              partnerAddress: partner.address,
+              chain: entry.network,
+              date: new Date(tx.timestamp),
+              valueNum: parseFloat(tx.value)
+            });
+          }
+        });
       });
     });
     
@@ -31,7 +43,7 @@ const TimelineVisualization = ({ transferPartners, searchAddress }) => {
     allTransactions.sort((a, b) => a.date - b.date);
     
     setTimelineData(allTransactions);
-  }, [transferPartners]);
+  }, [transferPartners, chainPartners, network]);
 
   // Create timeline visualization
   useEffect(() => {
@@ -128,7 +140,7 @@ const TimelineVisualization = ({ transferPartners, searchAddress }) => {
     
     const yAxis = d3.axisLeft(yScale)
       .ticks(5)
-      .tickFormat(d => `${d.toFixed(4)} ETH`);
+      .tickFormat(d => `${d.toFixed(4)} ${nativeSymbol}`);
     
     // Add axes to the chart
     svg.append("g")
@@ -143,22 +155,34 @@ const TimelineVisualization = ({ transferPartners, searchAddress }) => {
     // Create tooltip
     const tooltip = d3.select(tooltipRef.current);
     
+    const getPointKey = (d) => `${d.chain}:${d.hash}:${d.direction}:${d.partnerAddress}`;
+    const previouslyDrawn = drawnRef.current.searchAddress === searchAddress ? drawnRef.current.keys : null;
+    const isAppended = (d) => !!previouslyDrawn && !previouslyDrawn.has(getPointKey(d));
+    drawnRef.current = { searchAddress, keys: new Set(timelineData.map(getPointKey)) };
+    
     // Add transaction points
-    svg.selectAll(".transaction-point")
+    const points = svg.selectAll(".transaction-point")
       .data(timeData)
       .enter()
       .append("circle")
       .attr("class", d => `transaction-point ${d.direction}`)
       .attr("cx", d => timeScale(d.date))
       .attr("cy", d => yScale(d.valueNum))
-      .attr("r", d => radiusScale(Math.max(0.001, d.valueNum)))
-      .attr("fill", d => d.direction === 'sent' ? '#ff9999' : '#99ff99')
-      .attr("stroke", "#444")
-      .attr("stroke-width", 1)
+      .attr("r", d => isAppended(d) ? 0 : radiusScale(Math.max(0.001, d.valueNum)))
+      .attr("fill", d => {
+        if (isMultiChain) return getNetworkConfig(d.chain).color;
+        return d.direction === 'sent' ? '#ff9999' : '#99ff99';
+      })
+      // In the combined view the outline carries the direction instead of the fill
+      .attr("stroke", d => {
+        if (!isMultiChain) return "#444";
+        return d.direction === 'sent' ? '#ff6b6b' : '#51cf66';
+      })
+      .attr("stroke-width", d => isMultiChain ? 2 : 1)
       .attr("opacity", 0.7)
       .on("mouseover", function(event, d) {
         d3.select(this)
-          .attr("stroke-width", 2)
+          .attr("stroke-width", isMultiChain ? 3 : 2)
           .attr("opacity", 1);
         
         const dateFormatted = d.date.toLocaleString();
@@ -172,28 +196,47 @@ const TimelineVisualization = ({ transferPartners, searchAddress }) => {
           .html(`
             <div class="tooltip-date">${dateFormatted}</div>
             <div class="tooltip-partner">${shortPartnerAddress}</div>
-            <div class="tooltip-value">${txValue} ETH ${d.direction === 'sent' ? 'sent' : 'received'}</div>
+            ${isMultiChain ? `<div class="tooltip-chain">${getNetworkConfig(d.chain).label}</div>` : ''}
+            <div class="tooltip-value">${txValue} ${getNativeSymbol(d.chain)} ${d.direction === 'sent' ? 'sent' : 'received'}</div>
             <div class="tooltip-hash">${d.hash.substring(0, 14)}...</div>
           `);
       })
       .on("mouseout", function() {
         d3.select(this)
-          .attr("stroke-width", 1)
+          .attr("stroke-width", isMultiChain ? 2 : 1)
           .attr("opacity", 0.7);
         
         tooltip
           .style("opacity", 0);
       });
     
+    // Points appended since the last render grow in with a highlighted outline
+    points.filter(isAppended)
+      .attr("stroke", "#ffd43b")
+      .attr("stroke-width", 3)
+      .attr("opacity", 1)
+      .transition()
+      .duration(800)
+      .attr("r", d => radiusScale(Math.max(0.001, d.valueNum)))
+      .transition()
+      .duration(1500)
+      .attr("stroke", d => {
+        if (!isMultiChain) return "#444";
+        return d.direction === 'sent' ? '#ff6b6b' : '#51cf66';
+      })
+      .attr("stroke-width", isMultiChain ? 2 : 1)
+      .attr("opacity", 0.7);
+    
     // Add connections between related transactions (optional)
     if (timeData.length > 1) {
-      // Group by partner address
+      // Group by partner address, per chain
       const partnerGroups = {};
       timeData.forEach(tx => {
-        if (!partnerGroups[tx.partnerAddress]) {
-          partnerGroups[tx.partnerAddress] = [];
+        const groupKey = `${tx.chain}:${tx.partnerAddress}`;
+        if (!partnerGroups[groupKey]) {
+          partnerGroups[groupKey] = [];
         }
-        partnerGroups[tx.partnerAddress].push(tx);
+        partnerGroups[groupKey].push(tx);
       });
       
       // Draw connecting lines for each partner
@@ -230,7 +273,7 @@ const TimelineVisualization = ({ transferPartners, searchAddress }) => {
       .attr("transform", "rotate(-90)")
       .attr("x", -height / 2)
       .attr("y", -margin.left + 15)
-      .text("Transaction Value (ETH)");
+      .text(isMultiChain ? 'Transaction Value (native currency)' : `Transaction Value (${nativeSymbol})`);
     
     // Add title
     svg.append("text")
@@ -256,7 +299,7 @@ const TimelineVisualization = ({ transferPartners, searchAddress }) => {
         .text("Error rendering timeline. Please try again later.");
     }
       
-  }, [timelineData, view]);
+  }, [timelineData, view, nativeSymbol, isMultiChain, searchAddress]);
   
   // Function to handle view change
   const handleViewChange = (newView) => {
@@ -303,14 +346,30 @@ const TimelineVisualization = ({ transferPartners, searchAddress }) => {
       </div>
       
       <div className="timeline-legend">
-        <div className="legend-item">
-          <span className="dot sent"></span>
-          <span>ETH Sent</span>
-        </div>
-        <div className="legend-item">
-          <span className="dot received"></span>
-          <span>ETH Received</span>
-        </div>
+        {isMultiChain ? (
+          <>
+            {chainPartners.map(entry => (
+              <div className="legend-item" key={entry.network}>
+                <span className="dot" style={{ backgroundColor: getNetworkConfig(entry.network).color }}></span>
+                <span>{getNetworkConfig(entry.network).label}</span>
+              </div>
+            ))}
+            <div className="legend-item">
+              <span>Outline: red sent, green received</span>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="legend-item">
+              <span className="dot sent"></span>
+              <span>{nativeSymbol} Sent</span>
+            </div>
+            <div className="legend-item">
+              <span className="dot received"></span>
+              <span>{nativeSymbol} Received</span>
+            </div>
+          </>
+        )}
         <div className="legend-note">
           <p>* Bubble size represents transaction amount</p>
           <p>* Dotted lines connect transactions with the same partner</p>
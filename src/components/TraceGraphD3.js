@@ -0,0 +1,284 @@
+import React, { useRef, useEffect, useState } from 'react';
+import * as d3 from 'd3';
+import './TransferGraph.css';
+
+const TraceGraphD3 = ({ trace, onNodeClick, highlightLinks = null, rootLabel = 'Central' }) => {
+  const svgRef = useRef(null);
+  const containerRef = useRef(null);
+  const [tooltip, setTooltip] = useState({
+    visible: false,
+    content: '',
+    x: 0,
+    y: 0
+  });
+
+  useEffect(() => {
+    if (!svgRef.current || !containerRef.current || !trace || !trace.nodes || trace.nodes.length === 0) {
+      return;
+    }
+
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    let simulation;
+
+    // One column per hop, left to right
+    const maxHop = Math.max(...trace.nodes.map(n => n.hop));
+    const containerWidth = containerRef.current.clientWidth;
+    const width = Math.max(300, containerWidth - 20);
+    const height = Math.max(300, Math.min(600, 120 + trace.nodes.length * 12));
+    const columnWidth = (width - 120) / Math.max(1, maxHop);
+    const columnX = hop => 60 + hop * columnWidth;
+
+    const svg = d3.select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height);
+
+    const maxInflow = Math.max(...trace.nodes.map(n => n.inflow || 0), 0.001);
+    const maxEdgeValue = Math.max(...trace.edges.map(e => e.value || 0), 0.001);
+
+    const nodes = trace.nodes.map(n => ({
+      ...n,
+      id: n.address,
+      size: n.isRoot ? 16 : 7 + ((n.inflow || 0) / maxInflow) * 12,
+      isContract: n.addressType === 'contract',
+      isSanctioned: !!(n.sanctionsMatches && n.sanctionsMatches.length > 0),
+      fx: columnX(n.hop)
+    }));
+
+    // Collapse parallel transfers between the same pair into one link
+    const linkMap = new Map();
+    trace.edges.forEach(edge => {
+      const key = `${edge.from}->${edge.to}`;
+      if (!linkMap.has(key)) {
+        linkMap.set(key, { source: edge.from, target: edge.to, value: 0, count: 0, hop: edge.hop });
+      }
+      const link = linkMap.get(key);
+      link.value += edge.value;
+      link.count += 1;
+    });
+    const links = Array.from(linkMap.values()).filter(l => l.source !== l.target);
+
+    simulation = d3.forceSimulation(nodes)
+      .force('link', d3.forceLink(links).id(d => d.id).distance(columnWidth).strength(0.2))
+      .force('charge', d3.forceManyBody().strength(-120))
+      .force('y', d3.forceY(height / 2).strength(0.05))
+      .force('collide', d3.forceCollide(d => d.size + 6));
+
+    const defs = svg.append('defs');
+
+    [['arrowTrace', '#ff6b6b'], ['arrowTraceHighlight', '#ffd43b']].forEach(([id, color]) => {
+      defs.append('marker')
+        .attr('id', id)
+        .attr('viewBox', '0 -5 10 10')
+        .attr('refX', 15)
+        .attr('refY', 0)
+        .attr('markerWidth', 6)
+        .attr('markerHeight', 6)
+        .attr('orient', 'auto')
+        .append('path')
+        .attr('d', 'M0,-5L10,0L0,5')
+        .attr('fill', color);
+    });
+
+    // Hop column labels
+    svg.append('g')
+      .selectAll('text')
+      .data(d3.range(0, maxHop + 1))
+      .enter()
+      .append('text')
+      .attr('class', 'trace-hop-label')
+      .attr('x', d => columnX(d))
+      .attr('y', 16)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '11px')
+      .attr('fill', '#888888')
+      .text(d => d === 0 ? rootLabel : `Hop ${d}`);
+
+    // A highlighted route dims every link that is not on it
+    const isHighlighted = d => !highlightLinks || highlightLinks.has(`${d.source.id || d.source}->${d.target.id || d.target}`);
+    const baseOpacity = d => isHighlighted(d) ? 0.85 : 0.15;
+
+    const link = svg.append('g')
+      .selectAll('line')
+      .data(links)
+      .enter()
+      .append('line')
+      .attr('stroke-width', d => Math.max(1, Math.min(8, (d.value / maxEdgeValue) * 6)) + (highlightLinks && isHighlighted(d) ? 2 : 0))
+      .attr('stroke', d => highlightLinks && isHighlighted(d) ? '#ffd43b' : '#ff6b6b')
+      .attr('opacity', baseOpacity)
+      .attr('marker-end', d => highlightLinks && isHighlighted(d) ? 'url(#arrowTraceHighlight)' : 'url(#arrowTrace)');
+
+    const node = svg.append('g')
+      .selectAll('g')
+      .data(nodes)
+      .enter()
+      .append('g')
+      .style('cursor', onNodeClick ? 'pointer' : 'default')
+      .call(d3.drag()
+        .on('start', dragstarted)
+        .on('drag', dragged)
+        .on('end', dragended));
+
+    const shape = node.append(d => document.createElementNS(
+      'http://www.w3.org/2000/svg',
+      d.isContract ? 'rect' : 'circle'
+    ));
+
+    shape.filter('circle')
+      .attr('r', d => d.size);
+
+    shape.filter('rect')
+      .attr('x', d => -d.size)
+      .attr('y', d => -d.size)
+      .attr('width', d => d.size * 2)
+      .attr('height', d => d.size * 2)
+      .attr('rx', 2);
+
+    shape
+      .attr('fill', d => {
+        if (d.isRoot) return '#4c6ef5';
+        if (d.isTarget) return '#be4bdb';
+        if (d.isContract) return '#fab005';
+        return d.expanded ? '#51cf66' : '#495057';
+      })
+      .attr('stroke', d => {
+        if (d.isSanctioned) return '#e03131';
+        if (d.isRoot) return '#fff';
+        if (d.isTarget) return '#862e9c';
+        if (d.isContract) return '#e67700';
+        return d.expanded ? '#2b8a3e' : '#868e96';
+      })
+      .attr('stroke-width', d => d.isSanctioned ? 5 : d.isRoot ? 3 : 2)
+      .on('mouseover', function(event, d) {
+        const containerRect = containerRef.current.getBoundingClientRect();
+        let mouseX = event.clientX - containerRect.left;
+        let mouseY = event.clientY - containerRect.top;
+
+        if (mouseX + 215 > containerRect.width) {
+          mouseX = mouseX - 215;
+        }
+        if (mouseY - 100 < 0) {
+          mouseY = mouseY + 20;
+        }
+
+        setTooltip({
+          visible: true,
+          content: `
+            <div class="tooltip-address">${d.address.substring(0, 10)}...</div>
+            <div class="tooltip-type">${d.isRoot ? `${rootLabel} address` : d.isTarget ? 'Target address' : `Hop ${d.hop}`}${d.isContract ? ' · Contract' : ''}</div>
+            ${d.isRoot ? '' : `<div class="tooltip-value">Traced in: ${(d.inflow || 0).toFixed(4)}</div>`}
+            ${!d.isRoot && !d.expanded ? '<div class="tooltip-received">Not expanded</div>' : ''}
+            ${d.truncated ? '<div class="tooltip-anomaly">Outgoing transfers truncated</div>' : ''}
+            ${d.isSanctioned ? '<div class="tooltip-anomaly">⛔ On a sanctions list</div>' : ''}
+          `,
+          x: mouseX,
+          y: mouseY
+        });
+
+        link.attr('opacity', l => (l.source.id === d.id || l.target.id === d.id) ? 1 : 0.1);
+      })
+      .on('mouseout', function() {
+        setTooltip(prev => ({ ...prev, visible: false }));
+        link.attr('opacity', baseOpacity);
+      })
+      .on('click', (event, d) => {
+        if (onNodeClick && !d.isRoot) {
+          onNodeClick(d);
+        }
+      });
+
+    node.append('text')
+      .text(d => `${d.address.substring(0, 6)}...${d.address.substring(d.address.length - 4)}`)
+      .attr('text-anchor', 'middle')
+      .attr('dy', d => -d.size - 6)
+      .attr('font-size', d => d.isRoot ? '12px' : '10px')
+      .attr('font-weight', d => d.isRoot ? 'bold' : 'normal')
+      .attr('fill', '#ffffff')
+      .style('pointer-events', 'none');
+
+    simulation.on('tick', () => {
+      nodes.forEach(d => {
+        d.y = Math.max(30, Math.min(height - 20, d.y));
+      });
+
+      link
+        .attr('x1', d => d.source.x)
+        .attr('y1', d => d.source.y)
+        .attr('x2', d => d.target.x)
+        .attr('y2', d => d.target.y);
+
+      node.attr('transform', d => `translate(${d.x || 0},${d.y || 0})`);
+    });
+
+    // Nodes stay in their hop column and only move vertically
+    function dragstarted(event, d) {
+      if (!event.active) simulation.alphaTarget(0.3).restart();
+      d.fy = d.y;
+    }
+
+    function dragged(event, d) {
+      d.fy = event.y;
+    }
+
+    function dragended(event, d) {
+      if (!event.active) simulation.alphaTarget(0);
+      d.fy = null;
+    }
+
+    return () => {
+      if (simulation) {
+        simulation.stop();
+      }
+    };
+  }, [trace, onNodeClick, highlightLinks, rootLabel]);
+
+  return (
+    <div className="transfer-graph trace-graph">
+      <div ref={containerRef} className="graph-container">
+        <svg ref={svgRef}></svg>
+
+        {tooltip.visible && (
+          <div
+            className="graph-tooltip"
+            style={{
+              position: 'absolute',
+              left: tooltip.x + 15,
+              top: tooltip.y - 35,
+              pointerEvents: 'none',
+              zIndex: 1000
+            }}
+            dangerouslySetInnerHTML={{ __html: tooltip.content }}
+          />
+        )}
+      </div>
+
+      <div className="graph-legend">
+        <div className="legend-item">
+          <span className="legend-dot central"></span>
+          <span>{rootLabel} Address</span>
+        </div>
+        {trace && trace.nodes && trace.nodes.some(n => n.isTarget) && (
+          <div className="legend-item">
+            <span className="legend-dot target"></span>
+            <span>Target Address</span>
+          </div>
+        )}
+        <div className="legend-item">
+          <span className="legend-dot partner"></span>
+          <span>Expanded Address</span>
+        </div>
+        <div className="legend-item">
+          <span className="legend-dot unexpanded"></span>
+          <span>Not Expanded</span>
+        </div>
+        <div className="legend-item">
+          <span className="legend-dot contract"></span>
+          <span>Contract Address</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TraceGraphD3;
@@ -1,9 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
 import * as d3 from 'd3';
 import InfoButton from './ui/InfoButton';
+import { NATIVE_ASSET_KEY } from '../services/alchemyService';
+import { getNativeSymbol } from '../services/networkConfig';
 import './TransactionHeatMap.css';
 
-const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
+const TransactionVolumeHeatmap = ({ transferPartners, searchAddress, network }) => {
+  const nativeSymbol = getNativeSymbol(network);
   const svgRef = useRef(null);
   const [heatmapData, setHeatmapData] = useState(null);
   const [heatmapType, setHeatmapType] = useState('volume'); // 'volume', 'frequency', 'gas-cost', 'anomalies'
@@ -28,7 +31,8 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
       transferPartners.forEach(partner => {
         if (partner.transactions && partner.transactions.length > 0) {
           partner.transactions.forEach(tx => {
-            if (tx.timestamp) {
+            // Volumes are summed in the native currency, so token transfers are left out
+            if (tx.timestamp && (!tx.assetKey || tx.assetKey === NATIVE_ASSET_KEY)) {
               allTransactions.push({
                 ...tx,
                 partnerAddress: partner.address,
@@ -287,7 +291,7 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
           .style('opacity', 1)
           .style('left', (event.pageX + 10) + 'px')
           .style('top', (event.pageY - 10) + 'px')
-          .html(getTooltipContent(d, heatmapType, timeResolution));
+          .html(getTooltipContent(d, heatmapType, timeResolution, nativeSymbol));
       })
       .on('mouseout', (event) => {
         // Remove highlight
@@ -338,9 +342,9 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
       .text('Time Period');
 
     // Add legend
-    createHeatmapLegend(svg, width, height, colorScale, heatmapType);
+    createHeatmapLegend(svg, width, height, colorScale, heatmapType, nativeSymbol);
 
-  }, [heatmapData, heatmapType]);
+  }, [heatmapData, heatmapType, nativeSymbol]);
 
   // Get color scale based on heatmap type
   const getColorScale = (type, data) => {
@@ -391,7 +395,7 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
   };
 
   // Create legend for the heatmap
-  const createHeatmapLegend = (svg, width, height, colorScale, type) => {
+  const createHeatmapLegend = (svg, width, height, colorScale, type, symbol) => {
     const legendWidth = 20;
     const legendHeight = 150;
     const xPosition = width - 80;
@@ -426,7 +430,7 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
 
     // Add legend title
     const titles = {
-      'volume': 'Volume (ETH)',
+      'volume': `Volume (${symbol})`,
       'frequency': 'Transactions',
       'gas-cost': 'Gas Cost',
       'anomalies': 'Anomalies'
@@ -454,14 +458,14 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
   };
 
   // Generate tooltip content
-  const getTooltipContent = (cell, type, resolution) => {
+  const getTooltipContent = (cell, type, resolution, symbol) => {
     const period = resolution === 'hour' ? `${cell.periodBucket}:00` : cell.periodBucket;
     const time = cell.timeBucket;
     
     return `
       <div class="tooltip-title">${time} - ${period}</div>
       <div><strong>Transactions:</strong> ${cell.count}</div>
-      <div><strong>Volume:</strong> ${cell.volume.toFixed(4)} ETH</div>
+      <div><strong>Volume:</strong> ${cell.volume.toFixed(4)} ${symbol}</div>
       <div><strong>Gas Used:</strong> ${cell.gasUsed.toLocaleString()}</div>
       <div><strong>Anomalies:</strong> ${cell.anomalies}</div>
     `;
@@ -496,7 +500,7 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
           <div><strong>Time:</strong> {selectedCell.timeBucket}</div>
           <div><strong>Period:</strong> {selectedCell.periodBucket}</div>
           <div><strong>Transactions:</strong> {selectedCell.count}</div>
-          <div><strong>Total Volume:</strong> {selectedCell.volume.toFixed(4)} ETH</div>
+          <div><strong>Total Volume:</strong> {selectedCell.volume.toFixed(4)} {nativeSymbol}</div>
           <div><strong>Gas Used:</strong> {selectedCell.gasUsed.toLocaleString()}</div>
           <div><strong>Anomalies:</strong> {selectedCell.anomalies}</div>
         </div>
@@ -508,7 +512,7 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
               {selectedCell.transactions.slice(0, 5).map((tx, index) => (
                 <div key={index} className="transaction-item">
                   <div className="tx-partner">{tx.partnerAddress.substring(0, 10)}...</div>
-                  <div className="tx-value">{parseFloat(tx.value).toFixed(4)} ETH</div>
+                  <div className="tx-value">{parseFloat(tx.value).toFixed(4)} {nativeSymbol}</div>
                   <div className="tx-direction">{tx.direction}</div>
                 </div>
               ))}
@@ -539,7 +543,7 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
                 <strong>Time Patterns:</strong> When transactions occur most frequently
               </div>
               <div className="feature-item">
-                <strong>Volume Distribution:</strong> ETH amounts transferred over time
+                <strong>Volume Distribution:</strong> {nativeSymbol} amounts transferred over time
               </div>
               <div className="feature-item">
                 <strong>Gas Analysis:</strong> Transaction costs and complexity patterns
@@ -576,7 +580,7 @@ const TransactionVolumeHeatmap = ({ transferPartners, searchAddress }) => {
             value={heatmapType} 
             onChange={handleHeatmapTypeChange}
           >
-            <option value="volume">Transaction Volume (ETH)</option>
+            <option value="volume">Transaction Volume ({nativeSymbol})</option>
             <option value="frequency">Transaction Frequency</option>
             <option value="gas-cost">Gas Costs</option>
             <option value="anomalies">Anomaly Distribution</option>
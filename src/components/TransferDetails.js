@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import './TransferDetails.css';
-import { saveAddressAnnotation } from '../services/alchemyService';
+import { saveAddressAnnotation, getPartnerAssetBreakdown } from '../services/alchemyService';
+import { getNativeSymbol, getExplorerTxUrl, getExplorerTokenUrl } from '../services/networkConfig';
+import { LABEL_CATEGORIES, describeLabel } from '../services/labelService';
+import { ANOMALY_FLAG_LABELS } from '../services/snapshotService';
 
-const TransferDetails = ({ partner, onClose }) => {
+const TransferDetails = ({ partner, network, onClose, onTrace }) => {
+  const nativeSymbol = getNativeSymbol(network);
   const [annotation, setAnnotation] = useState(partner.annotation || '');
   const [showAnnotationForm, setShowAnnotationForm] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
@@ -18,11 +22,8 @@ const TransferDetails = ({ partner, onClose }) => {
     return new Date(timestamp).toLocaleString();
   };
 
-  const formatEther = (value, asset = 'ETH') => {
-    if (asset === 'ETH') {
-      return parseFloat(value).toFixed(6) + ' ETH';
-    }
-    return parseFloat(value).toFixed(6) + ' ' + asset;
+  const formatEther = (value, asset = nativeSymbol) => {
+    return parseFloat(value).toFixed(6) + ' ' + (asset || nativeSymbol);
   };
 
   const handleSaveAnnotation = () => {
@@ -50,6 +51,61 @@ const TransferDetails = ({ partner, onClose }) => {
     }
   };
 
+  const renderAssetBreakdown = () => {
+    const assets = getPartnerAssetBreakdown(partner);
+    if (assets.length === 0) return null;
+    
+    const formatAssetName = (asset) => {
+      if (asset.category === 'native') return asset.symbol || nativeSymbol;
+      return asset.symbol || `${asset.contractAddress.substring(0, 8)}...${asset.contractAddress.substring(asset.contractAddress.length - 4)}`;
+    };
+    
+    const formatAssetTotal = (amount, asset) => {
+      if (asset.category === 'erc721' || asset.category === 'erc1155') {
+        return `${amount} token${amount === 1 ? '' : 's'}`;
+      }
+      return parseFloat(amount).toFixed(6);
+    };
+    
+    return (
+      <div className="asset-breakdown-section">
+        <h3>Asset Breakdown</h3>
+        <table className="asset-breakdown-table">
+          <thead>
+            <tr>
+              <th>Asset</th>
+              <th>Type</th>
+              <th>Sent</th>
+              <th>Received</th>
+              <th>Transfers</th>
+            </tr>
+          </thead>
+          <tbody>
+            {assets.map(asset => (
+              <tr key={asset.key}>
+                <td title={asset.contractAddress || 'Native currency'}>
+                  {asset.contractAddress ? (
+                    <a 
+                      href={getExplorerTokenUrl(network, asset.contractAddress)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      {formatAssetName(asset)}
+                    </a>
+                  ) : formatAssetName(asset)}
+                </td>
+                <td>{asset.category === 'native' ? 'Native' : asset.category.toUpperCase()}</td>
+                <td className="sent">{formatAssetTotal(asset.totalSent, asset)}</td>
+                <td className="received">{formatAssetTotal(asset.totalReceived, asset)}</td>
+                <td>{asset.sentCount + asset.receivedCount}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
   const renderTimeAnalysis = () => {
     if (partner.transactions.length < 2) return null;
     
@@ -108,7 +164,32 @@ const TransferDetails = ({ partner, onClose }) => {
         
         <div className="partner-info">
           <h3>Partner Address</h3>
+          {partner.ensName && <p className="ens-name">{partner.ensName}</p>}
           <p className="address">{partner.address}</p>
+          {partner.addressType && partner.addressType !== 'unknown' && (
+            <p className={`address-type ${partner.addressType}`}>
+              {partner.addressType === 'contract' ? 'Contract account' : 'Externally owned account (EOA)'}
+            </p>
+          )}
+          {partner.labels && partner.labels.length > 0 && (
+            <div className="label-badges">
+              {partner.labels.map(label => (
+                <span
+                  key={label.packId}
+                  className="label-badge"
+                  style={{ '--label-color': LABEL_CATEGORIES[label.category].color }}
+                  title={`From ${label.packName}`}
+                >
+                  {describeLabel(label)}
+                </span>
+              ))}
+            </div>
+          )}
+          {onTrace && (
+            <button onClick={() => onTrace(partner)} className="trace-funds-button">
+              Trace funds from this address
+            </button>
+          )}
           
           {/* Annotation Section */}
           <div className="annotation-section mb-4">
@@ -173,24 +254,24 @@ const TransferDetails = ({ partner, onClose }) => {
               <div className="anomaly-summary">
                 <h4>Anomalies Detected</h4>
                 <div className="anomaly-details">
-                  {partner.anomalies.largeTransfers && partner.anomalies.largeTransfers.length > 0 && (
-                    <div className="anomaly-item">
-                      <span className="anomaly-icon">⚠️</span>
-                      <span>Large Transfers: {partner.anomalies.largeTransfers.length} transaction(s) with unusually high value</span>
-                    </div>
-                  )}
-                  
-                  {partner.anomalies.unusualFrequency && (
-                    <div className="anomaly-item">
-                      <span className="anomaly-icon">⚠️</span>
-                      <span>Unusual Transaction Timing: Irregular time intervals between transactions</span>
-                    </div>
-                  )}
-                  
-                  {partner.anomalies.irregularPattern && (
+                  {/* Each flag explains the numbers behind it, see anomalyService */}
+                  {(partner.anomalies.explanations || [])
+                    .filter(explanation => explanation.flag !== 'lookalike')
+                    .map(explanation => (
+                      <div key={explanation.flag} className="anomaly-item">
+                        <span className="anomaly-icon">⚠️</span>
+                        <span>{ANOMALY_FLAG_LABELS[explanation.flag]}: {explanation.text}</span>
+                      </div>
+                    ))}
+
+                  {partner.anomalies.lookalike && (
                     <div className="anomaly-item">
                       <span className="anomaly-icon">⚠️</span>
-                      <span>Irregular Pattern: Unusual transaction pattern detected</span>
+                      <span>
+                        Lookalike Address: shares its first and last characters with {partner.anomalies.lookalike.of}
+                        {partner.anomalies.lookalike.dustTransfers > 0 &&
+                          ` (${partner.anomalies.lookalike.dustTransfers} dust transfer${partner.anomalies.lookalike.dustTransfers === 1 ? '' : 's'})`}
+                      </span>
                     </div>
                   )}
                 </div>
@@ -199,6 +280,9 @@ const TransferDetails = ({ partner, onClose }) => {
           </div>
         </div>
         
+        {/* Per-asset totals */}
+        {renderAssetBreakdown()}
+        
         {/* Time-based Analysis */}
         {renderTimeAnalysis()}
 
@@ -243,7 +327,7 @@ const TransferDetails = ({ partner, onClose }) => {
                         <div className="detail-item">
                           <span className="label">Hash:</span>
                           <a 
-                            href={`https://etherscan.io/tx/${tx.hash}`} 
+                            href={getExplorerTxUrl(network, tx.hash)} 
                             target="_blank" 
                             rel="noopener noreferrer"
                             className="hash"
@@ -257,11 +341,17 @@ const TransferDetails = ({ partner, onClose }) => {
                             {formatEther(tx.value, tx.asset)}
                             {isLargeTransfer && (
                               <span className="anomaly-detail">
-                                {partner.anomalies?.largeTransfers?.find(a => a.txHash === tx.hash)?.ratio.toFixed(1)} standard deviations above average
+                                {partner.anomalies?.largeTransfers?.find(a => a.txHash === tx.hash)?.explanation}
                               </span>
                             )}
                           </span>
                         </div>
+                        {tx.tokenId && (
+                          <div className="detail-item">
+                            <span className="label">Token ID:</span>
+                            <span className="block">{BigInt(tx.tokenId).toString()}</span>
+                          </div>
+                        )}
                         <div className="detail-item">
                           <span className="label">Block:</span>
                           <span className="block">{tx.blockNum}</span>
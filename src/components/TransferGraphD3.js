@@ -1,10 +1,37 @@
 import React, { useRef, useEffect, useState } from 'react';
 import * as d3 from 'd3';
 import './TransferGraph.css';
-
-const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
+import { getNativeSymbol } from '../services/networkConfig';
+import { LABEL_CATEGORIES, describeLabelHtml } from '../services/labelService';
+import { getClusterIndex, getClusterName, describeEvidence } from '../services/clusteringService';
+
+// ENS names longer than this are shortened in node labels
+const MAX_LABEL_NAME_LENGTH = 16;
+
+const truncateName = (name) => name.length > MAX_LABEL_NAME_LENGTH
+  ? `${name.substring(0, MAX_LABEL_NAME_LENGTH - 1)}…`
+  : name;
+
+// Default for expandedClusters; a fresh Set on every render would redraw the graph each time
+const NO_EXPANDED_CLUSTERS = new Set();
+
+const clusterNodeId = (cluster) => `cluster:${cluster.id}`;
+
+const TransferGraphD3 = ({
+  transferPartners,
+  searchAddress,
+  searchName = null,
+  network,
+  onNodeClick,
+  clusters = null,
+  expandedClusters = NO_EXPANDED_CLUSTERS,
+  onToggleCluster = null
+}) => {
+  const nativeSymbol = getNativeSymbol(network);
   const svgRef = useRef(null);
   const containerRef = useRef(null);
+  // Layout of the previous render, so live updates keep node positions and only animate what is new
+  const layoutRef = useRef({ searchAddress: null, positions: new Map(), linkValues: new Map() });
   const [tooltip, setTooltip] = useState({
     visible: false,
     content: '',
@@ -26,6 +53,9 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
     // Clear previous content
     d3.select(svgRef.current).selectAll('*').remove();
 
+    // Re-renders of the same address (e.g. live updates) start from the previous layout
+    const previousLayout = layoutRef.current.searchAddress === searchAddress ? layoutRef.current : null;
+
     let simulation; // Declare simulation variable for cleanup
 
     // Set up responsive dimensions
@@ -46,6 +76,7 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
     nodes.push({
       id: searchAddress,
       type: 'central',
+      ensName: searchName,
       x: width / 2,
       y: height / 2,
       fx: width / 2,
@@ -66,40 +97,112 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
         totalValue: (partner.totalSent || 0) + (partner.totalReceived || 0)
       }))
       .sort((a, b) => b.totalValue - a.totalValue)
-      .slice(0, maxNodes);
+      // Lookalikes often carry no value, but must stay visible next to the address they imitate
+      .filter((partner, index) => index < maxNodes || partner.anomalies?.lookalike);
 
     console.log('TransferGraphD3: Using top', sortedPartners.length, 'partners out of', transferPartners.length);
 
+    const addLink = (source, target, value, type) => {
+      const key = `${source}->${target}`;
+      const previousValue = previousLayout ? previousLayout.linkValues.get(key) : undefined;
+      links.push({
+        source,
+        target,
+        value,
+        type,
+        key,
+        isNew: !!previousLayout && previousValue === undefined,
+        isUpdated: previousValue !== undefined && previousValue !== value
+      });
+    };
+
+    // Members of a collapsed cluster are drawn as one node
+    const clusterIndex = getClusterIndex(clusters);
+    const collapsedClusterNodes = new Map();
+    const getCollapsedCluster = (address) => {
+      const cluster = clusterIndex.get(address.toLowerCase());
+      return cluster && !expandedClusters.has(cluster.id) ? cluster : null;
+    };
+
     // Add partner nodes
     sortedPartners.forEach((partner, index) => {
+      const collapsedCluster = getCollapsedCluster(partner.address);
+      if (collapsedCluster) {
+        if (!collapsedClusterNodes.has(collapsedCluster.id)) {
+          const id = clusterNodeId(collapsedCluster);
+          const previousPosition = previousLayout && (
+            previousLayout.positions.get(id) ||
+            collapsedCluster.members.map(member => previousLayout.positions.get(member)).find(Boolean)
+          );
+          collapsedClusterNodes.set(collapsedCluster.id, {
+            id,
+            type: 'cluster',
+            cluster: collapsedCluster,
+            members: [],
+            totalSent: 0,
+            totalReceived: 0,
+            isNew: !!previousLayout && !previousPosition,
+            ...(previousPosition || (previousLayout ? { x: width / 2, y: height / 2 } : {}))
+          });
+        }
+        const clusterNode = collapsedClusterNodes.get(collapsedCluster.id);
+        clusterNode.members.push(partner);
+        clusterNode.totalSent += partner.totalSent || 0;
+        clusterNode.totalReceived += partner.totalReceived || 0;
+        return;
+      }
+
       const nodeSize = 8 + (partner.totalValue / maxValue) * 15;
+      const cluster = clusterIndex.get(partner.address.toLowerCase()) || null;
+      // Members of a cluster that was just expanded grow out of the cluster node
+      const previousPosition = previousLayout && (
+        previousLayout.positions.get(partner.address) ||
+        (cluster && previousLayout.positions.get(clusterNodeId(cluster)))
+      );
 
       nodes.push({
         id: partner.address,
         type: 'partner',
         partner: partner,
+        ensName: partner.ensName || null,
+        labels: partner.labels || [],
         size: nodeSize,
         totalValue: partner.totalValue,
-        hasAnomaly: partner.anomalies?.hasAnomalies || false
+        hasAnomaly: partner.anomalies?.hasAnomalies || false,
+        isContract: partner.addressType === 'contract',
+        isSanctioned: !!(partner.sanctionsMatches && partner.sanctionsMatches.length > 0),
+        lookalikeOf: partner.anomalies?.lookalike?.of || null,
+        cluster,
+        // New partners grow out of the central node
+        isNew: !!previousLayout && !previousLayout.positions.get(partner.address),
+        ...(previousPosition || (previousLayout ? { x: width / 2, y: height / 2 } : {}))
       });
 
-      // Add links
       if (partner.totalSent > 0) {
-        links.push({
-          source: searchAddress,
-          target: partner.address,
-          value: partner.totalSent,
-          type: 'sent'
-        });
+        addLink(searchAddress, partner.address, partner.totalSent, 'sent');
       }
 
       if (partner.totalReceived > 0) {
-        links.push({
-          source: partner.address,
-          target: searchAddress,
-          value: partner.totalReceived,
-          type: 'received'
-        });
+        addLink(partner.address, searchAddress, partner.totalReceived, 'received');
+      }
+      
+      // Dashed link pulling a lookalike next to the real address (dropped below if that one isn't shown)
+      if (partner.anomalies?.lookalike) {
+        const realCluster = getCollapsedCluster(partner.anomalies.lookalike.of);
+        addLink(partner.address, realCluster ? clusterNodeId(realCluster) : partner.anomalies.lookalike.of, 0, 'lookalike');
+      }
+    });
+
+    collapsedClusterNodes.forEach(clusterNode => {
+      clusterNode.totalValue = clusterNode.totalSent + clusterNode.totalReceived;
+      clusterNode.size = Math.min(30, 12 + (clusterNode.totalValue / maxValue) * 15);
+      nodes.push(clusterNode);
+
+      if (clusterNode.totalSent > 0) {
+        addLink(searchAddress, clusterNode.id, clusterNode.totalSent, 'sent');
+      }
+      if (clusterNode.totalReceived > 0) {
+        addLink(clusterNode.id, searchAddress, clusterNode.totalReceived, 'received');
       }
     });
 
@@ -160,6 +263,11 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
         .force('charge', d3.forceManyBody().strength(-200))
         .force('center', d3.forceCenter(width / 2, height / 2))
         .force('collide', d3.forceCollide(d => d.size + 5));
+
+      // A known layout only needs to settle the new nodes
+      if (previousLayout) {
+        simulation.alpha(0.3);
+      }
     } catch (error) {
       console.error('TransferGraphD3: Error creating force simulation:', error);
       console.log('Nodes:', nodes);
@@ -194,6 +302,23 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
       .attr('d', 'M0,-5L10,0L0,5')
       .attr('fill', '#51cf66');
 
+    const linkColors = { sent: '#ff6b6b', received: '#51cf66', lookalike: '#e599f7' };
+    
+    // Outline around the members of each expanded cluster, under links and nodes
+    const expandedClusterGroups = [...new Set(nodes.filter(n => n.cluster && n.type === 'partner').map(n => n.cluster))]
+      .map(cluster => ({ cluster, members: nodes.filter(n => n.type === 'partner' && n.cluster === cluster) }));
+    const hull = svg.append('g')
+      .selectAll('path')
+      .data(expandedClusterGroups)
+      .enter()
+      .append('path')
+      .attr('class', 'cluster-hull')
+      .style('cursor', onToggleCluster ? 'pointer' : 'default')
+      .on('click', (event, d) => {
+        if (onToggleCluster) onToggleCluster(d.cluster.id);
+      });
+    hull.append('title').text(d => `${getClusterName(d.cluster)}: click to collapse`);
+    
     // Draw links
     const link = svg.append('g')
       .selectAll('line')
@@ -201,9 +326,27 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
       .enter()
       .append('line')
       .attr('stroke-width', d => Math.max(1, Math.min(8, (d.value / maxValue) * 6)))
-      .attr('stroke', d => d.type === 'sent' ? '#ff6b6b' : '#51cf66')
-      .attr('opacity', 0.7)
-      .attr('marker-end', d => d.type === 'sent' ? 'url(#arrowSent)' : 'url(#arrowReceived)');
+      .attr('stroke', d => linkColors[d.type])
+      .attr('stroke-dasharray', d => d.type === 'lookalike' ? '4 3' : null)
+      .attr('opacity', d => d.isNew ? 0 : 0.7)
+      .attr('marker-end', d => {
+        if (d.type === 'lookalike') return null;
+        return d.type === 'sent' ? 'url(#arrowSent)' : 'url(#arrowReceived)';
+      });
+
+    // Fade in new links and flash links whose totals changed
+    link.filter(d => d.isNew)
+      .transition()
+      .duration(800)
+      .attr('opacity', 0.7);
+
+    link.filter(d => d.isUpdated)
+      .attr('stroke', '#ffd43b')
+      .attr('opacity', 1)
+      .transition()
+      .duration(1500)
+      .attr('stroke', d => linkColors[d.type])
+      .attr('opacity', 0.7);
 
     // Draw nodes
     const node = svg.append('g')
@@ -211,23 +354,76 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
       .data(nodes)
       .enter()
       .append('g')
+      .style('cursor', d => (onNodeClick && d.type === 'partner') || (onToggleCluster && d.type === 'cluster') ? 'pointer' : 'default')
       .call(d3.drag()
         .on('start', dragstarted)
         .on('drag', dragged)
         .on('end', dragended));
 
-    // Add circles
-    node.append('circle')
+    // Add node shapes: circles for EOAs, squares for contracts
+    const shape = node.append(d => document.createElementNS(
+      'http://www.w3.org/2000/svg',
+      d.isContract ? 'rect' : 'circle'
+    ));
+    
+    shape.filter('circle')
+      .attr('r', d => d.isNew ? 0 : d.size);
+    
+    shape.filter('rect')
+      .attr('x', d => d.isNew ? 0 : -d.size)
+      .attr('y', d => d.isNew ? 0 : -d.size)
+      .attr('width', d => d.isNew ? 0 : d.size * 2)
+      .attr('height', d => d.isNew ? 0 : d.size * 2)
+      .attr('rx', 2);
+
+    // Grow new nodes in and send a pulse ring out of them
+    shape.filter('circle').filter(d => d.isNew)
+      .transition()
+      .duration(800)
+      .attr('r', d => d.size);
+
+    shape.filter('rect').filter(d => d.isNew)
+      .transition()
+      .duration(800)
+      .attr('x', d => -d.size)
+      .attr('y', d => -d.size)
+      .attr('width', d => d.size * 2)
+      .attr('height', d => d.size * 2);
+
+    node.filter(d => d.isNew)
+      .insert('circle', ':first-child')
       .attr('r', d => d.size)
+      .attr('fill', 'none')
+      .attr('stroke', '#ffd43b')
+      .attr('stroke-width', 2)
+      .style('pointer-events', 'none')
+      .transition()
+      .duration(1500)
+      .attr('r', d => d.size * 3)
+      .attr('opacity', 0)
+      .remove();
+    
+    shape
       .attr('fill', d => {
         if (d.type === 'central') return '#4c6ef5';
+        if (d.type === 'cluster') return '#15aabf';
+        if (d.isSanctioned) return '#862e2e';
+        if (d.lookalikeOf) return '#ae3ec9';
         if (d.hasAnomaly) return '#fa5252';
+        if (d.isContract) return '#fab005';
         return '#51cf66';
       })
-      .attr('stroke', d => d.type === 'central' ? '#fff' : (d.hasAnomaly ? '#c92a2a' : '#2b8a3e'))
-      .attr('stroke-width', d => d.type === 'central' ? 3 : 2)
+      .attr('stroke', d => {
+        if (d.isSanctioned) return '#ffffff';
+        if (d.type === 'central') return '#fff';
+        if (d.type === 'cluster') return '#99e9f2';
+        if (d.lookalikeOf) return '#e599f7';
+        if (d.hasAnomaly) return '#c92a2a';
+        return d.isContract ? '#e67700' : '#2b8a3e';
+      })
+      .attr('stroke-width', d => d.type === 'central' || d.type === 'cluster' || d.isSanctioned ? 3 : 2)
       .on('mouseover', function(event, d) {
-        if (d.type === 'partner') {
+        if (d.type === 'partner' || d.type === 'cluster') {
           const partner = d.partner;
           // Get the container's position and the mouse position relative to it
           const containerRect = containerRef.current.getBoundingClientRect();
@@ -247,12 +443,25 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
           
           setTooltip({
             visible: true,
-            content: `
+            content: d.type === 'cluster' ? `
+              <div class="tooltip-name">${getClusterName(d.cluster)}: ${d.members.length} partner${d.members.length === 1 ? '' : 's'}</div>
+              <div class="tooltip-value">Total: ${d.totalValue.toFixed(4)} ${nativeSymbol}</div>
+              <div class="tooltip-sent">Sent: ${d.totalSent.toFixed(4)} ${nativeSymbol}</div>
+              <div class="tooltip-received">Received: ${d.totalReceived.toFixed(4)} ${nativeSymbol}</div>
+              ${d.cluster.evidence.map(evidence => `<div class="tooltip-type">${describeEvidence(evidence)}</div>`).join('')}
+              ${onToggleCluster ? '<div class="tooltip-type">Click to expand</div>' : ''}
+            ` : `
+              ${d.ensName ? `<div class="tooltip-name">${d.ensName}</div>` : ''}
+              ${d.labels.map(label => `<div class="tooltip-label" style="color: ${LABEL_CATEGORIES[label.category].color}">${describeLabelHtml(label)}</div>`).join('')}
               <div class="tooltip-address">${partner.address.substring(0, 10)}...</div>
-              <div class="tooltip-value">Total: ${(d.totalValue || 0).toFixed(4)} ETH</div>
-              <div class="tooltip-sent">Sent: ${(partner.totalSent || 0).toFixed(4)} ETH</div>
-              <div class="tooltip-received">Received: ${(partner.totalReceived || 0).toFixed(4)} ETH</div>
+              ${d.isContract ? '<div class="tooltip-type">Contract</div>' : ''}
+              <div class="tooltip-value">Total: ${(d.totalValue || 0).toFixed(4)} ${nativeSymbol}</div>
+              <div class="tooltip-sent">Sent: ${(partner.totalSent || 0).toFixed(4)} ${nativeSymbol}</div>
+              <div class="tooltip-received">Received: ${(partner.totalReceived || 0).toFixed(4)} ${nativeSymbol}</div>
               ${d.hasAnomaly ? '<div class="tooltip-anomaly">⚠️ Anomalies detected</div>' : ''}
+              ${d.isSanctioned ? '<div class="tooltip-anomaly">⛔ On a sanctions list</div>' : ''}
+              ${d.lookalikeOf ? `<div class="tooltip-anomaly">Lookalike of ${d.lookalikeOf.substring(0, 10)}...${d.lookalikeOf.substring(d.lookalikeOf.length - 6)}</div>` : ''}
+              ${d.cluster ? `<div class="tooltip-type">In ${getClusterName(d.cluster)}</div>` : ''}
             `,
             x: mouseX,
             y: mouseY
@@ -267,10 +476,10 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
         });
         
         // Highlight node
-        d3.select(this).select('circle')
+        d3.select(this)
           .transition()
           .duration(200)
-          .attr('r', d.size * 1.3);
+          .attr('transform', 'scale(1.3)');
       })
       .on('mouseout', function(event, d) {
         setTooltip(prev => ({ ...prev, visible: false }));
@@ -279,15 +488,29 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
         link.attr('opacity', 0.7);
         
         // Reset node size
-        d3.select(this).select('circle')
+        d3.select(this)
           .transition()
           .duration(200)
-          .attr('r', d.size);
+          .attr('transform', 'scale(1)');
+      })
+      .on('click', (event, d) => {
+        if (onNodeClick && d.type === 'partner') {
+          onNodeClick(d.partner);
+        }
+        if (onToggleCluster && d.type === 'cluster') {
+          onToggleCluster(d.cluster.id);
+        }
       });
 
     // Add labels
     node.append('text')
       .text(d => {
+        if (d.type === 'cluster') {
+          return `${getClusterName(d.cluster)} (${d.members.length})`;
+        }
+        if (d.ensName) {
+          return truncateName(d.ensName);
+        }
         const addr = d.id;
         return d.type === 'central' ? 
           `${addr.substring(0, 6)}...${addr.substring(addr.length - 4)}` :
@@ -300,6 +523,16 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
       .attr('fill', '#ffffff')
       .style('pointer-events', 'none');
 
+    // Badge with the most confident label under labelled partners
+    node.filter(d => d.type === 'partner' && d.labels.length > 0)
+      .append('text')
+      .text(d => truncateName(d.labels[0].name))
+      .attr('text-anchor', 'middle')
+      .attr('dy', d => d.size + 14)
+      .attr('font-size', '9px')
+      .attr('fill', d => LABEL_CATEGORIES[d.labels[0].category].color)
+      .style('pointer-events', 'none');
+
     // Update positions on simulation tick
     simulation.on('tick', () => {
       link
@@ -329,6 +562,21 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
         });
 
       node.attr('transform', d => `translate(${d.x || 0},${d.y || 0})`);
+
+      // Pad every member by its radius so small clusters still get an outline
+      hull.attr('d', d => {
+        const points = d.members.flatMap(member => {
+          const padding = member.size + 10;
+          return [
+            [member.x - padding, member.y - padding],
+            [member.x - padding, member.y + padding],
+            [member.x + padding, member.y - padding],
+            [member.x + padding, member.y + padding]
+          ];
+        });
+        const outline = d3.polygonHull(points);
+        return outline ? `M${outline.join('L')}Z` : null;
+      });
     });
 
     // Drag functions
@@ -356,9 +604,14 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
       if (simulation) {
         simulation.stop();
       }
+      layoutRef.current = {
+        searchAddress,
+        positions: new Map(nodes.filter(n => n.type !== 'central').map(n => [n.id, { x: n.x, y: n.y }])),
+        linkValues: new Map(validLinks.map(l => [l.key, l.value]))
+      };
     };
 
-  }, [transferPartners, searchAddress]);
+  }, [transferPartners, searchAddress, searchName, nativeSymbol, onNodeClick, clusters, expandedClusters, onToggleCluster]);
 
   return (
     <div className="transfer-graph">
@@ -390,17 +643,31 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
           <span className="legend-dot partner"></span>
           <span>Partner Address</span>
         </div>
+        <div className="legend-item">
+          <span className="legend-dot contract"></span>
+          <span>Contract Address</span>
+        </div>
         <div className="legend-item">
           <span className="legend-dot anomaly"></span>
           <span>Address with Anomalies</span>
         </div>
+        <div className="legend-item">
+          <span className="legend-dot lookalike"></span>
+          <span>Lookalike Address</span>
+        </div>
+        {clusters && clusters.length > 0 && (
+          <div className="legend-item">
+            <span className="legend-dot cluster"></span>
+            <span>Address Cluster</span>
+          </div>
+        )}
         <div className="legend-item">
           <span className="legend-line sent"></span>
-          <span>ETH Sent</span>
+          <span>{nativeSymbol} Sent</span>
         </div>
         <div className="legend-item">
           <span className="legend-line received"></span>
-          <span>ETH Received</span>
+          <span>{nativeSymbol} Received</span>
         </div>
       </div>
       
@@ -409,6 +676,8 @@ const TransferGraphD3 = ({ transferPartners, searchAddress }) => {
         <p>• Line thickness represents transaction amounts</p>
         <p>• Drag nodes to rearrange the layout</p>
         <p>• Hover over nodes for detailed information</p>
+        {onNodeClick && <p>• Click a partner node to trace its funds further</p>}
+        {clusters && clusters.length > 0 && onToggleCluster && <p>• Click a cluster to expand it, and its outline to collapse it again</p>}
       </div>
     </div>
   );
@@ -3,6 +3,7 @@ import * as d3 from 'd3';
 import './TreeMapVisualization.css';
 import { Button } from './ui/button';
 import { Card } from './ui/card';
+import { LABEL_CATEGORIES, describeLabelHtml } from '../services/labelService';
 
 const TreeMapVisualization = ({ data, title = 'Transaction Tree Map', colorScheme = 'viridis' }) => {
   const svgRef = useRef(null);
@@ -138,6 +139,8 @@ const TreeMapVisualization = ({ data, title = 'Transaction Tree Map', colorSchem
       .attr('width', d => d.x1 - d.x0)
       .attr('height', d => d.y1 - d.y0)
       .attr('fill', d => colorScale(d.value))
+      .attr('stroke', d => d.data.label ? LABEL_CATEGORIES[d.data.label.category].color : null)
+      .attr('stroke-width', d => d.data.label ? 2 : null)
       .on('click', (event, d) => {
         // Only drill down if the node has children
         if (d.children) {
@@ -153,6 +156,7 @@ const TreeMapVisualization = ({ data, title = 'Transaction Tree Map', colorSchem
               <strong>${d.data.name}</strong><br/>
               Value: ${d.value.toLocaleString()}<br/>
               ${d.data.address ? `Address: ${d.data.address.substring(0, 10)}...` : ''}
+              ${d.data.label ? `<br/><span style="color: ${LABEL_CATEGORIES[d.data.label.category].color}">${describeLabelHtml(d.data.label)}</span>` : ''}
               ${d.data.details ? `<br/>${d.data.details}` : ''}
             </div>
           `)
@@ -183,8 +187,8 @@ const TreeMapVisualization = ({ data, title = 'Transaction Tree Map', colorSchem
         // Only show text for large enough nodes
         if (nodeWidth < 30 || nodeHeight < 20) return '';
         
-        // Truncate text if needed
-        const name = d.data.name;
+        // Truncate text if needed; labelled addresses show their label instead
+        const name = d.data.label ? d.data.label.name : d.data.name;
         const maxLen = Math.floor(nodeWidth / 8); // Estimate characters that can fit
         
         return name.length > maxLen ? name.substring(0, maxLen) + '...' : name;
@@ -199,7 +203,7 @@ const TreeMapVisualization = ({ data, title = 'Transaction Tree Map', colorSchem
     // Add title for each node
     nodes
       .append('title')
-      .text(d => `${d.data.name}: ${d.value}`);
+      .text(d => `${d.data.label ? `${d.data.label.name} (${d.data.name})` : d.data.name}: ${d.value}`);
   };
 
   const handleBreadcrumbClick = (index) => {
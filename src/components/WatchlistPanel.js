@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { getNetworkConfig } from '../services/networkConfig';
+import {
+  WATCHLIST_CONFIG,
+  getWatchlist,
+  getPollingStatus,
+  checkWatchlist,
+  unwatchSearch,
+  markWatchRead,
+  requestNotificationPermission
+} from '../services/watchlistService';
+import './WatchlistPanel.css';
+
+const formatAddress = (address) => `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+
+const getNotificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+const WatchlistPanel = ({
+  userApiKey,
+  refreshKey,
+  pollInterval,
+  onPollIntervalChange,
+  canWatchCurrent,
+  onWatchCurrent,
+  onOpenSearch,
+  onChange
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [watchlist, setWatchlist] = useState(getWatchlist());
+  const [expandedId, setExpandedId] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission());
+
+  // Reloaded after every poll and whenever the parent changes saved searches
+  useEffect(() => {
+    setWatchlist(getWatchlist());
+  }, [refreshKey]);
+
+  const pollingStatus = getPollingStatus(userApiKey);
+  const unreadCount = watchlist.reduce((sum, search) => sum + (search.watch.unread || 0), 0);
+
+  const handleCheckNow = async () => {
+    setIsChecking(true);
+    await checkWatchlist(userApiKey);
+    setIsChecking(false);
+    onChange();
+  };
+
+  const handleEnableNotifications = async () => {
+    setNotificationPermission(await requestNotificationPermission());
+  };
+
+  const handleUnwatch = (search) => {
+    unwatchSearch(search.id);
+    onChange();
+  };
+
+  const handleMarkRead = (search) => {
+    markWatchRead(search.id);
+    onChange();
+  };
+
+  const handleOpen = (search) => {
+    markWatchRead(search.id);
+    onOpenSearch(search);
+  };
+
+  return (
+    <div className="watchlist-panel">
+      <button className="watchlist-toggle" onClick={() => setIsOpen(!isOpen)}>
+        <span>
+          Watchlist: <strong>{watchlist.length} watched</strong>
+        </span>
+        {unreadCount > 0 && <span className="watchlist-unread">{unreadCount} new</span>}
+        <span>{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="watchlist-body">
+          <div className="watchlist-controls">
+            <select
+              value={pollInterval}
+              onChange={(e) => onPollIntervalChange(parseInt(e.target.value))}
+              aria-label="Polling interval"
+            >
+              {WATCHLIST_CONFIG.POLL_INTERVAL_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <Button
+              onClick={handleCheckNow}
+              variant="outline"
+              size="sm"
+              disabled={isChecking || watchlist.length === 0 || !pollingStatus.canPoll}
+            >
+              {isChecking ? 'Checking...' : 'Check Now'}
+            </Button>
+            {notificationPermission === 'default' && (
+              <Button onClick={handleEnableNotifications} variant="outline" size="sm">
+                Enable Notifications
+              </Button>
+            )}
+            {canWatchCurrent && (
+              <Button onClick={onWatchCurrent} variant="secondary" size="sm">
+                Watch Current Address
+              </Button>
+            )}
+          </div>
+
+          {!pollingStatus.canPoll && <p className="watchlist-hint">{pollingStatus.reason}</p>}
+          {notificationPermission === 'denied' && (
+            <p className="watchlist-hint">Notifications are blocked in this browser; new transfers only show up here.</p>
+          )}
+
+          {watchlist.length === 0 ? (
+            <p className="watchlist-hint">
+              No watched addresses. Search an address and watch it to be notified about its new transfers while
+              the app is open.
+            </p>
+          ) : (
+            <ul className="watchlist-list">
+              {watchlist.map(search => (
+                <li key={search.id} className="watchlist-item">
+                  <div className="watchlist-item-header">
+                    <button
+                      className="watchlist-item-name"
+                      onClick={() => setExpandedId(expandedId === search.id ? null : search.id)}
+                      title={search.address}
+                    >
+                      {formatAddress(search.address)}
+                      <span className="watchlist-network">{getNetworkConfig(search.network).label}</span>
+                      {search.watch.unread > 0 && <span className="watchlist-unread">{search.watch.unread}</span>}
+                    </button>
+                    <div className="watchlist-item-actions">
+                      <Button onClick={() => handleOpen(search)} variant="outline" size="sm">Open</Button>
+                      {search.watch.unread > 0 && (
+                        <Button onClick={() => handleMarkRead(search)} variant="outline" size="sm">Mark Read</Button>
+                      )}
+                      <Button onClick={() => handleUnwatch(search)} variant="outline" size="sm">Unwatch</Button>
+                    </div>
+                  </div>
+
+                  <div className="watchlist-item-meta">
+                    Checked up to block {search.watch.lastSeenBlock.toLocaleString()}
+                    {search.watch.lastCheckedAt && ` at ${new Date(search.watch.lastCheckedAt).toLocaleTimeString()}`}
+                  </div>
+                  {search.watch.lastError && (
+                    <div className="watchlist-error">Last check failed: {search.watch.lastError}</div>
+                  )}
+
+                  {expandedId === search.id && (
+                    search.watch.recent && search.watch.recent.length > 0 ? (
+                      <ul className="watchlist-recent">
+                        {search.watch.recent.map(tx => (
+                          <li key={`${tx.hash}-${tx.direction}`}>
+                            <span>{tx.direction === 'sent' ? 'Sent to' : 'Received from'} {tx.partner ? formatAddress(tx.partner) : 'unknown'}</span>
+                            <span>{tx.value !== null && tx.value !== undefined ? `${Number(tx.value).toFixed(4)} ` : ''}{tx.asset || ''}</span>
+                            <span>block {parseInt(tx.blockNum, 16).toLocaleString()}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="watchlist-hint">No new transfers since this address was watched.</p>
+                    )
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistPanel;
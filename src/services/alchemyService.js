@@ -1,14 +1,29 @@
 // Import the SDK dynamically to avoid chunk loading issues
 import * as alchemySdk from 'alchemy-sdk';
 import { getEffectiveApiKey, isUsingDemoAPI, incrementDemoUsage, canUseDemoAPI } from './demoService';
+import { DEFAULT_NETWORK, getNetworkConfig } from './networkConfig';
+import { PROVIDER_TYPES, registerProviderFactory, getDataProvider } from './dataProvider';
+import {
+  getCachedTransfers,
+  putCachedTransfers,
+  getCachedAddressTypes,
+  putCachedAddressType,
+  deleteSearchSnapshot
+} from './cacheService';
+import { isRecording } from './sessionRecorder';
+import { getLabelIndex, getAddressLabels } from './labelService';
+import { screenAddress } from './sanctionsService';
+import { detectAnomalies } from './anomalyService';
 
-const { Alchemy, Network } = alchemySdk;
+const { Alchemy, Network, AlchemySubscription } = alchemySdk;
 
-// Configuration will be set from environment variable
-let alchemy = null;
+// One client per network, all created with the same API key
+const clients = new Map();
+let activeNetwork = DEFAULT_NETWORK;
 let currentApiKey = null;
 
 // Initialize Alchemy SDK with API key (supports demo mode)
+// Each network gets its own client; the most recently initialized network becomes the active one
 export const initializeAlchemy = (userApiKey = null, network = Network.ETH_MAINNET) => {
   const effectiveApiKey = getEffectiveApiKey(userApiKey);
   
@@ -17,27 +32,132 @@ export const initializeAlchemy = (userApiKey = null, network = Network.ETH_MAINN
     throw new Error("Alchemy API key is required");
   }
   
+  // Clients created with a previous key are dropped
+  if (effectiveApiKey !== currentApiKey) {
+    clients.clear();
+  }
+  
   try {
-    const settings = {
-      apiKey: effectiveApiKey,
-      network: network,
-    };
+    let client = clients.get(network);
+    
+    if (!client) {
+      const settings = {
+        apiKey: effectiveApiKey,
+        network: network,
+        batchRequests: true, // Concurrent calls (e.g. getCode lookups) go out as one JSON-RPC batch
+      };
+      
+      client = new Alchemy(settings);
+      clients.set(network, client);
+    }
     
-    alchemy = new Alchemy(settings);
     currentApiKey = effectiveApiKey;
+    activeNetwork = network;
     
     console.log("Alchemy SDK initialized", {
       usingDemo: isUsingDemoAPI(effectiveApiKey),
       network: network
     });
     
-    return alchemy;
+    return client;
   } catch (error) {
     console.error("Error initializing Alchemy SDK:", error);
     throw error;
   }
 };
 
+// Get the client for a network (the active network by default), creating it with the current key if needed
+export const getAlchemyClient = (network = null) => {
+  const targetNetwork = network || activeNetwork;
+  
+  if (clients.has(targetNetwork)) {
+    return clients.get(targetNetwork);
+  }
+  
+  if (!currentApiKey) {
+    throw new Error('Alchemy SDK not initialized. Please provide API key first.');
+  }
+  
+  const client = new Alchemy({
+    apiKey: currentApiKey,
+    network: targetNetwork,
+    batchRequests: true,
+  });
+  clients.set(targetNetwork, client);
+  return client;
+};
+
+// Network of the client used when callers don't name one
+export const getActiveNetwork = () => activeNetwork;
+
+// Token transfer events watched by the live stream
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const ERC1155_TRANSFER_TOPICS = [
+  '0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62', // TransferSingle
+  '0x4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb' // TransferBatch
+];
+
+// Websocket filters for blocks with transfers of an address: transactions it sends or receives,
+// and token events naming it. Internal transfers from other senders' transactions are not seen.
+const getActivityFilters = (address) => {
+  const addressTopic = `0x${address.toLowerCase().replace(/^0x/, '').padStart(64, '0')}`;
+  return [
+    { method: AlchemySubscription.MINED_TRANSACTIONS, addresses: [{ from: address }, { to: address }] },
+    { topics: [TRANSFER_TOPIC, addressTopic] },
+    { topics: [TRANSFER_TOPIC, null, addressTopic] },
+    { topics: [ERC1155_TRANSFER_TOPICS, null, addressTopic] },
+    { topics: [ERC1155_TRANSFER_TOPICS, null, null, addressTopic] }
+  ];
+};
+
+// Data provider backed by the Alchemy client for a network; the client is looked up per call
+// so a provider created before initializeAlchemy still picks up the key
+export const createAlchemyProvider = (network) => ({
+  supportsInternalTransfers: getNetworkConfig(network).supportsInternalTransfers,
+  coversFullHistory: true,
+  getAssetTransfers: (params) => getAlchemyClient(network).core.getAssetTransfers(params),
+  getTransactionReceipt: (hash) => getAlchemyClient(network).core.getTransactionReceipt(hash),
+  getCode: (address) => getAlchemyClient(network).core.getCode(address),
+  call: (to, data) => getAlchemyClient(network).core.call({ to, data }),
+  resolveName: (name) => getAlchemyClient(network).core.resolveName(name),
+  getBlockNumber: () => getAlchemyClient(network).core.getBlockNumber(),
+  getBlock: async (blockNumber) => {
+    const block = await getAlchemyClient(network).core.getBlock(blockNumber);
+    return block ? { number: block.number, timestamp: block.timestamp } : null;
+  },
+  subscribeAddressActivity: (address, onBlock, onError = () => {}) => {
+    const client = getAlchemyClient(network);
+    // Mined transactions carry the block as hex, logs as a number
+    const listener = (event) => {
+      const blockNumber = event.transaction ? event.transaction.blockNumber : event.blockNumber;
+      if (blockNumber !== null && blockNumber !== undefined) {
+        onBlock(typeof blockNumber === 'string' ? parseInt(blockNumber, 16) : blockNumber);
+      }
+    };
+    const filters = getActivityFilters(address);
+    let subscribed = false;
+    let stopped = false;
+    
+    // ws.on swallows connection failures, so the socket is opened here first to report them
+    client.config.getWebSocketProvider()
+      .then(() => {
+        if (stopped) return;
+        filters.forEach(filter => client.ws.on(filter, listener));
+        subscribed = true;
+      })
+      .catch(error => {
+        if (!stopped) onError(error);
+      });
+    
+    return () => {
+      stopped = true;
+      if (subscribed) filters.forEach(filter => client.ws.off(filter, listener));
+    };
+  }
+});
+
+registerProviderFactory(PROVIDER_TYPES.ALCHEMY, createAlchemyProvider);
+
 // Check if demo API usage is allowed
 export const checkDemoUsage = (userProvidedKey = null) => {
   // If user provided their own API key, don't check demo limits
@@ -62,48 +182,258 @@ export const checkDemoUsage = (userProvidedKey = null) => {
   return null;
 };
 
+// Whether searches made with this key count against the demo quota
+export const usesDemoQuota = (userProvidedKey = null) =>
+  !(userProvidedKey && userProvidedKey.trim()) && isUsingDemoAPI(currentApiKey);
+
+// Transfer categories fetched for every address
+export const TRANSFER_CATEGORIES = ["external", "internal", "erc20", "erc721", "erc1155"];
+
+// Internal transfers are only indexed on some networks (and nodes); asking for them elsewhere fails the request
+const getTransferCategories = (provider) => provider.supportsInternalTransfers
+  ? TRANSFER_CATEGORIES
+  : TRANSFER_CATEGORIES.filter(category => category !== 'internal');
+
+// Key used for the chain's native currency in per-asset partner totals
+export const NATIVE_ASSET_KEY = 'native';
+
+// Pagination settings for getAssetTransfers
+export const PAGINATION_CONFIG = {
+  PAGE_SIZE: 1000, // Alchemy's maximum maxCount per request
+  DEFAULT_MAX_TRANSFERS: 10000, // Default ceiling per direction
+  MAX_TRANSFER_OPTIONS: [1000, 5000, 10000, 25000, 50000]
+};
+
+// Follow pageKey until the history is exhausted or the ceiling is reached
+const fetchPaginatedTransfers = async (provider, params, direction, maxTransfers, onProgress) => {
+  const transfers = [];
+  let pageKey = null;
+  let pages = 0;
+  
+  do {
+    const remaining = maxTransfers - transfers.length;
+    const response = await provider.getAssetTransfers({
+      ...params,
+      maxCount: Math.min(PAGINATION_CONFIG.PAGE_SIZE, remaining),
+      ...(pageKey ? { pageKey } : {})
+    });
+    
+    transfers.push(...(response.transfers || []));
+    pageKey = response.pageKey || null;
+    pages += 1;
+    
+    if (onProgress) {
+      onProgress({
+        direction,
+        fetched: transfers.length,
+        pages,
+        maxTransfers,
+        hasMore: !!pageKey
+      });
+    }
+  } while (pageKey && transfers.length < maxTransfers);
+  
+  return {
+    transfers,
+    // A remaining pageKey means the ceiling cut the history short
+    truncated: !!pageKey
+  };
+};
+
+// Block number of a transfer
+const getTransferBlock = (tx) => parseInt(tx.blockNum, 16);
+
+// getAssetTransfers takes hex block tags; the time filter passes decimal block numbers
+const toBlockTag = (block) => /^\d+$/.test(String(block).trim())
+  ? `0x${parseInt(block, 10).toString(16)}`
+  : block;
+
+// Serve one direction entirely from the cache, limited to the requested range
+const readCachedDirection = (cached, range, direction, maxTransfers, onProgress) => {
+  const transfers = cached.transfers.filter(tx => {
+    const block = getTransferBlock(tx);
+    return block >= range.startBlock && (range.endBlock === null || block <= range.endBlock);
+  });
+  
+  if (onProgress) {
+    onProgress({ direction, fetched: Math.min(transfers.length, maxTransfers), pages: 0, maxTransfers, hasMore: false });
+  }
+  
+  return {
+    transfers: transfers.slice(0, maxTransfers),
+    truncated: transfers.length > maxTransfers,
+    cache: 'hit'
+  };
+};
+
+// Fetch one direction, only asking for blocks after the cached range when the cache reaches
+// back to the requested start, and extend the cache with what was fetched
+const fetchDirection = async ({ provider, network, cacheSource, address, direction, params, range, cached, cacheEnabled, maxTransfers, onProgress }) => {
+  const extendsCache = !!cached && range.startBlock <= cached.coveredToBlock + 1;
+  const fetchFrom = extendsCache ? cached.coveredToBlock + 1 : range.startBlock;
+  
+  // The head is read before fetching so the covered range never claims blocks the query missed
+  let head = null;
+  if (cacheEnabled && range.endBlock === null) {
+    try {
+      head = await provider.getBlockNumber();
+    } catch (error) {
+      console.warn('Could not read the latest block; transfers will not be cached:', error);
+    }
+  }
+  
+  const result = await fetchPaginatedTransfers(provider, {
+    ...params,
+    ...(fetchFrom > 0 ? { fromBlock: `0x${fetchFrom.toString(16)}` } : {})
+  }, direction, maxTransfers, onProgress);
+  
+  const cachedInRange = extendsCache
+    ? cached.transfers.filter(tx => getTransferBlock(tx) >= range.startBlock)
+    : [];
+  const transfers = [...cachedInRange, ...result.transfers];
+  
+  // Only histories that are complete from genesis can be extended later
+  const coveredToBlock = range.endBlock !== null ? range.endBlock : head;
+  if (cacheEnabled && coveredToBlock !== null && (extendsCache || range.startBlock === 0)) {
+    // A truncated fetch may have stopped partway through its last block, so that block is left out
+    const lastFetchedBlock = result.transfers.length > 0
+      ? getTransferBlock(result.transfers[result.transfers.length - 1])
+      : coveredToBlock;
+    const cacheTo = result.truncated ? lastFetchedBlock - 1 : coveredToBlock;
+    
+    await putCachedTransfers(network, cacheSource, address, direction, [
+      ...(extendsCache ? cached.transfers : []),
+      ...result.transfers.filter(tx => getTransferBlock(tx) <= cacheTo)
+    ], cacheTo);
+  }
+  
+  return {
+    transfers: transfers.slice(0, maxTransfers),
+    truncated: result.truncated || transfers.length > maxTransfers,
+    cache: extendsCache ? 'partial' : 'miss'
+  };
+};
+
 // Get transactions for a specific address with optional time range
-export const getAddressTransactions = async (address, startTime = null, endTime = null, userApiKey = null) => {
-  if (!alchemy) {
-    throw new Error('Alchemy SDK not initialized. Please provide API key first.');
+// options.maxTransfers caps the number of transfers fetched per direction,
+// options.onProgress is called after every page with the running count,
+// options.directions limits the fetch to 'sent' and/or 'received' transfers,
+// options.order ('asc' or 'desc') picks which end of the history a capped fetch keeps,
+// options.network queries a network other than the active one,
+// options.preferCache serves cached history without checking for newer blocks,
+// options.useCache: false bypasses the transfer cache,
+// options.includeZeroValue also fetches zero-value transfers, as used in address poisoning
+export const getAddressTransactions = async (address, startTime = null, endTime = null, userApiKey = null, options = {}) => {
+  const network = options.network || activeNetwork;
+  const provider = getDataProvider(network);
+  
+  const maxTransfers = options.maxTransfers || PAGINATION_CONFIG.DEFAULT_MAX_TRANSFERS;
+  const onProgress = options.onProgress || null;
+  const directions = options.directions || ['sent', 'received'];
+  
+  // Fixtures are already offline, a recording needs the live responses,
+  // sources that only index recent blocks (JSON-RPC scan mode) and newest-first fetches
+  // don't cover a range from genesis, and the cache only holds histories without zero-value transfers
+  const cacheEnabled = options.useCache !== false &&
+    provider.type !== PROVIDER_TYPES.FIXTURE &&
+    !!provider.coversFullHistory &&
+    !isRecording() &&
+    options.order !== 'desc' &&
+    !options.includeZeroValue;
+  const range = {
+    startBlock: startTime ? parseInt(startTime) : 0,
+    endBlock: endTime ? parseInt(endTime) : null
+  };
+  
+  // Histories are cached per data source and category set
+  const cacheSource = { providerType: provider.type, categories: getTransferCategories(provider) };
+  const cachedEntries = {};
+  for (const direction of directions) {
+    cachedEntries[direction] = cacheEnabled ? await getCachedTransfers(network, cacheSource, address, direction) : null;
   }
   
-  // Check demo usage limits (skip if user provided their own key)
-  checkDemoUsage(userApiKey);
+  const isServedFromCache = (direction) => {
+    const cached = cachedEntries[direction];
+    return !!cached && (options.preferCache || (range.endBlock !== null && range.endBlock <= cached.coveredToBlock));
+  };
+  
+  // Check demo usage limits (skip if user provided their own key, another data source,
+  // or when the cache answers everything)
+  if (provider.type === PROVIDER_TYPES.ALCHEMY && !directions.every(isServedFromCache)) {
+    checkDemoUsage(userApiKey);
+  }
   
   try {
     // Base query params
     const baseParams = {
-      category: ["external"],
-      excludeZeroValue: true,
+      category: cacheSource.categories,
+      excludeZeroValue: !options.includeZeroValue,
       withMetadata: true, // Ensure we get block timestamps for the timeline
-      maxCount: 1000, // Get more transactions for better analysis
     };
     
+    if (options.order) {
+      baseParams.order = options.order;
+    }
+    
     // Add time range filters if provided
     if (startTime) {
-      baseParams.fromBlock = startTime; // Can be a block number or timestamp
+      baseParams.fromBlock = toBlockTag(startTime);
     }
     
     if (endTime) {
-      baseParams.toBlock = endTime; // Can be a block number or timestamp
+      baseParams.toBlock = toBlockTag(endTime);
     }
     
+    const emptyResult = { transfers: [], truncated: false, cache: null };
+    
+    const getDirection = (direction, addressParams) => {
+      if (!directions.includes(direction)) {
+        return emptyResult;
+      }
+      if (isServedFromCache(direction)) {
+        return readCachedDirection(cachedEntries[direction], range, direction, maxTransfers, onProgress);
+      }
+      return fetchDirection({
+        provider,
+        network,
+        cacheSource,
+        address,
+        direction,
+        params: { ...baseParams, ...addressParams },
+        range,
+        cached: cachedEntries[direction],
+        cacheEnabled,
+        maxTransfers,
+        onProgress
+      });
+    };
+    
     // Get outgoing transactions
-    const data = await alchemy.core.getAssetTransfers({
-      ...baseParams,
-      fromAddress: address,
-    });
+    const sentResult = await getDirection('sent', { fromAddress: address });
     
     // Get incoming transactions
-    const receivedData = await alchemy.core.getAssetTransfers({
-      ...baseParams,
-      toAddress: address,
-    });
+    const receivedResult = await getDirection('received', { toAddress: address });
+    
+    const truncated = sentResult.truncated || receivedResult.truncated;
+    
+    if (truncated) {
+      console.warn(`Transfer history for ${address} truncated at ${maxTransfers} transfers per direction`);
+    }
     
     return {
-      sent: data.transfers,
-      received: receivedData.transfers
+      sent: sentResult.transfers,
+      received: receivedResult.transfers,
+      truncated,
+      truncatedAt: truncated ? maxTransfers : null,
+      includesZeroValue: !!options.includeZeroValue,
+      truncation: {
+        sent: sentResult.truncated,
+        received: receivedResult.truncated
+      },
+      cache: {
+        sent: sentResult.cache,
+        received: receivedResult.cache
+      }
     };
   } catch (error) {
     console.error('Error fetching transactions:', error);
@@ -135,7 +465,26 @@ export const saveAddressAnnotation = (address, annotation) => {
   }
 };
 
+// Saved time filters match when every field of the form matches
+const TIME_FILTER_FIELDS = ['startBlock', 'endBlock', 'preset', 'year', 'startDate', 'endDate'];
+
+const isSameTimeFilter = (a, b) => {
+  if (!a || !b) return !a && !b;
+  return (a.mode || 'blocks') === (b.mode || 'blocks') &&
+    TIME_FILTER_FIELDS.every(field => (a[field] || '') === (b[field] || ''));
+};
+
+const isSameSearch = (search, address, network, timeFilter) =>
+  search.address.toLowerCase() === address.toLowerCase() &&
+  (search.network || DEFAULT_NETWORK) === network &&
+  isSameTimeFilter(search.timeFilter, timeFilter);
+
+// Find the saved search for an address, network and saved time filter
+export const findSavedSearch = (address, network = DEFAULT_NETWORK, timeFilter = null) =>
+  getSavedSearches().find(search => isSameSearch(search, address, network, timeFilter)) || null;
+
 // Save a search to localStorage with extended information
+// Returns the saved entry, or false when it could not be saved
 export const saveSearch = (address, searchName = '', options = {}) => {
   try {
     const savedSearches = getSavedSearches();
@@ -145,27 +494,29 @@ export const saveSearch = (address, searchName = '', options = {}) => {
     const name = searchName || `Search on ${new Date().toLocaleString()}`;
     
     // Check if this address already exists in saved searches
+    const network = options.network || DEFAULT_NETWORK;
     const existingSearchIndex = savedSearches.findIndex(search => 
-      search.address.toLowerCase() === address.toLowerCase() && 
-      search.timeFilter?.startBlock === options.timeFilter?.startBlock &&
-      search.timeFilter?.endBlock === options.timeFilter?.endBlock
+      isSameSearch(search, address, network, options.timeFilter || null)
     );
     
     const searchData = {
       id: Date.now(),  // Unique identifier
       name: name,
       address: address,
+      network: network,
       date: currentDate,
       timeFilter: options.timeFilter || null,
       visualizationMode: options.visualizationMode || 'standard',
       notes: options.notes || '',
       tags: options.tags || [],
-      lastResults: options.lastResults || null
+      lastResults: options.lastResults || null,
+      watch: null
     };
     
     if (existingSearchIndex >= 0) {
       // Update existing search
       searchData.id = savedSearches[existingSearchIndex].id; // Preserve original ID
+      searchData.watch = savedSearches[existingSearchIndex].watch || null; // Re-running a search keeps it watched
       savedSearches[existingSearchIndex] = searchData;
     } else {
       // Add new search
@@ -175,8 +526,13 @@ export const saveSearch = (address, searchName = '', options = {}) => {
     // Keep only the most recent 30 searches
     const limitedSearches = savedSearches.slice(-30);
     
+    // Partner snapshots of dropped searches go with them
+    savedSearches
+      .filter(search => !limitedSearches.includes(search))
+      .forEach(search => deleteSearchSnapshot(search.id));
+    
     localStorage.setItem('savedSearches', JSON.stringify(limitedSearches));
-    return true;
+    return searchData;
   } catch (error) {
     console.error('Error saving search:', error);
     return false;
@@ -240,6 +596,7 @@ export const deleteSavedSearch = (searchId) => {
     const savedSearches = getSavedSearches();
     const updatedSearches = savedSearches.filter(search => search.id !== searchId);
     localStorage.setItem('savedSearches', JSON.stringify(updatedSearches));
+    deleteSearchSnapshot(searchId);
     return true;
   } catch (error) {
     console.error('Error deleting saved search:', error);
@@ -305,6 +662,24 @@ export const updateSearchNotes = (searchId, notes) => {
   }
 };
 
+// Update the watchlist state of a saved search; returns the merged state, or false
+export const updateSearchWatch = (searchId, changes) => {
+  try {
+    const savedSearches = getSavedSearches();
+    const searchIndex = savedSearches.findIndex(search => search.id === searchId);
+    
+    if (searchIndex === -1) return false;
+    
+    const watch = { ...savedSearches[searchIndex].watch, ...changes };
+    savedSearches[searchIndex].watch = watch;
+    localStorage.setItem('savedSearches', JSON.stringify(savedSearches));
+    return watch;
+  } catch (error) {
+    console.error('Error updating search watch:', error);
+    return false;
+  }
+};
+
 // Get all unique tags from saved searches
 export const getAllSearchTags = () => {
   try {
@@ -324,100 +699,188 @@ export const getAllSearchTags = () => {
   }
 };
 
-// Detect anomalies in transactions
-export const detectAnomalies = (transactions, partner) => {
-  const anomalies = {
-    largeTransfers: [],
-    unusualFrequency: false,
-    irregularPattern: false,
-    hasAnomalies: false
+// Check whether a transfer moved the native currency (ETH) rather than a token
+export const isNativeTransfer = (tx) => {
+  return !tx.category || tx.category === 'external' || tx.category === 'internal';
+};
+
+// Get the per-asset key of a transfer: the token contract address, or NATIVE_ASSET_KEY
+export const getAssetKey = (tx) => {
+  if (isNativeTransfer(tx)) {
+    return NATIVE_ASSET_KEY;
+  }
+  return (tx.rawContract?.address || tx.contractAddress || 'unknown').toLowerCase();
+};
+
+// Get the amount moved by a transfer in the units of its asset
+// (decimal-adjusted for ERC-20, token count for ERC-721/ERC-1155)
+export const getTransferAmount = (tx) => {
+  if (tx.category === 'erc721') {
+    return 1;
+  }
+  
+  if (tx.category === 'erc1155') {
+    return (tx.erc1155Metadata || []).reduce((sum, token) => sum + (parseInt(token.value, 16) || 0), 0);
+  }
+  
+  if (tx.value !== null && tx.value !== undefined) {
+    return parseFloat(tx.value) || 0;
+  }
+  
+  // Fall back to the raw hex value when Alchemy could not apply decimals
+  if (tx.rawContract?.value) {
+    const decimals = tx.rawContract.decimal ? parseInt(tx.rawContract.decimal, 16) : 18;
+    return parseInt(tx.rawContract.value, 16) / Math.pow(10, decimals);
+  }
+  
+  return 0;
+};
+
+// Filter a { sent, received } transaction object down to native-currency transfers,
+// for analyses that value every transfer in ETH
+export const getNativeTransfers = (transactions) => {
+  if (!transactions) return transactions;
+  
+  return {
+    ...transactions,
+    sent: (transactions.sent || []).filter(isNativeTransfer),
+    received: (transactions.received || []).filter(isNativeTransfer)
   };
+};
+
+// Get a partner's per-asset breakdown, native currency first, then by transfer count
+export const getPartnerAssetBreakdown = (partner) => {
+  return Object.values(partner.assets || {}).sort((a, b) => {
+    if (a.key === NATIVE_ASSET_KEY) return -1;
+    if (b.key === NATIVE_ASSET_KEY) return 1;
+    return (b.sentCount + b.receivedCount) - (a.sentCount + a.receivedCount);
+  });
+};
+
+// Create an empty transfer partner entry
+const createPartnerEntry = (partnerAddress, annotations, labelIndex) => ({
+  address: partnerAddress,
+  totalSent: 0, // Native currency only, see assets for tokens
+  totalReceived: 0,
+  assets: {},
+  transactions: [],
+  annotation: annotations[partnerAddress] || '',
+  lookalikes: [], // Addresses of partners that imitate this one, see flagLookalikePartners
+  labels: getAddressLabels(partnerAddress, labelIndex),
+  sanctionsMatches: screenAddress(partnerAddress)
+});
+
+// Add a transfer to the partner's totals and transaction list
+const addTransferToPartner = (partner, tx, direction) => {
+  const assetKey = getAssetKey(tx);
+  const amount = getTransferAmount(tx);
   
-  if (!transactions || transactions.length === 0) {
-    return anomalies;
-  }
-  
-  // Calculate statistics for anomaly detection
-  let values = transactions.map(tx => parseFloat(tx.value));
-  let timestamps = transactions
-    .filter(tx => tx.timestamp)
-    .map(tx => new Date(tx.timestamp).getTime());
-  
-  // Sort for calculations
-  values.sort((a, b) => a - b);
-  timestamps.sort((a, b) => a - b);
-  
-  // Calculate mean and standard deviation for transaction values
-  const sum = values.reduce((a, b) => a + b, 0);
-  const mean = sum / values.length;
-  const squareDiffs = values.map(value => Math.pow(value - mean, 2));
-  const variance = squareDiffs.reduce((a, b) => a + b, 0) / values.length;
-  const stdDev = Math.sqrt(variance);
-  
-  // Find large transfers (more than 2 standard deviations from the mean)
-  // Only if we have enough data points and non-zero std deviation
-  if (values.length >= 3 && stdDev > 0) {
-    // Flag values more than 2 standard deviations above the mean as anomalies
-    const threshold = mean + (2 * stdDev);
-    
-    // Tag transactions that exceed the threshold
-    transactions.forEach(tx => {
-      const value = parseFloat(tx.value);
-      if (value > threshold) {
-        anomalies.largeTransfers.push({
-          txHash: tx.hash,
-          value: value,
-          ratio: (value - mean) / stdDev // How many std deviations from mean
-        });
-      }
-    });
+  if (!partner.assets[assetKey]) {
+    partner.assets[assetKey] = {
+      key: assetKey,
+      contractAddress: assetKey === NATIVE_ASSET_KEY ? null : assetKey,
+      symbol: tx.asset || null,
+      category: assetKey === NATIVE_ASSET_KEY ? 'native' : tx.category,
+      totalSent: 0,
+      totalReceived: 0,
+      sentCount: 0,
+      receivedCount: 0
+    };
   }
   
-  // Check for unusual frequency patterns if we have timestamp data
-  if (timestamps.length >= 3) {
-    // Calculate time intervals between transactions
-    const intervals = [];
-    for (let i = 1; i < timestamps.length; i++) {
-      intervals.push(timestamps[i] - timestamps[i-1]);
-    }
-    
-    // Calculate mean and standard deviation for intervals
-    const intervalSum = intervals.reduce((a, b) => a + b, 0);
-    const intervalMean = intervalSum / intervals.length;
-    
-    // Check for highly irregular intervals
-    const intervalSquareDiffs = intervals.map(interval => Math.pow(interval - intervalMean, 2));
-    const intervalVariance = intervalSquareDiffs.reduce((a, b) => a + b, 0) / intervals.length;
-    const intervalStdDev = Math.sqrt(intervalVariance);
-    
-    // Coefficient of variation (CV) - high values indicate irregular patterns
-    const intervalCV = intervalStdDev / intervalMean;
-    
-    // If CV is high, this suggests irregular transaction timing
-    if (intervalCV > 1.5) {
-      anomalies.unusualFrequency = true;
-    }
-    
-    // Check for unusual patterns like many small transactions followed by one large one
-    // This could indicate a potential "build up and cash out" pattern
-    const lastFewValues = values.slice(-3);
-    if (lastFewValues.length > 0) {
-      const lastValue = lastFewValues[lastFewValues.length - 1];
-      const prevAvg = values.slice(0, -1).reduce((a, b) => a + b, 0) / (values.length - 1);
-      
-      if (lastValue > prevAvg * 5 && values.length >= 4) {
-        anomalies.irregularPattern = true;
-      }
+  const asset = partner.assets[assetKey];
+  if (!asset.symbol && tx.asset) {
+    asset.symbol = tx.asset;
+  }
+  
+  if (direction === 'sent') {
+    asset.totalSent += amount;
+    asset.sentCount += 1;
+  } else {
+    asset.totalReceived += amount;
+    asset.receivedCount += 1;
+  }
+  
+  // Keep the single totals in native currency so they stay comparable
+  if (assetKey === NATIVE_ASSET_KEY) {
+    if (direction === 'sent') {
+      partner.totalSent += amount;
+    } else {
+      partner.totalReceived += amount;
     }
   }
   
-  // Determine if this partner has any anomalies
-  anomalies.hasAnomalies = 
-    anomalies.largeTransfers.length > 0 || 
-    anomalies.unusualFrequency || 
-    anomalies.irregularPattern;
+  // Add transaction to the list
+  partner.transactions.push({
+    hash: tx.hash,
+    blockNum: tx.blockNum,
+    value: amount,
+    asset: tx.asset,
+    category: tx.category,
+    assetKey,
+    tokenId: tx.tokenId || tx.erc721TokenId || null,
+    direction,
+    timestamp: tx.metadata?.blockTimestamp
+  });
+};
+
+// Address poisoning: lookalike addresses copy the characters wallets show of a real counterparty
+export const LOOKALIKE_CONFIG = {
+  PREFIX_LENGTH: 4, // Hex characters after 0x that must match
+  SUFFIX_LENGTH: 4, // Trailing hex characters that must match
+  DUST_THRESHOLD: 0.001 // Transfers at or below this amount (of their asset) count as dust
+};
+
+// NFT amounts are token counts, and a transfer without a known value is not evidence of dust
+const isDustTransfer = (tx) =>
+  tx.category !== 'erc721' &&
+  tx.category !== 'erc1155' &&
+  Number.isFinite(tx.value) &&
+  tx.value <= LOOKALIKE_CONFIG.DUST_THRESHOLD;
+
+// Flag partners whose address shares its leading and trailing characters with another partner's.
+// Poisoning transfers follow a real one, so the address seen first is taken as the real counterparty.
+const flagLookalikePartners = (partners) => {
+  const groups = new Map();
+  partners.forEach(partner => {
+    const hex = partner.address.toLowerCase().slice(2);
+    const key = `${hex.slice(0, LOOKALIKE_CONFIG.PREFIX_LENGTH)}:${hex.slice(-LOOKALIKE_CONFIG.SUFFIX_LENGTH)}`;
+    groups.set(key, [...(groups.get(key) || []), partner]);
+  });
+  
+  const firstBlock = (partner) => Math.min(...partner.transactions.map(tx => getTransferBlock(tx)));
   
-  return anomalies;
+  groups.forEach(group => {
+    if (group.length < 2) return;
+    
+    const [real, ...lookalikes] = [...group].sort((a, b) =>
+      (firstBlock(a) - firstBlock(b)) || (b.transactions.length - a.transactions.length)
+    );
+    real.lookalikes = lookalikes.map(partner => partner.address);
+    lookalikes.forEach(partner => {
+      partner.anomalies.lookalike = {
+        of: real.address,
+        dustTransfers: partner.transactions.filter(isDustTransfer).length
+      };
+      partner.anomalies.hasAnomalies = true;
+      partner.anomalies.explanations = [
+        ...(partner.anomalies.explanations || []),
+        {
+          flag: 'lookalike',
+          text: `Shares its first ${LOOKALIKE_CONFIG.PREFIX_LENGTH} and last ${LOOKALIKE_CONFIG.SUFFIX_LENGTH} characters with ${real.address}, which was active first`
+        }
+      ];
+    });
+  });
+};
+
+// Flag anomalies of every partner, from its native transfers
+const flagPartnerAnomalies = (partners, settings) => {
+  partners.forEach(partner => {
+    const nativeTransactions = partner.transactions.filter(tx => tx.assetKey === NATIVE_ASSET_KEY);
+    partner.anomalies = detectAnomalies(nativeTransactions, settings);
+  });
+  flagLookalikePartners(partners);
 };
 
 // Process transactions to find unique EOAs that interacted with the address
@@ -425,73 +888,128 @@ export const processTransferPartners = (transactions) => {
   const { sent, received } = transactions;
   const transferPartners = {};
   const annotations = getSavedAnnotations();
+  const labelIndex = getLabelIndex();
   
   // Process outgoing transactions
   sent.forEach(tx => {
     const partnerAddress = tx.to;
+    if (!partnerAddress) return; // Contract creations have no recipient
     
-    // Skip if the address is a contract (we don't have a direct way to check here)
-    // Initialize or update the partner entry
+    // Initialize or update the partner entry (EOA/contract tagging happens in classifyTransferPartners)
     if (!transferPartners[partnerAddress]) {
-      transferPartners[partnerAddress] = {
-        address: partnerAddress,
-        totalSent: 0,
-        totalReceived: 0,
-        transactions: [],
-        annotation: annotations[partnerAddress] || ''
-      };
+      transferPartners[partnerAddress] = createPartnerEntry(partnerAddress, annotations, labelIndex);
     }
     
-    // Add sent value
-    transferPartners[partnerAddress].totalSent += parseFloat(tx.value);
-    
-    // Add transaction to the list
-    transferPartners[partnerAddress].transactions.push({
-      hash: tx.hash,
-      blockNum: tx.blockNum,
-      value: tx.value,
-      asset: tx.asset,
-      direction: 'sent',
-      timestamp: tx.metadata?.blockTimestamp
-    });
+    addTransferToPartner(transferPartners[partnerAddress], tx, 'sent');
   });
   
   // Process incoming transactions
   received.forEach(tx => {
     const partnerAddress = tx.from;
+    if (!partnerAddress) return;
     
-    // Skip if the address is a contract (we don't have a direct way to check here)
-    // Initialize or update the partner entry
+    // Initialize or update the partner entry (EOA/contract tagging happens in classifyTransferPartners)
     if (!transferPartners[partnerAddress]) {
-      transferPartners[partnerAddress] = {
-        address: partnerAddress,
-        totalSent: 0,
-        totalReceived: 0,
-        transactions: [],
-        annotation: annotations[partnerAddress] || ''
-      };
+      transferPartners[partnerAddress] = createPartnerEntry(partnerAddress, annotations, labelIndex);
     }
     
-    // Add received value
-    transferPartners[partnerAddress].totalReceived += parseFloat(tx.value);
-    
-    // Add transaction to the list
-    transferPartners[partnerAddress].transactions.push({
-      hash: tx.hash,
-      blockNum: tx.blockNum,
-      value: tx.value,
-      asset: tx.asset,
-      direction: 'received',
-      timestamp: tx.metadata?.blockTimestamp
-    });
+    addTransferToPartner(transferPartners[partnerAddress], tx, 'received');
   });
   
   // Detect anomalies for each partner
-  Object.values(transferPartners).forEach(partner => {
-    partner.anomalies = detectAnomalies(partner.transactions, partner);
-  });
+  // Values are only comparable within one asset, so anomalies use native transfers
+  flagPartnerAnomalies(Object.values(transferPartners));
   
   // Convert to array and sort by total value (sent + received)
   return Object.values(transferPartners)
-    .sort((a, b) => (b.totalSent + b.totalReceived) - (a.totalSent + a.totalReceived));
-};
\ No newline at end of file
+    .sort((a, b) => 
+      ((b.totalSent + b.totalReceived) - (a.totalSent + a.totalReceived)) ||
+      (b.transactions.length - a.transactions.length) // Token-only partners by activity
+    );
+};
+
+/**
+ * Re-run anomaly detection on partners, after the anomaly settings changed
+ * @param {Array} partners - Output of processTransferPartners
+ * @param {Object} settings - Anomaly settings, the stored ones by default
+ * @returns {Array} New partner objects with up-to-date anomalies
+ */
+export const applyAnomalySettings = (partners, settings) => {
+  const updated = partners.map(partner => ({ ...partner, lookalikes: [] }));
+  flagPartnerAnomalies(updated, settings);
+  return updated;
+};
+
+// Address types assigned by classifyTransferPartners
+export const ADDRESS_TYPES = {
+  EOA: 'eoa',
+  CONTRACT: 'contract',
+  UNKNOWN: 'unknown'
+};
+
+// Number of getCode calls sent together in one JSON-RPC batch
+const ADDRESS_TYPE_BATCH_SIZE = 50;
+
+// Contracts stay contracts, but code can still be deployed to an EOA address (CREATE2
+// counterfactual wallets), so EOA lookups are only trusted for a day
+const EOA_TYPE_TTL = 24 * 60 * 60 * 1000;
+
+// Lookups are cached per network as { type, storedAt }, for the session here and across
+// sessions in IndexedDB
+const addressTypeCache = new Map();
+
+const isAddressTypeFresh = (entry) =>
+  !!entry && (entry.type === ADDRESS_TYPES.CONTRACT || Date.now() - entry.storedAt < EOA_TYPE_TTL);
+
+// Look up whether each address is an EOA or a contract using batched getCode calls
+export const getAddressTypes = async (addresses, network = null) => {
+  const targetNetwork = network || activeNetwork;
+  const provider = getDataProvider(targetNetwork);
+  const cacheKey = address => `${targetNetwork}:${address}`;
+  
+  const uniqueAddresses = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+  const isCached = address => isAddressTypeFresh(addressTypeCache.get(cacheKey(address)));
+  const missingAddresses = uniqueAddresses.filter(address => !isCached(address));
+  const storedTypes = await getCachedAddressTypes(targetNetwork, missingAddresses);
+  storedTypes.forEach((entry, address) => {
+    if (isAddressTypeFresh(entry)) {
+      addressTypeCache.set(cacheKey(address), entry);
+    }
+  });
+  const uncachedAddresses = missingAddresses.filter(address => !isCached(address));
+  
+  for (let i = 0; i < uncachedAddresses.length; i += ADDRESS_TYPE_BATCH_SIZE) {
+    const batch = uncachedAddresses.slice(i, i + ADDRESS_TYPE_BATCH_SIZE);
+    const results = await Promise.allSettled(batch.map(address => provider.getCode(address)));
+    
+    results.forEach((result, index) => {
+      if (result.status !== 'fulfilled') {
+        console.warn(`Error fetching code for ${batch[index]}:`, result.reason);
+        return; // Left uncached so the next lookup retries it
+      }
+      
+      const code = result.value;
+      // EIP-7702 delegation designators (0xef0100...) still belong to an EOA
+      const isContract = code && code !== '0x' && !code.toLowerCase().startsWith('0xef0100');
+      const type = isContract ? ADDRESS_TYPES.CONTRACT : ADDRESS_TYPES.EOA;
+      addressTypeCache.set(cacheKey(batch[index]), { type, storedAt: Date.now() });
+      putCachedAddressType(targetNetwork, batch[index], type);
+    });
+  }
+  
+  return uniqueAddresses.reduce((types, address) => {
+    const entry = addressTypeCache.get(cacheKey(address));
+    types[address] = entry ? entry.type : ADDRESS_TYPES.UNKNOWN;
+    return types;
+  }, {});
+};
+
+// Tag every transfer partner as 'eoa', 'contract' or 'unknown'
+export const classifyTransferPartners = async (partners, network = null) => {
+  const addressTypes = await getAddressTypes(partners.map(partner => partner.address), network);
+  
+  return partners.map(partner => ({
+    ...partner,
+    addressType: addressTypes[partner.address.toLowerCase()] || ADDRESS_TYPES.UNKNOWN
+  }));
+};
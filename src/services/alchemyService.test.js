@@ -0,0 +1,141 @@
+import { getAddressTransactions, getAddressTypes, processTransferPartners } from './alchemyService';
+import { registerProviderFactory, setDataSource } from './dataProvider';
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const REAL = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+// Same first 4 and last 4 hex characters as REAL
+const LOOKALIKE = '0xa0b800000000000000000000000000000000eb48';
+const OTHER = '0xdac17f958d2ee523a2206206994597c13d831ec7';
+
+const transfer = (block, from, to, value) => ({
+  hash: `0x${block.toString(16).padStart(64, '0')}`,
+  blockNum: `0x${block.toString(16)}`,
+  from,
+  to,
+  value,
+  asset: 'ETH',
+  category: 'external'
+});
+
+const byAddress = (partners) => Object.fromEntries(partners.map(partner => [partner.address, partner]));
+
+describe('lookalike partners', () => {
+  test('flags a later dust sender that imitates a real counterparty', () => {
+    const partners = byAddress(processTransferPartners({
+      sent: [transfer(100, ADDRESS, REAL, 2), transfer(300, ADDRESS, REAL, 1)],
+      received: [transfer(200, LOOKALIKE, ADDRESS, 0)]
+    }));
+
+    expect(partners[REAL].lookalikes).toEqual([LOOKALIKE]);
+    expect(partners[REAL].anomalies.lookalike).toBeUndefined();
+    expect(partners[LOOKALIKE].anomalies.lookalike).toEqual({ of: REAL, dustTransfers: 1 });
+    expect(partners[LOOKALIKE].anomalies.hasAnomalies).toBe(true);
+    expect(partners[LOOKALIKE].anomalies.explanations.map(explanation => explanation.flag)).toContain('lookalike');
+  });
+
+  test('does not flag partners whose addresses only differ', () => {
+    const partners = byAddress(processTransferPartners({
+      sent: [transfer(100, ADDRESS, REAL, 2)],
+      received: [transfer(200, OTHER, ADDRESS, 0)]
+    }));
+
+    expect(partners[REAL].lookalikes).toEqual([]);
+    expect(partners[OTHER].lookalikes).toEqual([]);
+    expect(partners[REAL].anomalies.lookalike).toBeUndefined();
+    expect(partners[OTHER].anomalies.lookalike).toBeUndefined();
+  });
+});
+
+describe('getAddressTransactions paging', () => {
+  const HISTORY = [1, 2, 3, 4, 5, 6, 7].map(block => transfer(block, ADDRESS, OTHER, block));
+  const PAGE_SIZE = 2;
+  let requests;
+
+  beforeAll(() => {
+    // Serves the history two transfers at a time, with the offset as pageKey
+    registerProviderFactory('stub', () => ({
+      getAssetTransfers: async (params) => {
+        requests.push(params);
+        const offset = params.pageKey ? Number(params.pageKey) : 0;
+        const end = offset + Math.min(PAGE_SIZE, params.maxCount);
+        return {
+          transfers: HISTORY.slice(offset, end),
+          pageKey: end < HISTORY.length ? String(end) : undefined
+        };
+      }
+    }));
+    setDataSource('stub');
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  test('follows pageKey to the end of the history', async () => {
+    const result = await getAddressTransactions(ADDRESS, null, null, null, { directions: ['sent'], maxTransfers: 10 });
+
+    expect(result.sent.map(tx => tx.value)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(requests.map(params => params.pageKey)).toEqual([undefined, '2', '4', '6']);
+    expect(result.truncated).toBe(false);
+    expect(result.truncatedAt).toBeNull();
+  });
+
+  test('stops at maxTransfers and reports the history as truncated', async () => {
+    const result = await getAddressTransactions(ADDRESS, null, null, null, { directions: ['sent'], maxTransfers: 5 });
+
+    expect(result.sent).toHaveLength(5);
+    // The last page only asks for what is left under the ceiling
+    expect(requests.map(params => params.maxCount)).toEqual([5, 3, 1]);
+    expect(result.truncated).toBe(true);
+    expect(result.truncatedAt).toBe(5);
+    expect(result.truncation).toEqual({ sent: true, received: false });
+  });
+
+  test('is not truncated when the ceiling is exactly the history length', async () => {
+    const result = await getAddressTransactions(ADDRESS, null, null, null, { directions: ['sent'], maxTransfers: 7 });
+
+    expect(result.sent).toHaveLength(7);
+    expect(result.truncated).toBe(false);
+  });
+});
+
+describe('getAddressTypes', () => {
+  const CONTRACT = '0x3333333333333333333333333333333333333333';
+  const DAY = 24 * 60 * 60 * 1000;
+  let lookups;
+  let now;
+
+  beforeAll(() => {
+    registerProviderFactory('stub-code', () => ({
+      getCode: async (address) => {
+        lookups.push(address);
+        return address === CONTRACT ? '0x6080' : '0x';
+      }
+    }));
+    setDataSource('stub-code');
+  });
+
+  beforeEach(() => {
+    lookups = [];
+    now = Date.UTC(2024, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps contracts for good and looks EOAs up again after a day', async () => {
+    expect(await getAddressTypes([CONTRACT, OTHER], 'stub-network')).toEqual({ [CONTRACT]: 'contract', [OTHER]: 'eoa' });
+    expect(lookups).toEqual([CONTRACT, OTHER]);
+
+    lookups = [];
+    now += DAY - 1;
+    await getAddressTypes([CONTRACT, OTHER], 'stub-network');
+    expect(lookups).toEqual([]);
+
+    now += 1;
+    await getAddressTypes([CONTRACT, OTHER], 'stub-network');
+    expect(lookups).toEqual([OTHER]);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Anomaly Service
+ *
+ * Flags unusual activity between the searched address and one partner:
+ * - large transfers, scored against the partner's other transfers with the median and
+ *   median absolute deviation (MAD), Tukey's interquartile-range fence, or the classic
+ *   mean and standard deviation,
+ * - unusual timing, when the gaps between transfers vary far more than their typical length,
+ * - a cash-out, when the most recent transfer dwarfs the transfers before it.
+ *
+ * Means and standard deviations are dragged along by the very outliers they should find,
+ * so the median-based scores are the default. Thresholds come from a sensitivity preset or
+ * are set one by one, and are stored in localStorage. Every flag carries an explanation
+ * with the numbers that triggered it.
+ */
+
+export const VALUE_METHODS = {
+  mad: 'Median and MAD (robust z-score)',
+  iqr: 'Interquartile range fence',
+  stddev: 'Mean and standard deviation'
+};
+
+export const SENSITIVITY_PRESETS = {
+  low: {
+    label: 'Low',
+    thresholds: { madThreshold: 5, iqrMultiplier: 3, stdDevThreshold: 3, timingThreshold: 2.5, cashOutMultiplier: 10 }
+  },
+  medium: {
+    label: 'Medium',
+    thresholds: { madThreshold: 3.5, iqrMultiplier: 1.5, stdDevThreshold: 2, timingThreshold: 1.5, cashOutMultiplier: 5 }
+  },
+  high: {
+    label: 'High',
+    thresholds: { madThreshold: 2.5, iqrMultiplier: 1, stdDevThreshold: 1.5, timingThreshold: 1, cashOutMultiplier: 3 }
+  }
+};
+
+export const ANOMALY_CONFIG = {
+  STORAGE_KEY: 'anomalySettings',
+  DEFAULT_SETTINGS: {
+    sensitivity: 'medium', // A preset id, or 'custom' once a threshold is edited
+    valueMethod: 'mad',
+    minTransfers: 3, // Fewer transfers than this are not scored at all
+    ...SENSITIVITY_PRESETS.medium.thresholds
+  },
+  MAD_SCALE: 0.6745, // Makes the MAD score comparable to a z-score on normal data
+  MEAN_AD_SCALE: 0.7979 // Same for the mean absolute deviation, used when the MAD is zero
+};
+
+// Get anomaly settings from localStorage
+export const getAnomalySettings = () => {
+  try {
+    const saved = localStorage.getItem(ANOMALY_CONFIG.STORAGE_KEY);
+    return saved ? { ...ANOMALY_CONFIG.DEFAULT_SETTINGS, ...JSON.parse(saved) } : { ...ANOMALY_CONFIG.DEFAULT_SETTINGS };
+  } catch (error) {
+    console.error('Error loading anomaly settings:', error);
+    return { ...ANOMALY_CONFIG.DEFAULT_SETTINGS };
+  }
+};
+
+export const saveAnomalySettings = (settings) => {
+  try {
+    localStorage.setItem(ANOMALY_CONFIG.STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving anomaly settings:', error);
+  }
+};
+
+/**
+ * Apply a sensitivity preset to the current settings
+ * @param {Object} settings - Current settings
+ * @param {string} sensitivity - Preset id
+ * @returns {Object} Settings with the preset's thresholds; the value method is kept
+ */
+export const applySensitivityPreset = (settings, sensitivity) => ({
+  ...settings,
+  sensitivity,
+  ...SENSITIVITY_PRESETS[sensitivity].thresholds
+});
+
+// Median of sorted numbers
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// Quantile of sorted numbers, interpolated between neighbouring values
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const formatAmount = (value, unit) => `${value.toFixed(4)} ${unit}`;
+
+const formatDuration = (ms) => {
+  const hours = ms / 3600000;
+  if (hours < 1) return `${Math.round(ms / 60000)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} h`;
+  return `${(hours / 24).toFixed(1)} days`;
+};
+
+/**
+ * Build a scorer for transfer values
+ * @param {Array<number>} values - Transfer values
+ * @param {Object} settings - Anomaly settings
+ * @param {string} unit - Asset symbol for the explanations
+ * @returns {Object|null} { score(value), isOutlier(value), describe(value) }, or null when the values do not vary
+ */
+const createValueScorer = (values, settings, unit) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const center = median(sorted);
+
+  if (settings.valueMethod === 'iqr') {
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    if (iqr === 0) return null;
+    const fence = q3 + settings.iqrMultiplier * iqr;
+    const score = (value) => (value - q3) / iqr;
+    return {
+      score,
+      isOutlier: (value) => value > fence,
+      describe: (value) =>
+        `${formatAmount(value, unit)} lies ${score(value).toFixed(1)} interquartile ranges above the upper quartile of ${formatAmount(q3, unit)} ` +
+        `(fence at ${settings.iqrMultiplier} IQR: ${formatAmount(fence, unit)})`
+    };
+  }
+
+  if (settings.valueMethod === 'stddev') {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const stdDev = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+    if (stdDev === 0) return null;
+    const score = (value) => (value - mean) / stdDev;
+    return {
+      score,
+      isOutlier: (value) => score(value) > settings.stdDevThreshold,
+      describe: (value) =>
+        `${formatAmount(value, unit)} is ${score(value).toFixed(1)} standard deviations above the mean of ${formatAmount(mean, unit)} ` +
+        `(threshold ${settings.stdDevThreshold})`
+    };
+  }
+
+  // When most transfers have the same value the MAD is zero; the mean absolute deviation still varies
+  const mad = median(sorted.map(value => Math.abs(value - center)).sort((a, b) => a - b));
+  const meanAbsoluteDeviation = values.reduce((sum, value) => sum + Math.abs(value - center), 0) / values.length;
+  let score;
+  if (mad > 0) {
+    score = (value) => ANOMALY_CONFIG.MAD_SCALE * (value - center) / mad;
+  } else if (meanAbsoluteDeviation > 0) {
+    score = (value) => ANOMALY_CONFIG.MEAN_AD_SCALE * (value - center) / meanAbsoluteDeviation;
+  } else {
+    return null;
+  }
+  return {
+    score,
+    isOutlier: (value) => score(value) > settings.madThreshold,
+    describe: (value) =>
+      `${formatAmount(value, unit)} has a robust z-score of ${score(value).toFixed(1)} against the median of ${formatAmount(center, unit)} ` +
+      `(threshold ${settings.madThreshold})`
+  };
+};
+
+/**
+ * Detect anomalies in the transfers with one partner
+ *
+ * Values are only comparable within one asset, so callers pass native transfers only.
+ *
+ * @param {Array} transactions - The partner's transfers
+ * @param {Object} settings - Anomaly settings, the stored ones by default
+ * @returns {Object} { largeTransfers: [{ txHash, value, score, explanation }], unusualFrequency,
+ *   irregularPattern, hasAnomalies, explanations: [{ flag, text }] }
+ */
+export const detectAnomalies = (transactions, settings = getAnomalySettings()) => {
+  const anomalies = {
+    largeTransfers: [],
+    unusualFrequency: false,
+    irregularPattern: false,
+    hasAnomalies: false,
+    explanations: []
+  };
+
+  if (!transactions || transactions.length < settings.minTransfers) {
+    return anomalies;
+  }
+
+  const unit = transactions[0].asset || 'ETH';
+
+  // Large transfers, scored against all transfers with this partner
+  const scorer = createValueScorer(transactions.map(tx => parseFloat(tx.value) || 0), settings, unit);
+  if (scorer) {
+    transactions.forEach(tx => {
+      const value = parseFloat(tx.value) || 0;
+      if (scorer.isOutlier(value)) {
+        anomalies.largeTransfers.push({
+          txHash: tx.hash,
+          value,
+          score: scorer.score(value),
+          explanation: scorer.describe(value)
+        });
+      }
+    });
+  }
+  if (anomalies.largeTransfers.length > 0) {
+    const largest = anomalies.largeTransfers.reduce((a, b) => (b.value > a.value ? b : a));
+    anomalies.explanations.push({
+      flag: 'largeTransfers',
+      text: `${anomalies.largeTransfers.length} large transfer${anomalies.largeTransfers.length === 1 ? '' : 's'}; ` +
+        `the largest: ${largest.explanation}`
+    });
+  }
+
+  // The remaining checks follow the transfers in time order
+  const timed = transactions
+    .filter(tx => tx.timestamp)
+    .map(tx => ({ time: new Date(tx.timestamp).getTime(), value: parseFloat(tx.value) || 0 }))
+    .sort((a, b) => a.time - b.time);
+
+  if (timed.length >= settings.minTransfers) {
+    // Spread of the gaps relative to the typical gap; the median gap ignores one long pause
+    const intervals = timed.slice(1).map((tx, index) => tx.time - timed[index].time);
+    const sortedIntervals = [...intervals].sort((a, b) => a - b);
+    const medianInterval = median(sortedIntervals);
+    const spread = quantile(sortedIntervals, 0.75) - quantile(sortedIntervals, 0.25);
+    const dispersion = medianInterval > 0 ? spread / medianInterval : 0;
+
+    if (dispersion > settings.timingThreshold) {
+      anomalies.unusualFrequency = true;
+      anomalies.explanations.push({
+        flag: 'unusualFrequency',
+        text: `Gaps between transfers range from ${formatDuration(sortedIntervals[0])} to ` +
+          `${formatDuration(sortedIntervals[sortedIntervals.length - 1])}; their interquartile spread is ` +
+          `${dispersion.toFixed(1)}× the median gap of ${formatDuration(medianInterval)} (threshold ${settings.timingThreshold}×)`
+      });
+    }
+
+    // Small transfers building up to one large one, which may be a cash-out
+    const latest = timed[timed.length - 1];
+    const earlierMedian = median(timed.slice(0, -1).map(tx => tx.value).sort((a, b) => a - b));
+    if (earlierMedian > 0 && latest.value > earlierMedian * settings.cashOutMultiplier) {
+      anomalies.irregularPattern = true;
+      anomalies.explanations.push({
+        flag: 'irregularPattern',
+        text: `The most recent transfer (${new Date(latest.time).toLocaleDateString()}) of ${formatAmount(latest.value, unit)} is ` +
+          `${(latest.value / earlierMedian).toFixed(1)}× the median of the ${timed.length - 1} earlier transfers ` +
+          `(${formatAmount(earlierMedian, unit)}, threshold ${settings.cashOutMultiplier}×)`
+      });
+    }
+  }
+
+  anomalies.hasAnomalies =
+    anomalies.largeTransfers.length > 0 ||
+    anomalies.unusualFrequency ||
+    anomalies.irregularPattern;
+
+  return anomalies;
+};
@@ -0,0 +1,63 @@
+import { detectAnomalies, applySensitivityPreset, ANOMALY_CONFIG } from './anomalyService';
+
+const SETTINGS = ANOMALY_CONFIG.DEFAULT_SETTINGS;
+
+// One transfer a day at noon, starting 2024-01-01
+const daily = (values) => values.map((value, index) => ({
+  hash: `0x${index}`,
+  value,
+  asset: 'ETH',
+  timestamp: new Date(Date.UTC(2024, 0, 1 + index, 12)).toISOString()
+}));
+
+describe('detectAnomalies', () => {
+  test('does not score partners with fewer than the minimum transfers', () => {
+    const anomalies = detectAnomalies(daily([1, 100]), SETTINGS);
+    expect(anomalies.hasAnomalies).toBe(false);
+    expect(anomalies.explanations).toEqual([]);
+  });
+
+  test('flags a large transfer with the robust z-score and explains it', () => {
+    const anomalies = detectAnomalies(daily([1, 1.2, 0.9, 1.1, 50, 1]), SETTINGS);
+
+    expect(anomalies.largeTransfers.map(tx => tx.txHash)).toEqual(['0x4']);
+    expect(anomalies.largeTransfers[0].explanation).toMatch(/robust z-score/);
+    expect(anomalies.explanations.map(explanation => explanation.flag)).toContain('largeTransfers');
+    expect(anomalies.hasAnomalies).toBe(true);
+  });
+
+  test('still scores values when most transfers are equal and the MAD is zero', () => {
+    const anomalies = detectAnomalies(daily([1, 1, 1, 1, 1, 20]), SETTINGS);
+    expect(anomalies.largeTransfers.map(tx => tx.value)).toEqual([20]);
+  });
+
+  test('does not flag anything when every transfer is the same', () => {
+    expect(detectAnomalies(daily([2, 2, 2, 2]), SETTINGS).hasAnomalies).toBe(false);
+  });
+
+  test('flags the latest transfer as a cash-out when it dwarfs the earlier ones', () => {
+    const anomalies = detectAnomalies(daily([1, 1, 1, 10]), { ...SETTINGS, valueMethod: 'iqr' });
+
+    expect(anomalies.irregularPattern).toBe(true);
+    expect(anomalies.explanations.find(explanation => explanation.flag === 'irregularPattern').text)
+      .toMatch(/10\.0× the median of the 3 earlier transfers/);
+  });
+
+  test('flags gaps that vary far more than the median gap', () => {
+    const transfers = [0, 1, 2, 3, 40, 60].map((day, index) => ({
+      hash: `0x${index}`,
+      value: 1,
+      timestamp: new Date(Date.UTC(2024, 0, 1 + day)).toISOString()
+    }));
+    const anomalies = detectAnomalies(transfers, SETTINGS);
+
+    expect(anomalies.unusualFrequency).toBe(true);
+  });
+
+  test('uses the thresholds of the chosen sensitivity preset', () => {
+    // A robust z-score of 2.7: above the high threshold, below the low one
+    const values = daily([1, 1.2, 0.9, 1.1, 1.45, 1]);
+    expect(detectAnomalies(values, applySensitivityPreset(SETTINGS, 'low')).largeTransfers).toHaveLength(0);
+    expect(detectAnomalies(values, applySensitivityPreset(SETTINGS, 'high')).largeTransfers).toHaveLength(1);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Block Time Service
+ *
+ * Converts dates to block numbers by searching block timestamps, and resolves the
+ * date presets used by the time filter. Block timestamps never change, so every
+ * lookup is cached per network.
+ */
+import { getDataProvider } from './dataProvider';
+
+// Date presets for the time filter; rolling presets end at the time the search runs
+export const TIME_PRESETS = [
+  { id: '24h', label: 'Last 24 hours', durationMs: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: 'Last 7 days', durationMs: 7 * 24 * 60 * 60 * 1000 },
+  { id: '30d', label: 'Last 30 days', durationMs: 30 * 24 * 60 * 60 * 1000 },
+  { id: 'year', label: 'Calendar year' },
+  { id: 'custom', label: 'Custom dates' }
+];
+
+// The head moves every few seconds, so it is only reused briefly
+const LATEST_BLOCK_TTL = 15 * 1000;
+
+// Block timestamps (seconds) by `${network}:${blockNumber}`
+const blockTimestamps = new Map();
+// Resolved date lookups by `${network}:${timestamp}`
+const resolvedBlocks = new Map();
+const latestBlocks = new Map();
+
+const getTimestamp = async (provider, network, blockNumber) => {
+  const key = `${network}:${blockNumber}`;
+  if (!blockTimestamps.has(key)) {
+    const block = await provider.getBlock(blockNumber);
+    if (!block) {
+      throw new Error(`Block ${blockNumber} not found`);
+    }
+    blockTimestamps.set(key, block.timestamp);
+  }
+  return blockTimestamps.get(key);
+};
+
+const getLatestBlock = async (provider, network) => {
+  const cached = latestBlocks.get(network);
+  if (cached && Date.now() - cached.fetchedAt < LATEST_BLOCK_TTL) {
+    return cached.number;
+  }
+  const number = await provider.getBlockNumber();
+  latestBlocks.set(network, { number, fetchedAt: Date.now() });
+  return number;
+};
+
+/**
+ * Find the first block mined at or after a timestamp
+ *
+ * Interpolates between the known bounds (block times are close to constant), falling
+ * back to bisection every other step so badly skewed ranges still converge.
+ *
+ * @param {string} network - Network id
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {Promise<number|null>} Block number, or null if the timestamp is after the latest block
+ */
+export const findBlockAtOrAfter = async (network, timestamp) => {
+  const cacheKey = `${network}:${timestamp}`;
+  if (resolvedBlocks.has(cacheKey)) {
+    return resolvedBlocks.get(cacheKey);
+  }
+
+  const provider = getDataProvider(network);
+  const latest = await getLatestBlock(provider, network);
+
+  let lo = { number: 0, timestamp: await getTimestamp(provider, network, 0) };
+  let hi = { number: latest, timestamp: await getTimestamp(provider, network, latest) };
+
+  if (timestamp <= lo.timestamp) return 0;
+  if (timestamp > hi.timestamp) return null;
+
+  // Invariant: lo.timestamp < timestamp <= hi.timestamp
+  for (let step = 0; hi.number - lo.number > 1; step++) {
+    const interpolated = lo.number + Math.round(
+      (timestamp - lo.timestamp) / (hi.timestamp - lo.timestamp) * (hi.number - lo.number)
+    );
+    const guess = step % 2 === 0
+      ? Math.min(hi.number - 1, Math.max(lo.number + 1, interpolated))
+      : Math.floor((lo.number + hi.number) / 2);
+    const guessTimestamp = await getTimestamp(provider, network, guess);
+
+    if (guessTimestamp < timestamp) {
+      lo = { number: guess, timestamp: guessTimestamp };
+    } else {
+      hi = { number: guess, timestamp: guessTimestamp };
+    }
+  }
+
+  resolvedBlocks.set(cacheKey, hi.number);
+  return hi.number;
+};
+
+/**
+ * Turn a time filter in date mode into a start and end date
+ * @param {Object} filter - { preset, year, startDate, endDate }
+ * @param {Date} now - Reference time for rolling presets
+ * @returns {Object} { start: Date|null, end: Date|null }; a null end means "up to now"
+ */
+export const getDateRange = (filter, now = new Date()) => {
+  const preset = TIME_PRESETS.find(option => option.id === filter.preset);
+
+  if (preset && preset.durationMs) {
+    return { start: new Date(now.getTime() - preset.durationMs), end: null };
+  }
+
+  if (filter.preset === 'year') {
+    const year = parseInt(filter.year);
+    const end = new Date(year + 1, 0, 1);
+    return { start: new Date(year, 0, 1), end: end > now ? null : end };
+  }
+
+  return {
+    start: filter.startDate ? new Date(filter.startDate) : null,
+    end: filter.endDate ? new Date(filter.endDate) : null
+  };
+};
+
+/**
+ * Convert a date range to a block range
+ * @param {string} network - Network id
+ * @param {Object} range - { start: Date|null, end: Date|null }
+ * @returns {Promise<Object>} { startBlock, endBlock }; null bounds are left open
+ */
+export const resolveDateRangeToBlocks = async (network, { start, end }) => {
+  const toSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+  const startBlock = start ? await findBlockAtOrAfter(network, toSeconds(start)) : null;
+  if (start && startBlock === null) {
+    throw new Error('The start date is after the latest block.');
+  }
+
+  // The end is exclusive: the last block mined before it
+  let endBlock = null;
+  if (end) {
+    const firstAfterEnd = await findBlockAtOrAfter(network, toSeconds(end));
+    endBlock = firstAfterEnd === null ? null : Math.max(0, firstAfterEnd - 1);
+  }
+
+  return { startBlock, endBlock };
+};
+
+/**
+ * Describe a time filter for saved search listings
+ * @param {Object} filter - Saved time filter
+ * @returns {string} Human-readable range
+ */
+export const describeTimeFilter = (filter) => {
+  if (!filter) return 'None';
+
+  if (filter.mode === 'dates') {
+    const preset = TIME_PRESETS.find(option => option.id === filter.preset);
+    if (preset && preset.durationMs) return `${preset.label} (rolling)`;
+    if (filter.preset === 'year') return `Calendar year ${filter.year}`;
+    const formatDate = (value) => value ? new Date(value).toLocaleString() : 'open';
+    return `${formatDate(filter.startDate)} – ${formatDate(filter.endDate)}`;
+  }
+
+  const parts = [];
+  if (filter.startBlock) parts.push(`From block: ${filter.startBlock}`);
+  if (filter.endBlock) parts.push(`To block: ${filter.endBlock}`);
+  return parts.length > 0 ? parts.join(' ') : 'None';
+};
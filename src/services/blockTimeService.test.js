@@ -0,0 +1,57 @@
+import { findBlockAtOrAfter, resolveDateRangeToBlocks } from './blockTimeService';
+import { registerProviderFactory, setDataSource } from './dataProvider';
+
+const GENESIS = 1600000000;
+const HEAD = 20000;
+
+// 15 second blocks, then 2 second blocks, so interpolation alone would guess wrong
+const blockTimestamp = (number) => (number < 5000
+  ? GENESIS + number * 15
+  : GENESIS + 5000 * 15 + (number - 5000) * 2);
+
+// Lookups are cached per network, so every test asks for its own
+let networkCount = 0;
+const nextNetwork = () => `stub-${++networkCount}`;
+
+describe('block time lookups', () => {
+  beforeAll(() => {
+    registerProviderFactory('stub', () => ({
+      getBlockNumber: async () => HEAD,
+      getBlock: async (number) => (number <= HEAD ? { number, timestamp: blockTimestamp(number) } : null)
+    }));
+    setDataSource('stub');
+  });
+
+  test('returns the genesis block for a date before it', async () => {
+    expect(await findBlockAtOrAfter(nextNetwork(), GENESIS - 3600)).toBe(0);
+  });
+
+  test('returns null for a date after the latest block', async () => {
+    const network = nextNetwork();
+    expect(await findBlockAtOrAfter(network, blockTimestamp(HEAD) + 1)).toBeNull();
+
+    const after = new Date((blockTimestamp(HEAD) + 60) * 1000);
+    await expect(resolveDateRangeToBlocks(network, { start: after, end: null }))
+      .rejects.toThrow('The start date is after the latest block.');
+    expect(await resolveDateRangeToBlocks(network, { start: null, end: after }))
+      .toEqual({ startBlock: null, endBlock: null });
+  });
+
+  test('returns the block mined exactly at a timestamp', async () => {
+    const network = nextNetwork();
+    expect(await findBlockAtOrAfter(network, blockTimestamp(4321))).toBe(4321);
+    expect(await findBlockAtOrAfter(network, blockTimestamp(12345))).toBe(12345);
+  });
+
+  test('returns the next block for a timestamp between two blocks', async () => {
+    expect(await findBlockAtOrAfter(nextNetwork(), blockTimestamp(4321) + 7)).toBe(4322);
+  });
+
+  test('ends a date range at the last block before its end', async () => {
+    const range = {
+      start: new Date(blockTimestamp(1000) * 1000),
+      end: new Date(blockTimestamp(12345) * 1000)
+    };
+    expect(await resolveDateRangeToBlocks(nextNetwork(), range)).toEqual({ startBlock: 1000, endBlock: 12344 });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Cache Service
+ *
+ * IndexedDB cache for fetched transfers and transaction receipts, so repeat searches only
+ * fetch new blocks and gas analysis only fetches receipts it has never seen.
+ *
+ * Transfers are stored per network, data source, transfer category set, address and
+ * direction together with the block range they cover, since a source without internal
+ * transfers holds a different history than one with them. Only sources that reach back to
+ * genesis are cached. Receipts never change once mined and are stored by network and hash.
+ * Address types, stored by network and address, and ENS primary names can change, so they are
+ * stored with the time they were looked up.
+ * Partner snapshots of saved searches live in the same database but are not part of the
+ * cache: they are the baseline for "what's new" and survive a cache purge.
+ * Every function degrades to a cache miss when IndexedDB is unavailable.
+ */
+
+const DB_NAME = 'etherflow-cache';
+const DB_VERSION = 1;
+
+export const CACHE_STORES = {
+  TRANSFERS: 'transfers',
+  RECEIPTS: 'receipts',
+  ADDRESS_TYPES: 'addressTypes',
+  ENS_NAMES: 'ensNames'
+};
+
+const SNAPSHOT_STORE = 'searchSnapshots';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        [...Object.values(CACHE_STORES), SNAPSHOT_STORE].forEach(store => {
+          db.createObjectStore(store, { keyPath: 'key' });
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      console.warn('Transfer cache disabled:', error);
+      dbPromise = null;
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request, or an array of requests, in one transaction on a store;
+// resolves to the result (or array of results), or null when the cache is unavailable
+const runRequest = async (storeName, mode, createRequest) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(Array.isArray(request) ? request.map(item => item.result) : request.result);
+    transaction.onerror = () => reject(transaction.error);
+  }).catch(error => {
+    console.warn(`Cache ${mode} on ${storeName} failed:`, error);
+    return null;
+  });
+};
+
+// source is { providerType, categories }: the data source type and the transfer categories queried
+const transferKey = (network, source, address, direction) =>
+  `${network}:${source.providerType}:${[...source.categories].sort().join('+')}:${address.toLowerCase()}:${direction}`;
+
+/**
+ * Get the cached transfers for one direction of an address
+ * @param {string} network - Network id
+ * @param {Object} source - { providerType, categories } the history was fetched with
+ * @param {string} address - Address the transfers belong to
+ * @param {string} direction - 'sent' or 'received'
+ * @returns {Promise<Object|null>} { transfers, coveredToBlock, updatedAt } or null
+ */
+export const getCachedTransfers = async (network, source, address, direction) =>
+  (await runRequest(CACHE_STORES.TRANSFERS, 'readonly', store => store.get(transferKey(network, source, address, direction)))) || null;
+
+/**
+ * Store the transfers for one direction of an address
+ * @param {string} network - Network id
+ * @param {Object} source - { providerType, categories } the history was fetched with
+ * @param {string} address - Address the transfers belong to
+ * @param {string} direction - 'sent' or 'received'
+ * @param {Array} transfers - Every transfer from genesis up to coveredToBlock
+ * @param {number} coveredToBlock - Last block the transfers are complete for
+ */
+export const putCachedTransfers = (network, source, address, direction, transfers, coveredToBlock) =>
+  runRequest(CACHE_STORES.TRANSFERS, 'readwrite', store => store.put({
+    key: transferKey(network, source, address, direction),
+    network,
+    providerType: source.providerType,
+    categories: source.categories,
+    address: address.toLowerCase(),
+    direction,
+    transfers,
+    coveredToBlock,
+    updatedAt: Date.now()
+  }));
+
+// Keep only the receipt fields the app reads, as strings: ethers BigNumbers do not survive IndexedDB
+const toCachedReceipt = (receipt) => ({
+  gasUsed: receipt.gasUsed ? receipt.gasUsed.toString() : null,
+  effectiveGasPrice: receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : null,
+  cumulativeGasUsed: receipt.cumulativeGasUsed ? receipt.cumulativeGasUsed.toString() : null,
+  gasLimit: receipt.gasLimit ? receipt.gasLimit.toString() : null,
+  status: receipt.status,
+  blockNumber: receipt.blockNumber
+});
+
+/**
+ * Get cached receipts for a list of hashes
+ * @param {string} network - Network id
+ * @param {Array<string>} hashes - Transaction hashes
+ * @returns {Promise<Map>} Receipts by hash, for the hashes that were cached
+ */
+export const getCachedReceipts = async (network, hashes) => {
+  const results = await runRequest(CACHE_STORES.RECEIPTS, 'readonly', store =>
+    hashes.map(hash => store.get(`${network}:${hash}`))
+  );
+
+  return (results || []).reduce((receipts, entry, index) => {
+    if (entry) receipts.set(hashes[index], entry.receipt);
+    return receipts;
+  }, new Map());
+};
+
+export const putCachedReceipt = (network, hash, receipt) =>
+  runRequest(CACHE_STORES.RECEIPTS, 'readwrite', store => store.put({
+    key: `${network}:${hash}`,
+    receipt: toCachedReceipt(receipt),
+    storedAt: Date.now()
+  }));
+
+/**
+ * Get cached address types
+ * @param {string} network - Network id
+ * @param {Array<string>} addresses - Lowercase addresses
+ * @returns {Promise<Map>} { type, storedAt } by address, for the addresses that were cached
+ */
+export const getCachedAddressTypes = async (network, addresses) => {
+  const results = await runRequest(CACHE_STORES.ADDRESS_TYPES, 'readonly', store =>
+    addresses.map(address => store.get(`${network}:${address}`))
+  );
+
+  return (results || []).reduce((types, entry, index) => {
+    if (entry) types.set(addresses[index], { type: entry.type, storedAt: entry.storedAt });
+    return types;
+  }, new Map());
+};
+
+export const putCachedAddressType = (network, address, type) =>
+  runRequest(CACHE_STORES.ADDRESS_TYPES, 'readwrite', store => store.put({
+    key: `${network}:${address}`,
+    type,
+    storedAt: Date.now()
+  }));
+
+/**
+ * Get cached ENS primary names
+ * @param {Array<string>} addresses - Lowercase addresses
+ * @returns {Promise<Map>} { name, storedAt } by address, for the addresses that were cached; name is null for none
+ */
+export const getCachedEnsNames = async (addresses) => {
+  const results = await runRequest(CACHE_STORES.ENS_NAMES, 'readonly', store =>
+    addresses.map(address => store.get(address))
+  );
+
+  return (results || []).reduce((names, entry, index) => {
+    if (entry) names.set(addresses[index], { name: entry.name, storedAt: entry.storedAt });
+    return names;
+  }, new Map());
+};
+
+export const putCachedEnsName = (address, name) =>
+  runRequest(CACHE_STORES.ENS_NAMES, 'readwrite', store => store.put({
+    key: address,
+    name,
+    storedAt: Date.now()
+  }));
+
+/**
+ * Count cached entries and estimate their size
+ * @returns {Promise<Object>} { available, transferLists, transfers, receipts, bytes }
+ */
+export const getCacheStats = async () => {
+  const [transferEntries, receiptEntries, addressTypeEntries, ensNameEntries] = await Promise.all([
+    runRequest(CACHE_STORES.TRANSFERS, 'readonly', store => store.getAll()),
+    runRequest(CACHE_STORES.RECEIPTS, 'readonly', store => store.getAll()),
+    runRequest(CACHE_STORES.ADDRESS_TYPES, 'readonly', store => store.getAll()),
+    runRequest(CACHE_STORES.ENS_NAMES, 'readonly', store => store.getAll())
+  ]);
+
+  if (!transferEntries || !receiptEntries || !addressTypeEntries || !ensNameEntries) {
+    return { available: false, transferLists: 0, transfers: 0, receipts: 0, bytes: 0 };
+  }
+
+  return {
+    available: true,
+    transferLists: transferEntries.length,
+    transfers: transferEntries.reduce((sum, entry) => sum + entry.transfers.length, 0),
+    receipts: receiptEntries.length,
+    // Serialized size is a close enough estimate of what IndexedDB stores
+    bytes: [transferEntries, receiptEntries, addressTypeEntries, ensNameEntries]
+      .reduce((sum, entries) => sum + JSON.stringify(entries).length, 0)
+  };
+};
+
+// Remove every cached transfer, receipt, address type and ENS name
+export const clearCache = () => Promise.all(
+  Object.values(CACHE_STORES).map(storeName => runRequest(storeName, 'readwrite', store => store.clear()))
+);
+
+/**
+ * Get the partner snapshot stored for a saved search
+ * @param {number} searchId - Saved search id
+ * @returns {Promise<Object|null>} Snapshot or null
+ */
+export const getSearchSnapshot = async (searchId) => {
+  const entry = await runRequest(SNAPSHOT_STORE, 'readonly', store => store.get(searchId));
+  return entry ? entry.snapshot : null;
+};
+
+export const putSearchSnapshot = (searchId, snapshot) =>
+  runRequest(SNAPSHOT_STORE, 'readwrite', store => store.put({ key: searchId, snapshot }));
+
+export const deleteSearchSnapshot = (searchId) =>
+  runRequest(SNAPSHOT_STORE, 'readwrite', store => store.delete(searchId));
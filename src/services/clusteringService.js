@@ -0,0 +1,264 @@
+/**
+ * Clustering Service
+ *
+ * Groups transfer partners that likely belong to one entity. Each partner's own transfers
+ * are fetched and three kinds of evidence are collected:
+ * - the address that first funded it,
+ * - gas sponsors, which sent it small amounts of the native currency,
+ * - destinations it sent funds on to repeatedly, or most of its outflow, where funds from
+ *   several partners are consolidated. A single payment to a shared address links nothing.
+ * Partners that share any of these addresses are linked, and linked partners are merged
+ * into clusters with a union-find structure. Every cluster keeps the evidence behind it.
+ *
+ * Exchanges, bridges and mixers fund and receive from countless unrelated users, so
+ * addresses labelled as such, contracts and the searched address itself are never used
+ * as evidence.
+ */
+import { getAddressTransactions, getAddressTypes, isNativeTransfer, usesDemoQuota, ADDRESS_TYPES } from './alchemyService';
+import { PROVIDER_TYPES, getDataSource } from './dataProvider';
+import { getLabelIndex, getAddressLabels } from './labelService';
+
+export const CLUSTERING_CONFIG = {
+  MAX_PARTNERS: 25, // Partners whose transfers are fetched, largest by volume first
+  MAX_TRANSFERS_PER_PARTNER: 100, // Per direction, oldest first: funding happens early
+  GAS_TOPUP_MAX_VALUE: 0.05, // Native transfers up to this amount count as gas top-ups
+  CONSOLIDATION_MIN_TRANSFERS: 2, // A destination paid this often is a consolidation address...
+  CONSOLIDATION_MIN_SHARE: 0.5, // ...as is one that received more than this share of the native outflow
+  IGNORED_LABEL_CATEGORIES: ['exchange', 'bridge', 'mixer']
+};
+
+export const EVIDENCE_TYPES = {
+  first_funder: 'Same first funder',
+  gas_sponsor: 'Shared gas sponsor',
+  consolidation: 'Consolidate into the same address'
+};
+
+/**
+ * Union-find over addresses, with path compression
+ */
+const createUnionFind = () => {
+  const parent = new Map();
+
+  const find = (address) => {
+    if (!parent.has(address)) parent.set(address, address);
+    let root = address;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Point every address on the way straight at the root
+    let current = address;
+    while (parent.get(current) !== root) {
+      const next = parent.get(current);
+      parent.set(current, root);
+      current = next;
+    }
+    return root;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  return { find, union };
+};
+
+/**
+ * Collect the funding and consolidation evidence of one partner
+ * @param {Object} result - getAddressTransactions result for the partner
+ * @returns {Object} Link addresses by evidence type, each with the transaction hash that shows it
+ */
+const collectEvidence = (partnerAddress, result) => {
+  const evidence = { first_funder: new Map(), gas_sponsor: new Map(), consolidation: new Map() };
+  const nativeReceived = result.received.filter(tx => isNativeTransfer(tx) && tx.from);
+
+  if (nativeReceived.length > 0) {
+    evidence.first_funder.set(nativeReceived[0].from.toLowerCase(), nativeReceived[0].hash);
+  }
+
+  nativeReceived
+    .filter(tx => {
+      const value = parseFloat(tx.value) || 0;
+      return value > 0 && value <= CLUSTERING_CONFIG.GAS_TOPUP_MAX_VALUE;
+    })
+    .forEach(tx => {
+      const sponsor = tx.from.toLowerCase();
+      if (!evidence.gas_sponsor.has(sponsor)) evidence.gas_sponsor.set(sponsor, tx.hash);
+    });
+
+  const outflows = new Map();
+  let nativeOutflow = 0;
+  result.sent
+    .filter(tx => tx.to && tx.to.toLowerCase() !== partnerAddress)
+    .forEach(tx => {
+      const destination = tx.to.toLowerCase();
+      const outflow = outflows.get(destination) || { hash: tx.hash, transfers: 0, nativeValue: 0 };
+      outflow.transfers += 1;
+      if (isNativeTransfer(tx)) {
+        const value = parseFloat(tx.value) || 0;
+        outflow.nativeValue += value;
+        nativeOutflow += value;
+      }
+      outflows.set(destination, outflow);
+    });
+
+  // Partners that each paid the same address once are not linked by it
+  outflows.forEach((outflow, destination) => {
+    const isRepeated = outflow.transfers >= CLUSTERING_CONFIG.CONSOLIDATION_MIN_TRANSFERS;
+    const isMajority = nativeOutflow > 0 && outflow.nativeValue / nativeOutflow > CLUSTERING_CONFIG.CONSOLIDATION_MIN_SHARE;
+    if (isRepeated || isMajority) evidence.consolidation.set(destination, outflow.hash);
+  });
+
+  return evidence;
+};
+
+/**
+ * Check whether partners can be clustered with the current data source
+ * Every analyzed partner is a search, and the demo key only allows 2 per session.
+ * @param {string} userApiKey - User-provided Alchemy key, if any
+ * @returns {Object} { canCluster, reason }
+ */
+export const getClusteringStatus = (userApiKey = null) => {
+  const { type } = getDataSource();
+
+  if (type === PROVIDER_TYPES.ALCHEMY && usesDemoQuota(userApiKey)) {
+    return {
+      canCluster: false,
+      reason: 'Clustering fetches every partner\'s transfers, more than the 2 searches the demo key allows per session. Add your own Alchemy API key to find clusters.'
+    };
+  }
+  return { canCluster: true, reason: null };
+};
+
+/**
+ * Cluster transfer partners by shared funders, gas sponsors and consolidation addresses
+ *
+ * @param {Array} partners - Output of processTransferPartners
+ * @param {string} centralAddress - The searched address, never used as evidence
+ * @param {Object} options - userApiKey, network, and onProgress ({ analyzed, total }) => void
+ * @returns {Promise<Object>} { clusters: [{ id, members, evidence: [{ type, address, members, hashes }] }], stats }
+ */
+export const clusterPartners = async (partners, centralAddress, options = {}) => {
+  const { userApiKey = null, network = null, onProgress = null } = options;
+  const { canCluster, reason } = getClusteringStatus(userApiKey);
+  if (!canCluster) {
+    throw new Error(reason);
+  }
+
+  const central = centralAddress.toLowerCase();
+  const labelIndex = getLabelIndex();
+
+  const isIgnoredService = (address) => getAddressLabels(address, labelIndex)
+    .some(label => CLUSTERING_CONFIG.IGNORED_LABEL_CATEGORIES.includes(label.category));
+
+  // Contracts and services are not owned by one entity
+  const eligible = partners
+    .filter(partner => partner.addressType !== ADDRESS_TYPES.CONTRACT && !isIgnoredService(partner.address))
+    .sort((a, b) => (b.totalSent + b.totalReceived) - (a.totalSent + a.totalReceived));
+  const candidates = eligible.slice(0, CLUSTERING_CONFIG.MAX_PARTNERS);
+
+  const stats = {
+    analyzedPartners: 0,
+    skippedPartners: eligible.length - candidates.length,
+    stoppedEarly: null
+  };
+
+  // Partners by link address, per evidence type
+  const sharedLinks = { first_funder: new Map(), gas_sponsor: new Map(), consolidation: new Map() };
+
+  for (const partner of candidates) {
+    const address = partner.address.toLowerCase();
+    let result;
+    try {
+      result = await getAddressTransactions(partner.address, null, null, userApiKey, {
+        network,
+        maxTransfers: CLUSTERING_CONFIG.MAX_TRANSFERS_PER_PARTNER
+      });
+    } catch (error) {
+      // Keep what was found once at least one partner has been analyzed
+      if (stats.analyzedPartners === 0) {
+        throw error;
+      }
+      stats.stoppedEarly = error.message;
+      break;
+    }
+
+    const evidence = collectEvidence(address, result);
+    Object.entries(evidence).forEach(([type, links]) => {
+      links.forEach((hash, linkAddress) => {
+        const linked = sharedLinks[type].get(linkAddress) || [];
+        linked.push({ address, hash });
+        sharedLinks[type].set(linkAddress, linked);
+      });
+    });
+
+    stats.analyzedPartners += 1;
+    if (onProgress) {
+      onProgress({ analyzed: stats.analyzedPartners, total: candidates.length });
+    }
+  }
+
+  // Only addresses shared by two or more partners link anything
+  const groups = [];
+  Object.entries(sharedLinks).forEach(([type, links]) => {
+    links.forEach((linked, linkAddress) => {
+      if (linked.length < 2 || linkAddress === central || isIgnoredService(linkAddress)) return;
+      groups.push({ type, address: linkAddress, linked });
+    });
+  });
+
+  // Shared contracts are routers, exchanges and token contracts
+  let addressTypes = {};
+  try {
+    addressTypes = await getAddressTypes([...new Set(groups.map(group => group.address))], network);
+  } catch (error) {
+    console.warn('Error classifying cluster evidence addresses:', error);
+  }
+  const evidenceGroups = groups.filter(group => addressTypes[group.address] !== ADDRESS_TYPES.CONTRACT);
+
+  const unionFind = createUnionFind();
+  evidenceGroups.forEach(group => {
+    group.linked.forEach(({ address }) => unionFind.union(group.linked[0].address, address));
+  });
+
+  const membersByRoot = new Map();
+  evidenceGroups.forEach(group => {
+    group.linked.forEach(({ address }) => {
+      const root = unionFind.find(address);
+      membersByRoot.set(root, new Set([...(membersByRoot.get(root) || []), address]));
+    });
+  });
+
+  const clusters = [...membersByRoot.entries()]
+    .map(([root, members]) => ({
+      root,
+      members: [...members],
+      evidence: evidenceGroups
+        .filter(group => unionFind.find(group.linked[0].address) === root)
+        .map(group => ({
+          type: group.type,
+          address: group.address,
+          members: group.linked.map(({ address }) => address),
+          hashes: Object.fromEntries(group.linked.map(({ address, hash }) => [address, hash]))
+        }))
+    }))
+    .sort((a, b) => b.members.length - a.members.length)
+    .map(({ members, evidence }, index) => ({ id: `cluster-${index + 1}`, members, evidence }));
+
+  return { clusters, stats };
+};
+
+/**
+ * Find the cluster of every partner address
+ * @param {Array} clusters - Clusters from clusterPartners
+ * @returns {Map} Cluster by lowercase member address
+ */
+export const getClusterIndex = (clusters) => new Map(
+  (clusters || []).flatMap(cluster => cluster.members.map(member => [member, cluster]))
+);
+
+// Display name of a cluster, e.g. "Cluster 2"
+export const getClusterName = (cluster) => `Cluster ${cluster.id.replace('cluster-', '')}`;
+
+// One line per piece of evidence, for the partner table and graph tooltips
+export const describeEvidence = (evidence) =>
+  `${EVIDENCE_TYPES[evidence.type]}: ${evidence.address.substring(0, 10)}... (${evidence.members.length} partners)`;
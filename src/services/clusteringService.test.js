@@ -0,0 +1,82 @@
+import { clusterPartners, getClusterIndex } from './clusteringService';
+import { PROVIDER_TYPES, setDataSource } from './dataProvider';
+
+const address = (digit) => `0x${digit.repeat(40)}`;
+
+const CENTRAL = address('c');
+const [P1, P2, P3, P4, P5] = ['1', '2', '3', '4', '5'].map(address);
+const FUNDER = address('f');
+const CONSOLIDATION = address('d');
+const SHARED_PAYEE = address('e');
+
+let block = 0;
+const transfer = (from, to, value) => {
+  block += 1;
+  return {
+    uniqueId: `0x${block.toString(16).padStart(64, '0')}:external`,
+    hash: `0x${block.toString(16).padStart(64, '0')}`,
+    blockNum: `0x${block.toString(16)}`,
+    from,
+    to,
+    value,
+    asset: 'ETH',
+    category: 'external'
+  };
+};
+
+const FIXTURE = {
+  transfers: [
+    // P1 and P2 were first funded by the same address
+    transfer(FUNDER, P1, 1),
+    transfer(FUNDER, P2, 2),
+    transfer(address('6'), P3, 1),
+    transfer(address('7'), P4, 1),
+    transfer(address('8'), P5, 1),
+    // P1 and P3 both send repeatedly to the same address
+    transfer(P1, CONSOLIDATION, 0.4),
+    transfer(P1, CONSOLIDATION, 0.4),
+    transfer(P3, CONSOLIDATION, 0.3),
+    transfer(P3, CONSOLIDATION, 0.3),
+    transfer(P2, address('9'), 1.5),
+    // P4 and P5 each pay the same address once, a small share of what they send
+    transfer(P4, SHARED_PAYEE, 0.1),
+    transfer(P4, address('a'), 0.8),
+    transfer(P5, SHARED_PAYEE, 0.1),
+    transfer(P5, address('b'), 0.8)
+  ]
+};
+
+const partner = (partnerAddress, total) => ({ address: partnerAddress, totalSent: total, totalReceived: 0 });
+
+describe('clusterPartners', () => {
+  beforeAll(() => {
+    setDataSource(PROVIDER_TYPES.FIXTURE, { fixture: FIXTURE });
+  });
+
+  test('merges partners linked through different evidence into one cluster', async () => {
+    const { clusters, stats } = await clusterPartners(
+      [partner(P1, 5), partner(P2, 4), partner(P3, 3), partner(P4, 2), partner(P5, 1)],
+      CENTRAL
+    );
+
+    expect(stats.analyzedPartners).toBe(5);
+    expect(clusters).toHaveLength(1);
+    expect([...clusters[0].members].sort()).toEqual([P1, P2, P3]);
+    expect(clusters[0].evidence.map(evidence => [evidence.type, evidence.address]).sort()).toEqual([
+      ['consolidation', CONSOLIDATION],
+      ['first_funder', FUNDER]
+    ]);
+  });
+
+  test('does not link partners that each paid an address once', async () => {
+    const { clusters } = await clusterPartners([partner(P4, 2), partner(P5, 1)], CENTRAL);
+    expect(clusters).toEqual([]);
+  });
+
+  test('never uses the searched address as evidence', async () => {
+    const { clusters } = await clusterPartners([partner(P1, 5), partner(P2, 4)], FUNDER);
+
+    expect(clusters).toEqual([]);
+    expect(getClusterIndex(clusters).size).toBe(0);
+  });
+});
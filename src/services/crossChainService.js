@@ -0,0 +1,134 @@
+/**
+ * Cross-Chain Service
+ * Fetches one address on several networks and compares the activity found on each
+ */
+import {
+  getAddressTransactions,
+  processTransferPartners,
+  NATIVE_ASSET_KEY
+} from './alchemyService';
+import { getNetworkConfig } from './networkConfig';
+
+/**
+ * Fetch transfers and partners for an address on several networks at once
+ *
+ * A failing network does not fail the others; its entry carries the error instead.
+ *
+ * @param {String} address - Address to look up on every network
+ * @param {Array<string>} networks - Alchemy network ids
+ * @param {Object} options - userApiKey, maxTransfers and startTime/endTime forwarded to getAddressTransactions
+ * @returns {Promise<Array>} One entry per network: { network, transactions, partners, truncated, error }
+ */
+export const fetchCrossChainActivity = async (address, networks, options = {}) => {
+  const { userApiKey = null, maxTransfers, onNetworkDone = null } = options;
+
+  const results = await Promise.allSettled(networks.map(async network => {
+    const transactions = await getAddressTransactions(address, null, null, userApiKey, {
+      maxTransfers,
+      network
+    });
+    const result = {
+      network,
+      transactions,
+      partners: processTransferPartners(transactions),
+      truncated: transactions.truncated,
+      error: null
+    };
+    if (onNetworkDone) {
+      onNetworkDone(result);
+    }
+    return result;
+  }));
+
+  return results.map((result, index) => result.status === 'fulfilled'
+    ? result.value
+    : {
+      network: networks[index],
+      transactions: null,
+      partners: [],
+      truncated: false,
+      error: result.reason?.message || 'Failed to fetch transfers'
+    });
+};
+
+/**
+ * Summarize volume per chain
+ * @param {Object} chainResult - Entry from fetchCrossChainActivity
+ * @returns {Object} Native volume, transfer counts and partner count
+ */
+export const summarizeChainActivity = (chainResult) => {
+  const { nativeSymbol, label } = getNetworkConfig(chainResult.network);
+  const summary = {
+    network: chainResult.network,
+    label,
+    nativeSymbol,
+    partnerCount: chainResult.partners.length,
+    nativeSent: 0,
+    nativeReceived: 0,
+    nativeTransfers: 0,
+    tokenTransfers: 0,
+    firstActivity: null,
+    lastActivity: null,
+    truncated: chainResult.truncated,
+    error: chainResult.error
+  };
+
+  chainResult.partners.forEach(partner => {
+    summary.nativeSent += partner.totalSent;
+    summary.nativeReceived += partner.totalReceived;
+
+    partner.transactions.forEach(tx => {
+      if (tx.assetKey === NATIVE_ASSET_KEY) {
+        summary.nativeTransfers += 1;
+      } else {
+        summary.tokenTransfers += 1;
+      }
+
+      if (tx.timestamp) {
+        if (!summary.firstActivity || tx.timestamp < summary.firstActivity) {
+          summary.firstActivity = tx.timestamp;
+        }
+        if (!summary.lastActivity || tx.timestamp > summary.lastActivity) {
+          summary.lastActivity = tx.timestamp;
+        }
+      }
+    });
+  });
+
+  return summary;
+};
+
+/**
+ * Find partners that appear on more than one chain
+ *
+ * The same address on two EVM chains is usually the same key holder, so
+ * overlapping partners point at relationships that span chains.
+ *
+ * @param {Array} chainResults - Entries from fetchCrossChainActivity
+ * @returns {Array} Shared partners with the chains they appear on, most chains first
+ */
+export const findPartnerOverlap = (chainResults) => {
+  const partnerChains = new Map();
+
+  chainResults.forEach(({ network, partners }) => {
+    partners.forEach(partner => {
+      const address = partner.address.toLowerCase();
+      if (!partnerChains.has(address)) {
+        partnerChains.set(address, { address, chains: [] });
+      }
+      partnerChains.get(address).chains.push({
+        network,
+        totalSent: partner.totalSent,
+        totalReceived: partner.totalReceived,
+        transactionCount: partner.transactions.length
+      });
+    });
+  });
+
+  return Array.from(partnerChains.values())
+    .filter(entry => entry.chains.length > 1)
+    .sort((a, b) =>
+      b.chains.length - a.chains.length ||
+      b.chains.reduce((sum, c) => sum + c.transactionCount, 0) - a.chains.reduce((sum, c) => sum + c.transactionCount, 0)
+    );
+};
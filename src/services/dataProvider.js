@@ -0,0 +1,121 @@
+/**
+ * Data Provider
+ *
+ * Every chain read in the app goes through a data provider, so the same analyses can
+ * run against Alchemy, a self-hosted JSON-RPC node (Erigon, Anvil, ...) or fixtures.
+ *
+ * A provider is a plain object with:
+ *   getAssetTransfers(params)   - Alchemy getAssetTransfers params and response ({ transfers, pageKey })
+ *   getTransactionReceipt(hash) - Receipt with gasUsed, effectiveGasPrice, status and blockNumber
+ *   getCode(address)            - Deployed bytecode, '0x' for EOAs
+ *   getBlockNumber()            - Latest block number
+ *   getBlock(blockNumber)       - { number, timestamp } with the timestamp in seconds
+ *   supportsInternalTransfers   - Whether the 'internal' transfer category can be queried
+ *   coversFullHistory           - Whether transfer queries reach back to genesis; only such
+ *                                 histories are cached and extended later
+ *
+ * Providers that can send JSON-RPC batches may also implement
+ *   getTransactionReceipts(hashes) - One { item: hash, value: receipt, error } per hash
+ * providers that can run contract calls (used for ENS)
+ *   call(to, data)              - eth_call result as hex
+ *   resolveName(name)           - Address of an ENS name, when the provider resolves names itself
+ * and live providers
+ *   subscribeAddressActivity(address, onBlock, onError) - Calls onBlock(blockNumber) for new blocks
+ *                                   that may hold transfers of the address; returns an unsubscribe function
+ *
+ * The registry adds `type` and `network` to every provider it creates, and wraps live
+ * providers so sessionRecorder can capture their responses.
+ */
+import { createJsonRpcProvider } from './jsonRpcProvider';
+import { createFixtureProvider } from './fixtureProvider';
+import { withRecording } from './sessionRecorder';
+
+export const PROVIDER_TYPES = {
+  ALCHEMY: 'alchemy',
+  JSON_RPC: 'jsonRpc',
+  FIXTURE: 'fixture'
+};
+
+const DATA_SOURCE_STORAGE_KEY = 'dataSource';
+
+// Factories by provider type: (network, config) => provider
+const factories = new Map([
+  [PROVIDER_TYPES.JSON_RPC, createJsonRpcProvider],
+  [PROVIDER_TYPES.FIXTURE, createFixtureProvider]
+]);
+
+// Provider instances for the current data source, by network
+const providers = new Map();
+
+let dataSource = { type: PROVIDER_TYPES.ALCHEMY, config: {} };
+
+/**
+ * Register the factory for a provider type
+ * alchemyService registers the Alchemy provider itself
+ * @param {string} type - One of PROVIDER_TYPES
+ * @param {Function} factory - (network, config) => provider
+ */
+export const registerProviderFactory = (type, factory) => {
+  factories.set(type, factory);
+  providers.clear();
+};
+
+/**
+ * Switch every service to a different data source
+ * @param {string} type - One of PROVIDER_TYPES
+ * @param {Object} config - Provider configuration, e.g. { rpcUrl, wsUrl, traceMode } for JSON-RPC
+ */
+export const setDataSource = (type, config = {}) => {
+  if (!factories.has(type)) {
+    throw new Error(`Unknown data provider: ${type}`);
+  }
+  dataSource = { type, config };
+  providers.clear();
+};
+
+export const getDataSource = () => dataSource;
+
+/**
+ * Get the provider for a network from the current data source
+ * @param {string} network - Network id
+ * @returns {Object} Data provider
+ */
+export const getDataProvider = (network) => {
+  const key = `${dataSource.type}:${network}`;
+
+  if (!providers.has(key)) {
+    const factory = factories.get(dataSource.type);
+    if (!factory) {
+      throw new Error(`No factory registered for data provider: ${dataSource.type}`);
+    }
+    const provider = {
+      ...factory(network, dataSource.config),
+      type: dataSource.type,
+      network
+    };
+    // Replaying a fixture while recording would only copy it
+    providers.set(key, dataSource.type === PROVIDER_TYPES.FIXTURE ? provider : withRecording(provider));
+  }
+
+  return providers.get(key);
+};
+
+// Persist JSON-RPC settings so a self-hosted node survives a reload; fixtures are session-only
+export const saveDataSourceSettings = (type, config = {}) => {
+  try {
+    if (type === PROVIDER_TYPES.FIXTURE) return;
+    localStorage.setItem(DATA_SOURCE_STORAGE_KEY, JSON.stringify({ type, config }));
+  } catch (error) {
+    console.error('Error saving data source settings:', error);
+  }
+};
+
+export const getSavedDataSourceSettings = () => {
+  try {
+    const saved = localStorage.getItem(DATA_SOURCE_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Error loading data source settings:', error);
+    return null;
+  }
+};
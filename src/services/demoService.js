@@ -3,11 +3,13 @@
  * 
  * Manages demo API usage limits for sessions without their own API keys
  */
+import { isValidFixture } from './sessionRecorder';
 
 // Demo configuration
 const DEMO_CONFIG = {
   MAX_CALLS_PER_SESSION: 2,
   SESSION_STORAGE_KEY: 'etherflow_demo_usage',
+  FIXTURE_PATH: `${process.env.PUBLIC_URL}/fixtures`, // Recorded demo sessions, one <address>.json per demo address
   DEMO_API_KEY: process.env.REACT_APP_DEMO_API_KEY, // Your demo API key
   DEMO_ADDRESSES: [
     '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045', // Vitalik's address
@@ -113,6 +115,34 @@ export const getDemoAddresses = () => {
   return DEMO_CONFIG.DEMO_ADDRESSES;
 };
 
+// Demo fixtures by lowercase address; null when the address has no recording
+const demoFixtures = new Map();
+
+/**
+ * Load the recorded session for a demo address, if one is deployed
+ * Replaying it costs no demo calls.
+ */
+export const getDemoFixture = async (address) => {
+  const key = address.toLowerCase();
+  
+  if (!demoFixtures.has(key)) {
+    let fixture = null;
+    try {
+      const response = await fetch(`${DEMO_CONFIG.FIXTURE_PATH}/${key}.json`);
+      // The dev server answers missing files with index.html, so the body has to parse as a fixture
+      if (response.ok) {
+        const parsed = await response.json();
+        fixture = isValidFixture(parsed) ? parsed : null;
+      }
+    } catch (error) {
+      fixture = null;
+    }
+    demoFixtures.set(key, fixture);
+  }
+  
+  return demoFixtures.get(key);
+};
+
 /**
  * Get demo status for display
  */
@@ -136,5 +166,6 @@ export default {
   getEffectiveApiKey,
   isUsingDemoAPI,
   getDemoAddresses,
+  getDemoFixture,
   getDemoStatus
 };
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * ENS Service
+ *
+ * Resolves ENS names typed into the search box and looks up the primary names of transfer
+ * partners. ENS lives on Ethereum mainnet, so every lookup goes to the mainnet provider of
+ * the current data source, whichever network is being searched.
+ *
+ * Primary names come from the ENS ReverseRecords contract, which returns the names of many
+ * addresses in one call and only returns names that resolve back to the same address.
+ * Names are cached in memory for the session and in the IndexedDB cache for a day.
+ */
+import * as alchemySdk from 'alchemy-sdk';
+import { getDataProvider } from './dataProvider';
+import { getCachedEnsNames, putCachedEnsName } from './cacheService';
+
+const { Network, Utils } = alchemySdk;
+
+const ENS_NETWORK = Network.ETH_MAINNET;
+const ENS_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+const REVERSE_RECORDS = '0x3671aE578E63FdF66ad4F3E12CC0c0d71Ac7510C';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Addresses per ReverseRecords call
+const REVERSE_BATCH_SIZE = 100;
+// Names can be changed or transferred, so cached names are looked up again after a day
+const NAME_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+const registryInterface = new Utils.Interface(['function resolver(bytes32 node) view returns (address)']);
+const resolverInterface = new Utils.Interface(['function addr(bytes32 node) view returns (address)']);
+const reverseRecordsInterface = new Utils.Interface(['function getNames(address[] addresses) view returns (string[] r)']);
+
+// Primary names by lowercase address (null when the address has none), and addresses by name
+const primaryNames = new Map();
+const resolvedNames = new Map();
+
+/**
+ * Check whether search input is an ENS name rather than an address
+ * @param {string} value - Search input
+ * @returns {boolean}
+ */
+export const isEnsName = (value) => {
+  const name = (value || '').trim();
+  return name.includes('.') && !name.startsWith('0x') && Utils.isValidName(name);
+};
+
+const callContract = async (provider, to, contractInterface, method, args) => {
+  const result = await provider.call(to, contractInterface.encodeFunctionData(method, args));
+  return contractInterface.decodeFunctionResult(method, result)[0];
+};
+
+/**
+ * Resolve an ENS name to an address
+ * @param {string} name - ENS name, e.g. vitalik.eth
+ * @returns {Promise<string|null>} Address, or null if the name is not registered or has no address
+ */
+export const resolveEnsName = async (name) => {
+  const normalized = name.trim().toLowerCase();
+  if (resolvedNames.has(normalized)) {
+    return resolvedNames.get(normalized);
+  }
+
+  const provider = getDataProvider(ENS_NETWORK);
+  let address = null;
+
+  if (provider.resolveName) {
+    address = await provider.resolveName(normalized);
+  } else if (provider.call) {
+    const node = Utils.namehash(normalized);
+    const resolver = await callContract(provider, ENS_REGISTRY, registryInterface, 'resolver', [node]);
+    if (resolver !== ZERO_ADDRESS) {
+      address = await callContract(provider, resolver, resolverInterface, 'addr', [node]);
+    }
+  } else {
+    throw new Error('ENS names cannot be resolved with this data source. Enter the address instead.');
+  }
+
+  address = address && address !== ZERO_ADDRESS ? address : null;
+  resolvedNames.set(normalized, address);
+  return address;
+};
+
+/**
+ * Look up the primary ENS names of addresses
+ * Lookups that fail are left uncached, so the next call retries them.
+ * @param {Array<string>} addresses - Addresses to look up
+ * @returns {Promise<Map>} Names by lowercase address, for the addresses that have one
+ */
+export const lookupEnsNames = async (addresses) => {
+  const unique = [...new Set(addresses.map(address => address.toLowerCase()))];
+
+  // Session cache first, then the persistent cache
+  let missing = unique.filter(address => !primaryNames.has(address));
+  if (missing.length > 0) {
+    const cached = await getCachedEnsNames(missing);
+    cached.forEach((entry, address) => {
+      if (Date.now() - entry.storedAt < NAME_CACHE_TTL) {
+        primaryNames.set(address, entry.name);
+      }
+    });
+    missing = missing.filter(address => !primaryNames.has(address));
+  }
+
+  const provider = getDataProvider(ENS_NETWORK);
+  if (missing.length > 0 && provider.call) {
+    for (let i = 0; i < missing.length; i += REVERSE_BATCH_SIZE) {
+      const batch = missing.slice(i, i + REVERSE_BATCH_SIZE);
+      try {
+        const names = await callContract(provider, REVERSE_RECORDS, reverseRecordsInterface, 'getNames', [batch]);
+        batch.forEach((address, index) => {
+          // Reverse records are free text; names that don't normalize are never shown (they end up in markup)
+          const name = names[index] && Utils.isValidName(names[index]) ? names[index] : null;
+          primaryNames.set(address, name);
+          putCachedEnsName(address, name);
+        });
+      } catch (error) {
+        console.warn('ENS reverse lookup failed:', error);
+      }
+    }
+  }
+
+  return unique.reduce((names, address) => {
+    if (primaryNames.get(address)) names.set(address, primaryNames.get(address));
+    return names;
+  }, new Map());
+};
+
+/**
+ * Add the primary ENS name of every partner as partner.ensName
+ * @param {Array} partners - Output of processTransferPartners
+ * @returns {Promise<Array>} New partner objects; partners without a name keep ensName null
+ */
+export const attachEnsNames = async (partners) => {
+  const names = await lookupEnsNames(partners.map(partner => partner.address));
+  return partners.map(partner => ({ ...partner, ensName: names.get(partner.address.toLowerCase()) || null }));
+};
@@ -0,0 +1,80 @@
+import { getAddressTransactions } from './alchemyService';
+import { PROVIDER_TYPES, setDataSource, getDataProvider } from './dataProvider';
+import { analyzeTransactionPatterns } from './patternAnalysisService';
+import { getGasDetails, analyzeGasUsage } from './gasAnalysisService';
+import { analyzeProfitLoss } from './profitLossService';
+import { DEFAULT_NETWORK } from './networkConfig';
+
+// The analyses behind PatternAnalysis, GasUsageAnalysis and ProfitLossAnalysis, run against
+// a hand-written fixture with no API key and no network
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const PARTNER = '0x2222222222222222222222222222222222222222';
+const OTHER_PARTNER = '0x3333333333333333333333333333333333333333';
+
+const transfer = (index, from, to, value, day) => ({
+  uniqueId: `0x${index.toString(16).padStart(64, '0')}:external`,
+  hash: `0x${index.toString(16).padStart(64, '0')}`,
+  blockNum: `0x${(17000000 + index * 1000).toString(16)}`,
+  from,
+  to,
+  value,
+  asset: 'ETH',
+  category: 'external',
+  rawContract: { address: null, decimal: '0x12' },
+  metadata: { blockTimestamp: `2024-01-${String(day).padStart(2, '0')}T12:00:00.000Z` }
+});
+
+const FIXTURE = {
+  transfers: [
+    transfer(1, PARTNER, ADDRESS, 2, 1),
+    transfer(2, OTHER_PARTNER, ADDRESS, 1, 3),
+    transfer(3, ADDRESS, PARTNER, 0.5, 5),
+    transfer(4, PARTNER, ADDRESS, 3, 8),
+    transfer(5, ADDRESS, OTHER_PARTNER, 1.5, 12)
+  ],
+  receipts: {
+    [`0x${(3).toString(16).padStart(64, '0')}`]: { gasUsed: '21000', effectiveGasPrice: '20000000000', status: 1, blockNumber: 17003000 },
+    [`0x${(5).toString(16).padStart(64, '0')}`]: { gasUsed: '21000', effectiveGasPrice: '30000000000', status: 1, blockNumber: 17005000 }
+  }
+};
+
+describe('analyses on a fixture', () => {
+  let transactions;
+
+  beforeAll(async () => {
+    setDataSource(PROVIDER_TYPES.FIXTURE, { fixture: FIXTURE });
+    transactions = await getAddressTransactions(ADDRESS);
+  });
+
+  test('loads both directions from the fixture', () => {
+    expect(transactions.sent).toHaveLength(2);
+    expect(transactions.received).toHaveLength(3);
+    expect(transactions.truncated).toBe(false);
+  });
+
+  test('runs the pattern analysis', () => {
+    const patterns = analyzeTransactionPatterns(transactions, ADDRESS);
+    // Every amount is a whole or half ETH
+    expect(patterns.patterns.map(pattern => pattern.type)).toContain('round_number_transfers');
+    // Received ETH is later sent on, so there are holding times to show
+    expect(patterns.holdingTimes).toBeTruthy();
+  });
+
+  test('runs the gas analysis on the recorded receipts', async () => {
+    const { transactions: withGas, failed } = await getGasDetails(getDataProvider(DEFAULT_NETWORK), transactions.sent);
+    expect(failed).toHaveLength(0);
+    expect(withGas.map(tx => tx.gasUsed)).toEqual([21000, 21000]);
+    expect(withGas[0].gasFee).toBeCloseTo(0.00042);
+
+    const analysis = analyzeGasUsage(withGas);
+    expect(analysis.totalGasFee).toBeCloseTo(0.00105);
+  });
+
+  test('runs the profit/loss analysis', async () => {
+    const analysis = await analyzeProfitLoss(transactions, ADDRESS, 3000);
+    expect(analysis.totalReceived).toBeCloseTo(6);
+    expect(analysis.totalSent).toBeCloseTo(2);
+    expect(analysis.netBalance).toBeCloseTo(4);
+  });
+});
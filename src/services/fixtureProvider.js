@@ -0,0 +1,136 @@
+/**
+ * Fixture Provider
+ *
+ * In-memory data provider that answers queries from recorded transfers, receipts and
+ * contract code, so the whole analysis pipeline can run offline.
+ *
+ * Fixtures come in two shapes:
+ *   - hand-written: { transfers: [], receipts, code, blockNumber, blocks }
+ *   - recorded by sessionRecorder: { version, network, assetTransfers: [{ params, response }], receipts, code, blocks }
+ * Recorded requests are replayed exactly; any other query is answered from every
+ * transfer the fixture contains.
+ */
+
+// Default page size, matching Alchemy's getAssetTransfers
+const DEFAULT_MAX_COUNT = 1000;
+
+// Version of the recorded fixture format
+export const FIXTURE_VERSION = 1;
+
+// Requests with the same params in a different key order are the same request
+export const getRequestKey = (params = {}) => JSON.stringify(
+  Object.keys(params).sort().reduce((sorted, key) => {
+    sorted[key] = params[key];
+    return sorted;
+  }, {})
+);
+
+const toBlockNumber = (block, fallback) => {
+  if (block === undefined || block === null || block === 'latest') return fallback;
+  if (typeof block === 'number') return block;
+  return block.startsWith('0x') ? parseInt(block, 16) : parseInt(block, 10);
+};
+
+/**
+ * Apply getAssetTransfers query params to a list of transfers
+ *
+ * Supports the params the app uses: fromAddress, toAddress, category, fromBlock,
+ * toBlock, excludeZeroValue, order, maxCount and pageKey. The pageKey is the
+ * offset of the next page.
+ *
+ * @param {Array} transfers - Transfers in Alchemy's getAssetTransfers shape
+ * @param {Object} params - getAssetTransfers params
+ * @returns {Object} { transfers, pageKey }
+ */
+export const queryTransfers = (transfers, params = {}) => {
+  const fromAddress = params.fromAddress ? params.fromAddress.toLowerCase() : null;
+  const toAddress = params.toAddress ? params.toAddress.toLowerCase() : null;
+  const fromBlock = toBlockNumber(params.fromBlock, 0);
+  const toBlock = toBlockNumber(params.toBlock, Infinity);
+
+  const matches = transfers
+    .filter(tx => !fromAddress || (tx.from && tx.from.toLowerCase() === fromAddress))
+    .filter(tx => !toAddress || (tx.to && tx.to.toLowerCase() === toAddress))
+    .filter(tx => !params.category || params.category.includes(tx.category))
+    .filter(tx => {
+      const blockNumber = toBlockNumber(tx.blockNum, 0);
+      return blockNumber >= fromBlock && blockNumber <= toBlock;
+    })
+    // NFT transfers carry no value, so only fungible zero-value transfers are dropped
+    .filter(tx => !params.excludeZeroValue || tx.value !== 0)
+    .sort((a, b) => toBlockNumber(a.blockNum, 0) - toBlockNumber(b.blockNum, 0));
+
+  if (params.order === 'desc') {
+    matches.reverse();
+  }
+
+  const offset = params.pageKey ? parseInt(params.pageKey, 10) : 0;
+  const maxCount = params.maxCount || DEFAULT_MAX_COUNT;
+  const page = matches.slice(offset, offset + maxCount);
+  const nextOffset = offset + page.length;
+
+  return {
+    transfers: page,
+    pageKey: nextOffset < matches.length ? String(nextOffset) : undefined
+  };
+};
+
+/**
+ * Create a provider backed by fixture data
+ * @param {string} network - Network id the provider serves (unused: a fixture is served as-is)
+ * @param {Object} config - { fixture } in either of the shapes described above
+ * @returns {Object} Data provider
+ */
+export const createFixtureProvider = (network, { fixture = {} } = {}) => {
+  const recorded = fixture.assetTransfers || [];
+  const responses = new Map(recorded.map(({ params, response }) => [getRequestKey(params), response]));
+
+  // Recorded pages overlap when the same history was fetched twice, so transfers are deduplicated
+  const transfersById = new Map();
+  [...(fixture.transfers || []), ...recorded.flatMap(({ response }) => response.transfers || [])]
+    .forEach(tx => transfersById.set(tx.uniqueId || `${tx.hash}:${tx.from}:${tx.to}:${tx.category}`, tx));
+  const transfers = Array.from(transfersById.values());
+  const receipts = fixture.receipts || {};
+  const code = Object.keys(fixture.code || {}).reduce((byAddress, address) => {
+    byAddress[address.toLowerCase()] = fixture.code[address];
+    return byAddress;
+  }, {});
+
+  // Block timestamps (seconds) from recorded lookups and transfer metadata, oldest first
+  const blockTimes = new Map(Object.entries(fixture.blocks || {}).map(([number, timestamp]) => [Number(number), timestamp]));
+  transfers.forEach(tx => {
+    if (tx.metadata?.blockTimestamp) {
+      blockTimes.set(toBlockNumber(tx.blockNum, 0), Math.floor(new Date(tx.metadata.blockTimestamp).getTime() / 1000));
+    }
+  });
+  const knownBlocks = Array.from(blockTimes.keys()).sort((a, b) => a - b);
+
+  // Blocks the fixture never saw are interpolated between the nearest known ones
+  const getBlockTimestamp = (blockNumber) => {
+    if (blockTimes.has(blockNumber)) return blockTimes.get(blockNumber);
+    if (knownBlocks.length === 0) return null;
+
+    const nextIndex = knownBlocks.findIndex(number => number > blockNumber);
+    if (nextIndex === -1) return blockTimes.get(knownBlocks[knownBlocks.length - 1]);
+    if (nextIndex === 0) return blockTimes.get(knownBlocks[0]);
+
+    const before = knownBlocks[nextIndex - 1];
+    const after = knownBlocks[nextIndex];
+    const ratio = (blockNumber - before) / (after - before);
+    return Math.round(blockTimes.get(before) + ratio * (blockTimes.get(after) - blockTimes.get(before)));
+  };
+
+  return {
+    supportsInternalTransfers: true,
+    getAssetTransfers: async (params) => responses.get(getRequestKey(params)) || queryTransfers(transfers, params),
+    getTransactionReceipt: async (hash) => receipts[hash] || null,
+    // Addresses missing from the fixture are treated as EOAs
+    getCode: async (address) => code[address.toLowerCase()] || '0x',
+    getBlockNumber: async () => fixture.blockNumber ||
+      Math.max(0, ...transfers.map(tx => toBlockNumber(tx.blockNum, 0))),
+    getBlock: async (blockNumber) => {
+      const timestamp = getBlockTimestamp(blockNumber);
+      return timestamp === null ? null : { number: blockNumber, timestamp };
+    }
+  };
+};
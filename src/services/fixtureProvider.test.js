@@ -0,0 +1,77 @@
+import { queryTransfers, createFixtureProvider, getRequestKey } from './fixtureProvider';
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const PARTNER = '0x2222222222222222222222222222222222222222';
+
+const transfer = (block, from, to, value, category = 'external') => ({
+  uniqueId: `0x${block.toString(16).padStart(64, '0')}:${category}`,
+  hash: `0x${block.toString(16).padStart(64, '0')}`,
+  blockNum: `0x${block.toString(16)}`,
+  from,
+  to,
+  value,
+  category
+});
+
+// Listed out of block order on purpose
+const TRANSFERS = [
+  transfer(30, ADDRESS, PARTNER, 1),
+  transfer(10, PARTNER, ADDRESS, 2),
+  transfer(50, ADDRESS, PARTNER, 0),
+  transfer(20, ADDRESS, PARTNER, 3, 'erc20'),
+  transfer(40, ADDRESS, PARTNER, 4)
+];
+
+describe('queryTransfers', () => {
+  test('filters by address, category, block range and zero value', () => {
+    const { transfers } = queryTransfers(TRANSFERS, {
+      fromAddress: ADDRESS.toUpperCase().replace('0X', '0x'),
+      category: ['external'],
+      fromBlock: '0x1e',
+      excludeZeroValue: true
+    });
+    expect(transfers.map(tx => tx.blockNum)).toEqual(['0x1e', '0x28']);
+  });
+
+  test('pages through the matches in block order with the offset as pageKey', () => {
+    const first = queryTransfers(TRANSFERS, { fromAddress: ADDRESS, maxCount: 2 });
+    expect(first.transfers.map(tx => tx.blockNum)).toEqual(['0x14', '0x1e']);
+    expect(first.pageKey).toBe('2');
+
+    const second = queryTransfers(TRANSFERS, { fromAddress: ADDRESS, maxCount: 2, pageKey: first.pageKey });
+    expect(second.transfers.map(tx => tx.blockNum)).toEqual(['0x28', '0x32']);
+    expect(second.pageKey).toBeUndefined();
+  });
+
+  test('pages newest first for descending queries', () => {
+    const { transfers, pageKey } = queryTransfers(TRANSFERS, { fromAddress: ADDRESS, order: 'desc', maxCount: 3 });
+    expect(transfers.map(tx => tx.blockNum)).toEqual(['0x32', '0x28', '0x1e']);
+    expect(pageKey).toBe('3');
+  });
+});
+
+describe('createFixtureProvider', () => {
+  test('replays recorded requests exactly, whatever the key order', async () => {
+    const params = { fromAddress: ADDRESS, category: ['external'], maxCount: 1 };
+    const response = { transfers: [TRANSFERS[0]], pageKey: 'recorded-page' };
+    const provider = createFixtureProvider('eth-mainnet', {
+      fixture: { assetTransfers: [{ params, response }] }
+    });
+
+    expect(await provider.getAssetTransfers({ maxCount: 1, category: ['external'], fromAddress: ADDRESS })).toEqual(response);
+    expect(getRequestKey({ b: 1, a: 2 })).toBe(getRequestKey({ a: 2, b: 1 }));
+  });
+
+  test('answers other queries from every recorded transfer, without duplicates', async () => {
+    const provider = createFixtureProvider('eth-mainnet', {
+      fixture: {
+        transfers: [TRANSFERS[0]],
+        assetTransfers: [{ params: { toAddress: PARTNER }, response: { transfers: [TRANSFERS[0], TRANSFERS[4]] } }]
+      }
+    });
+
+    const { transfers } = await provider.getAssetTransfers({ fromAddress: ADDRESS });
+    expect(transfers.map(tx => tx.blockNum)).toEqual(['0x1e', '0x28']);
+    expect(await provider.getBlockNumber()).toBe(40);
+  });
+});
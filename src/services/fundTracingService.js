@@ -0,0 +1,544 @@
+/**
+ * Fund Tracing Service
+ * Follows funds out of an address hop by hop to build a multi-level transfer graph
+ */
+import {
+  getAddressTransactions,
+  getAddressTypes,
+  getAssetKey,
+  getTransferAmount,
+  ADDRESS_TYPES,
+  NATIVE_ASSET_KEY
+} from './alchemyService';
+import { screenAddress, screenAddresses } from './sanctionsService';
+
+// Default budget limits for a trace
+export const DEFAULT_TRACE_OPTIONS = {
+  maxHops: 3,
+  maxAddresses: 20, // Addresses whose outgoing transfers are fetched, in total
+  minValue: 0.1, // Smallest transfer followed, in units of the traced asset
+  windowBlocks: 50400, // About 7 days of Ethereum mainnet blocks after funds arrive
+  maxEdgesPerAddress: 10, // Largest outgoing transfers kept per address
+  maxTransfersPerAddress: 1000,
+  assetKey: NATIVE_ASSET_KEY,
+  skipContracts: true // Keep contracts (exchanges, routers) as leaves instead of expanding them
+};
+
+/**
+ * Convert an Alchemy hex block number to a number
+ * @param {string|number} blockNum - Hex string or number
+ * @returns {number} Block number
+ */
+export const parseBlockNumber = (blockNum) => {
+  if (typeof blockNum === 'number') return blockNum;
+  if (!blockNum) return 0;
+  return blockNum.startsWith('0x') ? parseInt(blockNum, 16) : parseInt(blockNum, 10);
+};
+
+/**
+ * Convert a block number to the hex form Alchemy expects for fromBlock/toBlock
+ * @param {number} blockNumber - Block number
+ * @returns {string} Hex block number
+ */
+export const toHexBlock = (blockNumber) => `0x${Math.max(0, Math.floor(blockNumber)).toString(16)}`;
+
+/**
+ * Build a trace edge from an outgoing transfer
+ */
+const createEdge = (tx, hop) => ({
+  id: `${tx.hash}:${tx.uniqueId || `${tx.from}-${tx.to}`}`,
+  from: tx.from.toLowerCase(),
+  to: tx.to.toLowerCase(),
+  value: getTransferAmount(tx),
+  asset: tx.asset || 'ETH',
+  hash: tx.hash,
+  blockNumber: parseBlockNumber(tx.blockNum),
+  timestamp: tx.metadata?.blockTimestamp || null,
+  hop
+});
+
+/**
+ * Trace funds forward from a partner of the central address
+ *
+ * The trace starts with the central address at hop 0 and the partner at hop 1,
+ * and addresses are expanded until they sit maxHops away from the central address.
+ * Each expanded address only contributes transfers sent within the time window
+ * that opens when funds first arrived there, so the window moves forward hop by hop.
+ *
+ * @param {String} centralAddress - The address currently being analyzed
+ * @param {Object} partner - Transfer partner from processTransferPartners
+ * @param {Object} options - Budget limits (see DEFAULT_TRACE_OPTIONS), plus userApiKey, network and onProgress
+ * @returns {Promise<Object>} Nodes, edges and budget statistics of the trace
+ */
+export const traceFunds = async (centralAddress, partner, options = {}) => {
+  const settings = { ...DEFAULT_TRACE_OPTIONS, ...options };
+  const { userApiKey = null, onProgress = null, network = null } = options;
+
+  const root = centralAddress.toLowerCase();
+  const start = partner.address.toLowerCase();
+
+  const nodes = new Map();
+  const edges = [];
+  const stats = {
+    expandedAddresses: 0,
+    maxHopReached: 1,
+    budgetExhausted: false,
+    skippedContracts: 0,
+    truncatedAddresses: 0,
+    stoppedEarly: null
+  };
+
+  nodes.set(root, { address: root, hop: 0, arrivalBlock: null, inflow: 0, expanded: false, isRoot: true });
+
+  // Seed edges: what the central address sent to the partner
+  const seedTransactions = partner.transactions.filter(tx =>
+    tx.direction === 'sent' && (tx.assetKey || NATIVE_ASSET_KEY) === settings.assetKey
+  );
+
+  seedTransactions.forEach(tx => {
+    edges.push({
+      id: `${tx.hash}:seed`,
+      from: root,
+      to: start,
+      value: parseFloat(tx.value) || 0,
+      asset: tx.asset || 'ETH',
+      hash: tx.hash,
+      blockNumber: parseBlockNumber(tx.blockNum),
+      timestamp: tx.timestamp || null,
+      hop: 1
+    });
+  });
+
+  const seedBlocks = seedTransactions.map(tx => parseBlockNumber(tx.blockNum)).filter(Boolean);
+  const startBlock = seedBlocks.length > 0 ? Math.min(...seedBlocks) : null;
+
+  nodes.set(start, {
+    address: start,
+    hop: 1,
+    arrivalBlock: startBlock,
+    inflow: edges.reduce((sum, edge) => sum + edge.value, 0),
+    expanded: false,
+    addressType: partner.addressType || ADDRESS_TYPES.UNKNOWN
+  });
+
+  const queue = [start];
+
+  while (queue.length > 0) {
+    if (stats.expandedAddresses >= settings.maxAddresses) {
+      stats.budgetExhausted = true;
+      break;
+    }
+
+    const address = queue.shift();
+    const node = nodes.get(address);
+
+    // Addresses at the last hop are shown but not expanded
+    if (node.hop >= settings.maxHops) {
+      continue;
+    }
+
+    // Leave contracts as leaves: funds entering an exchange or router can't be followed by address
+    if (settings.skipContracts && node.addressType === ADDRESS_TYPES.CONTRACT && address !== start) {
+      stats.skippedContracts += 1;
+      continue;
+    }
+
+    // The time window opens when funds first arrived at this address
+    const fromBlock = node.arrivalBlock !== null ? toHexBlock(node.arrivalBlock) : null;
+    const toBlock = node.arrivalBlock !== null ? toHexBlock(node.arrivalBlock + settings.windowBlocks) : null;
+
+    let result;
+    try {
+      result = await getAddressTransactions(address, fromBlock, toBlock, userApiKey, {
+        directions: ['sent'],
+        maxTransfers: settings.maxTransfersPerAddress,
+        network
+      });
+    } catch (error) {
+      // Keep the partial graph once at least one address has been expanded
+      if (stats.expandedAddresses === 0) {
+        throw error;
+      }
+      stats.stoppedEarly = error.message;
+      break;
+    }
+
+    node.expanded = true;
+    node.truncated = result.truncated;
+    stats.expandedAddresses += 1;
+    if (result.truncated) {
+      stats.truncatedAddresses += 1;
+    }
+
+    // Keep the largest matching outgoing transfers
+    const outgoing = result.sent
+      .filter(tx => tx.to && tx.to.toLowerCase() !== address)
+      .filter(tx => getAssetKey(tx) === settings.assetKey)
+      .filter(tx => getTransferAmount(tx) >= settings.minValue)
+      .sort((a, b) => getTransferAmount(b) - getTransferAmount(a))
+      .slice(0, settings.maxEdgesPerAddress);
+
+    const hop = node.hop + 1;
+    const newAddresses = [];
+
+    outgoing.forEach(tx => {
+      const edge = createEdge(tx, hop);
+      edges.push(edge);
+
+      const existing = nodes.get(edge.to);
+      if (existing) {
+        existing.inflow += edge.value;
+        // Funds that arrive earlier widen the window for an address not yet expanded
+        if (!existing.expanded && existing.arrivalBlock !== null && edge.blockNumber < existing.arrivalBlock) {
+          existing.arrivalBlock = edge.blockNumber;
+        }
+        return;
+      }
+
+      nodes.set(edge.to, {
+        address: edge.to,
+        hop,
+        arrivalBlock: edge.blockNumber,
+        inflow: edge.value,
+        expanded: false,
+        addressType: ADDRESS_TYPES.UNKNOWN
+      });
+      newAddresses.push(edge.to);
+    });
+
+    if (newAddresses.length > 0) {
+      stats.maxHopReached = Math.max(stats.maxHopReached, hop);
+
+      // Tag new addresses so contracts are not expanded
+      try {
+        const addressTypes = await getAddressTypes(newAddresses, network);
+        newAddresses.forEach(newAddress => {
+          nodes.get(newAddress).addressType = addressTypes[newAddress] || ADDRESS_TYPES.UNKNOWN;
+        });
+      } catch (error) {
+        console.warn('Error classifying traced addresses:', error);
+      }
+
+      if (hop < settings.maxHops) {
+        queue.push(...newAddresses);
+      }
+    }
+
+    if (onProgress) {
+      onProgress({
+        expandedAddresses: stats.expandedAddresses,
+        maxAddresses: settings.maxAddresses,
+        discoveredAddresses: nodes.size,
+        hop: node.hop
+      });
+    }
+  }
+
+  return {
+    root,
+    start,
+    assetKey: settings.assetKey,
+    options: {
+      maxHops: settings.maxHops,
+      maxAddresses: settings.maxAddresses,
+      minValue: settings.minValue,
+      windowBlocks: settings.windowBlocks
+    },
+    nodes: Array.from(nodes.values()).map(node => ({ ...node, sanctionsMatches: screenAddress(node.address) })),
+    edges,
+    stats,
+    // Every traced address is screened, hops that were not expanded included
+    sanctionsHits: screenAddresses(nodes.keys())
+  };
+};
+
+// Default budget limits for a path search
+export const DEFAULT_PATH_OPTIONS = {
+  maxHops: 4, // Longest path searched, counted in transfers
+  maxAddresses: 30, // Addresses whose transfers are fetched, across both directions
+  minValue: 0.01,
+  maxEdgesPerAddress: 25,
+  maxTransfersPerAddress: 1000,
+  maxPaths: 10,
+  assetKey: NATIVE_ASSET_KEY
+};
+
+/**
+ * List time-ordered paths from source to target over the collected edges
+ *
+ * Each transfer on a path must happen in the same block as, or after, the transfer before it.
+ */
+const enumeratePaths = (edgesByFrom, source, target, maxHops, maxPaths) => {
+  const paths = [];
+
+  const walk = (address, path, visited) => {
+    if (paths.length >= maxPaths * 5) return;
+
+    if (address === target) {
+      paths.push([...path]);
+      return;
+    }
+    if (path.length >= maxHops) return;
+
+    const lastBlock = path.length > 0 ? path[path.length - 1].blockNumber : 0;
+
+    (edgesByFrom.get(address) || []).forEach(edge => {
+      if (visited.has(edge.to) || edge.blockNumber < lastBlock) return;
+
+      visited.add(edge.to);
+      path.push(edge);
+      walk(edge.to, path, visited);
+      path.pop();
+      visited.delete(edge.to);
+    });
+  };
+
+  walk(source, [], new Set([source]));
+
+  // Shortest first, then the path that settles soonest
+  return paths
+    .sort((a, b) =>
+      a.length - b.length ||
+      (a[a.length - 1].blockNumber - a[0].blockNumber) - (b[b.length - 1].blockNumber - b[0].blockNumber)
+    )
+    .slice(0, maxPaths)
+    .map((edges, index) => ({
+      id: index,
+      hops: edges.length,
+      edges,
+      startBlock: edges[0].blockNumber,
+      endBlock: edges[edges.length - 1].blockNumber,
+      // The smallest transfer bounds how much value the path can have carried
+      bottleneck: Math.min(...edges.map(edge => edge.value))
+    }));
+};
+
+/**
+ * Find transfer paths that move value from one address to another
+ *
+ * Runs a bidirectional BFS: the forward side follows transfers sent after funds
+ * reached an address, the backward side follows transfers received before funds
+ * left an address. The search stops at the first depth where the two sides meet
+ * in a time-consistent way, or when the budget runs out.
+ *
+ * @param {String} sourceAddress - Address the funds leave from
+ * @param {String} targetAddress - Address the funds should arrive at
+ * @param {Object} options - Budget limits (see DEFAULT_PATH_OPTIONS), plus userApiKey, network and onProgress
+ * @returns {Promise<Object>} Paths with per-edge amounts and timestamps, and search statistics
+ */
+export const findValuePaths = async (sourceAddress, targetAddress, options = {}) => {
+  const settings = { ...DEFAULT_PATH_OPTIONS, ...options };
+  const { userApiKey = null, onProgress = null, network = null } = options;
+
+  const source = sourceAddress.toLowerCase();
+  const target = targetAddress.toLowerCase();
+
+  if (source === target) {
+    throw new Error('Source and target addresses must differ');
+  }
+
+  // Earliest block funds can reach an address from the source
+  const forward = new Map([[source, 0]]);
+  // Latest block funds can leave an address and still reach the target
+  const backward = new Map([[target, Infinity]]);
+
+  let forwardFrontier = [source];
+  let backwardFrontier = [target];
+  let forwardDepth = 0;
+  let backwardDepth = 0;
+
+  const edges = new Map();
+  const stats = {
+    lookups: 0,
+    forwardDepth: 0,
+    backwardDepth: 0,
+    budgetExhausted: false,
+    truncatedAddresses: 0,
+    stoppedEarly: null
+  };
+
+  const addEdge = (tx, hop) => {
+    const edge = createEdge(tx, hop);
+    if (!edges.has(edge.id)) {
+      edges.set(edge.id, edge);
+    }
+    return edge;
+  };
+
+  const relevantTransfers = (transfers) => transfers
+    .filter(tx => tx.from && tx.to && tx.from.toLowerCase() !== tx.to.toLowerCase())
+    .filter(tx => getAssetKey(tx) === settings.assetKey)
+    .filter(tx => getTransferAmount(tx) >= settings.minValue)
+    .sort((a, b) => getTransferAmount(b) - getTransferAmount(a))
+    .slice(0, settings.maxEdgesPerAddress);
+
+  // An address seen from both sides connects the two only if funds arrive before they leave
+  const hasMeeting = () => Array.from(forward.entries()).some(([address, arrival]) =>
+    backward.has(address) && arrival <= backward.get(address)
+  );
+
+  const fetchTransfers = async (address, fromBlock, toBlock, direction) => {
+    const result = await getAddressTransactions(address, fromBlock, toBlock, userApiKey, {
+      directions: [direction],
+      maxTransfers: settings.maxTransfersPerAddress,
+      // The backward side wants the transfers closest to the departure block
+      order: direction === 'received' ? 'desc' : 'asc',
+      network
+    });
+    stats.lookups += 1;
+    if (result.truncated) {
+      stats.truncatedAddresses += 1;
+    }
+    return direction === 'sent' ? result.sent : result.received;
+  };
+
+  try {
+    while (!hasMeeting() && forwardDepth + backwardDepth < settings.maxHops) {
+      if (forwardFrontier.length === 0 && backwardFrontier.length === 0) break;
+
+      // Expand the smaller frontier to keep the number of lookups down
+      const expandForward = backwardFrontier.length === 0 ||
+        (forwardFrontier.length > 0 && forwardFrontier.length <= backwardFrontier.length);
+
+      const frontier = expandForward ? forwardFrontier : backwardFrontier;
+      const depth = expandForward ? forwardDepth : backwardDepth;
+      const nextFrontier = [];
+
+      for (const address of frontier) {
+        if (stats.lookups >= settings.maxAddresses) {
+          stats.budgetExhausted = true;
+          break;
+        }
+
+        if (expandForward) {
+          const arrival = forward.get(address);
+          const transfers = await fetchTransfers(address, arrival ? toHexBlock(arrival) : null, null, 'sent');
+
+          relevantTransfers(transfers).forEach(tx => {
+            const edge = addEdge(tx, depth + 1);
+            if (edge.blockNumber < arrival) return;
+            if (!forward.has(edge.to)) {
+              forward.set(edge.to, edge.blockNumber);
+              nextFrontier.push(edge.to);
+            } else if (edge.blockNumber < forward.get(edge.to)) {
+              forward.set(edge.to, edge.blockNumber);
+            }
+          });
+        } else {
+          const departure = backward.get(address);
+          const toBlock = Number.isFinite(departure) ? toHexBlock(departure) : null;
+          const transfers = await fetchTransfers(address, null, toBlock, 'received');
+
+          relevantTransfers(transfers).forEach(tx => {
+            const edge = addEdge(tx, depth + 1);
+            if (edge.blockNumber > departure) return;
+            if (!backward.has(edge.from)) {
+              backward.set(edge.from, edge.blockNumber);
+              nextFrontier.push(edge.from);
+            } else if (edge.blockNumber > backward.get(edge.from)) {
+              backward.set(edge.from, edge.blockNumber);
+            }
+          });
+        }
+
+        if (onProgress) {
+          onProgress({
+            lookups: stats.lookups,
+            maxAddresses: settings.maxAddresses,
+            depth: depth + 1,
+            direction: expandForward ? 'forward' : 'backward'
+          });
+        }
+      }
+
+      if (expandForward) {
+        forwardDepth += 1;
+        forwardFrontier = nextFrontier;
+      } else {
+        backwardDepth += 1;
+        backwardFrontier = nextFrontier;
+      }
+
+      if (stats.budgetExhausted) break;
+    }
+  } catch (error) {
+    // Report whatever was found before the failing lookup
+    if (stats.lookups === 0) {
+      throw error;
+    }
+    stats.stoppedEarly = error.message;
+  }
+
+  stats.forwardDepth = forwardDepth;
+  stats.backwardDepth = backwardDepth;
+
+  const edgesByFrom = new Map();
+  edges.forEach(edge => {
+    if (!edgesByFrom.has(edge.from)) {
+      edgesByFrom.set(edge.from, []);
+    }
+    edgesByFrom.get(edge.from).push(edge);
+  });
+
+  const paths = enumeratePaths(edgesByFrom, source, target, settings.maxHops, settings.maxPaths);
+
+  return {
+    source,
+    target,
+    assetKey: settings.assetKey,
+    options: {
+      maxHops: settings.maxHops,
+      maxAddresses: settings.maxAddresses,
+      minValue: settings.minValue
+    },
+    paths,
+    stats,
+    // Every address on a found path is screened
+    sanctionsHits: screenAddresses([source, target, ...paths.flatMap(path => path.edges.map(edge => edge.to))])
+  };
+};
+
+/**
+ * Build a graph for TraceGraphD3 from the paths of a path search
+ * @param {Object} result - Result of findValuePaths
+ * @returns {Object} Nodes and edges, with the target in the last column
+ */
+export const buildPathGraph = (result) => {
+  const nodes = new Map();
+  const edges = new Map();
+  const lastColumn = Math.max(1, ...result.paths.map(path => path.hops));
+
+  const addNode = (address, hop, inflow) => {
+    const existing = nodes.get(address);
+    if (existing) {
+      existing.hop = Math.min(existing.hop, hop);
+      existing.inflow += inflow;
+      return;
+    }
+    nodes.set(address, {
+      address,
+      hop,
+      inflow,
+      expanded: true,
+      isRoot: address === result.source,
+      isTarget: address === result.target,
+      addressType: ADDRESS_TYPES.UNKNOWN,
+      sanctionsMatches: screenAddress(address)
+    });
+  };
+
+  addNode(result.source, 0, 0);
+
+  result.paths.forEach(path => {
+    path.edges.forEach((edge, index) => {
+      const hop = edge.to === result.target ? lastColumn : index + 1;
+      addNode(edge.to, hop, edges.has(edge.id) ? 0 : edge.value);
+      edges.set(edge.id, edge);
+    });
+  });
+
+  return {
+    nodes: Array.from(nodes.values()),
+    edges: Array.from(edges.values())
+  };
+};
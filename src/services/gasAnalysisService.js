@@ -2,52 +2,103 @@
  * Gas Analysis Service
  * Analyzes gas spending patterns and efficiency for blockchain transactions
  */
+import { getCachedReceipts, putCachedReceipt } from './cacheService';
+import { isRecording } from './sessionRecorder';
+import { createRequestScheduler } from './requestScheduler';
+
+// Receipts for every analysis share one scheduler, since they share the provider's rate limit
+const receiptScheduler = createRequestScheduler({ concurrency: 4, batchSize: 25 });
+
+// Fetch one batch of receipts; providers without batch support get concurrent single calls,
+// which the Alchemy SDK sends as one JSON-RPC batch
+const fetchReceiptBatch = async (provider, hashes) => {
+  if (provider.getTransactionReceipts) {
+    return provider.getTransactionReceipts(hashes);
+  }
+  
+  const results = await Promise.allSettled(hashes.map(hash => provider.getTransactionReceipt(hash)));
+  return results.map((result, index) => ({
+    item: hashes[index],
+    value: result.status === 'fulfilled' ? result.value : null,
+    error: result.status === 'rejected' ? result.reason : null
+  }));
+};
+
+// Add the receipt's gas fields to a transfer
+const withGasDetails = (tx, txDetail) => ({
+  ...tx,
+  gasUsed: txDetail.gasUsed ? parseInt(txDetail.gasUsed.toString()) : null,
+  effectiveGasPrice: txDetail.effectiveGasPrice ? parseInt(txDetail.effectiveGasPrice.toString()) : null,
+  gasLimit: txDetail.gasLimit ? parseInt(txDetail.gasLimit) : null,
+  cumulativeGasUsed: txDetail.cumulativeGasUsed ? parseInt(txDetail.cumulativeGasUsed.toString()) : null,
+  gasFee: txDetail.gasUsed && txDetail.effectiveGasPrice ? 
+    (parseInt(txDetail.gasUsed.toString()) * parseInt(txDetail.effectiveGasPrice.toString())) / 1e18 : null,
+  status: txDetail.status,
+  blockNumber: txDetail.blockNumber ? parseInt(txDetail.blockNumber.toString()) : null,
+  timestamp: tx.metadata?.blockTimestamp || null
+});
 
 /**
  * Retrieves detailed gas usage information for a list of transactions
- * @param {Object} alchemy - Initialized Alchemy SDK instance
+ *
+ * Receipts are fetched in batches through a bounded pool, with backoff when the
+ * provider rate-limits. Transactions whose receipt could not be fetched are returned
+ * in `failed` so they can be retried.
+ *
+ * @param {Object} provider - Data provider for the transactions' network
  * @param {Array} transactionList - List of transaction hashes to analyze
- * @returns {Promise<Array>} Array of transactions with detailed gas information
+ * @returns {Promise<Object>} { transactions: with gas information, failed: [{ transaction, error }] }
  */
-export const getGasDetails = async (alchemy, transactionList) => {
-  if (!alchemy) {
-    throw new Error('Alchemy SDK not initialized. Please provide API key first.');
+export const getGasDetails = async (provider, transactionList) => {
+  if (!provider) {
+    throw new Error('No data provider available. Please configure a data source first.');
   }
   
   try {
-    // Filter out transactions without hash information
-    const validTransactions = transactionList.filter(tx => tx.hash);
+    // Filter out transactions without hash information; token transfers can share
+    // a transaction hash, so each receipt is only fetched once
+    const seenHashes = new Set();
+    const validTransactions = transactionList.filter(tx => {
+      if (!tx.hash || seenHashes.has(tx.hash)) return false;
+      seenHashes.add(tx.hash);
+      return true;
+    });
     
-    // Get detailed transaction information including gas data
-    const detailedTransactions = await Promise.all(
-      validTransactions.map(async (tx) => {
-        try {
-          const txDetail = await alchemy.core.getTransactionReceipt(tx.hash);
-          
-          // If transaction receipt exists, add gas information
-          if (txDetail) {
-            return {
-              ...tx,
-              gasUsed: txDetail.gasUsed ? parseInt(txDetail.gasUsed.toString()) : null,
-              effectiveGasPrice: txDetail.effectiveGasPrice ? parseInt(txDetail.effectiveGasPrice.toString()) : null,
-              gasLimit: txDetail.gasLimit ? parseInt(txDetail.gasLimit) : null,
-              cumulativeGasUsed: txDetail.cumulativeGasUsed ? parseInt(txDetail.cumulativeGasUsed.toString()) : null,
-              gasFee: txDetail.gasUsed && txDetail.effectiveGasPrice ? 
-                (parseInt(txDetail.gasUsed.toString()) * parseInt(txDetail.effectiveGasPrice.toString())) / 1e18 : null,
-              status: txDetail.status,
-              blockNumber: txDetail.blockNumber ? parseInt(txDetail.blockNumber.toString()) : null,
-              timestamp: tx.metadata?.blockTimestamp || null
-            };
-          }
-          return tx;
-        } catch (error) {
-          console.warn(`Error fetching details for transaction ${tx.hash}:`, error);
-          return tx;
-        }
-      })
-    );
+    // Receipts never change once mined, so only uncached ones are fetched;
+    // a recording fetches them all so they end up in the fixture
+    const receipts = isRecording()
+      ? new Map()
+      : await getCachedReceipts(provider.network, validTransactions.map(tx => tx.hash));
+    
+    const uncachedHashes = validTransactions.map(tx => tx.hash).filter(hash => !receipts.has(hash));
+    const results = await receiptScheduler.scheduleBatches(uncachedHashes, hashes => fetchReceiptBatch(provider, hashes));
     
-    return detailedTransactions.filter(tx => tx.gasUsed !== undefined && tx.gasUsed !== null);
+    const errors = new Map();
+    results.forEach(({ item: hash, value: receipt, error }) => {
+      if (receipt) {
+        receipts.set(hash, receipt);
+        putCachedReceipt(provider.network, hash, receipt);
+      } else {
+        // A missing receipt means the node doesn't know the transaction (yet)
+        errors.set(hash, error || new Error('Receipt not found'));
+      }
+    });
+    
+    const transactions = [];
+    const failed = [];
+    validTransactions.forEach(tx => {
+      if (receipts.has(tx.hash)) {
+        transactions.push(withGasDetails(tx, receipts.get(tx.hash)));
+      } else {
+        console.warn(`Error fetching details for transaction ${tx.hash}:`, errors.get(tx.hash));
+        failed.push({ transaction: tx, error: errors.get(tx.hash)?.message || 'Unknown error' });
+      }
+    });
+    
+    return {
+      transactions: transactions.filter(tx => tx.gasUsed !== undefined && tx.gasUsed !== null),
+      failed
+    };
   } catch (error) {
     console.error('Error retrieving gas details:', error);
     throw error;
@@ -0,0 +1,493 @@
+/**
+ * JSON-RPC Provider
+ *
+ * Data provider for a self-hosted node (Erigon, Reth, Anvil, ...). Plain JSON-RPC has no
+ * getAssetTransfers, so transfers are rebuilt locally in Alchemy's shape:
+ *   - native transfers from trace_filter (external and internal), or by scanning blocks
+ *     when the node has no trace API (external only, limited to recent blocks)
+ *   - token transfers from ERC-20/721 Transfer and ERC-1155 TransferSingle/TransferBatch logs
+ * Filtering, ordering and pagination then go through the fixture provider's queryTransfers.
+ */
+import { queryTransfers } from './fixtureProvider';
+import { getNativeSymbol } from './networkConfig';
+
+export const TRACE_MODES = {
+  TRACE_FILTER: 'trace_filter',
+  SCAN: 'scan'
+};
+
+// Most blocks walked per query in scan mode; older history is not indexed
+const DEFAULT_MAX_SCAN_BLOCKS = 5000;
+
+// Rebuilt transfer lists are reused while paginating through the same query
+const QUERY_CACHE_TTL = 60 * 1000;
+
+// How often the head is polled for live updates when the node has no websocket URL
+const HEAD_POLL_INTERVAL = 12 * 1000;
+
+// Event signatures
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const TRANSFER_SINGLE_TOPIC = '0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62';
+const TRANSFER_BATCH_TOPIC = '0x4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb';
+
+// Function selectors for token metadata
+const DECIMALS_SELECTOR = '0x313ce567';
+const SYMBOL_SELECTOR = '0x95d89b41';
+
+const toHex = (number) => `0x${number.toString(16)}`;
+
+const toNumber = (hex) => (hex ? parseInt(hex, 16) : 0);
+
+// Address topics are left-padded to 32 bytes
+const addressToTopic = (address) => `0x${address.toLowerCase().replace(/^0x/, '').padStart(64, '0')}`;
+
+const topicToAddress = (topic) => `0x${topic.slice(-40)}`;
+
+// Split ABI-encoded data into 32-byte words
+const toWords = (data) => (data.replace(/^0x/, '').match(/.{64}/g) || []).map(word => `0x${word}`);
+
+/**
+ * Scale a raw integer amount by its decimals
+ * @param {string} rawHex - Raw amount as hex
+ * @param {number} decimals - Token decimals
+ * @returns {number} Amount in whole units
+ */
+const formatUnits = (rawHex, decimals) => {
+  const raw = BigInt(rawHex);
+  const base = BigInt(10) ** BigInt(decimals);
+  const whole = raw / base;
+  const fraction = raw % base;
+  return Number(whole) + Number(fraction) / Number(base);
+};
+
+// symbol() returns a string on most tokens and bytes32 on some older ones (e.g. MKR)
+const decodeSymbol = (result) => {
+  if (!result || result === '0x') return null;
+  const words = toWords(result);
+  // Data shorter than a byte has nothing to decode
+  const hexToText = (hex) => (hex.replace(/^0x/, '').match(/.{2}/g) || [])
+    .map(byte => parseInt(byte, 16))
+    .filter(code => code > 0)
+    .map(code => String.fromCharCode(code))
+    .join('');
+
+  if (words.length >= 3 && toNumber(words[0]) === 32) {
+    const length = toNumber(words[1]);
+    return hexToText(words.slice(2).join('').replace(/0x/g, '').slice(0, length * 2)) || null;
+  }
+  return hexToText(words[0] || '0x') || null;
+};
+
+/**
+ * Create a provider that talks to a JSON-RPC node
+ * @param {string} network - Network id the node serves
+ * @param {Object} config - { rpcUrl, wsUrl, traceMode: 'trace_filter' | 'scan', maxScanBlocks }
+ * @returns {Object} Data provider
+ */
+export const createJsonRpcProvider = (network, config = {}) => {
+  const {
+    rpcUrl,
+    wsUrl = null,
+    traceMode = TRACE_MODES.TRACE_FILTER,
+    maxScanBlocks = DEFAULT_MAX_SCAN_BLOCKS
+  } = config;
+
+  if (!rpcUrl) {
+    throw new Error('An RPC URL is required for the JSON-RPC data source.');
+  }
+
+  let requestId = 0;
+  const blockTimestamps = new Map();
+  const scannedBlocks = new Map();
+  const tokenMetadata = new Map();
+  const queryCache = new Map();
+
+  // Errors keep the HTTP status and JSON-RPC code so the request scheduler can spot rate limiting
+  const createRpcError = (message, { status = null, code = null } = {}) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  };
+
+  const post = async (body, label) => {
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw createRpcError(`RPC request ${label} failed with HTTP ${response.status}`, { status: response.status });
+    }
+    return response.json();
+  };
+
+  const rpc = async (method, params = []) => {
+    requestId += 1;
+    const payload = await post({ jsonrpc: '2.0', id: requestId, method, params }, method);
+
+    if (payload.error) {
+      throw createRpcError(`RPC request ${method} failed: ${payload.error.message}`, { code: payload.error.code });
+    }
+    return payload.result;
+  };
+
+  /**
+   * Send several calls as one JSON-RPC batch
+   * @param {Array} calls - [{ method, params }]
+   * @returns {Promise<Array>} One { result, error } per call, in call order
+   */
+  const rpcBatch = async (calls) => {
+    const ids = calls.map(() => {
+      requestId += 1;
+      return requestId;
+    });
+    const payload = await post(
+      calls.map(({ method, params }, index) => ({ jsonrpc: '2.0', id: ids[index], method, params })),
+      `batch of ${calls.length}`
+    );
+
+    // Nodes may answer a batch out of order
+    const byId = new Map((Array.isArray(payload) ? payload : [payload]).map(entry => [entry.id, entry]));
+    return ids.map((id, index) => {
+      const entry = byId.get(id);
+      if (!entry) {
+        return { result: null, error: createRpcError(`No response for ${calls[index].method} in batch`) };
+      }
+      return entry.error
+        ? { result: null, error: createRpcError(`RPC request ${calls[index].method} failed: ${entry.error.message}`, { code: entry.error.code }) }
+        : { result: entry.result, error: null };
+    });
+  };
+
+  const getBlockNumber = async () => toNumber(await rpc('eth_blockNumber'));
+
+  const resolveBlock = async (block, fallback) => {
+    if (block === undefined || block === null) return fallback();
+    if (block === 'latest') return getBlockNumber();
+    return typeof block === 'number' ? block : parseInt(block);
+  };
+
+  const getBlockTimestamp = async (blockNumber) => {
+    if (!blockTimestamps.has(blockNumber)) {
+      const block = await rpc('eth_getBlockByNumber', [toHex(blockNumber), false]);
+      blockTimestamps.set(blockNumber, block ? new Date(toNumber(block.timestamp) * 1000).toISOString() : null);
+    }
+    return blockTimestamps.get(blockNumber);
+  };
+
+  // Decimals and symbol never change, so each token is looked up once
+  const getTokenMetadata = async (contract) => {
+    if (!tokenMetadata.has(contract)) {
+      const [decimals, symbol] = await Promise.allSettled([
+        rpc('eth_call', [{ to: contract, data: DECIMALS_SELECTOR }, 'latest']),
+        rpc('eth_call', [{ to: contract, data: SYMBOL_SELECTOR }, 'latest'])
+      ]);
+      tokenMetadata.set(contract, {
+        decimals: decimals.status === 'fulfilled' && decimals.value && decimals.value !== '0x'
+          ? toNumber(decimals.value)
+          : null,
+        symbol: symbol.status === 'fulfilled' ? decodeSymbol(symbol.value) : null
+      });
+    }
+    return tokenMetadata.get(contract);
+  };
+
+  const createNativeTransfer = (hash, uniqueId, blockNumber, from, to, rawValue, category) => ({
+    blockNum: toHex(blockNumber),
+    uniqueId,
+    hash,
+    from: from.toLowerCase(),
+    to: to ? to.toLowerCase() : null,
+    value: formatUnits(rawValue, 18),
+    erc721TokenId: null,
+    erc1155Metadata: null,
+    tokenId: null,
+    asset: getNativeSymbol(network),
+    category,
+    rawContract: { value: rawValue, address: null, decimal: '0x12' }
+  });
+
+  // Native transfers from traces: top-level calls are external, nested calls internal
+  const getTracedTransfers = async (params, fromBlock, toBlock) => {
+    const filter = { fromBlock: toHex(fromBlock), toBlock: toHex(toBlock) };
+    if (params.fromAddress) filter.fromAddress = [params.fromAddress.toLowerCase()];
+    if (params.toAddress) filter.toAddress = [params.toAddress.toLowerCase()];
+
+    const traces = await rpc('trace_filter', [filter]);
+
+    return (traces || [])
+      .filter(trace => trace.type === 'call' && !trace.error && trace.action && toNumber(trace.action.value) > 0)
+      .map(trace => {
+        const isExternal = !trace.traceAddress || trace.traceAddress.length === 0;
+        return createNativeTransfer(
+          trace.transactionHash,
+          `${trace.transactionHash}:${isExternal ? 'external' : `internal:${trace.traceAddress.join('.')}`}`,
+          trace.blockNumber,
+          trace.action.from,
+          trace.action.to,
+          trace.action.value,
+          isExternal ? 'external' : 'internal'
+        );
+      });
+  };
+
+  // Native transfers from full blocks, for nodes without a trace API
+  const getScannedTransfers = async (params, fromBlock, toBlock) => {
+    const firstBlock = Math.max(fromBlock, toBlock - maxScanBlocks + 1);
+    if (firstBlock > fromBlock) {
+      console.warn(`Scan mode only indexes the last ${maxScanBlocks} blocks; blocks ${fromBlock}-${firstBlock - 1} were skipped`);
+    }
+
+    const transfers = [];
+    for (let blockNumber = firstBlock; blockNumber <= toBlock; blockNumber++) {
+      if (!scannedBlocks.has(blockNumber)) {
+        const block = await rpc('eth_getBlockByNumber', [toHex(blockNumber), true]);
+        const blockTransfers = (block ? block.transactions : [])
+          .filter(tx => toNumber(tx.value) > 0)
+          .map(tx => createNativeTransfer(tx.hash, `${tx.hash}:external`, blockNumber, tx.from, tx.to, tx.value, 'external'));
+        scannedBlocks.set(blockNumber, blockTransfers);
+        if (block) {
+          blockTimestamps.set(blockNumber, new Date(toNumber(block.timestamp) * 1000).toISOString());
+        }
+      }
+      transfers.push(...scannedBlocks.get(blockNumber));
+    }
+
+    return queryTransfers(transfers, {
+      fromAddress: params.fromAddress,
+      toAddress: params.toAddress,
+      maxCount: transfers.length
+    }).transfers;
+  };
+
+  const getLogs = (topics, fromBlock, toBlock) => rpc('eth_getLogs', [{
+    fromBlock: toHex(fromBlock),
+    toBlock: toHex(toBlock),
+    topics
+  }]);
+
+  // ERC-20 and ERC-721 share the Transfer event; ERC-721 indexes the token id as a fourth topic
+  const getTokenTransfers = async (params, categories, fromBlock, toBlock) => {
+    const from = params.fromAddress ? addressToTopic(params.fromAddress) : null;
+    const to = params.toAddress ? addressToTopic(params.toAddress) : null;
+    const transfers = [];
+
+    if (categories.includes('erc20') || categories.includes('erc721')) {
+      const logs = await getLogs([TRANSFER_TOPIC, from, to], fromBlock, toBlock);
+      for (const log of logs || []) {
+        const isErc721 = log.topics.length === 4;
+        const category = isErc721 ? 'erc721' : 'erc20';
+        if (!categories.includes(category) || (!isErc721 && log.topics.length !== 3)) continue;
+
+        const contract = log.address.toLowerCase();
+        const metadata = await getTokenMetadata(contract);
+        const rawValue = isErc721 ? null : (log.data === '0x' ? '0x0' : log.data);
+        const tokenId = isErc721 ? log.topics[3] : null;
+
+        transfers.push({
+          blockNum: log.blockNumber,
+          uniqueId: `${log.transactionHash}:log:${toNumber(log.logIndex)}`,
+          hash: log.transactionHash,
+          from: topicToAddress(log.topics[1]),
+          to: topicToAddress(log.topics[2]),
+          value: isErc721 || metadata.decimals === null ? null : formatUnits(rawValue, metadata.decimals),
+          erc721TokenId: tokenId,
+          erc1155Metadata: null,
+          tokenId,
+          asset: metadata.symbol,
+          category,
+          rawContract: {
+            value: rawValue,
+            address: contract,
+            decimal: metadata.decimals === null ? null : toHex(metadata.decimals)
+          }
+        });
+      }
+    }
+
+    if (categories.includes('erc1155')) {
+      const logs = await getLogs([[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, from, to], fromBlock, toBlock);
+      for (const log of logs || []) {
+        const words = toWords(log.data);
+        let erc1155Metadata;
+
+        if (log.topics[0] === TRANSFER_SINGLE_TOPIC) {
+          erc1155Metadata = [{ tokenId: words[0], value: words[1] }];
+        } else {
+          // TransferBatch data is two dynamic arrays: ids then values
+          const idsStart = toNumber(words[0]) / 32;
+          const valuesStart = toNumber(words[1]) / 32;
+          const count = toNumber(words[idsStart]);
+          erc1155Metadata = Array.from({ length: count }, (_, index) => ({
+            tokenId: words[idsStart + 1 + index],
+            value: words[valuesStart + 1 + index]
+          }));
+        }
+
+        const contract = log.address.toLowerCase();
+        const metadata = await getTokenMetadata(contract);
+
+        transfers.push({
+          blockNum: log.blockNumber,
+          uniqueId: `${log.transactionHash}:log:${toNumber(log.logIndex)}`,
+          hash: log.transactionHash,
+          from: topicToAddress(log.topics[2]),
+          to: topicToAddress(log.topics[3]),
+          value: null,
+          erc721TokenId: null,
+          erc1155Metadata,
+          tokenId: null,
+          asset: metadata.symbol,
+          category: 'erc1155',
+          rawContract: { value: null, address: contract, decimal: null }
+        });
+      }
+    }
+
+    return transfers;
+  };
+
+  // Rebuild every transfer matching the query's addresses, categories and block range
+  const buildTransfers = async (params) => {
+    const categories = params.category || ['external'];
+    const toBlock = await resolveBlock(params.toBlock, getBlockNumber);
+    const fromBlock = await resolveBlock(params.fromBlock, () => 0);
+    const transfers = [];
+
+    if (categories.includes('external') || categories.includes('internal')) {
+      const nativeTransfers = traceMode === TRACE_MODES.TRACE_FILTER
+        ? await getTracedTransfers(params, fromBlock, toBlock)
+        : await getScannedTransfers(params, fromBlock, toBlock);
+      transfers.push(...nativeTransfers.filter(tx => categories.includes(tx.category)));
+    }
+
+    transfers.push(...await getTokenTransfers(params, categories, fromBlock, toBlock));
+
+    if (params.withMetadata) {
+      for (const tx of transfers) {
+        tx.metadata = { blockTimestamp: await getBlockTimestamp(toNumber(tx.blockNum)) };
+      }
+    }
+
+    return transfers;
+  };
+
+  const getAssetTransfers = async (params = {}) => {
+    const { pageKey, maxCount, order, ...query } = params;
+    const cacheKey = JSON.stringify(query);
+    const cached = queryCache.get(cacheKey);
+
+    let transfers;
+    if (cached && Date.now() - cached.fetchedAt < QUERY_CACHE_TTL) {
+      transfers = cached.transfers;
+    } else {
+      transfers = await buildTransfers(query);
+      queryCache.set(cacheKey, { transfers, fetchedAt: Date.now() });
+    }
+
+    return queryTransfers(transfers, params);
+  };
+
+  // Receipt quantities come back as hex; gas analysis expects decimal strings
+  const normalizeReceipt = (receipt) => {
+    if (!receipt) return null;
+
+    return {
+      ...receipt,
+      gasUsed: BigInt(receipt.gasUsed).toString(),
+      effectiveGasPrice: receipt.effectiveGasPrice ? BigInt(receipt.effectiveGasPrice).toString() : null,
+      cumulativeGasUsed: BigInt(receipt.cumulativeGasUsed).toString(),
+      status: toNumber(receipt.status),
+      blockNumber: toNumber(receipt.blockNumber)
+    };
+  };
+
+  const getTransactionReceipt = async (hash) => normalizeReceipt(await rpc('eth_getTransactionReceipt', [hash]));
+
+  // All receipts in one JSON-RPC batch
+  const getTransactionReceipts = async (hashes) => {
+    const results = await rpcBatch(hashes.map(hash => ({ method: 'eth_getTransactionReceipt', params: [hash] })));
+    return results.map(({ result, error }, index) => ({
+      item: hashes[index],
+      value: normalizeReceipt(result),
+      error
+    }));
+  };
+
+  /**
+   * Report every new block, so the caller can query it for the address's transfers
+   * Uses eth_subscribe('newHeads') when a websocket URL is configured, otherwise polls the head.
+   * @param {string} address - Watched address (every block is reported, since logs and traces are local)
+   * @param {Function} onBlock - (blockNumber) => void
+   * @param {Function} onError - (error) => void
+   * @returns {Function} Unsubscribes
+   */
+  const subscribeAddressActivity = (address, onBlock, onError = () => {}) => {
+    if (wsUrl) {
+      const socket = new WebSocket(wsUrl);
+      let closedByCaller = false;
+      socket.onopen = () => socket.send(JSON.stringify({
+        jsonrpc: '2.0',
+        id: ++requestId,
+        method: 'eth_subscribe',
+        params: ['newHeads']
+      }));
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          onError(new Error(`Malformed message from ${wsUrl}`));
+          return;
+        }
+        if (message.error) {
+          onError(createRpcError(`eth_subscribe failed: ${message.error.message}`, { code: message.error.code }));
+        } else if (message.method === 'eth_subscription' && message.params.result) {
+          onBlock(toNumber(message.params.result.number));
+        }
+      };
+      socket.onerror = () => onError(new Error(`Could not connect to ${wsUrl}`));
+      // A dropped socket sends no more heads, so it must not look live
+      socket.onclose = (event) => {
+        if (!closedByCaller) onError(new Error(`Connection to ${wsUrl} closed (code ${event.code})`));
+      };
+      return () => {
+        closedByCaller = true;
+        socket.close();
+      };
+    }
+
+    let lastHead = null;
+    const poll = async () => {
+      try {
+        const head = await getBlockNumber();
+        if (lastHead !== null && head > lastHead) onBlock(head);
+        lastHead = head;
+      } catch (error) {
+        onError(error);
+      }
+    };
+    poll();
+    const interval = setInterval(poll, HEAD_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  };
+
+  return {
+    supportsInternalTransfers: traceMode === TRACE_MODES.TRACE_FILTER,
+    // Scan mode only walks the most recent blocks
+    coversFullHistory: traceMode === TRACE_MODES.TRACE_FILTER,
+    subscribeAddressActivity,
+    getAssetTransfers,
+    getTransactionReceipt,
+    getTransactionReceipts,
+    getCode: (address) => rpc('eth_getCode', [address, 'latest']),
+    call: (to, data) => rpc('eth_call', [{ to, data }, 'latest']),
+    getBlockNumber,
+    getBlock: async (blockNumber) => {
+      const block = await rpc('eth_getBlockByNumber', [toHex(blockNumber), false]);
+      return block ? { number: toNumber(block.number), timestamp: toNumber(block.timestamp) } : null;
+    }
+  };
+};
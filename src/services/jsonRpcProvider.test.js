@@ -0,0 +1,143 @@
+import { createJsonRpcProvider, TRACE_MODES } from './jsonRpcProvider';
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const PARTNER = '0x2222222222222222222222222222222222222222';
+const CONTRACT = '0x3333333333333333333333333333333333333333';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const toTopic = (address) => `0x${address.replace(/^0x/, '').padStart(64, '0')}`;
+const toWord = (number) => number.toString(16).padStart(64, '0');
+
+// symbol() as an ABI-encoded string
+const encodeString = (text) => `0x${toWord(32)}${toWord(text.length)}${Buffer.from(text).toString('hex').padEnd(64, '0')}`;
+
+const TRACES = [
+  // Top-level call: external transfer
+  {
+    type: 'call',
+    transactionHash: '0xaa',
+    blockNumber: 100,
+    traceAddress: [],
+    action: { from: ADDRESS, to: PARTNER, value: '0xde0b6b3a7640000' } // 1 ETH
+  },
+  // Nested call: internal transfer
+  {
+    type: 'call',
+    transactionHash: '0xbb',
+    blockNumber: 120,
+    traceAddress: [0, 1],
+    action: { from: ADDRESS, to: CONTRACT, value: '0x6f05b59d3b20000' } // 0.5 ETH
+  },
+  // Failed and zero-value calls move nothing
+  { type: 'call', transactionHash: '0xcc', blockNumber: 130, traceAddress: [], error: 'Reverted', action: { from: ADDRESS, to: PARTNER, value: '0x1' } },
+  { type: 'call', transactionHash: '0xdd', blockNumber: 140, traceAddress: [], action: { from: ADDRESS, to: PARTNER, value: '0x0' } }
+];
+
+const LOGS = [
+  {
+    address: TOKEN,
+    blockNumber: '0x6e',
+    transactionHash: '0xee',
+    logIndex: '0x3',
+    topics: [TRANSFER_TOPIC, toTopic(ADDRESS), toTopic(PARTNER)],
+    data: `0x${toWord(2500000)}` // 2.5 with 6 decimals
+  }
+];
+
+// What symbol() returns for the token
+let symbolResult;
+
+const answer = ({ method, params }) => {
+  switch (method) {
+    case 'eth_blockNumber': return '0xc8';
+    case 'trace_filter': return TRACES;
+    case 'eth_getLogs': return params[0].topics[0] === TRANSFER_TOPIC ? LOGS : [];
+    case 'eth_call': return params[0].data === '0x313ce567' ? `0x${toWord(6)}` : symbolResult;
+    case 'eth_getBlockByNumber': return { number: params[0], timestamp: '0x65920080' };
+    default: throw new Error(`Unexpected RPC call ${method}`);
+  }
+};
+
+describe('createJsonRpcProvider', () => {
+  const originalFetch = global.fetch;
+  let methods;
+
+  beforeEach(() => {
+    methods = [];
+    symbolResult = encodeString('USDC');
+    global.fetch = async (url, { body }) => {
+      const request = JSON.parse(body);
+      const respond = (call) => {
+        methods.push(call.method);
+        return { jsonrpc: '2.0', id: call.id, result: answer(call) };
+      };
+      return {
+        ok: true,
+        json: async () => (Array.isArray(request) ? request.map(respond) : respond(request))
+      };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('rebuilds native and token transfers in the getAssetTransfers shape', async () => {
+    const provider = createJsonRpcProvider('eth-mainnet', { rpcUrl: 'http://node' });
+    const { transfers, pageKey } = await provider.getAssetTransfers({
+      fromAddress: ADDRESS,
+      category: ['external', 'internal', 'erc20'],
+      fromBlock: '0x0',
+      withMetadata: true
+    });
+
+    expect(pageKey).toBeUndefined();
+    expect(transfers.map(tx => [tx.hash, tx.category, tx.value, tx.asset])).toEqual([
+      ['0xaa', 'external', 1, 'ETH'],
+      ['0xee', 'erc20', 2.5, 'USDC'],
+      ['0xbb', 'internal', 0.5, 'ETH']
+    ]);
+    expect(transfers[0]).toMatchObject({
+      blockNum: '0x64',
+      uniqueId: '0xaa:external',
+      from: ADDRESS,
+      to: PARTNER,
+      rawContract: { address: null, decimal: '0x12' }
+    });
+    expect(transfers[1]).toMatchObject({
+      uniqueId: '0xee:log:3',
+      to: PARTNER,
+      rawContract: { address: TOKEN, decimal: '0x6' }
+    });
+    expect(transfers[2].uniqueId).toBe('0xbb:internal:0.1');
+    expect(transfers[0].metadata.blockTimestamp).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  test('keeps token transfers whose symbol() returns less than a word', async () => {
+    symbolResult = '0x5553';
+    const provider = createJsonRpcProvider('eth-mainnet', { rpcUrl: 'http://node' });
+    const { transfers } = await provider.getAssetTransfers({ fromAddress: ADDRESS, category: ['erc20'] });
+
+    expect(transfers).toHaveLength(1);
+    expect(transfers[0]).toMatchObject({ hash: '0xee', value: 2.5, asset: null });
+  });
+
+  test('leaves out categories that were not asked for', async () => {
+    const provider = createJsonRpcProvider('eth-mainnet', { rpcUrl: 'http://node' });
+    const { transfers } = await provider.getAssetTransfers({ fromAddress: ADDRESS, category: ['external'] });
+
+    expect(transfers.map(tx => tx.hash)).toEqual(['0xaa']);
+    expect(methods).not.toContain('eth_getLogs');
+  });
+
+  test('only reports full coverage and internal transfers with a trace API', () => {
+    const traced = createJsonRpcProvider('eth-mainnet', { rpcUrl: 'http://node' });
+    const scanned = createJsonRpcProvider('eth-mainnet', { rpcUrl: 'http://node', traceMode: TRACE_MODES.SCAN });
+
+    expect(traced.supportsInternalTransfers).toBe(true);
+    expect(traced.coversFullHistory).toBe(true);
+    expect(scanned.supportsInternalTransfers).toBe(false);
+    expect(scanned.coversFullHistory).toBe(false);
+  });
+});
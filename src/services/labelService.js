@@ -0,0 +1,258 @@
+/**
+ * Label Service
+ *
+ * Keeps a registry of address labels imported from label packs: JSON or CSV files listing
+ * exchange hot wallets, bridges, mixers, known exploiters and so on. Every label carries a
+ * category, the source it came from and a confidence between 0 and 1.
+ *
+ * Packs are stored in localStorage and merged into one index by address. Partners pick up
+ * their labels in processTransferPartners, so the partner table, graph, treemap and exports
+ * all show them without further lookups.
+ */
+
+export const LABEL_CATEGORIES = {
+  exchange: { label: 'Exchange', color: '#4dabf7' },
+  bridge: { label: 'Bridge', color: '#9775fa' },
+  mixer: { label: 'Mixer', color: '#f783ac' },
+  exploiter: { label: 'Exploiter', color: '#ff6b6b' },
+  other: { label: 'Other', color: '#adb5bd' }
+};
+
+const STORAGE_KEY = 'labelPacks';
+const DEFAULT_CONFIDENCE = 0.5;
+const CONFIDENCE_WORDS = { high: 0.9, medium: 0.6, low: 0.3 };
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+// Index rebuilt whenever the stored packs change
+let labelIndex = null;
+
+/**
+ * Normalize a confidence value from a pack
+ * Accepts fractions (0.8), percentages (80 or "80%") and the words high, medium and low.
+ * @param {*} value - Raw confidence
+ * @returns {number} Confidence between 0 and 1
+ */
+const parseConfidence = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_CONFIDENCE;
+
+  const text = String(value).trim().toLowerCase();
+  if (CONFIDENCE_WORDS[text] !== undefined) return CONFIDENCE_WORDS[text];
+
+  const number = parseFloat(text);
+  if (isNaN(number) || number < 0) return DEFAULT_CONFIDENCE;
+  const fraction = text.endsWith('%') || number > 1 ? number / 100 : number;
+  return Math.min(1, fraction);
+};
+
+const parseCategory = (value) => {
+  const category = String(value || '').trim().toLowerCase();
+  return LABEL_CATEGORIES[category] ? category : 'other';
+};
+
+// Split one CSV line, honouring quoted fields with doubled quotes
+export const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const parseCsvRows = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const header = splitCsvLine(lines[0]).map(column => column.toLowerCase());
+  if (!header.includes('address')) {
+    throw new Error('CSV label packs need a header row with an "address" column.');
+  }
+
+  return lines.slice(1).map(line => {
+    const fields = splitCsvLine(line);
+    return header.reduce((row, column, index) => {
+      row[column] = fields[index];
+      return row;
+    }, {});
+  });
+};
+
+/**
+ * Parse the contents of a label pack file
+ *
+ * JSON packs are either an array of labels or { name, source, labels: [...] }. CSV packs
+ * have a header row; the columns are address, label (or name), category, source and
+ * confidence. Rows without a valid address are skipped.
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used as the pack name and default source
+ * @returns {Object} { name, source, labels: { [address]: { name, category, source, confidence } }, skipped }
+ */
+export const parseLabelPack = (text, fileName = 'Label pack') => {
+  const baseName = fileName.replace(/\.(json|csv)$/i, '');
+  let rows;
+  let name = baseName;
+  let source = baseName;
+
+  if (text.trim().startsWith('[') || text.trim().startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Label pack is not valid JSON: ${error.message}`);
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed.labels;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON label packs need a "labels" array.');
+    }
+    if (!Array.isArray(parsed)) {
+      name = parsed.name || name;
+      source = parsed.source || name;
+    }
+  } else {
+    rows = parseCsvRows(text);
+  }
+
+  let skipped = 0;
+  const labels = rows.reduce((result, row) => {
+    const address = String(row.address || '').trim();
+    const labelName = String(row.label || row.name || '').trim();
+    if (!ADDRESS_PATTERN.test(address) || !labelName) {
+      skipped++;
+      return result;
+    }
+    result[address.toLowerCase()] = {
+      name: labelName,
+      category: parseCategory(row.category),
+      source: String(row.source || '').trim() || source,
+      confidence: parseConfidence(row.confidence)
+    };
+    return result;
+  }, {});
+
+  if (Object.keys(labels).length === 0) {
+    throw new Error('The label pack has no labels with a valid address and name.');
+  }
+
+  return { name, source, labels, skipped };
+};
+
+// Get imported label packs from localStorage
+export const getLabelPacks = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading label packs:', error);
+    return [];
+  }
+};
+
+const saveLabelPacks = (packs) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(packs));
+  } catch (error) {
+    console.error('Error saving label packs:', error);
+    throw new Error('The label packs are too large to store in this browser.');
+  }
+  labelIndex = null;
+};
+
+/**
+ * Import a label pack file
+ * A pack with the same name replaces the earlier import.
+ * @param {string} text - File contents
+ * @param {string} fileName - File name
+ * @returns {Object} The stored pack with the number of skipped rows
+ */
+export const importLabelPack = (text, fileName) => {
+  const { name, source, labels, skipped } = parseLabelPack(text, fileName);
+  const pack = {
+    id: `${Date.now()}-${name}`, // Several files can be imported in the same millisecond
+    name,
+    source,
+    importedAt: new Date().toISOString(),
+    labels
+  };
+
+  saveLabelPacks([...getLabelPacks().filter(existing => existing.name !== name), pack]);
+  return { ...pack, skipped };
+};
+
+export const removeLabelPack = (packId) => {
+  saveLabelPacks(getLabelPacks().filter(pack => pack.id !== packId));
+};
+
+/**
+ * Get the labels of every labelled address
+ * @returns {Map} Label arrays by lowercase address, most confident first
+ */
+export const getLabelIndex = () => {
+  if (labelIndex) return labelIndex;
+
+  labelIndex = new Map();
+  getLabelPacks().forEach(pack => {
+    Object.entries(pack.labels).forEach(([address, label]) => {
+      const labels = labelIndex.get(address) || [];
+      labels.push({ ...label, packId: pack.id, packName: pack.name });
+      labelIndex.set(address, labels);
+    });
+  });
+  labelIndex.forEach(labels => labels.sort((a, b) => b.confidence - a.confidence));
+  return labelIndex;
+};
+
+// Labels of one address, most confident first
+export const getAddressLabels = (address, index = getLabelIndex()) => index.get(address.toLowerCase()) || [];
+
+/**
+ * Re-apply the registry to partners, after packs were imported or removed
+ * @param {Array} partners - Output of processTransferPartners
+ * @returns {Array} New partner objects with up-to-date labels
+ */
+export const applyLabels = (partners) => {
+  const index = getLabelIndex();
+  return partners.map(partner => ({ ...partner, labels: getAddressLabels(partner.address, index) }));
+};
+
+/**
+ * Check whether a partner matches a label category filter
+ * @param {Object} partner - Transfer partner
+ * @param {string} filter - 'all', 'labelled', 'unlabelled' or a category id
+ * @returns {boolean}
+ */
+export const matchesLabelFilter = (partner, filter) => {
+  const labels = partner.labels || [];
+  if (filter === 'all') return true;
+  if (filter === 'labelled') return labels.length > 0;
+  if (filter === 'unlabelled') return labels.length === 0;
+  return labels.some(label => label.category === filter);
+};
+
+// Short text for a label in exports and tooltips
+export const describeLabel = (label) =>
+  `${label.name} (${LABEL_CATEGORIES[label.category].label}, ${label.source}, ${Math.round(label.confidence * 100)}%)`;
+
+// Label packs are imported files, so the description is escaped before it goes into tooltip markup
+export const describeLabelHtml = (label) =>
+  describeLabel(label).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
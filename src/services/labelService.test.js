@@ -0,0 +1,79 @@
+import { parseLabelPack, splitCsvLine, importLabelPack, getAddressLabels, getLabelIndex } from './labelService';
+
+const EXCHANGE = '0x28C6c06298d514Db089934071355E5743bf21d60';
+const BRIDGE = '0x40ec5B33f54e0E8A33A975908C5BA1c14e5BbbDf';
+
+describe('parseLabelPack', () => {
+  test('reads a CSV pack with quoted fields and lowercases addresses', () => {
+    const csv = [
+      '# Exchange wallets',
+      'address,label,category,source,confidence',
+      `${EXCHANGE},"Binance 14, hot wallet",Exchange,,high`,
+      `${BRIDGE},Polygon bridge,bridge,Polygonscan,80%`
+    ].join('\r\n');
+
+    const { name, labels, skipped } = parseLabelPack(csv, 'wallets.csv');
+
+    expect(name).toBe('wallets');
+    expect(skipped).toBe(0);
+    expect(labels).toEqual({
+      [EXCHANGE.toLowerCase()]: { name: 'Binance 14, hot wallet', category: 'exchange', source: 'wallets', confidence: 0.9 },
+      [BRIDGE.toLowerCase()]: { name: 'Polygon bridge', category: 'bridge', source: 'Polygonscan', confidence: 0.8 }
+    });
+  });
+
+  test('reads both JSON shapes', () => {
+    const rows = [{ address: EXCHANGE, name: 'Binance 14', category: 'unknown', confidence: 0.75 }];
+
+    const fromArray = parseLabelPack(JSON.stringify(rows), 'array.json');
+    expect(fromArray.labels[EXCHANGE.toLowerCase()]).toEqual({
+      name: 'Binance 14', category: 'other', source: 'array', confidence: 0.75
+    });
+
+    const fromObject = parseLabelPack(JSON.stringify({ name: 'Exchanges', source: 'Etherscan', labels: rows }), 'object.json');
+    expect(fromObject.name).toBe('Exchanges');
+    expect(fromObject.labels[EXCHANGE.toLowerCase()].source).toBe('Etherscan');
+  });
+
+  test('skips rows without a valid address or name', () => {
+    const { labels, skipped } = parseLabelPack(JSON.stringify([
+      { address: EXCHANGE, label: 'Binance 14' },
+      { address: '0x1234', label: 'Too short' },
+      { address: BRIDGE, label: '  ' },
+      { label: 'No address' }
+    ]), 'pack.json');
+
+    expect(Object.keys(labels)).toEqual([EXCHANGE.toLowerCase()]);
+    expect(skipped).toBe(3);
+  });
+
+  test('rejects packs of the wrong shape', () => {
+    expect(() => parseLabelPack('{"name": "Broken"', 'broken.json')).toThrow(/not valid JSON/);
+    expect(() => parseLabelPack('{"name": "No labels"}', 'pack.json')).toThrow(/"labels" array/);
+    expect(() => parseLabelPack('wallet,label\nx,y', 'pack.csv')).toThrow(/"address" column/);
+    expect(() => parseLabelPack('address,label\n0x1234,Too short', 'pack.csv')).toThrow(/no labels with a valid address/);
+  });
+});
+
+describe('splitCsvLine', () => {
+  test('keeps commas and doubled quotes inside quoted fields', () => {
+    expect(splitCsvLine('a, "b, ""c""" ,d')).toEqual(['a', 'b, "c"', 'd']);
+  });
+});
+
+describe('label index', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('merges imported packs by address, most confident first, and replaces packs of the same name', () => {
+    importLabelPack(`address,label,confidence\n${EXCHANGE},Old name,low`, 'first.csv');
+    importLabelPack(`address,label,confidence\n${EXCHANGE},Binance 14,0.3`, 'first.csv');
+    importLabelPack(`address,label,category,confidence\n${EXCHANGE},Binance,exchange,0.9`, 'second.csv');
+
+    expect(getAddressLabels(EXCHANGE, getLabelIndex()).map(label => [label.name, label.packName])).toEqual([
+      ['Binance', 'second'],
+      ['Binance 14', 'first']
+    ]);
+  });
+});
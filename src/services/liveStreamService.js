@@ -0,0 +1,139 @@
+/**
+ * Live Stream Service
+ *
+ * Streams new transfers of the searched address while an incident is being watched. The data
+ * provider reports blocks that may hold the address's transfers (Alchemy websocket
+ * subscriptions, or new heads from a node), and each report is answered by fetching the
+ * transfers from the blocks not seen yet through getAddressTransactions.
+ */
+import { getAddressTransactions, usesDemoQuota } from './alchemyService';
+import { PROVIDER_TYPES, getDataProvider, getDataSource } from './dataProvider';
+
+// Blocks re-queried on every update, in case the transfer index lagged behind the notification
+const REFETCH_BLOCKS = 2;
+// Notifications for the same few blocks are answered with one fetch
+const FETCH_DELAY_MS = 2000;
+// Transfers per direction fetched per update
+const MAX_TRANSFERS_PER_UPDATE = 1000;
+
+/**
+ * Check whether the current data source can stream
+ * @param {string} userApiKey - User-provided Alchemy key, if any
+ * @param {string} network - Network id
+ * @returns {Object} { canStream, reason }
+ */
+export const getLiveStreamStatus = (userApiKey, network) => {
+  const { type } = getDataSource();
+
+  if (type === PROVIDER_TYPES.FIXTURE) {
+    return { canStream: false, reason: 'Recorded sessions have no new blocks.' };
+  }
+  if (type === PROVIDER_TYPES.ALCHEMY && usesDemoQuota(userApiKey)) {
+    return { canStream: false, reason: 'Live updates need your own Alchemy API key; every update would use a demo search.' };
+  }
+  if (!getDataProvider(network).subscribeAddressActivity) {
+    return { canStream: false, reason: 'This data source cannot report new blocks.' };
+  }
+  return { canStream: true, reason: null };
+};
+
+/**
+ * Stream new transfers of an address
+ * @param {Object} options
+ * @param {string} options.address - Searched address
+ * @param {string} options.network - Network id
+ * @param {string} options.userApiKey - User-provided Alchemy key, if any
+ * @param {Set<string>} options.knownIds - uniqueIds of transfers already shown
+ * @param {boolean} options.includeZeroValue - Also stream zero-value transfers, like the shown results
+ * @param {Function} options.onTransfers - ({ sent, received }) => void, called with unseen transfers only
+ * @param {Function} options.onStatus - ({ state: 'connecting' | 'live' | 'error', fromBlock, lastBlock, error }) => void
+ * @returns {Function} Stops the stream
+ */
+export const startLiveStream = ({
+  address,
+  network,
+  userApiKey = null,
+  knownIds = new Set(),
+  includeZeroValue = false,
+  onTransfers,
+  onStatus = () => {}
+}) => {
+  const provider = getDataProvider(network);
+  const seenIds = new Set(knownIds);
+  let stopped = false;
+  let unsubscribe = null;
+  let fromBlock = null;
+  let latestBlock = null;
+  let timer = null;
+  let fetching = false;
+
+  const fetchUpdates = async () => {
+    timer = null;
+    if (stopped || fetching || latestBlock === null || latestBlock < fromBlock) return;
+
+    fetching = true;
+    const toBlock = latestBlock;
+    let isPartial = false;
+    try {
+      const result = await getAddressTransactions(
+        address,
+        String(Math.max(0, fromBlock - REFETCH_BLOCKS)),
+        String(toBlock),
+        userApiKey,
+        { network, maxTransfers: MAX_TRANSFERS_PER_UPDATE, includeZeroValue }
+      );
+
+      const isNew = (tx) => !seenIds.has(tx.uniqueId);
+      const update = { sent: result.sent.filter(isNew), received: result.received.filter(isNew) };
+      [...update.sent, ...update.received].forEach(tx => seenIds.add(tx.uniqueId));
+
+      // A capped direction may stop partway through a block, so the next fetch resumes at that
+      // block rather than past the range; transfers already seen are skipped by uniqueId
+      const resumeBlocks = ['sent', 'received']
+        .filter(direction => result.truncation[direction] && result[direction].length > 0)
+        .map(direction => parseInt(result[direction][result[direction].length - 1].blockNum, 16));
+      isPartial = resumeBlocks.length > 0;
+      fromBlock = isPartial ? Math.max(fromBlock, Math.min(...resumeBlocks)) : toBlock + 1;
+      if (!stopped) {
+        if (update.sent.length > 0 || update.received.length > 0) onTransfers(update);
+        onStatus({ state: 'live', lastBlock: fromBlock - 1 });
+      }
+    } catch (error) {
+      if (!stopped) onStatus({ state: 'error', error });
+    } finally {
+      fetching = false;
+    }
+
+    // Blocks reported during the fetch, or the rest of a capped one
+    if (!stopped && (isPartial || latestBlock > toBlock)) scheduleFetch();
+  };
+
+  const scheduleFetch = () => {
+    if (!timer) timer = setTimeout(fetchUpdates, FETCH_DELAY_MS);
+  };
+
+  const handleBlock = (blockNumber) => {
+    latestBlock = Math.max(latestBlock || 0, blockNumber);
+    scheduleFetch();
+  };
+
+  onStatus({ state: 'connecting' });
+  provider.getBlockNumber()
+    .then(head => {
+      if (stopped) return;
+      fromBlock = head + 1;
+      unsubscribe = provider.subscribeAddressActivity(address, handleBlock, (error) => {
+        if (!stopped) onStatus({ state: 'error', error });
+      });
+      onStatus({ state: 'live', fromBlock, lastBlock: head });
+    })
+    .catch(error => {
+      if (!stopped) onStatus({ state: 'error', error });
+    });
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (unsubscribe) unsubscribe();
+  };
+};
@@ -0,0 +1,112 @@
+/**
+ * Network Configuration
+ *
+ * Chains supported by the network selector, keyed by their Alchemy network id
+ */
+import * as alchemySdk from 'alchemy-sdk';
+
+const { Network } = alchemySdk;
+
+export const DEFAULT_NETWORK = Network.ETH_MAINNET;
+
+export const NETWORKS = {
+  [Network.ETH_MAINNET]: {
+    id: Network.ETH_MAINNET,
+    label: 'Ethereum',
+    color: '#627eea', // Used wherever chains are compared side by side
+    nativeSymbol: 'ETH',
+    explorerName: 'Etherscan',
+    explorerUrl: 'https://etherscan.io',
+    blockTimeSeconds: 12,
+    supportsInternalTransfers: true,
+    isTestnet: false
+  },
+  [Network.MATIC_MAINNET]: {
+    id: Network.MATIC_MAINNET,
+    label: 'Polygon',
+    color: '#8247e5',
+    nativeSymbol: 'MATIC',
+    explorerName: 'PolygonScan',
+    explorerUrl: 'https://polygonscan.com',
+    blockTimeSeconds: 2,
+    supportsInternalTransfers: true,
+    isTestnet: false
+  },
+  [Network.ARB_MAINNET]: {
+    id: Network.ARB_MAINNET,
+    label: 'Arbitrum',
+    color: '#28a0f0',
+    nativeSymbol: 'ETH',
+    explorerName: 'Arbiscan',
+    explorerUrl: 'https://arbiscan.io',
+    blockTimeSeconds: 0.25,
+    supportsInternalTransfers: false,
+    isTestnet: false
+  },
+  [Network.OPT_MAINNET]: {
+    id: Network.OPT_MAINNET,
+    label: 'Optimism',
+    color: '#ff0420',
+    nativeSymbol: 'ETH',
+    explorerName: 'Optimistic Etherscan',
+    explorerUrl: 'https://optimistic.etherscan.io',
+    blockTimeSeconds: 2,
+    supportsInternalTransfers: false,
+    isTestnet: false
+  },
+  [Network.BASE_MAINNET]: {
+    id: Network.BASE_MAINNET,
+    label: 'Base',
+    color: '#0052ff',
+    nativeSymbol: 'ETH',
+    explorerName: 'BaseScan',
+    explorerUrl: 'https://basescan.org',
+    blockTimeSeconds: 2,
+    supportsInternalTransfers: false,
+    isTestnet: false
+  },
+  [Network.ETH_SEPOLIA]: {
+    id: Network.ETH_SEPOLIA,
+    label: 'Sepolia',
+    color: '#adb5bd',
+    nativeSymbol: 'SepoliaETH',
+    explorerName: 'Sepolia Etherscan',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    blockTimeSeconds: 12,
+    supportsInternalTransfers: false,
+    isTestnet: true
+  }
+};
+
+// Networks in the order the selector lists them
+export const NETWORK_OPTIONS = Object.values(NETWORKS);
+
+/**
+ * Get the configuration of a network, falling back to Ethereum mainnet
+ * @param {string} network - Alchemy network id
+ * @returns {Object} Network configuration
+ */
+export const getNetworkConfig = (network) => NETWORKS[network] || NETWORKS[DEFAULT_NETWORK];
+
+/**
+ * Get the native currency symbol of a network
+ * @param {string} network - Alchemy network id
+ * @returns {string} Symbol, e.g. ETH or MATIC
+ */
+export const getNativeSymbol = (network) => getNetworkConfig(network).nativeSymbol;
+
+/**
+ * Estimate how many blocks a network produces per day
+ * @param {string} network - Alchemy network id
+ * @returns {number} Blocks per day
+ */
+export const getBlocksPerDay = (network) => Math.round(86400 / getNetworkConfig(network).blockTimeSeconds);
+
+/**
+ * Build block explorer links for a network
+ */
+export const getExplorerAddressUrl = (network, address) => `${getNetworkConfig(network).explorerUrl}/address/${address}`;
+
+export const getExplorerTxUrl = (network, hash) => `${getNetworkConfig(network).explorerUrl}/tx/${hash}`;
+
+export const getExplorerTokenUrl = (network, contractAddress) => `${getNetworkConfig(network).explorerUrl}/token/${contractAddress}`;
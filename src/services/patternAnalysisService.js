@@ -2,16 +2,24 @@
  * Pattern Analysis Service
  * Identifies common transaction patterns and behaviors in blockchain transaction data
  */
+import { describeSanctionsMatch } from './sanctionsService';
+import { getLabelIndex } from './labelService';
+import { getAddressTransactions, getAssetKey, getTransferAmount, usesDemoQuota, NATIVE_ASSET_KEY } from './alchemyService';
+import { PROVIDER_TYPES, getDataSource } from './dataProvider';
+import { parseBlockNumber, toHexBlock } from './fundTracingService';
+import { getBlocksPerDay } from './networkConfig';
+import { getCurrentEthPrice } from './profitLossService';
 
 /**
- * Analyzes transactions to identify common patterns
- * @param {Array} transactions - List of transactions to analyze
- * @param {String} centralAddress - The address being analyzed
- * @returns {Object} Object containing identified patterns and their details
+ * Build one list of transactions, oldest first
+ * The App passes { sent, received }; the original array-only guard turned that shape away,
+ * so no detector ran on search results until the guard accepted it.
+ * @param {Object|Array} transactions - { sent, received } from getAddressTransactions, or a flat array
+ * @returns {Array} Transactions with direction and counterparty set
  */
-export const analyzeTransactionPatterns = (transactions, centralAddress) => {
-  if (!transactions || !Array.isArray(transactions) || transactions.length === 0) {
-    return { patterns: [] };
+const consolidateTransactions = (transactions) => {
+  if (!transactions || (!Array.isArray(transactions) && !(transactions.sent && transactions.received))) {
+    return [];
   }
 
   // Create a consolidated list of all transactions
@@ -33,17 +41,29 @@ export const analyzeTransactionPatterns = (transactions, centralAddress) => {
     allTransactions.push(...transactions);
   }
 
-  // Return empty result if no transactions
-  if (allTransactions.length === 0) {
-    return { patterns: [] };
-  }
-
   // Sort transactions by timestamp if available
-  const sortedTransactions = [...allTransactions].sort((a, b) => {
+  return allTransactions.sort((a, b) => {
     const dateA = a.metadata?.blockTimestamp ? new Date(a.metadata.blockTimestamp) : new Date(0);
     const dateB = b.metadata?.blockTimestamp ? new Date(b.metadata.blockTimestamp) : new Date(0);
     return dateA - dateB;
   });
+};
+
+/**
+ * Analyzes transactions to identify common patterns
+ * @param {Array} transactions - List of transactions to analyze
+ * @param {String} centralAddress - The address being analyzed
+ * @param {Object} options - Optional structuring threshold ({ threshold, currency }, see
+ *   getStructuringSettings) and usdPrices, a Map of ETH prices by YYYY-MM-DD for USD thresholds
+ * @returns {Object} Object containing identified patterns and their details
+ */
+export const analyzeTransactionPatterns = (transactions, centralAddress, options = {}) => {
+  const sortedTransactions = consolidateTransactions(transactions);
+
+  // Return empty result if no transactions
+  if (sortedTransactions.length === 0) {
+    return { patterns: [] };
+  }
 
   // Initialize pattern detection results
   const patternResults = {
@@ -62,6 +82,16 @@ export const analyzeTransactionPatterns = (transactions, centralAddress) => {
     patternResults.patterns.push(roundNumberPattern);
   }
 
+  // Detect repeated transfers just under the structuring threshold
+  const structuringPattern = detectStructuring(
+    sortedTransactions,
+    options.structuring || getStructuringSettings(),
+    options.usdPrices
+  );
+  if (structuringPattern.isDetected) {
+    patternResults.patterns.push(structuringPattern);
+  }
+
   // Detect one-to-many or many-to-one patterns
   const distribPatterns = detectDistributionPatterns(sortedTransactions, centralAddress);
   patternResults.patterns.push(...distribPatterns);
@@ -84,11 +114,26 @@ export const analyzeTransactionPatterns = (transactions, centralAddress) => {
     patternResults.patterns.push(burstPattern);
   }
   
+  // Detect funds passed straight through the address; holding times are shown either way
+  const passThroughPattern = detectPassThrough(sortedTransactions);
+  if (passThroughPattern.isDetected) {
+    patternResults.patterns.push(passThroughPattern);
+  }
+  if (passThroughPattern.details) {
+    patternResults.holdingTimes = passThroughPattern.details;
+  }
+  
   // Detect cyclical behavior (like weekly/monthly patterns)
   const cyclicalPattern = detectCyclicalBehavior(sortedTransactions);
   if (cyclicalPattern.isDetected) {
     patternResults.patterns.push(cyclicalPattern);
   }
+  
+  // Detect deposits into and withdrawals from mixer pools
+  const mixerPattern = detectMixerExposure(sortedTransactions, centralAddress);
+  if (mixerPattern.isDetected) {
+    patternResults.patterns.push(mixerPattern);
+  }
 
   return patternResults;
 };
@@ -201,6 +246,129 @@ const detectRoundNumberTransfers = (transactions) => {
   };
 };
 
+export const STRUCTURING_CONFIG = {
+  DEFAULT_SETTINGS: { threshold: 10, currency: 'ETH' },
+  STORAGE_KEY: 'structuringSettings',
+  BAND_SHARE: 0.2, // Transfers within this share below the threshold count as just under it
+  MIN_TRANSFERS: 3,
+  WINDOW_HOURS: 24, // Tight window: this many near-threshold transfers within it...
+  MIN_IN_WINDOW: 3,
+  MIN_RECIPIENTS: 3 // ...or spread over at least this many recipients
+};
+
+/**
+ * Get the structuring threshold
+ * @returns {Object} { threshold, currency } where currency is 'ETH' or 'USD'
+ */
+export const getStructuringSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STRUCTURING_CONFIG.STORAGE_KEY));
+    if (saved && saved.threshold > 0 && ['ETH', 'USD'].includes(saved.currency)) {
+      return saved;
+    }
+  } catch (error) {
+    console.error('Error loading structuring settings:', error);
+  }
+  return STRUCTURING_CONFIG.DEFAULT_SETTINGS;
+};
+
+export const saveStructuringSettings = (settings) => {
+  localStorage.setItem(STRUCTURING_CONFIG.STORAGE_KEY, JSON.stringify(settings));
+};
+
+// Day of a transfer as used by getHistoricalPrices
+export const getTransactionDate = (tx) => (
+  tx.metadata?.blockTimestamp ? new Date(tx.metadata.blockTimestamp).toISOString().split('T')[0] : null
+);
+
+/**
+ * Detect structuring: repeated transfers kept just under a reporting threshold
+ *
+ * Sent transfers within BAND_SHARE below the threshold are collected. They are reported
+ * when they come in bursts (MIN_IN_WINDOW within WINDOW_HOURS) or go to many recipients.
+ * USD thresholds are converted with the ETH price of the transfer's day, falling back to
+ * the current price for days without one.
+ */
+const detectStructuring = (transactions, settings, usdPrices = new Map()) => {
+  const { threshold, currency } = settings;
+  const lowerBound = threshold * (1 - STRUCTURING_CONFIG.BAND_SHARE);
+
+  const getAmount = (tx) => {
+    const value = parseFloat(tx.value) || 0;
+    if (currency !== 'USD') return value;
+    return value * (usdPrices.get(getTransactionDate(tx)) || getCurrentEthPrice());
+  };
+
+  const sent = transactions.filter(tx => tx.direction === 'sent' && tx.value);
+  const nearThreshold = sent
+    .map(tx => ({ tx, amount: getAmount(tx) }))
+    .filter(({ amount }) => amount >= lowerBound && amount < threshold);
+
+  if (nearThreshold.length < STRUCTURING_CONFIG.MIN_TRANSFERS) {
+    return { isDetected: false };
+  }
+
+  // Most near-threshold transfers inside any window of WINDOW_HOURS
+  const times = nearThreshold
+    .filter(({ tx }) => tx.metadata?.blockTimestamp)
+    .map(({ tx }) => new Date(tx.metadata.blockTimestamp).getTime())
+    .sort((a, b) => a - b);
+  const windowMs = STRUCTURING_CONFIG.WINDOW_HOURS * 60 * 60 * 1000;
+  let maxInWindow = 0;
+  for (let start = 0, end = 0; end < times.length; end++) {
+    while (times[end] - times[start] > windowMs) start++;
+    maxInWindow = Math.max(maxInWindow, end - start + 1);
+  }
+
+  const recipients = new Set(nearThreshold.map(({ tx }) => (tx.to || '').toLowerCase()));
+  const isBurst = maxInWindow >= STRUCTURING_CONFIG.MIN_IN_WINDOW;
+  const isSpread = recipients.size >= STRUCTURING_CONFIG.MIN_RECIPIENTS;
+  if (!isBurst && !isSpread) {
+    return { isDetected: false };
+  }
+
+  const aboveThreshold = sent.filter(tx => getAmount(tx) >= threshold).length;
+  const averageBelow = nearThreshold.reduce((sum, { amount }) => sum + (threshold - amount) / threshold, 0) / nearThreshold.length;
+  const spanDays = times.length > 1 ? (times[times.length - 1] - times[0]) / (1000 * 60 * 60 * 24) : 0;
+  const total = nearThreshold.reduce((sum, { tx }) => sum + (parseFloat(tx.value) || 0), 0);
+  const thresholdText = currency === 'USD' ? `$${threshold.toLocaleString()}` : `${threshold} ETH`;
+
+  let confidence = 60;
+  if (isBurst) confidence += 15;
+  if (isSpread) confidence += 10;
+  if (aboveThreshold === 0) confidence += 10; // Never crosses the threshold at all
+
+  return {
+    type: 'structuring',
+    isDetected: true,
+    confidence: Math.min(95, confidence),
+    details: {
+      threshold: thresholdText,
+      transfersJustBelow: nearThreshold.length,
+      transfersAtOrAbove: aboveThreshold,
+      shareOfSentTransfers: `${Math.round((nearThreshold.length / sent.length) * 100)}%`,
+      averageBelowThreshold: `${(averageBelow * 100).toFixed(1)}%`,
+      totalValue: `${total.toFixed(4)} ETH`,
+      uniqueRecipients: recipients.size,
+      mostWithin24Hours: maxInWindow,
+      firstTransfer: times.length > 0 ? new Date(times[0]).toISOString().split('T')[0] : 'unknown',
+      lastTransfer: times.length > 0 ? new Date(times[times.length - 1]).toISOString().split('T')[0] : 'unknown',
+      spanDays: spanDays.toFixed(1),
+      transactions: nearThreshold.map(({ tx, amount }) => ({
+        hash: tx.hash,
+        to: tx.to,
+        value: parseFloat(tx.value) || 0,
+        amount,
+        timestamp: tx.metadata?.blockTimestamp || null
+      }))
+    },
+    description: `${nearThreshold.length} transfers just under ${thresholdText}` +
+      (isBurst ? `, up to ${maxInWindow} within ${STRUCTURING_CONFIG.WINDOW_HOURS} hours` : '') +
+      (isSpread ? `, to ${recipients.size} recipients` : ''),
+    importance: 'high'
+  };
+};
+
 /**
  * Detect distribution patterns (one-to-many or many-to-one)
  */
@@ -309,7 +477,8 @@ const detectWhaleTransfers = (transactions) => {
     description: whaleTransactions.length > 0
       ? `Found ${whaleTransactions.length} abnormally large transactions (>${threshold.toFixed(2)} ETH)`
       : 'No abnormally large transactions detected',
-    importance: 'high'
+    importance: 'high',
+    transactions: whaleTransactions
   };
 };
 
@@ -475,6 +644,109 @@ const detectBurstActivity = (transactions) => {
   };
 };
 
+export const PASS_THROUGH_CONFIG = {
+  MAX_HOLDING_BLOCKS: 300, // Funds forwarded within this many blocks count as passed through (about an hour on mainnet)
+  MIN_FORWARDED_SHARE: 0.9, // Share of received value forwarded that quickly before the address is flagged
+  MIN_INBOUND: 3,
+  // Upper bounds, in blocks, of the holding time histogram; anything longer is in the last bucket
+  HISTOGRAM_BOUNDS: [1, 10, 100, 1000, 10000]
+};
+
+// A lot counts as forwarded once less than this share of it is left
+const FORWARDED_REMAINDER_SHARE = 0.01;
+
+/**
+ * Detect pass-through (layering or mule) accounts
+ *
+ * Every inbound transfer is a lot; outgoing value is matched against the lots first in,
+ * first out, so a lot's holding time is the number of blocks until equivalent value left.
+ * Outgoing value with no open lot came from the balance held before the analyzed range.
+ * The holding time histogram is returned whenever funds were received, flagged or not.
+ */
+export const detectPassThrough = (transactions) => {
+  const events = transactions
+    .filter(tx => tx.value && tx.blockNum && ['sent', 'received'].includes(tx.direction))
+    .map(tx => ({ tx, block: parseBlockNumber(tx.blockNum), amount: parseFloat(tx.value) || 0 }))
+    .filter(event => event.amount > 0)
+    // Funds received and sent in the same block arrive first
+    .sort((a, b) => a.block - b.block || (a.tx.direction === 'received' ? -1 : 1));
+
+  // One transaction can hold several inbound transfers, so every lot belongs to its event
+  const lots = [];
+  events
+    .filter(event => event.tx.direction === 'received')
+    .forEach(event => {
+      event.lot = { block: event.block, amount: event.amount, remaining: event.amount, forwardedWithin: 0, holdingBlocks: null };
+      lots.push(event.lot);
+    });
+  if (lots.length === 0) {
+    return { isDetected: false };
+  }
+
+  const open = [];
+  events.forEach(event => {
+    if (event.lot) {
+      open.push(event.lot);
+      return;
+    }
+
+    let outgoing = event.amount;
+    while (outgoing > 0 && open.length > 0) {
+      const lot = open[0];
+      const taken = Math.min(lot.remaining, outgoing);
+      lot.remaining -= taken;
+      outgoing -= taken;
+      if (event.block - lot.block <= PASS_THROUGH_CONFIG.MAX_HOLDING_BLOCKS) {
+        lot.forwardedWithin += taken;
+      }
+      if (lot.remaining <= lot.amount * FORWARDED_REMAINDER_SHARE) {
+        lot.holdingBlocks = event.block - lot.block;
+        open.shift();
+      }
+    }
+  });
+
+  const totalReceived = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  const forwardedQuickly = lots.reduce((sum, lot) => sum + lot.forwardedWithin, 0);
+  const forwardedShare = totalReceived > 0 ? forwardedQuickly / totalReceived : 0;
+  const forwardedLots = lots.filter(lot => lot.holdingBlocks !== null);
+  const holdingTimes = forwardedLots.map(lot => lot.holdingBlocks).sort((a, b) => a - b);
+
+  // Inbound transfers by how long their value stayed
+  const bounds = PASS_THROUGH_CONFIG.HISTOGRAM_BOUNDS;
+  const histogram = [
+    ...bounds.map((bound, index) => ({ label: `≤ ${bound.toLocaleString()} block${bound === 1 ? '' : 's'}`, min: index === 0 ? 0 : bounds[index - 1] + 1, max: bound })),
+    { label: `> ${bounds[bounds.length - 1].toLocaleString()} blocks`, min: bounds[bounds.length - 1] + 1, max: Infinity }
+  ].map(({ label, min, max }) => {
+    const inBucket = forwardedLots.filter(lot => lot.holdingBlocks >= min && lot.holdingBlocks <= max);
+    return { label, count: inBucket.length, value: inBucket.reduce((sum, lot) => sum + lot.amount, 0) };
+  });
+  const stillHeld = lots.filter(lot => lot.holdingBlocks === null);
+  histogram.push({ label: 'Still held', count: stillHeld.length, value: stillHeld.reduce((sum, lot) => sum + lot.amount, 0) });
+
+  const isPassThrough = lots.length >= PASS_THROUGH_CONFIG.MIN_INBOUND &&
+    forwardedShare >= PASS_THROUGH_CONFIG.MIN_FORWARDED_SHARE;
+
+  return {
+    type: 'pass_through',
+    isDetected: isPassThrough,
+    confidence: isPassThrough ? Math.min(95, Math.round(forwardedShare * 100) - (lots.length < 10 ? 15 : 0)) : 0,
+    details: {
+      inboundTransfers: lots.length,
+      totalReceived: totalReceived.toFixed(4),
+      forwardedWithinWindow: `${Math.round(forwardedShare * 100)}%`,
+      windowBlocks: PASS_THROUGH_CONFIG.MAX_HOLDING_BLOCKS,
+      medianHoldingBlocks: holdingTimes.length > 0 ? holdingTimes[Math.floor(holdingTimes.length / 2)] : 'n/a',
+      stillHeld: stillHeld.length,
+      histogram
+    },
+    description: isPassThrough
+      ? `${Math.round(forwardedShare * 100)}% of received value left again within ${PASS_THROUGH_CONFIG.MAX_HOLDING_BLOCKS} blocks`
+      : 'Received funds are held before they move on',
+    importance: 'high'
+  };
+};
+
 /**
  * Detect cyclical behavior (e.g., weekly patterns, monthly patterns)
  */
@@ -553,6 +825,346 @@ const detectCyclicalBehavior = (transactions) => {
   };
 };
 
+// Tornado Cash ETH pools on Ethereum mainnet, by fixed deposit denomination
+export const MIXER_POOLS = {
+  '0x12d66f87a04a9e220743712ce6d9bb1b5616b8fc': { name: 'Tornado Cash 0.1 ETH', denomination: 0.1 },
+  '0x47ce0c6ed5b0ce3d3a51fdb1c52dc66a7c3c2936': { name: 'Tornado Cash 1 ETH', denomination: 1 },
+  '0x910cbd523d972eb0a6f4cae4618ad62622b39dbf': { name: 'Tornado Cash 10 ETH', denomination: 10 },
+  '0xa160cdab225685da1d56aa342ad8841c3b53f291': { name: 'Tornado Cash 100 ETH', denomination: 100 }
+};
+
+// Tornado Cash entry points that forward deposits to a pool; the amount gives the pool
+const MIXER_ROUTERS = {
+  '0xd90e2f925da726b50c4ed8d0fb90ad053324f31b': 'Tornado Cash Router',
+  '0x722122df12d4e14e13ac3b6895a86e84145b6967': 'Tornado Cash Proxy'
+};
+
+const MIXER_DENOMINATIONS = [0.1, 1, 10, 100];
+// Relayers keep a fee from the withdrawn denomination; fees above this share are not treated as withdrawals
+const MAX_RELAYER_FEE_SHARE = 0.05;
+// Withdrawals within this many hours of a deposit of the same denomination may be linked to it
+const MIXER_LINK_WINDOW_HOURS = 72;
+
+// Pool denomination a transfer amount belongs to, allowing for relayer fees on withdrawals
+const getMixerDenomination = (value, isWithdrawal) => MIXER_DENOMINATIONS.find(denomination => (
+  isWithdrawal
+    ? value <= denomination && value >= denomination * (1 - MAX_RELAYER_FEE_SHARE)
+    : Math.abs(value - denomination) < 1e-9
+));
+
+/**
+ * Detect deposits into and withdrawals from mixer pools
+ *
+ * Deposits are transfers of a pool denomination to a pool, router or an address labelled
+ * as a mixer; withdrawals are transfers received from one. Denominations are in the native
+ * currency, so token transfers are left out. A withdrawal is flagged as
+ * possibly linked to a deposit when it has the same denomination and arrives within
+ * MIXER_LINK_WINDOW_HOURS after it, which undoes most of the privacy the pool provides.
+ */
+const detectMixerExposure = (transactions, centralAddress) => {
+  const central = (centralAddress || '').toLowerCase();
+  const labelIndex = getLabelIndex();
+
+  const getMixerName = (address) => {
+    const key = (address || '').toLowerCase();
+    if (MIXER_POOLS[key]) return MIXER_POOLS[key].name;
+    if (MIXER_ROUTERS[key]) return MIXER_ROUTERS[key];
+    const mixerLabel = (labelIndex.get(key) || []).find(label => label.category === 'mixer');
+    return mixerLabel ? mixerLabel.name : null;
+  };
+
+  const deposits = [];
+  const withdrawals = [];
+
+  transactions
+    .filter(tx => getAssetKey(tx) === NATIVE_ASSET_KEY)
+    .forEach(tx => {
+      const isSent = tx.direction ? tx.direction === 'sent' : (tx.from || '').toLowerCase() === central;
+      const counterparty = isSent ? tx.to : tx.from;
+      const mixer = getMixerName(counterparty);
+      if (!mixer) return;
+
+      const value = parseFloat(tx.value) || 0;
+      const pool = MIXER_POOLS[counterparty.toLowerCase()];
+      const interaction = {
+        hash: tx.hash,
+        mixer,
+        value,
+        denomination: pool ? pool.denomination : getMixerDenomination(value, !isSent) || null,
+        time: tx.metadata?.blockTimestamp ? new Date(tx.metadata.blockTimestamp) : null
+      };
+      (isSent ? deposits : withdrawals).push(interaction);
+    });
+
+  if (deposits.length === 0 && withdrawals.length === 0) {
+    return { isDetected: false };
+  }
+
+  // Pair each withdrawal with the closest earlier unpaired deposit of the same denomination
+  const links = [];
+  const pairedDeposits = new Set();
+  withdrawals
+    .filter(withdrawal => withdrawal.time && withdrawal.denomination)
+    .forEach(withdrawal => {
+      const candidates = deposits.filter(deposit =>
+        !pairedDeposits.has(deposit) &&
+        deposit.time &&
+        deposit.denomination === withdrawal.denomination &&
+        deposit.time <= withdrawal.time &&
+        (withdrawal.time - deposit.time) / (1000 * 60 * 60) <= MIXER_LINK_WINDOW_HOURS
+      );
+      if (candidates.length === 0) return;
+
+      const deposit = candidates.reduce((closest, candidate) => (candidate.time > closest.time ? candidate : closest));
+      pairedDeposits.add(deposit);
+      links.push({
+        depositHash: deposit.hash,
+        withdrawalHash: withdrawal.hash,
+        denomination: withdrawal.denomination,
+        hoursApart: Math.round((withdrawal.time - deposit.time) / (1000 * 60 * 60) * 10) / 10,
+        amountDifference: Math.round((deposit.value - withdrawal.value) * 1e6) / 1e6
+      });
+    });
+
+  const interactions = [...deposits, ...withdrawals];
+  const times = interactions.filter(interaction => interaction.time).map(interaction => interaction.time.getTime());
+  const sum = (list) => list.reduce((total, interaction) => total + interaction.value, 0);
+  const mixers = [...new Set(interactions.map(interaction => interaction.mixer))];
+
+  return {
+    type: 'mixer_exposure',
+    isDetected: true,
+    confidence: links.length > 0 ? 95 : 85,
+    details: {
+      deposits: deposits.length,
+      depositedAmount: sum(deposits).toFixed(4),
+      withdrawals: withdrawals.length,
+      withdrawnAmount: sum(withdrawals).toFixed(4),
+      mixers: mixers.join(', '),
+      firstInteraction: times.length > 0 ? new Date(Math.min(...times)).toISOString().split('T')[0] : 'unknown',
+      lastInteraction: times.length > 0 ? new Date(Math.max(...times)).toISOString().split('T')[0] : 'unknown',
+      possiblyLinkedWithdrawals: links.length,
+      links
+    },
+    description: `${deposits.length} deposit(s) into and ${withdrawals.length} withdrawal(s) from mixer pools` +
+      (links.length > 0 ? `; ${links.length} withdrawal(s) may be linked to a deposit by amount and timing` : ''),
+    importance: 'high'
+  };
+};
+
+// Limits of a peel chain search; every hop after the analyzed address costs one fetch
+export const PEEL_CHAIN_CONFIG = {
+  MAX_SEEDS: 3, // Largest inbound whale transfers followed
+  MAX_HOPS: 10, // Hops followed per chain
+  MAX_FETCHES: 25, // Addresses fetched across all chains
+  MIN_PEEL_HOPS: 2, // Hops with a peel before a chain is reported
+  MIN_FORWARD_SHARE: 0.6, // Share of the arriving amount the main transfer must carry on
+  MAX_PEEL_SHARE: 0.3, // Share of the arriving amount all peels of a hop may take together
+  MAX_PEELS_PER_HOP: 3,
+  WINDOW_DAYS: 7, // Time after funds arrive in which they must move on
+  MAX_TRANSFERS_PER_HOP: 100 // Busier addresses are services, not fresh chain addresses
+};
+
+// Native transfers an address sent to others between two blocks
+const getHopOutgoing = (sent, address, fromBlock, toBlock) => sent.filter(tx => {
+  const block = parseBlockNumber(tx.blockNum);
+  return tx.to && tx.to.toLowerCase() !== address &&
+    getAssetKey(tx) === NATIVE_ASSET_KEY &&
+    getTransferAmount(tx) > 0 &&
+    block >= fromBlock && block <= toBlock;
+});
+
+/**
+ * Split the outgoing transfers of one hop into the main transfer and the peels
+ * @returns {Object|null} { forward, peels }, or null when the transfers don't look like a peel
+ */
+const splitPeelHop = (outgoing, received) => {
+  if (outgoing.length < 2 || outgoing.length > PEEL_CHAIN_CONFIG.MAX_PEELS_PER_HOP + 1) return null;
+
+  const [forward, ...peels] = [...outgoing].sort((a, b) => getTransferAmount(b) - getTransferAmount(a));
+  const peeled = peels.reduce((sum, tx) => sum + getTransferAmount(tx), 0);
+  if (getTransferAmount(forward) < received * PEEL_CHAIN_CONFIG.MIN_FORWARD_SHARE ||
+      peeled > received * PEEL_CHAIN_CONFIG.MAX_PEEL_SHARE) {
+    return null;
+  }
+  return { forward, peels };
+};
+
+/**
+ * Follow one large inbound transfer forward as a peel chain
+ *
+ * At every hop the address must send most of what arrived on to one address and a small
+ * piece (the peel) to others, within the time window. The next address must be fresh: the
+ * forwarded transfer is the first it ever received, and it has few transfers at all.
+ */
+const followPeelChain = async (seed, centralAddress, centralTransactions, settings, budget) => {
+  const chain = {
+    seedHash: seed.hash,
+    seedFrom: seed.from,
+    seedAmount: getTransferAmount(seed),
+    hops: [],
+    totalPeeled: 0,
+    endAddress: centralAddress,
+    endReason: 'max_hops'
+  };
+  const visited = new Set([centralAddress]);
+  const windowBlocks = PEEL_CHAIN_CONFIG.WINDOW_DAYS * getBlocksPerDay(settings.network);
+
+  let address = centralAddress;
+  let arrivalBlock = parseBlockNumber(seed.blockNum);
+  let received = chain.seedAmount;
+  // The analyzed address's own transfers are already loaded
+  let sent = centralTransactions.filter(tx => tx.direction === 'sent');
+
+  while (chain.hops.length < PEEL_CHAIN_CONFIG.MAX_HOPS) {
+    const outgoing = getHopOutgoing(sent, address, arrivalBlock, arrivalBlock + windowBlocks);
+
+    const split = splitPeelHop(outgoing, received);
+    if (!split) {
+      chain.endReason = outgoing.length === 0 ? 'no_outgoing' : 'no_peel';
+      break;
+    }
+
+    const next = split.forward.to.toLowerCase();
+    const peels = split.peels.map(tx => ({ to: tx.to.toLowerCase(), amount: getTransferAmount(tx), hash: tx.hash }));
+    chain.hops.push({
+      address,
+      received,
+      forwarded: getTransferAmount(split.forward),
+      forwardHash: split.forward.hash,
+      forwardedTo: next,
+      peels
+    });
+    chain.totalPeeled += peels.reduce((sum, peel) => sum + peel.amount, 0);
+    chain.endAddress = next;
+
+    if (visited.has(next)) {
+      chain.endReason = 'loop';
+      break;
+    }
+    if (budget.fetches >= PEEL_CHAIN_CONFIG.MAX_FETCHES) {
+      chain.endReason = 'budget';
+      break;
+    }
+
+    arrivalBlock = parseBlockNumber(split.forward.blockNum);
+    let result;
+    try {
+      budget.fetches += 1;
+      result = await getAddressTransactions(next, null, toHexBlock(arrivalBlock + windowBlocks), settings.userApiKey, {
+        network: settings.network,
+        maxTransfers: PEEL_CHAIN_CONFIG.MAX_TRANSFERS_PER_HOP
+      });
+    } catch (error) {
+      console.warn(`Peel chain fetch failed for ${next}:`, error);
+      chain.endReason = 'fetch_failed';
+      break;
+    }
+
+    // Transfers come oldest first, so the first received one is the address's first funding
+    const firstReceived = result.received[0];
+    if (result.truncated || !firstReceived || firstReceived.hash !== split.forward.hash) {
+      chain.endReason = 'not_fresh';
+      break;
+    }
+
+    visited.add(next);
+    address = next;
+    received = getTransferAmount(split.forward);
+    sent = result.sent;
+  }
+
+  return chain;
+};
+
+/**
+ * Check whether peel chains can be traced with the current data source
+ * Every hop is a search, and the demo key only allows 2 per session.
+ * @param {string} userApiKey - User-provided Alchemy key, if any
+ * @returns {Object} { canTrace, reason }
+ */
+export const getPeelChainStatus = (userApiKey = null) => {
+  const { type } = getDataSource();
+
+  if (type === PROVIDER_TYPES.ALCHEMY && usesDemoQuota(userApiKey)) {
+    return {
+      canTrace: false,
+      reason: 'Tracing peel chains fetches every hop, more than the 2 searches the demo key allows per session. Add your own Alchemy API key to trace them.'
+    };
+  }
+  return { canTrace: true, reason: null };
+};
+
+/**
+ * Detect peel chains starting at the analyzed address
+ *
+ * Seeds are the inbound transfers detectWhaleTransfers flags as abnormally large. Each is
+ * followed hop by hop with getAddressTransactions, so unlike the other detectors this one
+ * is asynchronous and uses the data source; it is run on demand.
+ *
+ * @param {Object|Array} transactions - Native-asset transactions of the analyzed address
+ * @param {String} centralAddress - The address being analyzed
+ * @param {Object} options - userApiKey, network, and onProgress ({ chain, chains, fetches }) => void
+ * @returns {Promise<Object>} A peel_chain pattern; isDetected is false when no chain is long enough
+ */
+export const detectPeelChains = async (transactions, centralAddress, options = {}) => {
+  const { userApiKey = null, network = null, onProgress = null } = options;
+  const { canTrace, reason } = getPeelChainStatus(userApiKey);
+  if (!canTrace) {
+    throw new Error(reason);
+  }
+
+  const central = (centralAddress || '').toLowerCase();
+  const sortedTransactions = consolidateTransactions(transactions);
+
+  const whalePattern = detectWhaleTransfers(sortedTransactions);
+  const seeds = (whalePattern.transactions || [])
+    .filter(tx => tx.direction === 'received')
+    .sort((a, b) => getTransferAmount(b) - getTransferAmount(a))
+    .slice(0, PEEL_CHAIN_CONFIG.MAX_SEEDS);
+
+  const budget = { fetches: 0 };
+  const chains = [];
+  for (const seed of seeds) {
+    chains.push(await followPeelChain(seed, central, sortedTransactions, { userApiKey, network }, budget));
+    if (onProgress) {
+      onProgress({ chain: chains.length, chains: seeds.length, fetches: budget.fetches });
+    }
+  }
+
+  const reported = chains.filter(chain => chain.hops.length >= PEEL_CHAIN_CONFIG.MIN_PEEL_HOPS);
+  if (reported.length === 0) {
+    return {
+      type: 'peel_chain',
+      isDetected: false,
+      seedsFollowed: seeds.length,
+      fetches: budget.fetches
+    };
+  }
+
+  const longestChain = Math.max(...reported.map(chain => chain.hops.length));
+  const peelDestinations = new Set(reported.flatMap(chain => chain.hops.flatMap(hop => hop.peels.map(peel => peel.to))));
+  const totalPeeled = reported.reduce((sum, chain) => sum + chain.totalPeeled, 0);
+
+  return {
+    type: 'peel_chain',
+    isDetected: true,
+    confidence: Math.min(95, 50 + longestChain * 10),
+    details: {
+      chainCount: reported.length,
+      longestChain,
+      totalPeeled: totalPeeled.toFixed(4),
+      peelDestinations: peelDestinations.size,
+      chains: reported
+    },
+    description: `${reported.length} large inbound transfer(s) moved on through peel chains of up to ${longestChain} hops, ` +
+      `peeling ${totalPeeled.toFixed(4)} ETH to ${peelDestinations.size} address(es) along the way`,
+    importance: 'high',
+    seedsFollowed: seeds.length,
+    fetches: budget.fetches
+  };
+};
+
 /**
  * Categorize wallet behavior based on transaction patterns
  * @param {Object} patterns - The patterns detected by analyzeTransactionPatterns
@@ -598,14 +1210,22 @@ export const categorizeWalletBehavior = (patterns) => {
     confidence += 10;
   }
   
+  // Check for pass-through (mule) characteristics
+  if (patternTypes.includes('pass_through')) {
+    behaviors.push('Pass-Through');
+    confidence += 20;
+  }
+  
   // Check for hodler characteristics
   if (patternTypes.includes('accumulation_pattern')) {
     behaviors.push('Hodler');
     confidence += 20;
   }
   
-  // Determine primary wallet type
-  if (behaviors.includes('Trader') && behaviors.includes('Distributor')) {
+  // Determine primary wallet type; passing funds straight through outweighs the rest
+  if (behaviors.includes('Pass-Through')) {
+    walletType = 'Pass-Through / Mule Account';
+  } else if (behaviors.includes('Trader') && behaviors.includes('Distributor')) {
     walletType = 'Market Maker';
     confidence += 10;
   } else if (behaviors.includes('Trader')) {
@@ -628,13 +1248,22 @@ export const categorizeWalletBehavior = (patterns) => {
   };
 };
 
+// Risk added per counterparty on a sanctions list; one direct hit is enough for a high score
+const SANCTIONED_COUNTERPARTY_WEIGHT = 35;
+
 /**
  * Calculate risk score for an address based on transaction patterns
  * @param {Object} patterns - The patterns detected by analyzeTransactionPatterns
+ * @param {Object} screening - Optional sanctions screening: { subjectMatches, counterpartyHits }
+ *   where subjectMatches are the list entries of the analyzed address and counterpartyHits
+ *   come from screenAddresses over its transfer partners
  * @returns {Object} Risk score and factors
  */
-export const calculateRiskScore = (patterns) => {
-  if (!patterns || !patterns.patterns || patterns.patterns.length === 0) {
+export const calculateRiskScore = (patterns, screening = {}) => {
+  const { subjectMatches = [], counterpartyHits = [] } = screening;
+  const hasPatterns = patterns && patterns.patterns && patterns.patterns.length > 0;
+  
+  if (!hasPatterns && subjectMatches.length === 0 && counterpartyHits.length === 0) {
     return {
       score: 0,
       level: 'Unknown',
@@ -646,16 +1275,28 @@ export const calculateRiskScore = (patterns) => {
   const riskFactors = [];
   const protectiveFactors = [];
   
+  // Sanctions hits outweigh any behavioral pattern
+  subjectMatches.forEach(entry => {
+    riskFactors.push(`Address is on a sanctions list: ${describeSanctionsMatch(entry)}`);
+  });
+  counterpartyHits.forEach(hit => {
+    baseScore += SANCTIONED_COUNTERPARTY_WEIGHT;
+    riskFactors.push(`Transacted directly with sanctioned address ${hit.address} (${describeSanctionsMatch(hit.matches[0])})`);
+  });
+  
   // Evaluate each pattern for risk indicators
-  patterns.patterns.forEach(pattern => {
+  // Large one-off transfers, bursts and schedules are common in everyday wallets, so they move
+  // the score a little; mixers, structuring, pass-through and peel chains move it a lot
+  const patternTypes = hasPatterns ? patterns.patterns.map(pattern => pattern.type) : [];
+  (hasPatterns ? patterns.patterns : []).forEach(pattern => {
     switch (pattern.type) {
       case 'whale_transfers':
-        baseScore += 15;
+        baseScore += 10;
         riskFactors.push('Unusually large transactions detected');
         break;
       
       case 'burst_activity':
-        baseScore += 10;
+        baseScore += 5;
         riskFactors.push('Burst transaction pattern suggests potential automated behavior');
         break;
       
@@ -667,24 +1308,51 @@ export const calculateRiskScore = (patterns) => {
         break;
         
       case 'round_number_transfers':
-        baseScore -= 5;
-        protectiveFactors.push('Round number transactions suggest human-initiated transfers');
+        // Round amounts just under a threshold are part of structuring, not a sign of a human sender
+        if (!patternTypes.includes('structuring')) {
+          baseScore -= 5;
+          protectiveFactors.push('Round number transactions suggest human-initiated transfers');
+        }
+        break;
+        
+      case 'pass_through':
+        baseScore += 25;
+        riskFactors.push(`${pattern.details.forwardedWithinWindow} of received value was forwarded within ${pattern.details.windowBlocks} blocks (possible mule account)`);
+        break;
+        
+      case 'structuring':
+        baseScore += 30;
+        riskFactors.push(`${pattern.details.transfersJustBelow} transfers kept just under ${pattern.details.threshold} (possible structuring)`);
         break;
         
       case 'periodic_transfers':
-        baseScore -= 15;
+        baseScore -= 10;
         protectiveFactors.push('Regular periodic transactions suggest legitimate scheduled activity');
         break;
         
+      case 'mixer_exposure':
+        baseScore += 25;
+        riskFactors.push(`Interacted with mixer pools (${pattern.details.mixers})`);
+        if (pattern.details.possiblyLinkedWithdrawals > 0) {
+          baseScore += 10;
+          riskFactors.push(`${pattern.details.possiblyLinkedWithdrawals} mixer withdrawal(s) closely follow a matching deposit`);
+        }
+        break;
+        
+      case 'peel_chain':
+        baseScore += 20;
+        riskFactors.push(`Funds moved on through a peel chain of ${pattern.details.longestChain} hops`);
+        break;
+        
       case 'cyclical_behavior':
-        baseScore -= 10;
+        baseScore -= 5;
         protectiveFactors.push('Consistent cyclical behavior indicates normal usage patterns');
         break;
     }
   });
   
-  // Cap the score between 0 and 100
-  const finalScore = Math.max(0, Math.min(100, baseScore));
+  // Cap the score between 0 and 100; a listed address is always at the top
+  const finalScore = subjectMatches.length > 0 ? 100 : Math.max(0, Math.min(100, baseScore));
   
   // Determine risk level
   let riskLevel;
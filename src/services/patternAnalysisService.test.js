@@ -0,0 +1,336 @@
+import {
+  analyzeTransactionPatterns,
+  detectPassThrough,
+  detectPeelChains,
+  PASS_THROUGH_CONFIG,
+  PEEL_CHAIN_CONFIG
+} from './patternAnalysisService';
+import { getAddressTransactions } from './alchemyService';
+import { PROVIDER_TYPES, setDataSource } from './dataProvider';
+
+// Whether searches count against the demo key's quota, for the peel chain gating
+let mockUsesDemoQuota = false;
+jest.mock('./alchemyService', () => ({
+  ...jest.requireActual('./alchemyService'),
+  usesDemoQuota: () => mockUsesDemoQuota
+}));
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const PARTNER = '0x2222222222222222222222222222222222222222';
+
+const event = (direction, hash, block, value) => ({
+  hash,
+  direction,
+  blockNum: `0x${block.toString(16)}`,
+  value,
+  asset: 'ETH',
+  category: 'external'
+});
+
+const getBucket = (result, label) => result.details.histogram.find(bucket => bucket.label === label);
+
+describe('detectPassThrough', () => {
+  test('keeps every inbound transfer of one transaction as its own lot', () => {
+    const result = detectPassThrough([
+      event('received', '0xaa', 100, 1),
+      event('received', '0xaa', 100, 2),
+      event('sent', '0xcc', 150, 3),
+      event('received', '0xbb', 200, 1),
+      event('sent', '0xdd', 5000, 1)
+    ]);
+
+    expect(result.details.inboundTransfers).toBe(3);
+    // Both lots of 0xaa left after 50 blocks, the lot of 0xbb after 4800
+    expect(getBucket(result, '≤ 100 blocks')).toEqual({ label: '≤ 100 blocks', count: 2, value: 3 });
+    expect(getBucket(result, '≤ 10,000 blocks').count).toBe(1);
+    expect(getBucket(result, 'Still held').count).toBe(0);
+    // 3 of 4 ETH moved on within the window
+    expect(result.details.forwardedWithinWindow).toBe('75%');
+    expect(result.isDetected).toBe(false);
+  });
+
+  test('matches outgoing value against the oldest lots first', () => {
+    const result = detectPassThrough([
+      event('received', '0xaa', 100, 1),
+      event('received', '0xbb', 110, 1),
+      event('sent', '0xcc', 120, 1)
+    ]);
+
+    expect(result.details.medianHoldingBlocks).toBe(20);
+    expect(getBucket(result, 'Still held')).toEqual({ label: 'Still held', count: 1, value: 1 });
+  });
+
+  test('flags an address that forwards nearly everything within the window', () => {
+    const window = PASS_THROUGH_CONFIG.MAX_HOLDING_BLOCKS;
+    const result = detectPassThrough([
+      event('received', '0xa1', 100, 1),
+      event('sent', '0xb1', 105, 1),
+      event('received', '0xa2', 1000, 2),
+      event('sent', '0xb2', 1000 + window, 2),
+      event('received', '0xa3', 5000, 1.5),
+      event('sent', '0xb3', 5001, 1.5)
+    ]);
+
+    expect(result.isDetected).toBe(true);
+    expect(result.details.forwardedWithinWindow).toBe('100%');
+  });
+
+  test('returns holding times without flagging when funds are held', () => {
+    const result = detectPassThrough([
+      event('received', '0xaa', 100, 1),
+      event('received', '0xbb', 200, 1),
+      event('received', '0xcc', 300, 1)
+    ]);
+
+    expect(result.isDetected).toBe(false);
+    expect(getBucket(result, 'Still held').count).toBe(3);
+  });
+
+  test('needs inbound transfers to say anything', () => {
+    expect(detectPassThrough([event('sent', '0xaa', 100, 1)])).toEqual({ isDetected: false });
+  });
+});
+
+describe('structuring', () => {
+  const sent = (hash, value, timestamp, to = PARTNER) => ({
+    hash,
+    from: ADDRESS,
+    to,
+    value,
+    asset: 'ETH',
+    category: 'external',
+    blockNum: '0x1',
+    metadata: { blockTimestamp: timestamp }
+  });
+
+  const findStructuring = (transfers, options) => analyzeTransactionPatterns({ sent: transfers, received: [] }, ADDRESS, options)
+    .patterns.find(pattern => pattern.type === 'structuring');
+
+  test('flags transfers kept just under the threshold within one day', () => {
+    const pattern = findStructuring([
+      sent('0x1', 9.5, '2024-01-01T01:00:00Z'),
+      sent('0x2', 9.2, '2024-01-01T09:00:00Z'),
+      sent('0x3', 9.8, '2024-01-01T20:00:00Z'),
+      sent('0x4', 3, '2024-01-05T20:00:00Z')
+    ], { structuring: { threshold: 10, currency: 'ETH' } });
+
+    expect(pattern.details.transfersJustBelow).toBe(3);
+    expect(pattern.details.mostWithin24Hours).toBe(3);
+    expect(pattern.details.transfersAtOrAbove).toBe(0);
+  });
+
+  test('does not flag near-threshold transfers spread over time to one recipient', () => {
+    const pattern = findStructuring([
+      sent('0x1', 9.5, '2024-01-01T01:00:00Z'),
+      sent('0x2', 9.2, '2024-02-01T01:00:00Z'),
+      sent('0x3', 9.8, '2024-03-01T01:00:00Z')
+    ], { structuring: { threshold: 10, currency: 'ETH' } });
+
+    expect(pattern).toBeUndefined();
+  });
+
+  test('flags near-threshold transfers to many recipients', () => {
+    const pattern = findStructuring([
+      sent('0x1', 9.5, '2024-01-01T01:00:00Z', '0xa'),
+      sent('0x2', 9.2, '2024-02-01T01:00:00Z', '0xb'),
+      sent('0x3', 9.8, '2024-03-01T01:00:00Z', '0xc')
+    ], { structuring: { threshold: 10, currency: 'ETH' } });
+
+    expect(pattern.details.uniqueRecipients).toBe(3);
+  });
+
+  test('converts USD thresholds with the price of the transfer day', () => {
+    const usdPrices = new Map([['2024-01-01', 2000]]);
+    const pattern = findStructuring([
+      sent('0x1', 4.9, '2024-01-01T01:00:00Z'),
+      sent('0x2', 4.8, '2024-01-01T02:00:00Z'),
+      sent('0x3', 4.95, '2024-01-01T03:00:00Z')
+    ], { structuring: { threshold: 10000, currency: 'USD' }, usdPrices });
+
+    expect(pattern.details.transactions.map(tx => tx.amount)).toEqual([9800, 9600, 9900]);
+  });
+});
+
+describe('mixer exposure', () => {
+  const POOL_1_ETH = '0x47ce0c6ed5b0ce3d3a51fdb1c52dc66a7c3c2936';
+  const ROUTER = '0xd90e2f925da726b50c4ed8d0fb90ad053324f31b';
+
+  const native = (hash, from, to, value, timestamp) => ({
+    hash,
+    from,
+    to,
+    value,
+    asset: 'ETH',
+    category: 'external',
+    blockNum: '0x1',
+    metadata: { blockTimestamp: timestamp }
+  });
+
+  const findMixerExposure = (sent, received) => analyzeTransactionPatterns({ sent, received }, ADDRESS)
+    .patterns.find(pattern => pattern.type === 'mixer_exposure');
+
+  test('flags a deposit into a pool address', () => {
+    const pattern = findMixerExposure([native('0x1', ADDRESS, POOL_1_ETH, 1, '2024-01-01T00:00:00Z')], []);
+
+    expect(pattern.details.deposits).toBe(1);
+    expect(pattern.details.mixers).toBe('Tornado Cash 1 ETH');
+    expect(pattern.details.possiblyLinkedWithdrawals).toBe(0);
+  });
+
+  test('gives router withdrawals a denomination only when the relayer fee is under 5%', () => {
+    const pattern = findMixerExposure([
+      native('0x1', ADDRESS, ROUTER, 1, '2024-01-01T00:00:00Z'),
+      native('0x2', ADDRESS, ROUTER, 1, '2024-01-01T01:00:00Z')
+    ], [
+      native('0x3', ROUTER, ADDRESS, 0.97, '2024-01-02T00:00:00Z'),
+      native('0x4', ROUTER, ADDRESS, 0.9, '2024-01-02T01:00:00Z')
+    ]);
+
+    expect(pattern.details.withdrawals).toBe(2);
+    // Only the withdrawal with a 3% fee matches the 1 ETH deposits
+    expect(pattern.details.links.map(link => link.withdrawalHash)).toEqual(['0x3']);
+    expect(pattern.details.links[0]).toMatchObject({ denomination: 1, amountDifference: 0.03 });
+  });
+
+  test('links a withdrawal to the closest earlier deposit within 72 hours', () => {
+    const pattern = findMixerExposure([
+      native('0x1', ADDRESS, POOL_1_ETH, 1, '2024-01-01T00:00:00Z'),
+      native('0x2', ADDRESS, POOL_1_ETH, 1, '2024-01-02T00:00:00Z')
+    ], [
+      native('0x3', POOL_1_ETH, ADDRESS, 0.98, '2024-01-04T00:00:00Z'),
+      // More than 72 hours after the remaining deposit
+      native('0x4', POOL_1_ETH, ADDRESS, 0.98, '2024-01-05T01:00:00Z')
+    ]);
+
+    expect(pattern.details.links).toEqual([
+      expect.objectContaining({ depositHash: '0x2', withdrawalHash: '0x3', hoursApart: 48 })
+    ]);
+    expect(pattern.confidence).toBe(95);
+  });
+
+  test('ignores token transfers to a pool', () => {
+    const tokenTransfer = {
+      ...native('0x1', ADDRESS, POOL_1_ETH, 1, '2024-01-01T00:00:00Z'),
+      asset: 'USDC',
+      category: 'erc20',
+      rawContract: { address: '0x4444444444444444444444444444444444444444' }
+    };
+
+    expect(findMixerExposure([tokenTransfer], [])).toBeUndefined();
+  });
+});
+
+describe('detectPeelChains', () => {
+  const address = (digit) => `0x${digit.repeat(40)}`;
+  const WHALE = address('a');
+  const HOP_1 = address('b');
+  const HOP_2 = address('c');
+  const PEEL = address('d');
+  const SMALL_SENDER = address('e');
+  const OTHER = address('f');
+
+  const transfer = (block, from, to, value) => ({
+    uniqueId: `0x${block.toString(16).padStart(64, '0')}:external`,
+    hash: `0x${block.toString(16).padStart(64, '0')}`,
+    blockNum: `0x${block.toString(16)}`,
+    from,
+    to,
+    value,
+    asset: 'ETH',
+    category: 'external'
+  });
+
+  // Many small transfers make the 100 ETH seed stand out as a whale transfer
+  const SMALL_TRANSFERS = Array.from({ length: 40 }, (_, index) => transfer(index + 1, SMALL_SENDER, ADDRESS, 0.1));
+  const FIRST_HOP = [
+    transfer(100000, WHALE, ADDRESS, 100),
+    transfer(100010, ADDRESS, HOP_1, 90),
+    transfer(100011, ADDRESS, PEEL, 5)
+  ];
+  const SECOND_HOP = [
+    transfer(100020, HOP_1, HOP_2, 80),
+    transfer(100021, HOP_1, PEEL, 5)
+  ];
+
+  const detect = async (transfers) => {
+    setDataSource(PROVIDER_TYPES.FIXTURE, { fixture: { transfers: [...SMALL_TRANSFERS, ...transfers] } });
+    return detectPeelChains(await getAddressTransactions(ADDRESS), ADDRESS);
+  };
+
+  afterEach(() => {
+    mockUsesDemoQuota = false;
+  });
+
+  test('follows a whale transfer through hops that forward most and peel a little', async () => {
+    const pattern = await detect([...FIRST_HOP, ...SECOND_HOP]);
+
+    expect(pattern.isDetected).toBe(true);
+    expect(pattern.fetches).toBe(2);
+    expect(pattern.details.totalPeeled).toBe('10.0000');
+    const [chain] = pattern.details.chains;
+    expect(chain.hops.map(hop => [hop.address, hop.forwardedTo, hop.forwarded])).toEqual([
+      [ADDRESS, HOP_1, 90],
+      [HOP_1, HOP_2, 80]
+    ]);
+    expect(chain.endAddress).toBe(HOP_2);
+    expect(chain.endReason).toBe('no_outgoing');
+  });
+
+  test('stops when the main transfer carries on too little or the peels take too much', async () => {
+    // 50 of 90 is under the 60% that must move on
+    const smallForward = await detect([...FIRST_HOP, transfer(100020, HOP_1, HOP_2, 50), transfer(100021, HOP_1, PEEL, 5)]);
+    // 28 of 90 is over the 30% the peels may take
+    const largePeels = await detect([
+      ...FIRST_HOP,
+      transfer(100020, HOP_1, HOP_2, 60),
+      transfer(100021, HOP_1, PEEL, 20),
+      transfer(100022, HOP_1, OTHER, 8)
+    ]);
+
+    [smallForward, largePeels].forEach(pattern => {
+      expect(pattern.isDetected).toBe(false);
+      expect(pattern.fetches).toBe(1);
+    });
+  });
+
+  test('stops at an address that was funded before the forwarded transfer', async () => {
+    const pattern = await detect([transfer(50, OTHER, HOP_2, 1), ...FIRST_HOP, ...SECOND_HOP]);
+    const [chain] = pattern.details.chains;
+
+    expect(chain.hops).toHaveLength(2);
+    expect(chain.endAddress).toBe(HOP_2);
+    expect(chain.endReason).toBe('not_fresh');
+  });
+
+  test('stops when funds return to an address already in the chain', async () => {
+    const pattern = await detect([...FIRST_HOP, transfer(100020, HOP_1, ADDRESS, 80), transfer(100021, HOP_1, PEEL, 5)]);
+    const [chain] = pattern.details.chains;
+
+    expect(pattern.fetches).toBe(1);
+    expect(chain.endAddress).toBe(ADDRESS);
+    expect(chain.endReason).toBe('loop');
+  });
+
+  test('stops fetching once the fetch budget is spent', async () => {
+    const maxFetches = PEEL_CHAIN_CONFIG.MAX_FETCHES;
+    PEEL_CHAIN_CONFIG.MAX_FETCHES = 1;
+    try {
+      const pattern = await detect([...FIRST_HOP, ...SECOND_HOP]);
+      const [chain] = pattern.details.chains;
+
+      expect(pattern.fetches).toBe(1);
+      expect(chain.endAddress).toBe(HOP_2);
+      expect(chain.endReason).toBe('budget');
+    } finally {
+      PEEL_CHAIN_CONFIG.MAX_FETCHES = maxFetches;
+    }
+  });
+
+  test('refuses to trace with the demo key, but not from other data sources', async () => {
+    mockUsesDemoQuota = true;
+    setDataSource(PROVIDER_TYPES.ALCHEMY);
+    await expect(detectPeelChains({ sent: [], received: [] }, ADDRESS)).rejects.toThrow(/demo key/);
+
+    expect((await detect([...FIRST_HOP, ...SECOND_HOP])).isDetected).toBe(true);
+  });
+});
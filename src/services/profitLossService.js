@@ -105,6 +105,18 @@ export const getHistoricalPrice = async (date) => {
   return mockPriceHistory[closestDate];
 };
 
+/**
+ * Get the historical ETH prices of many days at once
+ *
+ * @param {Array<string>} dates - Days as YYYY-MM-DD
+ * @returns {Promise<Map>} Price in USD by day
+ */
+export const getHistoricalPrices = async (dates) => {
+  const uniqueDates = [...new Set(dates)];
+  const prices = await Promise.all(uniqueDates.map(date => getHistoricalPrice(date)));
+  return new Map(uniqueDates.map((date, index) => [date, prices[index]]));
+};
+
 /**
  * Calculate the profit/loss for a given transaction
  * 
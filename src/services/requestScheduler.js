@@ -0,0 +1,127 @@
+/**
+ * Request Scheduler
+ *
+ * Runs provider requests through a bounded concurrency pool, in batches, with exponential
+ * backoff when the provider rate-limits (HTTP 429 / "too many requests").
+ */
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+  concurrency: 4, // Requests (or batches) in flight at once
+  batchSize: 25, // Items per batch in scheduleBatches
+  maxRetries: 5, // Retries of a rate-limited request before it counts as failed
+  baseDelayMs: 500, // First backoff delay, doubled on every retry
+  maxDelayMs: 10000
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check whether an error means the provider is rate limiting
+ * Covers HTTP 429s, JSON-RPC 429 codes and Alchemy's compute-unit errors.
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} Whether the request should be retried after a backoff
+ */
+export const isRateLimitError = (error) => {
+  if (!error) return false;
+  if (error.status === 429 || error.code === 429) return true;
+  return /429|rate limit|too many requests|compute units/i.test(error.message || String(error));
+};
+
+/**
+ * Create a scheduler
+ * @param {Object} options - Overrides for DEFAULT_SCHEDULER_OPTIONS
+ * @returns {Object} { schedule, scheduleBatches }
+ */
+export const createRequestScheduler = (options = {}) => {
+  const { concurrency, batchSize, maxRetries, baseDelayMs, maxDelayMs } = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+
+  const queue = [];
+  let active = 0;
+
+  // Jittered so parallel retries don't hit the provider at the same moment
+  const getBackoffDelay = (attempt, error) => {
+    if (error && error.retryAfter) {
+      return error.retryAfter * 1000;
+    }
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+  };
+
+  const runNext = () => {
+    if (active >= concurrency || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active += 1;
+
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        runNext();
+      });
+  };
+
+  const enqueue = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    runNext();
+  });
+
+  /**
+   * Run a request in the pool, retrying it with backoff while it is rate limited
+   * The pool slot is released during the backoff.
+   * @param {Function} task - () => Promise
+   * @returns {Promise} The task's result
+   */
+  const schedule = async (task) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await enqueue(task);
+      } catch (error) {
+        if (!isRateLimitError(error) || attempt >= maxRetries) {
+          throw error;
+        }
+        await sleep(getBackoffDelay(attempt, error));
+      }
+    }
+  };
+
+  /**
+   * Run items through the pool in batches
+   *
+   * runBatch gets a batch of items and returns one { item, value, error } per item. Items
+   * that come back rate limited are retried as a smaller batch after a backoff; other
+   * errors are returned as they are.
+   *
+   * @param {Array} items - Items to process
+   * @param {Function} runBatch - (items) => Promise<Array<{ item, value, error }>>
+   * @returns {Promise<Array>} One { item, value, error } per item
+   */
+  const scheduleBatches = async (items, runBatch) => {
+    const runWithRetry = async (batch, attempt) => {
+      let results;
+      try {
+        results = await schedule(() => runBatch(batch));
+      } catch (error) {
+        return batch.map(item => ({ item, value: null, error }));
+      }
+
+      const limited = results.filter(result => result.error && isRateLimitError(result.error));
+      if (limited.length === 0 || attempt >= maxRetries) {
+        return results;
+      }
+
+      await sleep(getBackoffDelay(attempt, limited[0].error));
+      const retried = await runWithRetry(limited.map(result => result.item), attempt + 1);
+      return [...results.filter(result => !limited.includes(result)), ...retried];
+    };
+
+    const batches = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+      batches.push(items.slice(i, i + batchSize));
+    }
+
+    const results = await Promise.all(batches.map(batch => runWithRetry(batch, 0)));
+    return results.flat();
+  };
+
+  return { schedule, scheduleBatches };
+};
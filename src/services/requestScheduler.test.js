@@ -0,0 +1,154 @@
+import { createRequestScheduler, isRateLimitError } from './requestScheduler';
+
+// Let settled promises run their callbacks
+const flushPromises = async () => {
+  for (let i = 0; i < 20; i++) {
+    await Promise.resolve();
+  }
+};
+
+const rateLimited = () => Object.assign(new Error('Too Many Requests'), { status: 429 });
+
+describe('createRequestScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    // No jitter: every backoff is the full delay
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('keeps no more requests in flight than the concurrency allows', async () => {
+    const { schedule } = createRequestScheduler({ concurrency: 2 });
+    const pending = [];
+    let active = 0;
+    let maxActive = 0;
+    const task = () => new Promise(resolve => {
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      pending.push(() => {
+        active -= 1;
+        resolve();
+      });
+    });
+
+    const results = Promise.all([1, 2, 3, 4, 5].map(() => schedule(task)));
+    await flushPromises();
+    expect(pending).toHaveLength(2);
+
+    pending[0]();
+    await flushPromises();
+    expect(pending).toHaveLength(3);
+
+    for (let i = 1; i < 5; i++) {
+      pending[i]();
+      await flushPromises();
+    }
+    await results;
+    expect(maxActive).toBe(2);
+  });
+
+  test('retries rate-limited requests after a doubling backoff', async () => {
+    const { schedule } = createRequestScheduler({ baseDelayMs: 500 });
+    let calls = 0;
+    const task = async () => {
+      calls += 1;
+      if (calls <= 2) throw rateLimited();
+      return 'ok';
+    };
+
+    const result = schedule(task);
+    await flushPromises();
+    expect(calls).toBe(1);
+
+    jest.advanceTimersByTime(499);
+    await flushPromises();
+    expect(calls).toBe(1);
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    expect(calls).toBe(2);
+
+    // The second retry waits twice as long
+    jest.advanceTimersByTime(999);
+    await flushPromises();
+    expect(calls).toBe(2);
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    expect(calls).toBe(3);
+    await expect(result).resolves.toBe('ok');
+  });
+
+  test('waits as long as a Retry-After asks', async () => {
+    const { schedule } = createRequestScheduler({ baseDelayMs: 500 });
+    let calls = 0;
+    const task = async () => {
+      calls += 1;
+      if (calls === 1) throw Object.assign(rateLimited(), { retryAfter: 3 });
+      return 'ok';
+    };
+
+    const result = schedule(task);
+    await flushPromises();
+    jest.advanceTimersByTime(2999);
+    await flushPromises();
+    expect(calls).toBe(1);
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    await expect(result).resolves.toBe('ok');
+  });
+
+  test('gives up after the last retry and does not retry other errors', async () => {
+    const { schedule } = createRequestScheduler({ maxRetries: 2, baseDelayMs: 100 });
+    let limitedCalls = 0;
+    const limited = schedule(async () => {
+      limitedCalls += 1;
+      throw rateLimited();
+    }).catch(error => error);
+
+    for (let i = 0; i < 3; i++) {
+      await flushPromises();
+      jest.advanceTimersByTime(1000);
+    }
+    expect((await limited).message).toBe('Too Many Requests');
+    expect(limitedCalls).toBe(3);
+
+    let failingCalls = 0;
+    await expect(schedule(async () => {
+      failingCalls += 1;
+      throw new Error('execution reverted');
+    })).rejects.toThrow('execution reverted');
+    expect(failingCalls).toBe(1);
+  });
+
+  test('retries only the rate-limited items of a batch', async () => {
+    const { scheduleBatches } = createRequestScheduler({ batchSize: 3, baseDelayMs: 100 });
+    const batches = [];
+    const runBatch = async (items) => {
+      batches.push(items);
+      return items.map(item => (batches.length === 1 && item === 'b'
+        ? { item, value: null, error: rateLimited() }
+        : { item, value: item.toUpperCase(), error: null }));
+    };
+
+    const results = scheduleBatches(['a', 'b', 'c'], runBatch);
+    await flushPromises();
+    jest.advanceTimersByTime(100);
+    await flushPromises();
+
+    expect(batches).toEqual([['a', 'b', 'c'], ['b']]);
+    expect((await results).map(result => result.value)).toEqual(['A', 'C', 'B']);
+  });
+});
+
+describe('isRateLimitError', () => {
+  test('recognizes HTTP and JSON-RPC 429s and compute unit errors', () => {
+    expect(isRateLimitError({ status: 429 })).toBe(true);
+    expect(isRateLimitError({ code: 429 })).toBe(true);
+    expect(isRateLimitError(new Error('Your app has exceeded its compute units per second capacity'))).toBe(true);
+    expect(isRateLimitError(new Error('execution reverted'))).toBe(false);
+    expect(isRateLimitError(null)).toBe(false);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Sanctions Service
+ *
+ * Screens addresses against locally loaded sanctions lists and blocklists, such as an
+ * export of the crypto addresses on the OFAC SDN list. Lists are stored in localStorage
+ * and merged into one index, so every screen is a map lookup.
+ *
+ * Partners are screened in processTransferPartners and every hop of a fund trace or path
+ * search is screened before it is returned, so no analyzed address skips the check.
+ */
+import { splitCsvLine } from './labelService';
+
+const STORAGE_KEY = 'sanctionsLists';
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const ADDRESS_SEARCH_PATTERN = /0x[a-fA-F0-9]{40}/g;
+
+// Index rebuilt whenever the stored lists change
+let sanctionsIndex = null;
+
+const createEntry = (row, listName) => ({
+  name: String(row.name || row.entity || row.sdn_name || '').trim() || null,
+  program: String(row.program || row.programs || '').trim() || null,
+  remarks: String(row.remarks || row.notes || '').trim() || null,
+  listName
+});
+
+/**
+ * Parse the contents of a sanctions list file
+ *
+ * Accepts JSON (an array of addresses or entries, or { name, entries: [...] }), CSV with a
+ * header row that has an address column, and plain text, from which every EVM address is
+ * taken (the format of the per-currency OFAC address exports).
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used as the list name
+ * @returns {Object} { name, entries: { [address]: { name, program, remarks, listName } } }
+ */
+export const parseSanctionsList = (text, fileName = 'Sanctions list') => {
+  const trimmed = text.trim();
+  let name = fileName.replace(/\.(json|csv|txt)$/i, '');
+  let rows;
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Sanctions list is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+      name = parsed.name || name;
+    }
+    rows = (Array.isArray(parsed) ? parsed : parsed.entries || parsed.addresses || [])
+      .map(row => (typeof row === 'string' ? { address: row } : row));
+  } else {
+    const lines = trimmed.split(/\r?\n/);
+    const header = splitCsvLine(lines[0]).map(column => column.toLowerCase());
+    const addressColumn = header.findIndex(column => column.includes('address'));
+
+    if (lines[0].includes(',') && addressColumn !== -1) {
+      rows = lines.slice(1).filter(line => line.trim()).map(line => {
+        const fields = splitCsvLine(line);
+        const row = header.reduce((result, column, index) => {
+          result[column] = fields[index];
+          return result;
+        }, {});
+        row.address = fields[addressColumn];
+        return row;
+      });
+    } else {
+      rows = (trimmed.match(ADDRESS_SEARCH_PATTERN) || []).map(address => ({ address }));
+    }
+  }
+
+  const entries = rows.reduce((result, row) => {
+    const address = String(row.address || '').trim();
+    if (ADDRESS_PATTERN.test(address)) {
+      result[address.toLowerCase()] = createEntry(row, name);
+    }
+    return result;
+  }, {});
+
+  if (Object.keys(entries).length === 0) {
+    throw new Error('No Ethereum addresses were found in the sanctions list.');
+  }
+
+  return { name, entries };
+};
+
+// Get loaded sanctions lists from localStorage
+export const getSanctionsLists = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading sanctions lists:', error);
+    return [];
+  }
+};
+
+const saveSanctionsLists = (lists) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(lists));
+  } catch (error) {
+    console.error('Error saving sanctions lists:', error);
+    throw new Error('The sanctions lists are too large to store in this browser.');
+  }
+  sanctionsIndex = null;
+};
+
+/**
+ * Load a sanctions list file
+ * A list with the same name replaces the earlier version, so updated exports can be reloaded.
+ * @param {string} text - File contents
+ * @param {string} fileName - File name
+ * @returns {Object} The stored list
+ */
+export const importSanctionsList = (text, fileName) => {
+  const { name, entries } = parseSanctionsList(text, fileName);
+  const list = {
+    id: `${Date.now()}-${name}`,
+    name,
+    importedAt: new Date().toISOString(),
+    entries
+  };
+
+  saveSanctionsLists([...getSanctionsLists().filter(existing => existing.name !== name), list]);
+  return list;
+};
+
+export const removeSanctionsList = (listId) => {
+  saveSanctionsLists(getSanctionsLists().filter(list => list.id !== listId));
+};
+
+const getSanctionsIndex = () => {
+  if (sanctionsIndex) return sanctionsIndex;
+
+  sanctionsIndex = new Map();
+  getSanctionsLists().forEach(list => {
+    Object.entries(list.entries).forEach(([address, entry]) => {
+      sanctionsIndex.set(address, [...(sanctionsIndex.get(address) || []), entry]);
+    });
+  });
+  return sanctionsIndex;
+};
+
+/**
+ * Screen one address
+ * @param {string} address - Address to screen
+ * @returns {Array} Matching list entries; empty when the address is on no list
+ */
+export const screenAddress = (address) => (address ? getSanctionsIndex().get(address.toLowerCase()) || [] : []);
+
+/**
+ * Screen many addresses
+ * @param {Iterable<string>} addresses - Addresses to screen; duplicates are screened once
+ * @returns {Array} { address, matches } for every address on a list
+ */
+export const screenAddresses = (addresses) => {
+  const seen = new Set();
+  const results = [];
+
+  for (const address of addresses) {
+    const key = address.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const matches = screenAddress(address);
+    if (matches.length > 0) results.push({ address, matches });
+  }
+  return results;
+};
+
+/**
+ * Re-screen partners, after lists were loaded or removed
+ * @param {Array} partners - Output of processTransferPartners
+ * @returns {Array} New partner objects with up-to-date sanctionsMatches
+ */
+export const applySanctionsScreening = (partners) =>
+  partners.map(partner => ({ ...partner, sanctionsMatches: screenAddress(partner.address) }));
+
+// One line per matching entry, for alerts and risk factors
+export const describeSanctionsMatch = (entry) =>
+  [entry.name, entry.program && `program ${entry.program}`, `listed in ${entry.listName}`].filter(Boolean).join(' · ');
@@ -0,0 +1,78 @@
+import { parseSanctionsList, importSanctionsList, removeSanctionsList, screenAddress, screenAddresses } from './sanctionsService';
+
+const LAZARUS = '0x098B716B8Aaf21512996dC57EB0615e2383E2f96';
+const TORNADO = '0x8589427373D6D84E98730D7795D8f6f8731FDA16';
+const CLEAN = '0x1111111111111111111111111111111111111111';
+
+describe('parseSanctionsList', () => {
+  test('reads JSON arrays of addresses and of entries, lowercasing addresses', () => {
+    expect(parseSanctionsList(JSON.stringify([LAZARUS]), 'ofac.json').entries).toEqual({
+      [LAZARUS.toLowerCase()]: { name: null, program: null, remarks: null, listName: 'ofac' }
+    });
+
+    const { name, entries } = parseSanctionsList(JSON.stringify({
+      name: 'OFAC SDN',
+      entries: [{ address: TORNADO, entity: 'Tornado Cash', programs: 'CYBER2' }]
+    }), 'sdn.json');
+    expect(name).toBe('OFAC SDN');
+    expect(entries[TORNADO.toLowerCase()]).toEqual({
+      name: 'Tornado Cash', program: 'CYBER2', remarks: null, listName: 'OFAC SDN'
+    });
+  });
+
+  test('reads CSV with any column named like an address', () => {
+    const csv = [
+      'sdn_name,program,wallet address,remarks',
+      `"Lazarus Group",DPRK3,${LAZARUS},"Ronin bridge, 2022"`,
+      `Tornado Cash,CYBER2,${TORNADO},`
+    ].join('\r\n');
+
+    const { entries } = parseSanctionsList(csv, 'sdn.csv');
+
+    expect(entries[LAZARUS.toLowerCase()]).toEqual({
+      name: 'Lazarus Group', program: 'DPRK3', remarks: 'Ronin bridge, 2022', listName: 'sdn'
+    });
+    expect(entries[TORNADO.toLowerCase()].remarks).toBeNull();
+  });
+
+  test('takes every address out of plain text exports', () => {
+    const { entries } = parseSanctionsList(`${LAZARUS}\n\n  ${TORNADO} \n`, 'sanctioned_addresses_ETH.txt');
+    expect(Object.keys(entries)).toEqual([LAZARUS.toLowerCase(), TORNADO.toLowerCase()]);
+  });
+
+  test('drops rows without a valid address and rejects lists without any', () => {
+    const { entries } = parseSanctionsList(JSON.stringify([LAZARUS, '0x1234', { name: 'No address' }]), 'list.json');
+    expect(Object.keys(entries)).toEqual([LAZARUS.toLowerCase()]);
+
+    expect(() => parseSanctionsList('[', 'list.json')).toThrow(/not valid JSON/);
+    expect(() => parseSanctionsList('name,address\nSomeone,0x1234', 'list.csv')).toThrow(/No Ethereum addresses/);
+    expect(() => parseSanctionsList('{"name": "Empty"}', 'list.json')).toThrow(/No Ethereum addresses/);
+  });
+});
+
+describe('screening', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('matches addresses on any loaded list, whatever their case', () => {
+    importSanctionsList(JSON.stringify([LAZARUS]), 'ofac.json');
+    const blocklist = importSanctionsList(JSON.stringify([{ address: LAZARUS, name: 'Ronin exploiter' }]), 'blocklist.json');
+
+    expect(screenAddress(LAZARUS.toLowerCase()).map(entry => entry.listName)).toEqual(['ofac', 'blocklist']);
+    expect(screenAddress(CLEAN)).toEqual([]);
+    expect(screenAddress(null)).toEqual([]);
+
+    removeSanctionsList(blocklist.id);
+    expect(screenAddress(LAZARUS).map(entry => entry.listName)).toEqual(['ofac']);
+  });
+
+  test('screens many addresses once each and returns only the matches', () => {
+    importSanctionsList(`${LAZARUS}\n${TORNADO}`, 'ofac.txt');
+
+    const results = screenAddresses([LAZARUS, CLEAN, LAZARUS.toLowerCase(), TORNADO]);
+
+    expect(results.map(result => result.address)).toEqual([LAZARUS, TORNADO]);
+    expect(results[0].matches).toEqual([{ name: null, program: null, remarks: null, listName: 'ofac' }]);
+  });
+});
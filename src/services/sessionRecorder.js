@@ -0,0 +1,141 @@
+/**
+ * Session Recorder
+ *
+ * Captures live provider responses into the fixture format the fixture provider replays,
+ * so an analysis can be reproduced later without an API key or network access.
+ */
+import { FIXTURE_VERSION } from './fixtureProvider';
+
+let recording = null;
+
+// ethers BigNumbers (gasUsed, effectiveGasPrice, ...) become decimal strings
+const toSerializable = (value) => {
+  if (value && (value._isBigNumber || value.type === 'BigNumber')) {
+    return BigInt(value._hex || value.hex).toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toSerializable);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((plain, key) => {
+      plain[key] = toSerializable(value[key]);
+      return plain;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Start capturing provider responses
+ * A recording in progress is discarded.
+ */
+export const startRecording = () => {
+  recording = {
+    version: FIXTURE_VERSION,
+    network: null,
+    recordedAt: new Date().toISOString(),
+    assetTransfers: [],
+    receipts: {},
+    code: {},
+    blocks: {}
+  };
+};
+
+export const isRecording = () => recording !== null;
+
+// Counts shown while recording
+export const getRecordingStats = () => recording
+  ? {
+    requests: recording.assetTransfers.length,
+    transfers: recording.assetTransfers.reduce((sum, entry) => sum + (entry.response.transfers || []).length, 0),
+    receipts: Object.keys(recording.receipts).length
+  }
+  : null;
+
+/**
+ * Stop recording
+ * @returns {Object|null} The recorded fixture, or null if nothing was being recorded
+ */
+export const stopRecording = () => {
+  const fixture = recording;
+  recording = null;
+  return fixture;
+};
+
+/**
+ * Wrap a provider so its responses are captured while a recording is running
+ * @param {Object} provider - Data provider with type and network set
+ * @returns {Object} Provider with the same interface
+ */
+export const withRecording = (provider) => {
+  const capture = (network, record) => {
+    if (!recording) return;
+    recording.network = recording.network || network;
+    record(recording);
+  };
+
+  return {
+    ...provider,
+    getAssetTransfers: async (params) => {
+      const response = await provider.getAssetTransfers(params);
+      capture(provider.network, fixture => fixture.assetTransfers.push({
+        params: toSerializable(params),
+        response: toSerializable(response)
+      }));
+      return response;
+    },
+    getTransactionReceipt: async (hash) => {
+      const receipt = await provider.getTransactionReceipt(hash);
+      capture(provider.network, fixture => {
+        if (receipt) fixture.receipts[hash] = toSerializable(receipt);
+      });
+      return receipt;
+    },
+    ...(provider.getTransactionReceipts ? {
+      getTransactionReceipts: async (hashes) => {
+        const results = await provider.getTransactionReceipts(hashes);
+        capture(provider.network, fixture => results.forEach(({ item, value }) => {
+          if (value) fixture.receipts[item] = toSerializable(value);
+        }));
+        return results;
+      }
+    } : {}),
+    getBlock: async (blockNumber) => {
+      const block = await provider.getBlock(blockNumber);
+      capture(provider.network, fixture => {
+        if (block) fixture.blocks[block.number] = block.timestamp;
+      });
+      return block;
+    },
+    getCode: async (address) => {
+      const code = await provider.getCode(address);
+      capture(provider.network, fixture => {
+        fixture.code[address.toLowerCase()] = code;
+      });
+      return code;
+    }
+  };
+};
+
+/**
+ * Save a fixture as a JSON file download
+ * @param {Object} fixture - Recorded fixture
+ * @param {string} filename - Download file name
+ */
+export const downloadFixture = (fixture, filename) => {
+  const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Check that parsed JSON looks like a fixture before handing it to the provider
+ * @param {Object} fixture - Parsed JSON
+ * @returns {boolean} Whether the fixture can be replayed
+ */
+export const isValidFixture = (fixture) => !!fixture && typeof fixture === 'object' &&
+  (Array.isArray(fixture.assetTransfers) || Array.isArray(fixture.transfers));
@@ -0,0 +1,120 @@
+/**
+ * Snapshot Service
+ *
+ * Condenses the partner list of a search into a snapshot that is stored with the saved
+ * search, and compares a later run against it: new partners, new transfers, changed
+ * totals and newly flagged anomalies.
+ */
+
+// Native totals are floats, so tiny differences are rounding rather than activity
+const TOTAL_EPSILON = 1e-9;
+
+const toBlockNumber = (blockNum) => (blockNum ? parseInt(blockNum, 16) : 0);
+
+// Anomaly types a partner is flagged for, as listed in the partner table
+const getAnomalyFlags = (anomalies) => {
+  if (!anomalies || !anomalies.hasAnomalies) return [];
+
+  const flags = [];
+  if (anomalies.largeTransfers && anomalies.largeTransfers.length > 0) flags.push('largeTransfers');
+  if (anomalies.unusualFrequency) flags.push('unusualFrequency');
+  if (anomalies.irregularPattern) flags.push('irregularPattern');
+  if (anomalies.lookalike) flags.push('lookalike');
+  return flags;
+};
+
+export const ANOMALY_FLAG_LABELS = {
+  largeTransfers: 'Large transfers',
+  unusualFrequency: 'Unusual timing',
+  irregularPattern: 'Irregular pattern',
+  lookalike: 'Lookalike address'
+};
+
+/**
+ * Create a snapshot of a processed partner list
+ * @param {Array} partners - Output of processTransferPartners
+ * @returns {Object} { takenAt, lastBlock, transferCount, partners: { [address]: { sent, received, transfers, flags } } }
+ */
+export const createPartnerSnapshot = (partners) => {
+  let lastBlock = 0;
+  let transferCount = 0;
+
+  const entries = partners.reduce((snapshot, partner) => {
+    partner.transactions.forEach(tx => {
+      lastBlock = Math.max(lastBlock, toBlockNumber(tx.blockNum));
+    });
+    transferCount += partner.transactions.length;
+
+    snapshot[partner.address.toLowerCase()] = {
+      sent: partner.totalSent,
+      received: partner.totalReceived,
+      transfers: partner.transactions.length,
+      flags: getAnomalyFlags(partner.anomalies)
+    };
+    return snapshot;
+  }, {});
+
+  return {
+    takenAt: new Date().toISOString(),
+    lastBlock,
+    transferCount,
+    partners: entries
+  };
+};
+
+/**
+ * Compare the current partner list with the snapshot of a previous run
+ * @param {Object} previous - Snapshot from createPartnerSnapshot
+ * @param {Array} partners - Current output of processTransferPartners
+ * @returns {Object} { since, sinceBlock, newPartners, newTransfers, changedTotals, newlyFlagged, hasChanges }
+ */
+export const diffPartnerSnapshots = (previous, partners) => {
+  const newPartners = [];
+  const newTransfers = [];
+  const changedTotals = [];
+  const newlyFlagged = [];
+
+  partners.forEach(partner => {
+    const address = partner.address.toLowerCase();
+    const before = previous.partners[address];
+
+    partner.transactions
+      .filter(tx => toBlockNumber(tx.blockNum) > previous.lastBlock)
+      .forEach(tx => newTransfers.push({ ...tx, partner: partner.address }));
+
+    const flags = getAnomalyFlags(partner.anomalies);
+    const addedFlags = before ? flags.filter(flag => !before.flags.includes(flag)) : flags;
+    if (addedFlags.length > 0) {
+      newlyFlagged.push({ address: partner.address, flags: addedFlags });
+    }
+
+    if (!before) {
+      newPartners.push({
+        address: partner.address,
+        sent: partner.totalSent,
+        received: partner.totalReceived,
+        transfers: partner.transactions.length
+      });
+      return;
+    }
+
+    const sentChange = partner.totalSent - before.sent;
+    const receivedChange = partner.totalReceived - before.received;
+    const transferChange = partner.transactions.length - before.transfers;
+    if (Math.abs(sentChange) > TOTAL_EPSILON || Math.abs(receivedChange) > TOTAL_EPSILON || transferChange !== 0) {
+      changedTotals.push({ address: partner.address, sentChange, receivedChange, transferChange });
+    }
+  });
+
+  newTransfers.sort((a, b) => toBlockNumber(b.blockNum) - toBlockNumber(a.blockNum));
+
+  return {
+    since: previous.takenAt,
+    sinceBlock: previous.lastBlock,
+    newPartners,
+    newTransfers,
+    changedTotals,
+    newlyFlagged,
+    hasChanges: newPartners.length + newTransfers.length + changedTotals.length + newlyFlagged.length > 0
+  };
+};
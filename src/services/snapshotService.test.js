@@ -0,0 +1,65 @@
+import { createPartnerSnapshot, diffPartnerSnapshots } from './snapshotService';
+
+const PARTNER = '0x2222222222222222222222222222222222222222';
+const OTHER_PARTNER = '0x3333333333333333333333333333333333333333';
+const NEW_PARTNER = '0x4444444444444444444444444444444444444444';
+
+const tx = (block) => ({ hash: `0x${block}`, blockNum: `0x${block.toString(16)}` });
+
+const partner = (address, totalSent, totalReceived, blocks, anomalies = null) => ({
+  address,
+  totalSent,
+  totalReceived,
+  transactions: blocks.map(tx),
+  anomalies
+});
+
+const PREVIOUS = createPartnerSnapshot([
+  partner(PARTNER, 1, 2, [10, 20]),
+  partner(OTHER_PARTNER, 0, 5, [30])
+]);
+
+describe('createPartnerSnapshot', () => {
+  test('records totals, transfer counts and the last block seen', () => {
+    expect(PREVIOUS.lastBlock).toBe(30);
+    expect(PREVIOUS.transferCount).toBe(3);
+    expect(PREVIOUS.partners[PARTNER]).toEqual({ sent: 1, received: 2, transfers: 2, flags: [] });
+  });
+});
+
+describe('diffPartnerSnapshots', () => {
+  test('reports no changes for the same partners', () => {
+    const diff = diffPartnerSnapshots(PREVIOUS, [
+      partner(PARTNER, 1, 2, [10, 20]),
+      partner(OTHER_PARTNER, 0, 5 + 1e-12, [30])
+    ]);
+    expect(diff.hasChanges).toBe(false);
+    expect(diff.sinceBlock).toBe(30);
+  });
+
+  test('reports new partners, new transfers newest first and changed totals', () => {
+    const diff = diffPartnerSnapshots(PREVIOUS, [
+      partner(PARTNER, 1.5, 2, [10, 20, 40]),
+      partner(OTHER_PARTNER, 0, 5, [30]),
+      partner(NEW_PARTNER, 0, 3, [50])
+    ]);
+
+    expect(diff.newPartners).toEqual([{ address: NEW_PARTNER, sent: 0, received: 3, transfers: 1 }]);
+    expect(diff.newTransfers.map(transfer => [transfer.blockNum, transfer.partner])).toEqual([
+      ['0x32', NEW_PARTNER],
+      ['0x28', PARTNER]
+    ]);
+    expect(diff.changedTotals).toEqual([{ address: PARTNER, sentChange: 0.5, receivedChange: 0, transferChange: 1 }]);
+    expect(diff.hasChanges).toBe(true);
+  });
+
+  test('reports only the anomaly flags that were not raised before', () => {
+    const flagged = { hasAnomalies: true, largeTransfers: [{ txHash: '0x10' }], unusualFrequency: true };
+    const previous = createPartnerSnapshot([
+      partner(PARTNER, 1, 2, [10], { hasAnomalies: true, largeTransfers: [{ txHash: '0x10' }] })
+    ]);
+
+    const diff = diffPartnerSnapshots(previous, [partner(PARTNER, 1, 2, [10], flagged)]);
+    expect(diff.newlyFlagged).toEqual([{ address: PARTNER, flags: ['unusualFrequency'] }]);
+  });
+});
@@ -4,6 +4,7 @@
  * This service provides functions for processing blockchain data into
  * hierarchical structures suitable for tree map visualizations.
  */
+import { getAddressLabels } from './labelService';
 
 /**
  * Process transaction data into a hierarchical tree map structure
@@ -70,6 +71,7 @@ export const processTransactionsForTreeMap = (transactions, groupBy = 'address',
             name: to,
             value: 0,
             address: to,
+            label: getAddressLabels(to)[0] || null, // Most confident registry label, if any
             details: includeDetails ? `Recipient of ${fromNode.name}` : undefined
           };
           fromNode.children.push(recipientExists);
@@ -469,6 +471,7 @@ export const processTransfersForTreeMap = (transfers, options = {}) => {
         value: (transfer.totalSent || 0) + (transfer.totalReceived || 0),
         timestamp: transfer.lastTransactionDate,
         hash: transfer.address.substring(0, 10), // Use part of address as hash
+        label: transfer.labels && transfer.labels.length > 0 ? transfer.labels[0] : null,
         details: `Total sent: ${transfer.totalSent || 0}\nTotal received: ${transfer.totalReceived || 0}`
       };
     }
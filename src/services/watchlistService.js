@@ -0,0 +1,231 @@
+/**
+ * Watchlist Service
+ *
+ * Watches saved searches for new transfers while the app is open. Each watched search
+ * remembers the last block it was checked up to; polling fetches only the blocks after
+ * it, counts the new transfers as unread and raises a browser notification.
+ *
+ * Watch state lives on the saved search itself ({ enabled, lastSeenBlock, unread, recent,
+ * lastCheckedAt, lastError }), so it survives reloads and goes away with the search.
+ */
+import {
+  getAddressTransactions,
+  getSavedSearches,
+  updateSearchWatch,
+  usesDemoQuota
+} from './alchemyService';
+import { PROVIDER_TYPES, getDataProvider, getDataSource } from './dataProvider';
+import { DEFAULT_NETWORK } from './networkConfig';
+
+export const WATCHLIST_CONFIG = {
+  POLL_INTERVAL_OPTIONS: [
+    { value: 60 * 1000, label: 'Every minute' },
+    { value: 5 * 60 * 1000, label: 'Every 5 minutes' },
+    { value: 15 * 60 * 1000, label: 'Every 15 minutes' },
+    { value: 60 * 60 * 1000, label: 'Every hour' }
+  ],
+  DEFAULT_POLL_INTERVAL: 5 * 60 * 1000,
+  POLL_INTERVAL_STORAGE_KEY: 'watchlistPollInterval',
+  MAX_TRANSFERS_PER_POLL: 100, // Per direction; the rest is picked up by the next poll
+  RECENT_LIMIT: 20 // New transfers kept per search for the watchlist panel
+};
+
+const toBlockNumber = (blockNum) => parseInt(blockNum, 16);
+
+// Saved searches that are being watched
+export const getWatchlist = () => getSavedSearches().filter(search => search.watch && search.watch.enabled);
+
+export const getUnreadCount = () => getWatchlist().reduce((sum, search) => sum + (search.watch.unread || 0), 0);
+
+export const getPollInterval = () => {
+  const stored = parseInt(localStorage.getItem(WATCHLIST_CONFIG.POLL_INTERVAL_STORAGE_KEY));
+  return WATCHLIST_CONFIG.POLL_INTERVAL_OPTIONS.some(option => option.value === stored)
+    ? stored
+    : WATCHLIST_CONFIG.DEFAULT_POLL_INTERVAL;
+};
+
+export const setPollInterval = (interval) => {
+  localStorage.setItem(WATCHLIST_CONFIG.POLL_INTERVAL_STORAGE_KEY, String(interval));
+};
+
+/**
+ * Check whether the current data source can be polled
+ * The demo key allows two searches per session, so polling would use them up in minutes.
+ * @param {string} userApiKey - User-provided Alchemy key, if any
+ * @returns {Object} { canPoll, reason }
+ */
+export const getPollingStatus = (userApiKey = null) => {
+  const { type } = getDataSource();
+
+  if (type === PROVIDER_TYPES.FIXTURE) {
+    return { canPoll: false, reason: 'Recorded sessions never change; switch to a live data source to poll.' };
+  }
+  if (type === PROVIDER_TYPES.ALCHEMY && usesDemoQuota(userApiKey)) {
+    return {
+      canPoll: false,
+      reason: 'Polling is paused on the demo key, which only allows 2 searches per session. Add your own Alchemy API key to watch addresses.'
+    };
+  }
+  return { canPoll: true, reason: null };
+};
+
+/**
+ * Start watching a saved search from the current block
+ * @param {Object} search - Saved search
+ * @returns {Promise<Object|false>} The watch state
+ */
+export const watchSearch = async (search) => {
+  const provider = getDataProvider(search.network || DEFAULT_NETWORK);
+  const lastSeenBlock = await provider.getBlockNumber();
+
+  return updateSearchWatch(search.id, {
+    enabled: true,
+    lastSeenBlock,
+    unread: 0,
+    recent: [],
+    lastCheckedAt: new Date().toISOString(),
+    lastError: null
+  });
+};
+
+export const unwatchSearch = (searchId) => updateSearchWatch(searchId, { enabled: false, unread: 0, recent: [] });
+
+export const markWatchRead = (searchId) => updateSearchWatch(searchId, { unread: 0 });
+
+/**
+ * Ask for permission to show browser notifications
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+};
+
+const notifyNewTransfers = (search, transfers) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+  const label = search.name && !search.name.startsWith('Search on')
+    ? search.name
+    : `${search.address.substring(0, 6)}...${search.address.substring(search.address.length - 4)}`;
+
+  new Notification(`EtherFlow: ${transfers.length} new transfer${transfers.length === 1 ? '' : 's'}`, {
+    body: `${label} has new activity since block ${search.watch.lastSeenBlock.toLocaleString()}.`,
+    tag: `watch-${search.id}` // Replaces the previous notification for the same search
+  });
+};
+
+/**
+ * Fetch the transfers of a watched search since its last seen block
+ * @param {Object} search - Watched saved search
+ * @param {string} userApiKey - User-provided Alchemy key, if any
+ * @returns {Promise<Object>} { transfers, lastSeenBlock }
+ */
+const fetchNewTransfers = async (search, userApiKey) => {
+  const network = search.network || DEFAULT_NETWORK;
+  const fromBlock = search.watch.lastSeenBlock + 1;
+  const head = await getDataProvider(network).getBlockNumber();
+
+  if (head < fromBlock) {
+    return { transfers: [], lastSeenBlock: search.watch.lastSeenBlock };
+  }
+
+  const result = await getAddressTransactions(search.address, String(fromBlock), String(head), userApiKey, {
+    network,
+    maxTransfers: WATCHLIST_CONFIG.MAX_TRANSFERS_PER_POLL
+  });
+
+  const transfers = [
+    ...result.sent.map(tx => ({ ...tx, direction: 'sent' })),
+    ...result.received.map(tx => ({ ...tx, direction: 'received' }))
+  ];
+
+  if (!result.truncated) {
+    return { transfers, lastSeenBlock: head };
+  }
+
+  // A capped fetch may have stopped partway through its last block, so that block is checked again next time
+  const lastBlock = Math.min(...[result.sent, result.received]
+    .filter(list => list.length >= WATCHLIST_CONFIG.MAX_TRANSFERS_PER_POLL)
+    .map(list => toBlockNumber(list[list.length - 1].blockNum)));
+  return {
+    transfers: transfers.filter(tx => toBlockNumber(tx.blockNum) < lastBlock),
+    lastSeenBlock: lastBlock - 1
+  };
+};
+
+/**
+ * Check every watched search once
+ * Searches are checked one after another to keep the request rate low.
+ * @param {string} userApiKey - User-provided Alchemy key, if any
+ * @returns {Promise<Array>} { search, transfers } for each search with new transfers
+ */
+export const checkWatchlist = async (userApiKey = null) => {
+  const updates = [];
+
+  for (const search of getWatchlist()) {
+    try {
+      const { transfers, lastSeenBlock } = await fetchNewTransfers(search, userApiKey);
+      const recent = transfers
+        .sort((a, b) => toBlockNumber(b.blockNum) - toBlockNumber(a.blockNum))
+        .map(tx => ({
+          hash: tx.hash,
+          blockNum: tx.blockNum,
+          direction: tx.direction,
+          partner: tx.direction === 'sent' ? tx.to : tx.from,
+          value: tx.value,
+          asset: tx.asset
+        }));
+
+      updateSearchWatch(search.id, {
+        lastSeenBlock,
+        unread: (search.watch.unread || 0) + transfers.length,
+        recent: [...recent, ...(search.watch.recent || [])].slice(0, WATCHLIST_CONFIG.RECENT_LIMIT),
+        lastCheckedAt: new Date().toISOString(),
+        lastError: null
+      });
+
+      if (transfers.length > 0) {
+        notifyNewTransfers(search, transfers);
+        updates.push({ search, transfers });
+      }
+    } catch (error) {
+      console.warn(`Watchlist check failed for ${search.address}:`, error);
+      updateSearchWatch(search.id, {
+        lastCheckedAt: new Date().toISOString(),
+        lastError: error.message || String(error)
+      });
+    }
+  }
+
+  return updates;
+};
+
+/**
+ * Poll the watchlist until the returned function is called
+ * Each check starts one interval after the previous one finished, and is skipped while
+ * the data source cannot be polled.
+ * @param {Object} options - { userApiKey, onUpdate } where onUpdate runs after every check
+ * @returns {Function} Stops polling
+ */
+export const startWatchlistPolling = ({ userApiKey = null, onUpdate = null } = {}) => {
+  let timer = null;
+  let stopped = false;
+
+  const poll = async () => {
+    if (getWatchlist().length > 0 && getPollingStatus(userApiKey).canPoll) {
+      const updates = await checkWatchlist(userApiKey);
+      if (onUpdate && !stopped) onUpdate(updates);
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, getPollInterval());
+    }
+  };
+
+  timer = setTimeout(poll, getPollInterval());
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};